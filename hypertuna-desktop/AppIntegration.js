@@ -11,9 +11,11 @@ import { ConfigLogger } from './ConfigLogger.js';
 import NostrEvents from './NostrEvents.js';  // Add this import
 import MembersList from './MembersList.js';
 import { AvatarModal } from './AvatarModal.js';
+import { getEncryptedAttachments, getAttachmentThumbnails, decryptAttachment } from './FileAttachmentHelper.js';
 
 const relayReadinessTracker = new Map(); // Track relay readiness state
 const pendingRelayRegistrations = new Map();
+const decryptedAttachmentUrls = new Map(); // ciphertext hash -> Promise<object URL>
 
 function registerPendingRelayKeys(entry, keys = []) {
     keys.forEach((key) => {
@@ -2696,17 +2698,17 @@ App.syncHypertunaConfigToFile = async function() {
                         <div class="group-description">${group.about || 'No description available'}</div>
                     </div>
                     <div class="group-peer-summary" data-role="peer-count">${peerLabel}</div>
+                    <div class="group-badges" data-role="unread">${this.renderGroupBadges(group.id)}</div>
                 `;
 
+                groupElement.dataset.groupId = group.id;
                 if (hypertunaId) {
                     groupElement.dataset.hypertunaId = hypertunaId;
                 }
                 
                 groupElement.addEventListener('click', (e) => {
                     e.preventDefault();
-                    this.currentGroupId = group.id;
-                    this.currentHypertunaId = hypertunaId;
-                    this.navigateTo('group-detail');
+                    this.openGroup(group.id);
                 });
                 
                 groupsList.appendChild(groupElement);
@@ -2721,6 +2723,82 @@ App.syncHypertunaConfigToFile = async function() {
         }
     };
     
+    /**
+     * Unread and mention badges for a group in the group list
+     * @param {string} groupId - Group ID
+     * @returns {string} - HTML
+     */
+    App.renderGroupBadges = function(groupId) {
+        const { unread, mentions } = this.nostr.getGroupUnreadCounts(groupId);
+        const format = (count) => (count > 99 ? '99+' : String(count));
+        let html = '';
+        if (mentions) {
+            html += `<span class="group-badge mention" title="${mentions} unread mention${mentions === 1 ? '' : 's'}">@${format(mentions)}</span>`;
+        }
+        if (unread) {
+            html += `<span class="group-badge" title="${unread} unread message${unread === 1 ? '' : 's'}">${format(unread)}</span>`;
+        }
+        if (this.nostr.isGroupMuted(groupId)) {
+            html += '<span class="group-badge muted" title="Notifications muted">Muted</span>';
+        }
+        return html;
+    };
+
+    /**
+     * Refresh the badges of the groups already in the list
+     */
+    App.updateGroupBadges = function() {
+        document.querySelectorAll('#groups-list .group-item[data-group-id]').forEach(element => {
+            const badges = element.querySelector('[data-role="unread"]');
+            if (badges) badges.innerHTML = this.renderGroupBadges(element.dataset.groupId);
+        });
+    };
+
+    /**
+     * Open a group's detail page
+     * @param {string} groupId - Group ID
+     */
+    App.openGroup = function(groupId) {
+        const group = this.nostr.getGroupById(groupId);
+        this.currentGroupId = groupId;
+        this.currentHypertunaId = group?.hypertunaId || '';
+        this.navigateTo('group-detail');
+    };
+
+    /**
+     * Show a native notification unless the user is already looking at the group
+     * @param {Object} options
+     * @param {string} options.title - Notification title
+     * @param {string} options.body - Notification text
+     * @param {string} [options.groupId] - Group opened when the notification is clicked
+     */
+    App.showNotification = function({ title, body, groupId = null }) {
+        const viewingGroup = this.currentPage === 'group-detail' && this.currentGroupId === groupId;
+        if (viewingGroup && document.hasFocus()) return;
+        if (!window.electronAPI?.showNotification) return;
+        window.electronAPI.showNotification({ title, body, data: groupId ? { groupId } : null })
+            .catch(error => console.warn('Failed to show notification:', error));
+    };
+
+    /**
+     * Mute or unmute notifications for the current group
+     */
+    App.toggleGroupMute = function() {
+        if (!this.currentGroupId) return;
+        this.nostr.setGroupMuted(this.currentGroupId, !this.nostr.isGroupMuted(this.currentGroupId));
+        this.updateGroupMuteButton();
+    };
+
+    App.updateGroupMuteButton = function() {
+        const button = document.getElementById('btn-mute-group');
+        if (!button || !this.currentGroupId) return;
+        const muted = this.nostr.isGroupMuted(this.currentGroupId);
+        button.classList.toggle('muted', muted);
+        button.setAttribute('aria-pressed', muted ? 'true' : 'false');
+        button.setAttribute('aria-label', muted ? 'Unmute notifications' : 'Mute notifications');
+        button.title = muted ? 'Notifications muted' : 'Mute notifications';
+    };
+
     /**
      * Replace load group details method
      * Gets group details from the nostr client
@@ -2771,6 +2849,7 @@ App.syncHypertunaConfigToFile = async function() {
             }
 
             this.updateGroupPeerSummary(group.hypertunaId);
+            this.updateGroupMuteButton();
 
             const groupDescriptionElement = document.getElementById('group-detail-description');
             if (groupDescriptionElement) {
@@ -2900,6 +2979,16 @@ App.syncHypertunaConfigToFile = async function() {
                 settingsForm.classList.add('hidden');
                 noPermissionMsg.classList.remove('hidden');
             }
+
+            // Members whose worker replicates the relay without writing to it can host it
+            const hostingCard = document.getElementById('relay-hosting-card');
+            if (hostingCard) {
+                const writerState = this.nostr.client.getRelayWriterState(this.currentGroupId);
+                const canHost = isMember && !!writerState.writerKey && !writerState.writable;
+                hostingCard.classList.toggle('hidden', !canHost);
+                const hostingToggle = document.getElementById('relay-hosting-toggle');
+                if (hostingToggle) hostingToggle.checked = writerState.hostingPeer;
+            }
         } catch (e) {
             console.error('Error loading group details:', e);
             alert('Error loading group details');
@@ -2912,6 +3001,14 @@ App.syncHypertunaConfigToFile = async function() {
      */
     App.loadGroupMessages = async function() {
         if (!this.currentUser || !this.currentGroupId) return;
+
+        // Keep search results on screen while a search is active for this group
+        if (this.messageSearch) {
+            if (this.messageSearch.groupId === this.currentGroupId) return;
+            this.messageSearch = null;
+            const searchInput = document.getElementById('message-search-input');
+            if (searchInput) searchInput.value = '';
+        }
         
         try {
             // First check if user is a member (existing logic)
@@ -2944,10 +3041,13 @@ App.syncHypertunaConfigToFile = async function() {
             // Clear message list
             messageList.innerHTML = '';
             
-            // Get messages for the group (existing logic continues)
-            const messages = this.nostr.getGroupMessages(this.currentGroupId);
+            // Get message threads for the group (existing logic continues)
+            const threads = this.nostr.getGroupMessages(this.currentGroupId, { threaded: true });
+            if (this.messageComposerContext && this.messageComposerContext.groupId !== this.currentGroupId) {
+                this.clearMessageComposerContext();
+            }
             
-            if (messages.length === 0) {
+            if (threads.length === 0) {
                 messageList.innerHTML = `
                     <div class="empty-state">
                         <p>No messages yet</p>
@@ -2957,46 +3057,8 @@ App.syncHypertunaConfigToFile = async function() {
                 return;
             }
             
-            // Get profiles for all message authors
-            const profiles = {};
-            const authors = [...new Set(messages.map(msg => msg.pubkey))];
-            
-            // Fetch profiles for each author
-            for (const pubkey of authors) {
-                try {
-                    const profile = await this.nostr.client.fetchUserProfile(pubkey);
-                    profiles[pubkey] = profile;
-                } catch (e) {
-                    profiles[pubkey] = { name: 'User_' + NostrUtils.truncatePubkey(pubkey) };
-                }
-            }
-            
-            // Display messages
-            for (const message of messages) {
-                const author = profiles[message.pubkey] || { name: 'User_' + NostrUtils.truncatePubkey(message.pubkey) };
-                const isCurrentUser = message.pubkey === this.currentUser.pubkey;
-                const npub = NostrUtils.hexToNpub(message.pubkey);
-                const displayPub = NostrUtils.truncateNpub(npub);
-
-                const messageElement = document.createElement('div');
-                messageElement.className = `message ${isCurrentUser ? 'own' : ''}`;
-
-                const contentHtml = await this.renderMessageContent(message);
-
-                messageElement.innerHTML = `
-                    <div class="message-bubble">
-                        <div class="message-content">${contentHtml}</div>
-                    </div>
-                    <div class="message-meta">
-                        <span>${author.name || 'Unknown'}</span>
-                        <span class="message-pubkey">${displayPub}</span>
-                        <span>${this.formatTime(message.created_at)}</span>
-                    </div>
-                `;
-
-                messageList.appendChild(messageElement);
-                this.setupDriveMediaFallbacks(messageElement);
-            }
+            await this.renderGroupThreads(messageList, threads);
+            this.nostr.markGroupRead(this.currentGroupId);
             
             // Scroll to bottom
             messageList.scrollTop = messageList.scrollHeight;
@@ -3014,6 +3076,424 @@ App.syncHypertunaConfigToFile = async function() {
             `;
         }
     };
+
+    /**
+     * Fetch profiles for the authors of messages
+     * @param {Array} messages - Message events
+     * @returns {Promise<Object>} - Pubkey -> profile
+     */
+    App.fetchMessageProfiles = async function(messages) {
+        const profiles = {};
+        const authors = [...new Set(messages.map(msg => msg.pubkey))];
+        
+        for (const pubkey of authors) {
+            try {
+                const profile = await this.nostr.client.fetchUserProfile(pubkey);
+                profiles[pubkey] = profile;
+            } catch (e) {
+                profiles[pubkey] = { name: 'User_' + NostrUtils.truncatePubkey(pubkey) };
+            }
+        }
+        return profiles;
+    };
+
+    // Offered in the reaction picker along with custom emoji already used in the group
+    const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '😮', '😢'];
+
+    /**
+     * Build the element for one message, with reply, quote and react actions, editing for
+     * the author and removal for group admins
+     * @param {Object} message - Message event
+     * @param {Object} profiles - Pubkey -> profile
+     * @param {Object} [options]
+     * @param {boolean} [options.showReplyRef] - Mark replies shown outside their thread
+     * @returns {Promise<HTMLElement>}
+     */
+    App.renderMessageElement = async function(message, profiles, options = {}) {
+        const authorName = (pubkey) => {
+            const profile = profiles[pubkey];
+            return this.escapeHtml(profile?.name || 'User_' + NostrUtils.truncatePubkey(pubkey));
+        };
+        const isCurrentUser = message.pubkey === this.currentUser.pubkey;
+        const isAdmin = this.nostr.isGroupAdmin(this.currentGroupId, this.currentUser.pubkey);
+        const npub = NostrUtils.hexToNpub(message.pubkey);
+        const displayPub = NostrUtils.truncateNpub(npub);
+        const refs = NostrUtils.getThreadRefs(message);
+
+        const messageElement = document.createElement('div');
+        messageElement.className = `message ${isCurrentUser ? 'own' : ''}`;
+        messageElement.dataset.eventId = message.id;
+
+        // Quoted messages that are loaded are shown above the content
+        let quotesHtml = '';
+        for (const quotedId of refs.mentions) {
+            const quoted = this.nostr.client.getGroupMessage(this.currentGroupId, quotedId);
+            if (!quoted) continue;
+            quotesHtml += `
+                <blockquote class="message-quote">
+                    <span class="message-quote-author">${authorName(quoted.pubkey)}</span>
+                    <span class="message-quote-text">${this.escapeHtml(this.summarizeMessage(quoted))}</span>
+                </blockquote>
+            `;
+        }
+        const replyRefHtml = options.showReplyRef && refs.reply
+            ? '<div class="message-reply-ref">Reply in a thread</div>'
+            : '';
+
+        const contentHtml = await this.renderMessageContent(message);
+
+        messageElement.innerHTML = `
+            <div class="message-bubble">
+                ${replyRefHtml}
+                ${quotesHtml}
+                <div class="message-content">${contentHtml}</div>
+            </div>
+            <div class="message-reactions"></div>
+            <div class="message-meta">
+                <span>${authorName(message.pubkey)}</span>
+                <span class="message-pubkey">${displayPub}</span>
+                <span>${this.formatTime(message.created_at)}</span>
+                ${message.editedAt ? `<span class="message-edited" title="Edited ${this.formatTime(message.editedAt)}">(edited)</span>` : ''}
+                <span class="message-actions">
+                    <button type="button" class="message-action" data-action="reply">Reply</button>
+                    <button type="button" class="message-action" data-action="quote">Quote</button>
+                    <button type="button" class="message-action" data-action="react" aria-expanded="false">React</button>
+                    ${isCurrentUser ? '<button type="button" class="message-action" data-action="edit">Edit</button>' : ''}
+                    ${isAdmin ? '<button type="button" class="message-action message-action--danger" data-action="delete">Delete</button>' : ''}
+                </span>
+            </div>
+        `;
+
+        messageElement.querySelectorAll('.message-action').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.dataset.action === 'react') {
+                    this.toggleReactionPicker(messageElement, button);
+                    return;
+                }
+                if (button.dataset.action === 'delete') {
+                    this.deleteGroupMessage(message);
+                    return;
+                }
+                this.setMessageComposerContext(button.dataset.action, message, profiles[message.pubkey]);
+            });
+        });
+        this.renderMessageReactions(messageElement.querySelector('.message-reactions'), message.id);
+        this.setupDriveMediaFallbacks(messageElement);
+        return messageElement;
+    };
+
+    /**
+     * Render message events into the message list with author profiles
+     * @param {HTMLElement} messageList - Container to append to
+     * @param {Array} messages - Message events, oldest first
+     */
+    App.renderGroupMessageList = async function(messageList, messages) {
+        const profiles = await this.fetchMessageProfiles(messages);
+        
+        for (const message of messages) {
+            messageList.appendChild(await this.renderMessageElement(message, profiles, { showReplyRef: true }));
+        }
+        this.nostr.watchMessageReactions(this.currentGroupId, messages.map(message => message.id));
+    };
+
+    /**
+     * Render message threads: each root message in the main stream, with its replies
+     * collapsed behind a reply count until the thread is opened
+     * @param {HTMLElement} messageList - Container to append to
+     * @param {Array} threads - Threads from getGroupMessages with options.threaded
+     */
+    App.renderGroupThreads = async function(messageList, threads) {
+        if (!this.expandedThreads) this.expandedThreads = new Set();
+        const messages = threads.flatMap(thread => [thread.root, ...thread.replies]);
+        const profiles = await this.fetchMessageProfiles(messages);
+
+        for (const thread of threads) {
+            const rootElement = await this.renderMessageElement(thread.root, profiles, { showReplyRef: true });
+            messageList.appendChild(rootElement);
+            if (!thread.replyCount) continue;
+
+            const expanded = this.expandedThreads.has(thread.root.id);
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = `thread-toggle ${rootElement.classList.contains('own') ? 'own' : ''}`;
+            toggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+            const label = `${thread.replyCount} ${thread.replyCount === 1 ? 'reply' : 'replies'}`;
+            toggle.textContent = expanded ? `Hide ${label}` : `${label} · last ${this.formatTime(thread.lastActivity)}`;
+
+            const repliesElement = document.createElement('div');
+            repliesElement.className = 'thread-replies';
+            repliesElement.hidden = !expanded;
+            if (expanded) {
+                for (const reply of thread.replies) {
+                    repliesElement.appendChild(await this.renderMessageElement(reply, profiles));
+                }
+            }
+
+            toggle.addEventListener('click', () => {
+                if (this.expandedThreads.has(thread.root.id)) {
+                    this.expandedThreads.delete(thread.root.id);
+                } else {
+                    this.expandedThreads.add(thread.root.id);
+                }
+                const scrollTop = messageList.scrollTop;
+                this.loadGroupMessages().then(() => {
+                    messageList.scrollTop = scrollTop;
+                });
+            });
+
+            messageList.appendChild(toggle);
+            messageList.appendChild(repliesElement);
+        }
+
+        const visibleIds = threads.flatMap(thread => (
+            this.expandedThreads.has(thread.root.id)
+                ? [thread.root.id, ...thread.replies.map(reply => reply.id)]
+                : [thread.root.id]
+        ));
+        this.nostr.watchMessageReactions(this.currentGroupId, visibleIds);
+    };
+
+    /**
+     * Fill a message's reaction bar: one chip per emoji with its count, reactors in the tooltip
+     * and this user's own reactions highlighted. Clicking a chip toggles the same reaction.
+     * @param {HTMLElement} container - The message's .message-reactions element
+     * @param {string} messageId - Message event ID
+     */
+    App.renderMessageReactions = function(container, messageId) {
+        if (!container) return;
+        const groupId = this.currentGroupId;
+        const reactions = this.nostr.getMessageReactions(groupId, messageId);
+        container.innerHTML = '';
+        container.hidden = reactions.length === 0;
+
+        const reactorName = (pubkey) => {
+            if (pubkey === this.currentUser.pubkey) return 'You';
+            const profile = this.nostr.client.cachedProfiles.get(pubkey);
+            return profile?.name || 'User_' + NostrUtils.truncatePubkey(pubkey);
+        };
+
+        for (const reaction of reactions) {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = `reaction-chip ${reaction.ownReactionId ? 'own' : ''}`;
+            chip.setAttribute('aria-pressed', reaction.ownReactionId ? 'true' : 'false');
+            chip.title = reaction.reactors.map(reactorName).join(', ');
+
+            if (reaction.emojiUrl) {
+                const image = document.createElement('img');
+                image.className = 'reaction-emoji';
+                image.src = reaction.emojiUrl;
+                image.alt = reaction.content;
+                chip.appendChild(image);
+            } else {
+                const label = document.createElement('span');
+                label.textContent = reaction.content === '+' ? '👍' : reaction.content;
+                chip.appendChild(label);
+            }
+            const count = document.createElement('span');
+            count.className = 'reaction-count';
+            count.textContent = String(reaction.count);
+            chip.appendChild(count);
+
+            const emoji = reaction.emojiUrl
+                ? { shortcode: reaction.content.slice(1, -1), url: reaction.emojiUrl }
+                : null;
+            chip.addEventListener('click', () => this.reactToMessage(groupId, messageId, reaction.content, emoji));
+            container.appendChild(chip);
+        }
+    };
+
+    /**
+     * Re-render the reaction bar of a message on screen
+     * @param {string} messageId - Message event ID
+     */
+    App.updateMessageReactions = function(messageId) {
+        const messageElement = document.querySelector(`#message-list .message[data-event-id="${messageId}"]`);
+        if (!messageElement) return;
+        this.renderMessageReactions(messageElement.querySelector('.message-reactions'), messageId);
+    };
+
+    /**
+     * Open or close the emoji picker under a message
+     * @param {HTMLElement} messageElement - Message element
+     * @param {HTMLElement} button - The React action button
+     */
+    App.toggleReactionPicker = function(messageElement, button) {
+        const existing = messageElement.querySelector('.reaction-picker');
+        if (existing) {
+            existing.remove();
+            button.setAttribute('aria-expanded', 'false');
+            return;
+        }
+
+        const groupId = this.currentGroupId;
+        const messageId = messageElement.dataset.eventId;
+        const picker = document.createElement('div');
+        picker.className = 'reaction-picker';
+
+        const addOption = (content, emoji = null) => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'reaction-option';
+            if (emoji) {
+                const image = document.createElement('img');
+                image.className = 'reaction-emoji';
+                image.src = emoji.url;
+                image.alt = content;
+                option.title = content;
+                option.appendChild(image);
+            } else {
+                option.textContent = content;
+            }
+            option.addEventListener('click', () => {
+                picker.remove();
+                button.setAttribute('aria-expanded', 'false');
+                this.reactToMessage(groupId, messageId, content, emoji);
+            });
+            picker.appendChild(option);
+        };
+
+        REACTION_EMOJIS.forEach(content => addOption(content));
+        this.nostr.client.getGroupCustomEmojis(groupId).forEach(emoji => addOption(`:${emoji.shortcode}:`, emoji));
+
+        messageElement.querySelector('.message-reactions').before(picker);
+        button.setAttribute('aria-expanded', 'true');
+    };
+
+    /**
+     * Toggle this user's reaction to a message
+     * @param {string} groupId - Group ID
+     * @param {string} messageId - Message event ID
+     * @param {string} content - Emoji, or :shortcode: for a custom emoji
+     * @param {Object} [emoji] - Custom emoji { shortcode, url }
+     */
+    App.reactToMessage = async function(groupId, messageId, content, emoji = null) {
+        try {
+            await this.nostr.toggleReaction(groupId, messageId, content, emoji);
+        } catch (e) {
+            console.error('Error reacting to message:', e);
+            alert('Error reacting to message: ' + e.message);
+        }
+    };
+
+    /**
+     * Short plain-text form of a message for quotes and the composer context
+     * @param {Object} message - Message event
+     * @returns {string}
+     */
+    App.summarizeMessage = function(message) {
+        const text = (message.content || '').replace(/\s+/g, ' ').trim();
+        return text.length > 140 ? `${text.slice(0, 140)}…` : text;
+    };
+
+    /**
+     * Make the next message a reply in a thread or a quote of another message
+     * @param {'reply'|'quote'} type
+     * @param {Object} message - Message event to reply to or quote
+     * @param {Object} [profile] - Author profile
+     */
+    App.setMessageComposerContext = function(type, message, profile = null) {
+        this.messageComposerContext = { type, message, groupId: this.currentGroupId };
+        const container = document.getElementById('message-compose-context');
+        const text = document.getElementById('message-compose-context-text');
+        if (container && text) {
+            const name = profile?.name || 'User_' + NostrUtils.truncatePubkey(message.pubkey);
+            const action = type === 'quote' ? 'Quoting' : 'Replying in thread to';
+            text.textContent = type === 'edit'
+                ? 'Editing your message'
+                : `${action} ${name}: ${this.summarizeMessage(message)}`;
+            container.hidden = false;
+        }
+        const input = document.getElementById('message-input');
+        if (input && type === 'edit') {
+            input.value = message.content;
+            input.dispatchEvent(new Event('input'));
+        }
+        input?.focus();
+    };
+
+    App.clearMessageComposerContext = function() {
+        // Leaving an edit drops the prefilled text with it
+        if (this.messageComposerContext?.type === 'edit') {
+            const input = document.getElementById('message-input');
+            if (input) input.value = '';
+        }
+        this.messageComposerContext = null;
+        const container = document.getElementById('message-compose-context');
+        if (container) container.hidden = true;
+    };
+
+    /**
+     * Remove a message from the current group as an admin, after confirmation
+     * @param {Object} message - Message event
+     */
+    App.deleteGroupMessage = async function(message) {
+        if (!this.currentGroupId) return;
+        if (!confirm('Remove this message from the relay for everyone?')) return;
+
+        try {
+            if (this.messageComposerContext?.message?.id === message.id) {
+                this.clearMessageComposerContext();
+            }
+            await this.nostr.deleteGroupMessage(this.currentGroupId, message.id);
+            this.loadGroupMessages();
+        } catch (e) {
+            console.error('Error removing message:', e);
+            alert('Error removing message: ' + e.message);
+        }
+    };
+
+    /**
+     * Search the current group's message history on its relay
+     * An empty query returns to the live message list
+     * @param {string} query - Search terms
+     */
+    App.searchGroupMessages = async function(query) {
+        if (!this.currentUser || !this.currentGroupId) return;
+
+        const groupId = this.currentGroupId;
+        const trimmed = typeof query === 'string' ? query.trim() : '';
+        if (!trimmed) {
+            this.messageSearch = null;
+            return this.loadGroupMessages();
+        }
+
+        const search = { groupId, query: trimmed };
+        this.messageSearch = search;
+        const messageList = document.getElementById('message-list');
+        messageList.innerHTML = `
+            <div class="status-message info">
+                Searching messages...
+            </div>
+        `;
+
+        try {
+            const results = await this.nostr.searchGroupMessages(groupId, trimmed);
+            // A newer search or a group switch supersedes these results
+            if (this.messageSearch !== search) return;
+
+            if (results.length === 0) {
+                messageList.innerHTML = `
+                    <div class="empty-state">
+                        <p>No messages match "${this.escapeHtml(trimmed)}"</p>
+                    </div>
+                `;
+                return;
+            }
+
+            messageList.innerHTML = '';
+            await this.renderGroupMessageList(messageList, results);
+            messageList.scrollTop = messageList.scrollHeight;
+        } catch (e) {
+            console.error('Error searching messages:', e);
+            if (this.messageSearch !== search) return;
+            messageList.innerHTML = `
+                <div class="status-message error">
+                    Search failed. Please try again.
+                </div>
+            `;
+        }
+    };
     
     
     /**
@@ -3102,7 +3582,7 @@ App.syncHypertunaConfigToFile = async function() {
             container.innerHTML = '';
             
             // Render the members list
-            await this.membersList.render(members, admins);
+            await this.membersList.render(members, admins, this.getRelayWriterState(this.currentGroupId));
             this.membersList.updateOnlineStatuses();
             
             // Create new event handlers with proper cleanup
@@ -3120,14 +3600,39 @@ App.syncHypertunaConfigToFile = async function() {
                 }
             };
             
+            const addWriterHandler = (e) => {
+                e.stopPropagation();
+                if (e.detail && e.detail.pubkey) {
+                    this.updateRelayWriter(e.detail.pubkey, true);
+                }
+            };
+            
+            const removeWriterHandler = (e) => {
+                e.stopPropagation();
+                if (e.detail && e.detail.pubkey) {
+                    this.updateRelayWriter(e.detail.pubkey, false);
+                }
+            };
+            
+            const requestWriterHandler = (e) => {
+                e.stopPropagation();
+                this.requestWriterAccess();
+            };
+            
             // Add new listeners
             container.addEventListener('promote', promoteHandler);
             container.addEventListener('remove', removeHandler);
+            container.addEventListener('add-writer', addWriterHandler);
+            container.addEventListener('remove-writer', removeWriterHandler);
+            container.addEventListener('request-writer', requestWriterHandler);
             
             // Store references for cleanup
             this._memberListeners = [
                 { event: 'promote', handler: promoteHandler },
-                { event: 'remove', handler: removeHandler }
+                { event: 'remove', handler: removeHandler },
+                { event: 'add-writer', handler: addWriterHandler },
+                { event: 'remove-writer', handler: removeWriterHandler },
+                { event: 'request-writer', handler: requestWriterHandler }
             ];
             
         } catch (e) {
@@ -3159,7 +3664,7 @@ App.syncHypertunaConfigToFile = async function() {
             this.membersList.setUserPubkey(this.currentUser.pubkey);
             this.membersList.setOnlineStatusResolver(onlineResolver);
         }
-        await this.membersList.render(members, admins);
+        await this.membersList.render(members, admins, this.getRelayWriterState(this.currentGroupId));
         this.membersList.updateOnlineStatuses();
         container.addEventListener('promote', (e) => {
             this.updateMemberRole(e.detail.pubkey, ['admin']);
@@ -3238,6 +3743,7 @@ App.syncHypertunaConfigToFile = async function() {
             const driveInfo = HypertunaUtils.buildDriveUrl({
                 identifier: info.identifier,
                 fileId: info.fileId,
+                variant: info.variant,
                 preferPublic: true
             });
             if (!driveInfo) return;
@@ -3245,6 +3751,16 @@ App.syncHypertunaConfigToFile = async function() {
             const alternates = [];
             if (driveInfo.url && driveInfo.url !== src) alternates.push(driveInfo.url);
             if (driveInfo.fallbackUrl && driveInfo.fallbackUrl !== src) alternates.push(driveInfo.fallbackUrl);
+            // A thumbnail may not be generated (or mirrored) yet, so end with the original file
+            if (info.variant) {
+                const originalInfo = HypertunaUtils.buildDriveUrl({
+                    identifier: info.identifier,
+                    fileId: info.fileId,
+                    preferPublic: true
+                });
+                if (originalInfo.url) alternates.push(originalInfo.url);
+                if (originalInfo.fallbackUrl) alternates.push(originalInfo.fallbackUrl);
+            }
             attachFallbackSequence(img, (nextUrl) => {
                 img.setAttribute('src', nextUrl);
             }, alternates);
@@ -3336,18 +3852,65 @@ App.syncHypertunaConfigToFile = async function() {
         return null;
     };
 
+    /**
+     * Decrypt a private group attachment and render it inline
+     * Object URLs are cached per file so re-rendering the list does not download it again
+     * @param {string} url - Drive URL from the message content
+     * @param {Object} attachment - Entry from getEncryptedAttachments
+     * @returns {Promise<string>} - HTML
+     */
+    App.renderEncryptedAttachment = async function(url, attachment) {
+        if (!decryptedAttachmentUrls.has(attachment.fileHash)) {
+            const info = HypertunaUtils.parseDriveUrl(url);
+            const driveInfo = info
+                ? HypertunaUtils.buildDriveUrl({ identifier: info.identifier, fileId: info.fileId, preferPublic: true })
+                : null;
+            const pending = decryptAttachment(attachment, [url, driveInfo?.url, driveInfo?.fallbackUrl])
+                .then((blob) => URL.createObjectURL(blob));
+            decryptedAttachmentUrls.set(attachment.fileHash, pending);
+            pending.catch(() => decryptedAttachmentUrls.delete(attachment.fileHash));
+        }
+
+        try {
+            const objectUrl = await decryptedAttachmentUrls.get(attachment.fileHash);
+            const mimeType = this.escapeHtml(attachment.mimeType);
+            if (attachment.mimeType.startsWith('image/')) {
+                return `<img src="${objectUrl}" class="media-image"/>`;
+            }
+            if (attachment.mimeType.startsWith('video/')) {
+                return `<video controls class="media-video"><source src="${objectUrl}" type="${mimeType}"></video>`;
+            }
+            return `<a href="${objectUrl}" download="${attachment.fileHash}" class="encrypted-attachment">Download attachment (${mimeType})</a>`;
+        } catch (e) {
+            console.error('Failed to decrypt attachment', e);
+            return `<span class="encrypted-attachment error">Encrypted attachment unavailable</span>`;
+        }
+    };
+
     App.renderMessageContent = async function(message) {
         const urlRegex = /(https?:\/\/[^\s]+)/g;
         const parts = [];
         let lastIndex = 0;
         const text = this.escapeHtml(message.content);
+        const encryptedAttachments = getEncryptedAttachments(message.tags);
+        const thumbnails = getAttachmentThumbnails(message.tags);
         for (const match of text.matchAll(urlRegex)) {
             const url = match[0];
             parts.push(text.slice(lastIndex, match.index));
             let replacement = `<a href="${url}" target="_blank" rel="noopener">${url}</a>`;
-            if (this.isMediaUrl(url)) {
+            const driveFile = encryptedAttachments.size || thumbnails.size ? HypertunaUtils.parseDriveUrl(url) : null;
+            const fileHash = driveFile ? driveFile.fileId.split('.')[0] : null;
+            const encrypted = fileHash ? encryptedAttachments.get(fileHash) : null;
+            const thumbnail = fileHash ? thumbnails.get(fileHash) : null;
+            if (encrypted) {
+                replacement = await this.renderEncryptedAttachment(url, encrypted);
+            } else if (this.isMediaUrl(url)) {
                 if (/\.(mp4|webm|ogg|mov)$/i.test(url)) {
                     replacement = `<video controls class="media-video"><source src="${url}"></video>`;
+                } else if (thumbnail) {
+                    // The message list shows the downscaled variant; the full file opens on click
+                    const thumbnailUrl = this.escapeHtml(thumbnail);
+                    replacement = `<a href="${url}" target="_blank" rel="noopener" class="media-thumbnail"><img src="${thumbnailUrl}" class="media-image" loading="lazy"/></a>`;
                 } else {
                     replacement = `<img src="${url}" class="media-image"/>`;
                 }
@@ -3839,11 +4402,34 @@ App.syncHypertunaConfigToFile = async function() {
                 attachButton.disabled = true;
             }
             
-            await this.nostr.sendGroupMessage(
-                this.currentGroupId,
-                messageText,
-                filePath
-            );
+            const context = this.messageComposerContext?.groupId === this.currentGroupId
+                ? this.messageComposerContext
+                : null;
+            const options = {};
+            if (context?.type === 'reply') options.replyTo = context.message.id;
+            if (context?.type === 'quote') options.quote = context.message.id;
+
+            if (context?.type === 'edit') {
+                if (!messageText) return;
+                await this.nostr.editGroupMessage(this.currentGroupId, context.message.id, messageText);
+            } else {
+                await this.nostr.sendGroupMessage(
+                    this.currentGroupId,
+                    messageText,
+                    filePath,
+                    options
+                );
+            }
+
+            // Keep the thread that was replied to open so the reply is visible
+            if (context?.type === 'reply') {
+                if (!this.expandedThreads) this.expandedThreads = new Set();
+                const repliedId = context.message.id;
+                const thread = this.nostr.getGroupMessages(this.currentGroupId, { threaded: true })
+                    .find(item => item.root.id === repliedId || item.replies.some(reply => reply.id === repliedId));
+                this.expandedThreads.add(thread ? thread.root.id : repliedId);
+            }
+            this.clearMessageComposerContext();
             
             // Clear inputs
             messageInput.value = '';
@@ -3873,6 +4459,142 @@ App.syncHypertunaConfigToFile = async function() {
     };
     
     
+    /**
+     * Show the direct message inbox and the open conversation
+     */
+    App.loadDirectMessages = async function() {
+        if (!this.currentUser || !this.nostr) return;
+        const list = document.getElementById('dm-conversation-list');
+        if (!list) return;
+
+        const conversations = this.nostr.getDirectMessageConversations();
+        const participants = [...new Set(conversations.flatMap(conversation => conversation.participants))];
+        if (this.currentConversation) participants.push(...this.currentConversation.participants);
+        const profiles = await this.fetchMessageProfiles(participants.map(pubkey => ({ pubkey })));
+        const names = (pubkeys) => pubkeys
+            .map(pubkey => profiles[pubkey]?.name || 'User_' + NostrUtils.truncatePubkey(pubkey))
+            .join(', ');
+
+        list.innerHTML = '';
+        if (conversations.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <p>No private messages yet</p>
+                </div>
+            `;
+        }
+        for (const conversation of conversations) {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `dm-conversation ${this.currentConversation?.id === conversation.id ? 'active' : ''}`;
+            item.innerHTML = `
+                <span class="dm-conversation-name">${this.escapeHtml(names(conversation.participants))}</span>
+                <span class="dm-conversation-preview">${this.escapeHtml(this.summarizeMessage(conversation.lastMessage))}</span>
+                <span class="dm-conversation-time">${this.formatTime(conversation.lastMessage.created_at)}</span>
+                ${conversation.unreadCount ? `<span class="nav-badge">${conversation.unreadCount}</span>` : ''}
+            `;
+            item.addEventListener('click', () => this.openDirectMessage(conversation.participants));
+            list.appendChild(item);
+        }
+
+        await this.renderDirectMessageThread(profiles, names);
+        this.updateDirectMessageBadge();
+    };
+
+    /**
+     * Render the open conversation and mark it read
+     * @param {Object} profiles - Pubkey -> profile
+     * @param {Function} names - Display names for a list of pubkeys
+     */
+    App.renderDirectMessageThread = async function(profiles, names) {
+        const header = document.getElementById('dm-thread-header');
+        const messageList = document.getElementById('dm-message-list');
+        const input = document.getElementById('dm-input');
+        const sendButton = document.getElementById('btn-send-dm');
+        const conversation = this.currentConversation;
+
+        input.disabled = !conversation;
+        sendButton.disabled = !conversation;
+        messageList.innerHTML = '';
+        if (!conversation) {
+            header.textContent = 'Select a conversation';
+            return;
+        }
+
+        header.textContent = names(conversation.participants);
+        const messages = this.nostr.getDirectMessages(conversation.id);
+        for (const message of messages) {
+            const isCurrentUser = message.pubkey === this.currentUser.pubkey;
+            const messageElement = document.createElement('div');
+            messageElement.className = `message ${isCurrentUser ? 'own' : ''}`;
+            messageElement.innerHTML = `
+                <div class="message-bubble">
+                    <div class="message-content">${await this.renderMessageContent(message)}</div>
+                </div>
+                <div class="message-meta">
+                    <span>${this.escapeHtml(names([message.pubkey]))}</span>
+                    <span>${this.formatTime(message.created_at)}</span>
+                </div>
+            `;
+            this.setupDriveMediaFallbacks(messageElement);
+            messageList.appendChild(messageElement);
+        }
+        messageList.scrollTop = messageList.scrollHeight;
+        this.nostr.markConversationRead(conversation.id);
+    };
+
+    /**
+     * Open the conversation with one or more users, e.g. the author of a join request
+     * @param {string|Array<string>} pubkeys - Public keys of the other participants
+     */
+    App.openDirectMessage = function(pubkeys) {
+        const participants = Array.isArray(pubkeys) ? pubkeys : [pubkeys];
+        this.currentConversation = {
+            id: this.nostr.client.getConversationId(participants),
+            participants
+        };
+        if (this.currentPage === 'messages') {
+            this.loadDirectMessages();
+        } else {
+            this.navigateTo('messages');
+        }
+        document.getElementById('dm-input')?.focus();
+    };
+
+    /**
+     * Send the composed private message to the open conversation
+     */
+    App.sendDirectMessage = async function() {
+        const conversation = this.currentConversation;
+        const input = document.getElementById('dm-input');
+        const sendButton = document.getElementById('btn-send-dm');
+        const content = input.value.trim();
+        if (!conversation || !content) return;
+
+        try {
+            input.disabled = true;
+            sendButton.disabled = true;
+            await this.nostr.sendDirectMessage(conversation.participants, content);
+            input.value = '';
+        } catch (e) {
+            console.error('Error sending direct message:', e);
+            alert('Error sending message: ' + e.message);
+        } finally {
+            input.disabled = false;
+            sendButton.disabled = false;
+            input.focus();
+            this.loadDirectMessages();
+        }
+    };
+
+    App.updateDirectMessageBadge = function() {
+        const badge = document.getElementById('dm-unread-badge');
+        if (!badge || !this.nostr) return;
+        const unread = this.nostr.getUnreadDirectMessageCount();
+        badge.textContent = unread > 99 ? '99+' : String(unread);
+        badge.classList.toggle('hidden', unread === 0);
+    };
+    
     /**
      * Replace create invite method
      * Creates an invite code via the nostr client
@@ -3973,6 +4695,58 @@ App.syncHypertunaConfigToFile = async function() {
         }
     };
 
+    /**
+     * Writer state passed to the members list: whether the local worker can write
+     * to the group relay, which admins' workers are writers and which have asked to be
+     * @returns {Object|null} - null when the relay is not running in the local worker
+     */
+    App.getRelayWriterState = function(groupId) {
+        const client = this.nostr.client;
+        const state = client.getRelayWriterState(groupId);
+        if (!state.writerKey) return null;
+        return {
+            writable: state.writable,
+            writers: new Set(state.writers.map(writer => writer.pubkey)),
+            requests: new Set(client.getWriterRequests(groupId).keys())
+        };
+    };
+    
+    App.updateRelayWriter = async function(pubkey, add) {
+        if (!this.currentUser || !this.currentGroupId) return;
+        
+        try {
+            await this.nostr.client.updateRelayWriter(this.currentGroupId, pubkey, add);
+        } catch (e) {
+            console.error('Error updating relay writer:', e);
+            alert('Error updating relay writer: ' + e.message);
+        }
+    };
+    
+    App.requestWriterAccess = async function() {
+        if (!this.currentUser || !this.currentGroupId) return;
+        
+        try {
+            await this.nostr.client.requestWriterAccess(this.currentGroupId);
+            this.loadGroupMembers();
+        } catch (e) {
+            console.error('Error requesting write access:', e);
+            alert('Error requesting write access: ' + e.message);
+        }
+    };
+
+    App.setRelayHosting = async function(enabled) {
+        if (!this.currentUser || !this.currentGroupId) return;
+        
+        try {
+            await this.nostr.client.setRelayHosting(this.currentGroupId, enabled);
+        } catch (e) {
+            console.error('Error updating relay hosting:', e);
+            alert('Error updating relay hosting: ' + e.message);
+            const hostingToggle = document.getElementById('relay-hosting-toggle');
+            if (hostingToggle) hostingToggle.checked = !enabled;
+        }
+    };
+
     App.approveJoinRequest = async function(pubkey) {
         if (!this.currentUser || !this.currentGroupId) return;
         try {
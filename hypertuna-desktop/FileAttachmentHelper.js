@@ -1,4 +1,3 @@
-import { NostrUtils } from './NostrUtils.js';
 import { HypertunaUtils } from './HypertunaUtils.js';
 
 const electronAPI = window.electronAPI || null;
@@ -30,20 +29,97 @@ function getExtension(path) {
   return index === -1 ? '' : filename.slice(index);
 }
 
-export async function prepareFileAttachment(filePath, identifier) {
-  if (!isElectron || !electronAPI?.readFileBuffer) {
+const HEX_64 = /^[a-f0-9]{64}$/;
+// Types the worker makes a downscaled 'thumb' variant for when the file is uploaded
+const THUMBNAIL_MIME_TYPES = new Set(['image/jpeg', 'image/png']);
+const POLICY_CHECK_TIMEOUT_MS = 10000;
+const pendingPolicyChecks = new Map();
+let policyCheckCounter = 0;
+let policyListenerAttached = false;
+
+function ensurePolicyListener() {
+  if (policyListenerAttached || typeof window === 'undefined') return;
+  window.addEventListener('worker-message', (event) => {
+    const message = event?.detail;
+    if (message?.type !== 'upload-policy-result') return;
+    const entry = pendingPolicyChecks.get(message.requestId);
+    if (!entry) return;
+    pendingPolicyChecks.delete(message.requestId);
+    clearTimeout(entry.timeoutId);
+    entry.resolve(message);
+  });
+  policyListenerAttached = true;
+}
+
+/**
+ * Ask the worker whether the relay's upload policy accepts a file, so a message is not sent
+ * with an attachment the worker will refuse. Resolves as allowed when the worker does not
+ * answer; the upload itself is checked again.
+ * @returns {Promise<{allowed: boolean, error?: string}>}
+ */
+function requestUploadPolicyCheck(data) {
+  if (!electronAPI?.sendToWorker) return Promise.resolve({ allowed: true });
+  ensurePolicyListener();
+  policyCheckCounter += 1;
+  const requestId = `upload-policy:${Date.now()}:${policyCheckCounter}`;
+
+  return new Promise((resolve) => {
+    const timeoutId = setTimeout(() => {
+      pendingPolicyChecks.delete(requestId);
+      resolve({ allowed: true });
+    }, POLICY_CHECK_TIMEOUT_MS);
+    pendingPolicyChecks.set(requestId, { resolve, timeoutId });
+    electronAPI.sendToWorker({ type: 'check-upload-policy', data: { ...data, requestId } })
+      .then((response) => {
+        if (response?.success === false) {
+          pendingPolicyChecks.delete(requestId);
+          clearTimeout(timeoutId);
+          resolve({ allowed: true });
+        }
+      })
+      .catch(() => {});
+  });
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Prepare a file for attaching to a message.
+ * Images the worker can downscale get an imeta tag pointing at their thumbnail variant.
+ * With options.encrypt the file is encrypted with a fresh key before upload; the drive only
+ * stores ciphertext and the key, nonce and real MIME type travel in an imeta tag of the event.
+ * @param {string} filePath - Local path of the file
+ * @param {string} identifier - Group public identifier used as the drive folder
+ * @param {Object} [options]
+ * @param {boolean} [options.encrypt] - Encrypt the attachment (private groups)
+ * @param {string} [options.relayKey] - Relay whose upload policy the file must satisfy
+ * @returns {Promise<Object>}
+ * @throws {Error} - With code UPLOAD_POLICY when the relay's upload policy rejects the file
+ */
+export async function prepareFileAttachment(filePath, identifier, options = {}) {
+  const encrypt = !!options.encrypt;
+  if (!isElectron || !electronAPI?.hashFile || (encrypt && !electronAPI?.encryptFile)) {
     throw new Error('File attachments require Electron file access');
   }
 
-  const result = await electronAPI.readFileBuffer(filePath);
-  if (!result?.success || !result.data) {
+  // The file is hashed (or encrypted to a temporary copy) and later uploaded in chunks by the
+  // main process, so it is never read into renderer memory
+  const result = encrypt
+    ? await electronAPI.encryptFile(filePath)
+    : await electronAPI.hashFile(filePath);
+  if (!result?.success || !result.fileHash) {
     throw new Error(result?.error || 'Unable to read attachment data');
   }
 
-  const buffer = new Uint8Array(result.data);
-  const fileHash = await NostrUtils.computeSha256(buffer);
+  const { fileHash, size } = result;
   const ext = getExtension(filePath);
-  const fileId = `${fileHash}${ext}`;
+  const fileId = encrypt ? `${fileHash}.enc` : `${fileHash}${ext}`;
   const gatewaySettings = await HypertunaUtils.getGatewaySettings();
   const sanitizedGatewayUrl = gatewaySettings.gatewayUrl || HypertunaUtils.getCachedGatewayUrl();
   const fallbackBase = HypertunaUtils.sanitizeBaseUrl(
@@ -51,15 +127,154 @@ export async function prepareFileAttachment(filePath, identifier) {
   );
   const driveUrlInfo = HypertunaUtils.buildDriveUrl({ identifier, fileId, preferPublic: true });
   const fileUrl = driveUrlInfo.url || `${fallbackBase}/drive/${identifier}/${fileId}`;
-  const metadata = {
-    mimeType: mimeFromExtension(ext),
-    filename: getFilename(filePath)
-  };
+  const mimeType = mimeFromExtension(ext);
+  // Encrypted files are served as opaque bytes; the declared type is kept for upload policies
+  const metadata = encrypt
+    ? { mimeType: 'application/octet-stream', declaredMimeType: mimeType, encrypted: true }
+    : { mimeType, filename: getFilename(filePath) };
+
+  const policy = await requestUploadPolicyCheck({
+    relayKey: options.relayKey || null,
+    identifier,
+    fileHash,
+    size,
+    metadata
+  });
+  if (!policy.allowed) {
+    const error = new Error(policy.error || 'The relay does not accept this file');
+    error.code = 'UPLOAD_POLICY';
+    throw error;
+  }
 
   const tags = [
     ['r', fileUrl, 'hypertuna:drive'],
     ['i', 'hypertuna:drive']
   ];
+  if (encrypt) {
+    tags.push([
+      'imeta',
+      `url ${fileUrl}`,
+      `m ${mimeType}`,
+      `x ${fileHash}`,
+      `ox ${result.plaintextHash}`,
+      'encryption-algorithm aes-gcm',
+      `decryption-key ${result.key}`,
+      `decryption-nonce ${result.iv}`
+    ]);
+  } else if (THUMBNAIL_MIME_TYPES.has(mimeType)) {
+    const thumbnailInfo = HypertunaUtils.buildDriveUrl({ identifier, fileId, variant: 'thumb', preferPublic: true });
+    tags.push([
+      'imeta',
+      `url ${fileUrl}`,
+      `m ${mimeType}`,
+      `x ${fileHash}`,
+      `thumb ${thumbnailInfo.url || `${fileUrl}/thumb`}`
+    ]);
+  }
+
+  return {
+    filePath: encrypt ? result.filePath : filePath,
+    size,
+    fileHash,
+    fileId,
+    fileUrl,
+    metadata,
+    tags,
+    encrypted: encrypt
+  };
+}
+
+// Fields of an imeta tag ('key value' entries) as an object
+function parseImetaFields(tag) {
+  const fields = {};
+  for (const entry of tag.slice(1)) {
+    if (typeof entry !== 'string') continue;
+    const space = entry.indexOf(' ');
+    if (space > 0) fields[entry.slice(0, space)] = entry.slice(space + 1);
+  }
+  return fields;
+}
 
-  return { buffer, fileHash, fileId, fileUrl, metadata, tags };
+/**
+ * Collect the encrypted attachments announced in an event's imeta tags.
+ * @param {Array} tags - Event tags
+ * @returns {Map<string, {fileHash: string, mimeType: string, key: string, iv: string}>} - Keyed by ciphertext hash
+ */
+export function getEncryptedAttachments(tags = []) {
+  const attachments = new Map();
+  for (const tag of Array.isArray(tags) ? tags : []) {
+    if (!Array.isArray(tag) || tag[0] !== 'imeta') continue;
+    const fields = parseImetaFields(tag);
+    if (fields['encryption-algorithm'] !== 'aes-gcm') continue;
+    if (!HEX_64.test(fields.x || '') || !HEX_64.test(fields['decryption-key'] || '')) continue;
+    if (!/^[a-f0-9]{24}$/.test(fields['decryption-nonce'] || '')) continue;
+    attachments.set(fields.x, {
+      fileHash: fields.x,
+      mimeType: fields.m || 'application/octet-stream',
+      key: fields['decryption-key'],
+      iv: fields['decryption-nonce']
+    });
+  }
+  return attachments;
+}
+
+/**
+ * Collect the thumbnails announced in an event's imeta tags.
+ * @param {Array} tags - Event tags
+ * @returns {Map<string, string>} - File hash -> thumbnail URL
+ */
+export function getAttachmentThumbnails(tags = []) {
+  const thumbnails = new Map();
+  for (const tag of Array.isArray(tags) ? tags : []) {
+    if (!Array.isArray(tag) || tag[0] !== 'imeta') continue;
+    const fields = parseImetaFields(tag);
+    if (!HEX_64.test(fields.x || '') || !fields.thumb) continue;
+    let thumbnailUrl;
+    try {
+      thumbnailUrl = new URL(fields.thumb);
+    } catch (_) {
+      continue;
+    }
+    if (thumbnailUrl.protocol !== 'http:' && thumbnailUrl.protocol !== 'https:') continue;
+    thumbnails.set(fields.x, thumbnailUrl.href);
+  }
+  return thumbnails;
+}
+
+/**
+ * Download an encrypted attachment and decrypt it in the renderer.
+ * @param {Object} attachment - Entry from getEncryptedAttachments
+ * @param {string[]} urls - Drive URLs to try in order
+ * @returns {Promise<Blob>}
+ */
+export async function decryptAttachment(attachment, urls) {
+  let ciphertext = null;
+  let lastError = null;
+  for (const url of urls.filter(Boolean)) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`Attachment fetch failed with status ${response.status}`);
+      ciphertext = await response.arrayBuffer();
+      break;
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  if (!ciphertext) {
+    throw lastError || new Error('Attachment unavailable');
+  }
+
+  const key = await window.crypto.subtle.importKey(
+    'raw',
+    hexToBytes(attachment.key),
+    { name: 'AES-GCM' },
+    false,
+    ['decrypt']
+  );
+  const plaintext = await window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: hexToBytes(attachment.iv) },
+    key,
+    ciphertext
+  );
+  return new Blob([plaintext], { type: attachment.mimeType });
 }
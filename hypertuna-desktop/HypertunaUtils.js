@@ -21,6 +21,8 @@ const hypercoreCrypto = window.hypercoreCrypto || null;
 const electronAPI = window.electronAPI || null;
 const isElectron = !!electronAPI;
 const ELECTRON_CONFIG_PATH = 'electron-storage/relay-config.json';
+// Derived versions of a drive file served at /drive/<identifier>/<fileId>/<variant>
+const DRIVE_FILE_VARIANTS = new Set(['thumb']);
 
 export class HypertunaUtils {
     /**
@@ -117,7 +119,7 @@ export class HypertunaUtils {
         return entry.status === 'registered';
     }
 
-    static resolveDrivePath(identifier, fileId) {
+    static resolveDrivePath(identifier, fileId, variant = null) {
         const safeIdentifier = typeof identifier === 'string' && identifier.trim()
             ? identifier.trim().replace(/^\/+/, '')
             : '';
@@ -127,7 +129,8 @@ export class HypertunaUtils {
         if (!safeIdentifier || !safeFileId) {
             return null;
         }
-        return `/drive/${safeIdentifier}/${safeFileId}`;
+        const variantSegment = variant && DRIVE_FILE_VARIANTS.has(variant) ? `/${variant}` : '';
+        return `/drive/${safeIdentifier}/${safeFileId}${variantSegment}`;
     }
 
     static resolveDriveBases(identifier, preferPublic = true) {
@@ -161,8 +164,8 @@ export class HypertunaUtils {
         };
     }
 
-    static buildDriveUrl({ identifier, fileId, preferPublic = true } = {}) {
-        const drivePath = this.resolveDrivePath(identifier, fileId);
+    static buildDriveUrl({ identifier, fileId, variant = null, preferPublic = true } = {}) {
+        const drivePath = this.resolveDrivePath(identifier, fileId, variant);
         if (!drivePath) {
             return {
                 url: null,
@@ -196,16 +199,27 @@ export class HypertunaUtils {
         const pathname = parsed.pathname || '';
         if (!pathname.startsWith('/drive/')) return null;
         const driveSegment = pathname.slice('/drive/'.length);
-        const lastSlash = driveSegment.lastIndexOf('/');
+        let fileSegment = driveSegment;
+        let variant = null;
+        const variantSlash = driveSegment.lastIndexOf('/');
+        if (variantSlash !== -1 && DRIVE_FILE_VARIANTS.has(driveSegment.slice(variantSlash + 1))) {
+            const candidate = driveSegment.slice(0, variantSlash);
+            if (candidate.includes('/')) {
+                fileSegment = candidate;
+                variant = driveSegment.slice(variantSlash + 1);
+            }
+        }
+        const lastSlash = fileSegment.lastIndexOf('/');
         if (lastSlash === -1) return null;
-        const identifier = decodeURIComponent(driveSegment.slice(0, lastSlash));
-        const fileId = decodeURIComponent(driveSegment.slice(lastSlash + 1));
+        const identifier = decodeURIComponent(fileSegment.slice(0, lastSlash));
+        const fileId = decodeURIComponent(fileSegment.slice(lastSlash + 1));
         const drivePath = `/drive/${driveSegment}`;
 
         return {
             baseUrl: this.sanitizeBaseUrl(parsed.origin || ''),
             identifier,
             fileId,
+            variant,
             drivePath,
             originalUrl: url
         };
@@ -19,7 +19,8 @@ export default class MembersList {
     this.onlineStatusResolver = resolver;
   }
 
-  async render(members = [], admins = []) {
+  // writerState: { writable, writers: Set of pubkeys, requests: Set of pubkeys } for the relay's autobase writers
+  async render(members = [], admins = [], writerState = null) {
     if (!this.container) return;
 
     // Clear container and reset tracked members
@@ -101,7 +102,8 @@ export default class MembersList {
         const displayPub = NostrUtils.truncateNpub(npub);
         const name = profile.name || "User_" + NostrUtils.truncatePubkey(pk);
         const first = name.charAt(0).toUpperCase();
-        const roleText = roles.includes('admin') ? 'Admin' : 'Member';
+        const isWriter = !!writerState?.writers?.has(pk);
+        const roleText = (roles.includes('admin') ? 'Admin' : 'Member') + (isWriter ? ' · Writer' : '');
         const roleClass = roles.includes('admin') ? 'admin' : '';
         const resolvedPicture = profile.picture
             ? HypertunaUtils.resolvePfpUrl(profile.pictureTagUrl || profile.picture, profile.pictureIsHypertunaPfp)
@@ -159,6 +161,19 @@ export default class MembersList {
             });
             actions.appendChild(remove);
 
+            if (writerState?.writable && roles.includes('admin')) {
+                if (isWriter) {
+                    actions.prepend(this._createActionButton('remove-writer', pk, 'Remove Writer', 'btn-secondary'));
+                } else if (writerState.requests?.has(pk)) {
+                    actions.prepend(this._createActionButton('add-writer', pk, 'Make Writer', 'btn-secondary'));
+                }
+            }
+
+            item.appendChild(actions);
+        } else if (pk === this.currentUserPubkey && isCurrentUserAdmin && writerState && !writerState.writable && !writerState.requests?.has(pk)) {
+            const actions = document.createElement('div');
+            actions.className = 'member-actions';
+            actions.appendChild(this._createActionButton('request-writer', pk, 'Request Write Access', 'btn-secondary'));
             item.appendChild(actions);
         }
 
@@ -166,6 +181,22 @@ export default class MembersList {
     }
   }
 
+  _createActionButton(action, pubkey, label, variant) {
+    const button = document.createElement('button');
+    button.className = `btn ${variant} btn-small`;
+    button.dataset.action = action;
+    button.dataset.pubkey = pubkey;
+    button.textContent = label;
+    button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.container.dispatchEvent(new CustomEvent(action, {
+            detail: { pubkey },
+            bubbles: true
+        }));
+    });
+    return button;
+  }
+
   updateOnlineStatuses(resolver = null) {
     if (resolver) {
       this.onlineStatusResolver = resolver;
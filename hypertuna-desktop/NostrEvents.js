@@ -9,26 +9,6 @@ import { NostrUtils } from './NostrUtils.js';
 const electronAPI = window.electronAPI || null;
 const isElectron = !!electronAPI;
 
-function sendWorkerMessage(message, options = {}) {
-    if (typeof window.sendWorkerCommand === 'function') {
-        return window.sendWorkerCommand(message, options);
-    }
-    if (!isElectron || !electronAPI?.sendToWorker) {
-        return Promise.resolve({ success: false, error: 'Worker bridge unavailable' });
-    }
-    return electronAPI.sendToWorker(message);
-}
-
-function uint8ToBase64(bytes) {
-    let binary = '';
-    const chunk = 0x8000;
-    for (let i = 0; i < bytes.length; i += chunk) {
-        const segment = bytes.subarray(i, i + chunk);
-        binary += String.fromCharCode(...segment);
-    }
-    return btoa(binary);
-}
-
 class NostrEvents {
     /**
      * Event Kinds
@@ -36,11 +16,19 @@ class NostrEvents {
      * - 0: Metadata (profile info)
      * - 1: Text Note (standard message)
      * - 4: Encrypted Direct Message
+     * - 5: Event Deletion (NIP-09)
+     * - 7: Reaction (NIP-25)
+     * - 13: Seal (NIP-59)
+     * - 14: Private Direct Message (NIP-17, only ever sent sealed and gift wrapped)
+     * - 1059: Gift Wrap (NIP-59)
+     * - 10050: DM Inbox Relay List (NIP-17)
+     * - 30078: Application-specific Data (NIP-78)
      * 
      * NIP-29 Events
      * - 9000: Group Put User (add a user to a group or update their role)
      * - 9001: Group Remove User (remove a user from a group)
      * - 9002: Group Edit Metadata (edit group metadata)
+     * - 9005: Group Delete Event (admin removes a single event)
      * - 9007: Group Create (create a new group)
      * - 9008: Group Delete (delete a group)
      * - 9009: Group Invite Create (create an invite code)
@@ -54,6 +42,9 @@ class NostrEvents {
      * - 39003: Group Roles List (maintained by relay)
      * 
      * Custom Hypertuna Events
+     * - 9030: Group Writer Request (admin asks for their worker to become a relay writer)
+     * - 9031: Group Writer Add (admin adds another admin's worker as a relay writer)
+     * - 9032: Group Writer Remove (admin removes a worker as a relay writer)
      * - 30166: Hypertuna Relay Event
      */
     
@@ -61,11 +52,18 @@ class NostrEvents {
     static KIND_METADATA = 0;
     static KIND_TEXT_NOTE = 1;
     static KIND_ENCRYPTED_DM = 4;
+    static KIND_DELETION = 5;
+    static KIND_REACTION = 7;
+    static KIND_SEAL = 13;
+    static KIND_PRIVATE_DM = 14;
+    static KIND_GIFT_WRAP = 1059;
+    static KIND_DM_RELAY_LIST = 10050;
     
     // NIP-29 event kinds
     static KIND_GROUP_PUT_USER = 9000;
     static KIND_GROUP_REMOVE_USER = 9001;
     static KIND_GROUP_EDIT_METADATA = 9002;
+    static KIND_GROUP_DELETE_EVENT = 9005;
     static KIND_GROUP_CREATE = 9007;
     static KIND_GROUP_DELETE = 9008;
     static KIND_GROUP_INVITE_CREATE = 9009;
@@ -79,11 +77,20 @@ class NostrEvents {
     static KIND_GROUP_ROLES_LIST = 39003;
 
     // Hypertuna custom events
+    static KIND_GROUP_WRITER_REQUEST = 9030;
+    static KIND_GROUP_WRITER_ADD = 9031;
+    static KIND_GROUP_WRITER_REMOVE = 9032;
     static KIND_HYPERTUNA_RELAY = 30166;
 
     // User relay list event
     static KIND_USER_RELAY_LIST = 10009;
 
+    // NIP-42 client authentication
+    static KIND_CLIENT_AUTH = 22242;
+
+    // NIP-78 application-specific data
+    static KIND_APP_DATA = 30078;
+
     
     /**
      * Create and sign a generic event with enhanced logging
@@ -177,21 +184,22 @@ class NostrEvents {
             }
             finalContent += attachment.fileUrl;
 
-            // send file data to worker if available
-            if (isElectron && relayKey && attachment.buffer instanceof Uint8Array) {
-                const msg = {
-                    type: 'upload-file',
-                    data: {
-                        relayKey,
-                        // Include public-facing identifier for namespacing when available
-                        identifier: identifier || null,
-                        fileHash: attachment.fileHash,
-                        metadata: attachment.metadata,
-                        buffer: uint8ToBase64(attachment.buffer)
+            // hand the file to the main process, which streams it to the worker in chunks
+            if (isElectron && relayKey && attachment.filePath && electronAPI?.startUpload) {
+                electronAPI.startUpload({
+                    target: 'file',
+                    relayKey,
+                    // Include public-facing identifier for namespacing when available
+                    identifier: identifier || null,
+                    fileHash: attachment.fileHash,
+                    metadata: attachment.metadata,
+                    filePath: attachment.filePath
+                }).then((result) => {
+                    if (!result?.success) {
+                        console.error('File upload to worker failed:', result?.error);
                     }
-                };
-                sendWorkerMessage(msg).catch((err) => {
-                    console.error('Failed to send upload-file message:', err);
+                }).catch((err) => {
+                    console.error('Failed to start file upload:', err);
                 });
             }
         }
@@ -212,9 +220,16 @@ class NostrEvents {
      * @param {string} content - Message content
      * @param {Array} previousEvents - Optional array of previous event IDs for threading
      * @param {string} privateKey - Private key for signing
+     * @param {Object} [attachment] - Prepared file attachment
+     * @param {string} [relayKey] - Relay key the attachment is uploaded to
+     * @param {Object} [thread] - NIP-10 references
+     * @param {Object} [thread.replyTo] - Message being replied to ({ id, pubkey })
+     * @param {Object} [thread.root] - Root of the replied-to thread, if it is not replyTo itself
+     * @param {Object} [thread.quote] - Message being quoted
+     * @param {string} [thread.relayUrl] - Relay hint for the referenced events
      * @returns {Promise<Object>} - Signed event
      */
-    static async createGroupMessage(groupId, content, previousEvents, privateKey, attachment = null, relayKey = null) {
+    static async createGroupMessage(groupId, content, previousEvents, privateKey, attachment = null, relayKey = null, thread = {}) {
         console.log(`Creating group message for group ${groupId.substring(0, 8)}...`);
         console.log(`Message content length: ${content.length}`);
         
@@ -231,7 +246,27 @@ class NostrEvents {
                 }
             });
         }
-        
+
+        // NIP-10 marked e tags, with p tags so the referenced authors are notified
+        const { replyTo = null, root = null, quote = null, relayUrl = '' } = thread || {};
+        const mentioned = new Set();
+        const eventTag = (ref, marker) => ref.pubkey
+            ? ['e', ref.id, relayUrl || '', marker, ref.pubkey]
+            : ['e', ref.id, relayUrl || '', marker];
+        if (replyTo?.id) {
+            const threadRoot = root?.id ? root : replyTo;
+            tags.push(eventTag(threadRoot, 'root'));
+            if (threadRoot.id !== replyTo.id) {
+                tags.push(eventTag(replyTo, 'reply'));
+            }
+            [replyTo.pubkey, threadRoot.pubkey].forEach(pubkey => pubkey && mentioned.add(pubkey));
+        }
+        if (quote?.id) {
+            tags.push(eventTag(quote, 'mention'));
+            if (quote.pubkey) mentioned.add(quote.pubkey);
+        }
+        mentioned.forEach(pubkey => tags.push(['p', pubkey]));
+
         return this.createTextNote(content, tags, privateKey, attachment, relayKey, groupId);
     }
     
@@ -461,9 +496,11 @@ class NostrEvents {
      * @param {string} groupId - Group ID
      * @param {string} inviteCode - Optional invite code for closed groups
      * @param {string} privateKey - Private key for signing
+     * @param {Object} [options]
+     * @param {number} [options.expiresAt] - Unix time after which relays drop the request (NIP-40)
      * @returns {Promise<Object>} - Signed event
      */
-    static async createGroupJoinRequest(publicIdentifier, inviteCode, privateKey) {
+    static async createGroupJoinRequest(publicIdentifier, inviteCode, privateKey, options = {}) {
         const tags = [
             ['h', publicIdentifier] // Use public identifier
         ];
@@ -471,6 +508,10 @@ class NostrEvents {
         if (inviteCode) {
             tags.push(['code', inviteCode]);
         }
+
+        if (options.expiresAt) {
+            tags.push(['expiration', String(Math.floor(options.expiresAt))]);
+        }
         
         return this.createEvent(
             this.KIND_GROUP_JOIN_REQUEST,
@@ -538,10 +579,56 @@ class NostrEvents {
         );
     }
     
+    /**
+     * Create a writer request event (kind 9030)
+     * @param {string} publicIdentifier - Group ID
+     * @param {string} writerKey - Autobase writer key of the requesting admin's worker
+     * @param {string} privateKey - Private key for signing
+     * @returns {Promise<Object>} - Signed event
+     */
+    static async createWriterRequestEvent(publicIdentifier, writerKey, privateKey) {
+        const tags = [
+            ['h', publicIdentifier],
+            ['writer', writerKey]
+        ];
+        
+        return this.createEvent(
+            this.KIND_GROUP_WRITER_REQUEST,
+            'Requesting write access to the group relay',
+            tags,
+            privateKey
+        );
+    }
+    
+    /**
+     * Create a writer add (kind 9031) or writer remove (kind 9032) event
+     * @param {string} publicIdentifier - Group ID
+     * @param {string} pubkey - Public key of the admin whose worker is added/removed
+     * @param {string} writerKey - Autobase writer key of that worker
+     * @param {boolean} add - True to add the writer, false to remove it
+     * @param {string} privateKey - Private key for signing
+     * @returns {Promise<Object>} - Signed event
+     */
+    static async createWriterUpdateEvent(publicIdentifier, pubkey, writerKey, add, privateKey) {
+        const tags = [
+            ['h', publicIdentifier],
+            ['p', pubkey],
+            ['writer', writerKey]
+        ];
+        
+        return this.createEvent(
+            add ? this.KIND_GROUP_WRITER_ADD : this.KIND_GROUP_WRITER_REMOVE,
+            add ? 'Adding relay writer' : 'Removing relay writer',
+            tags,
+            privateKey
+        );
+    }
+    
     /**
      * Create a group invite event (kind 9009)
      * @param {string} publicIdentifier - Group ID
      * @param {string} privateKey - Private key for signing
+     * @param {Object} [metadata] - Group metadata; `expiresAt` (unix time) adds a NIP-40 expiration
      * @returns {Promise<Object>} - Signed event
      */
     static async createGroupInviteEvent(publicIdentifier, privateKey, metadata = {}) {
@@ -561,6 +648,10 @@ class NostrEvents {
         const inviteFileSharing = metadata.fileSharing !== false;
         tags.push([inviteFileSharing ? 'file-sharing-on' : 'file-sharing-off']);
 
+        if (metadata.expiresAt) {
+            tags.push(['expiration', String(Math.floor(metadata.expiresAt))]);
+        }
+
         return this.createEvent(
             this.KIND_GROUP_INVITE_CREATE,
             'Creating invite code',
@@ -621,6 +712,22 @@ class NostrEvents {
         );
     }
 
+    /**
+     * Create a moderation event removing single events from a group (kind 9005)
+     * @param {string} publicIdentifier - Group ID
+     * @param {Array<string>} eventIds - Events to remove
+     * @param {string} privateKey - Private key for signing
+     * @param {string} [reason] - Optional reason shown to clients
+     * @returns {Promise<Object>} - Signed event
+     */
+    static async createDeleteEventEvent(publicIdentifier, eventIds, privateKey, reason = '') {
+        const tags = [
+            ['h', publicIdentifier],
+            ...eventIds.map(id => ['e', id])
+        ];
+        return this.createEvent(this.KIND_GROUP_DELETE_EVENT, reason, tags, privateKey);
+    }
+
     /**
      * Create a full group member list event (kind 39002)
      * @param {string} publicIdentifier - Group ID
@@ -671,6 +778,223 @@ class NostrEvents {
         );
     }
 
+    /**
+     * Create a NIP-42 client authentication event (kind 22242)
+     * @param {string} relayUrl - URL of the relay that issued the challenge
+     * @param {string} challenge - Challenge string from the relay's AUTH message
+     * @param {string} privateKey - Private key for signing
+     * @returns {Promise<Object>} - Signed event
+     */
+    static async createAuthEvent(relayUrl, challenge, privateKey) {
+        return this.createEvent(
+            this.KIND_CLIENT_AUTH,
+            '',
+            [['relay', relayUrl], ['challenge', challenge]],
+            privateKey
+        );
+    }
+
+    /**
+     * Create a reaction to a group message (kind 7, NIP-25)
+     * A custom emoji (NIP-30) is sent as :shortcode: with an emoji tag carrying its image
+     * @param {string} groupId - Group public identifier
+     * @param {Object} target - Message reacted to ({ id, pubkey, kind })
+     * @param {string} content - Emoji, '+' for a like, or a custom emoji shortcode
+     * @param {string} privateKey - Private key for signing
+     * @param {Object} [options]
+     * @param {Object} [options.emoji] - Custom emoji { shortcode, url }
+     * @param {string} [options.relayUrl] - Relay hint for the target
+     * @returns {Promise<Object>} - Signed event
+     */
+    static async createReactionEvent(groupId, target, content, privateKey, options = {}) {
+        const { emoji = null, relayUrl = '' } = options;
+        const tags = [
+            ['h', groupId],
+            ['e', target.id, relayUrl, target.pubkey || ''],
+            ['k', String(target.kind ?? this.KIND_TEXT_NOTE)]
+        ];
+        if (target.pubkey) tags.push(['p', target.pubkey]);
+        let reaction = content;
+        if (emoji?.shortcode && emoji?.url) {
+            reaction = `:${emoji.shortcode}:`;
+            tags.push(['emoji', emoji.shortcode, emoji.url]);
+        }
+        return this.createEvent(this.KIND_REACTION, reaction, tags, privateKey);
+    }
+
+    /**
+     * Create an edit of a group message: a replacement kind 1 pointing at the original
+     * through an 'edit' marked e tag. Attachment metadata of the original is carried over.
+     * @param {string} groupId - Group public identifier
+     * @param {Object} original - Message being edited
+     * @param {string} content - New message content
+     * @param {string} privateKey - Private key for signing
+     * @param {string} [relayUrl] - Relay hint for the original
+     * @returns {Promise<Object>} - Signed event
+     */
+    static async createGroupMessageEdit(groupId, original, content, privateKey, relayUrl = '') {
+        const tags = [
+            ['h', groupId],
+            ['e', original.id, relayUrl, 'edit'],
+            ...(original.tags || []).filter(tag => tag[0] === 'imeta')
+        ];
+        return this.createEvent(this.KIND_TEXT_NOTE, content, tags, privateKey);
+    }
+
+    /**
+     * Create a deletion request for this user's own events (kind 5, NIP-09)
+     * @param {Array<string>} eventIds - Events to delete
+     * @param {string} privateKey - Private key for signing
+     * @param {Object} [options]
+     * @param {string} [options.groupId] - Group the events belong to, so group relays accept it
+     * @param {number} [options.kind] - Kind of the deleted events
+     * @param {string} [options.reason] - Optional reason shown to clients
+     * @returns {Promise<Object>} - Signed event
+     */
+    static async createDeletionEvent(eventIds, privateKey, options = {}) {
+        const { groupId = null, kind = null, reason = '' } = options;
+        const tags = eventIds.map(id => ['e', id]);
+        if (kind !== null) tags.push(['k', String(kind)]);
+        if (groupId) tags.push(['h', groupId]);
+        return this.createEvent(this.KIND_DELETION, reason, tags, privateKey);
+    }
+
+    /**
+     * Create an application data event (kind 30078, NIP-78) that only this user can read.
+     * The content is NIP-44 encrypted to the user's own key.
+     * @param {string} dTag - Identifier of the data, e.g. 'hypertuna:group-state'
+     * @param {Object} data - JSON-serializable data
+     * @param {string} privateKey - Private key for signing
+     * @returns {Promise<Object>} - Signed event
+     */
+    static async createPrivateAppDataEvent(dTag, data, privateKey) {
+        const pubkey = NostrUtils.getPublicKey(privateKey);
+        const key = await NostrUtils.nip44ConversationKey(privateKey, pubkey);
+        return this.createEvent(
+            this.KIND_APP_DATA,
+            await NostrUtils.nip44Encrypt(JSON.stringify(data), key),
+            [['d', dTag]],
+            privateKey
+        );
+    }
+
+    /**
+     * Decrypt the data of an event from createPrivateAppDataEvent
+     * @param {Object} event - Application data event (kind 30078)
+     * @param {string} privateKey - Private key of the event author
+     * @returns {Promise<Object>} - Data
+     */
+    static async readPrivateAppData(event, privateKey) {
+        const key = await NostrUtils.nip44ConversationKey(privateKey, event.pubkey);
+        return JSON.parse(await NostrUtils.nip44Decrypt(event.content, key));
+    }
+
+    /**
+     * Create the list of relays where this user receives direct messages (kind 10050, NIP-17)
+     * @param {Array<string>} relays - Relay URLs
+     * @param {string} privateKey - Private key for signing
+     * @returns {Promise<Object>} - Signed event
+     */
+    static async createDmRelayListEvent(relays, privateKey) {
+        return this.createEvent(
+            this.KIND_DM_RELAY_LIST,
+            '',
+            relays.map(url => ['relay', url]),
+            privateKey
+        );
+    }
+
+    /**
+     * Create an unsigned direct message (kind 14, NIP-17). The rumor is never published
+     * as is; wrap it for each recipient and for the sender with createGiftWrap.
+     * @param {string} senderPubkey - Sender public key
+     * @param {Array<string>} recipients - Recipient public keys
+     * @param {string} content - Message text
+     * @param {Object} [options]
+     * @param {string} [options.replyTo] - ID of the direct message replied to
+     * @returns {Promise<Object>} - Rumor with its ID and no signature
+     */
+    static async createDirectMessageRumor(senderPubkey, recipients, content, options = {}) {
+        const tags = recipients.map(pubkey => ['p', pubkey]);
+        if (options.replyTo) tags.push(['e', options.replyTo, '', 'reply']);
+        const rumor = {
+            kind: this.KIND_PRIVATE_DM,
+            content,
+            tags,
+            created_at: Math.floor(Date.now() / 1000),
+            pubkey: senderPubkey
+        };
+        const serialized = JSON.stringify([0, rumor.pubkey, rumor.created_at, rumor.kind, rumor.tags, rumor.content]);
+        const hash = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(serialized));
+        rumor.id = NostrUtils.bytesToHex(new Uint8Array(hash));
+        return rumor;
+    }
+
+    /**
+     * Seal a rumor with the sender's key and gift wrap it for one recipient (NIP-59).
+     * The wrap is signed by a one-time key and both layers carry a randomized timestamp,
+     * so relays learn neither the sender nor when the message was written.
+     * @param {Object} rumor - Unsigned event from createDirectMessageRumor
+     * @param {string} recipientPubkey - Public key the wrap is addressed to
+     * @param {string} senderPrivateKey - Sender private key
+     * @returns {Promise<Object>} - Signed gift wrap (kind 1059)
+     */
+    static async createGiftWrap(rumor, recipientPubkey, senderPrivateKey) {
+        const sealKey = await NostrUtils.nip44ConversationKey(senderPrivateKey, recipientPubkey);
+        const seal = await NostrUtils.signEvent({
+            kind: this.KIND_SEAL,
+            content: await NostrUtils.nip44Encrypt(JSON.stringify(rumor), sealKey),
+            tags: [],
+            created_at: this._randomPastTimestamp(),
+            pubkey: NostrUtils.getPublicKey(senderPrivateKey)
+        }, senderPrivateKey);
+
+        const wrapPrivateKey = NostrUtils.generatePrivateKey();
+        const wrapKey = await NostrUtils.nip44ConversationKey(wrapPrivateKey, recipientPubkey);
+        return NostrUtils.signEvent({
+            kind: this.KIND_GIFT_WRAP,
+            content: await NostrUtils.nip44Encrypt(JSON.stringify(seal), wrapKey),
+            tags: [['p', recipientPubkey]],
+            created_at: this._randomPastTimestamp(),
+            pubkey: NostrUtils.getPublicKey(wrapPrivateKey)
+        }, wrapPrivateKey);
+    }
+
+    /**
+     * Open a gift wrap addressed to this user and return the rumor inside
+     * @param {Object} wrap - Gift wrap event (kind 1059)
+     * @param {string} privateKey - Recipient private key
+     * @returns {Promise<Object>} - Rumor; its pubkey is the verified sender
+     */
+    static async unwrapGiftWrap(wrap, privateKey) {
+        if (!wrap || wrap.kind !== this.KIND_GIFT_WRAP) {
+            throw new Error('Not a gift wrap');
+        }
+        const wrapKey = await NostrUtils.nip44ConversationKey(privateKey, wrap.pubkey);
+        const seal = JSON.parse(await NostrUtils.nip44Decrypt(wrap.content, wrapKey));
+        if (seal.kind !== this.KIND_SEAL || !(await NostrUtils.verifySignature(seal))) {
+            throw new Error('Invalid seal');
+        }
+
+        const sealKey = await NostrUtils.nip44ConversationKey(privateKey, seal.pubkey);
+        const rumor = JSON.parse(await NostrUtils.nip44Decrypt(seal.content, sealKey));
+        // The seal signature is the only proof of authorship
+        if (rumor.pubkey !== seal.pubkey) {
+            throw new Error('Rumor author does not match seal signer');
+        }
+        return rumor;
+    }
+
+    /**
+     * Timestamp up to two days in the past
+     * @private
+     */
+    static _randomPastTimestamp() {
+        const twoDays = 2 * 24 * 60 * 60;
+        const offset = globalThis.crypto.getRandomValues(new Uint32Array(1))[0] % twoDays;
+        return Math.floor(Date.now() / 1000) - offset;
+    }
+
     /**
      * Parse group metadata from event
      * @param {Object} event - Group metadata event (kind 39000)
@@ -764,17 +1088,20 @@ class NostrEvents {
     }
 
     /**
-     * Verify a group member list event was signed by the expected admin
+     * Verify a group member list event was signed by the group admin or by the group's relay
      * @param {Object} event - Group member list event (kind 39002)
      * @param {string} adminPubkey - Admin public key
+     * @param {Object} [options]
+     * @param {string} [options.groupId] - Group public identifier the d tag must name
+     * @param {string} [options.relayPubkey] - Relay pubkey (NIP-11 `self`) that signs group snapshots
      * @returns {Promise<boolean>} - Whether the event is valid
      */
-    static async verifyAdminListEvent(event, adminPubkey) {
+    static async verifyAdminListEvent(event, adminPubkey, { groupId = null, relayPubkey = null } = {}) {
         if (!event || event.kind !== this.KIND_GROUP_MEMBER_LIST) return false;
 
         const dTag = this._getTagValue(event, 'd');
-        if (!dTag || dTag !== adminPubkey) return false;
-        if (event.pubkey !== adminPubkey) return false;
+        if (!dTag || (groupId && dTag !== groupId)) return false;
+        if (event.pubkey !== adminPubkey && (!relayPubkey || event.pubkey !== relayPubkey)) return false;
 
         return NostrUtils.verifySignature(event);
     }
@@ -11,6 +11,10 @@ import { NostrUtils } from './NostrUtils.js';
 import { prepareFileAttachment } from './FileAttachmentHelper.js';
 
 const GROUP_METADATA_CACHE_KEY = 'hypertuna_group_metadata_cache_v1';
+const DM_READ_STATE_KEY_PREFIX = 'hypertuna_dm_read_v1_';
+const GROUP_STATE_KEY_PREFIX = 'hypertuna_group_state_v1_';
+const GROUP_STATE_D_TAG = 'hypertuna:group-state';
+const GROUP_STATE_PUBLISH_DELAY_MS = 5000;
 
 function markProfileSeed(profile) {
     if (!profile || typeof profile !== 'object') {
@@ -52,6 +56,22 @@ class NostrGroupClient {
         this.groupMembers = new Map(); // Map of groupId -> member list
         this.groupAdmins = new Map(); // Map of groupId -> admin list
         this.groupMessages = new Map(); // Map of groupId -> messages
+        this.groupReactions = new Map(); // Map of groupId -> message ID -> reaction ID -> reaction event
+        this.reactionTargets = new Map(); // Map of groupId -> IDs of the messages on screen
+        this.reactionSubscriptions = new Map(); // Map of groupId -> message IDs the reaction subscription covers
+        this.deletedEvents = new Map(); // Map of deleted event ID -> pubkey that deleted it (NIP-09)
+        this.messageEdits = new Map(); // Map of message ID -> edit events pointing at it
+        this.moderatedEvents = new Map(); // Map of groupId -> event ID -> pubkeys that removed it (NIP-29 kind 9005)
+        this.directMessages = new Map(); // Map of conversation ID -> rumor ID -> direct message (NIP-17)
+        this.giftWrapIds = new Set(); // Gift wraps already opened
+        this.dmRelayLists = new Map(); // Map of pubkey -> DM inbox relays (kind 10050)
+        this.dmInboxRelays = []; // Relays this user receives direct messages on
+        this.dmReadState = {}; // Conversation ID -> created_at of the last message read
+        this.groupReadMarkers = {}; // Group ID -> created_at of the last message read, synced via NIP-78
+        this.mutedGroups = new Set(); // Group IDs without notifications, synced via NIP-78
+        this.mutedGroupsUpdatedAt = 0;
+        this.notificationsSince = 0; // Events older than this never trigger notifications
+        this._groupStatePublishTimer = null;
         this.groupInvites = new Map(); // Map of groupId -> invite codes
         this.eventListeners = new Map(); // Map of event type -> array of callbacks
         this.cachedProfiles = new Map(); // Map of pubkey -> profile metadata
@@ -67,6 +87,7 @@ class NostrGroupClient {
         this.relayListLoaded = false; // flag indicating relay list has been parsed
         this.debugMode = debugMode;
         this.groupRelayUrls = new Map(); // Map of groupId -> relay URL
+        this.groupRelayPubkeys = new Map(); // Map of groupId -> pubkey the relay signs group snapshots with (NIP-11 `self`)
         this.isInitialized = false;
         this.pendingRelayConnections = new Map(); // Track pending connections
         this.relayConnectionAttempts = new Map(); // Track retry attempts
@@ -76,7 +97,7 @@ class NostrGroupClient {
         this.publicToInternalMap = new Map();
         this.internalToPublicMap = new Map();
         this.relayAuthTokens = new Map(); // Track auth token per relay
-        this.publishedMemberLists = new Set(); // Track groups with published member lists
+        this.syncedMemberLists = new Set(); // Track groups whose member list was sent to the worker
         this.kind9000Sets = new Map(); // Map of groupId -> Map of pubkey -> {ts, roles}
         this.kind9001Sets = new Map(); // Map of groupId -> Map of pubkey -> ts
         this.processedEvents = new Set(); // Track processed events
@@ -86,6 +107,8 @@ class NostrGroupClient {
         this.groupSubscriptions = new Map(); // Map of groupId -> Set of subscription IDs
         this.invites = new Map(); // Map of inviteId -> invite data
         this.joinRequests = new Map(); // Map of groupId -> Map of pubkey -> event
+        this.writerRequests = new Map(); // Map of groupId -> Map of pubkey -> requested writer key
+        this.relayWriterStates = new Map(); // Map of groupId -> { writerKey, writable, writers } from the worker
 
         this.gatewayReady = false;
         this.connectionRetryTimers = new Map();
@@ -101,6 +124,7 @@ class NostrGroupClient {
         this.discoverySubscriptionsReady = false;
 
         this._registerAuthFailureListener();
+        this.relayManager.setAuthSigner((relayUrl, challenge) => this._signRelayAuth(relayUrl, challenge));
 
         // Setup default event handlers
         this._setupEventHandlers();
@@ -164,6 +188,17 @@ class NostrGroupClient {
         this._authFailureListenerRegistered = true;
     }
 
+    /**
+     * Answer a relay's NIP-42 AUTH challenge with the current user's key
+     * @private
+     */
+    async _signRelayAuth(relayUrl, challenge) {
+        if (!this.user || !this.user.privateKey) {
+            throw new Error('Cannot answer AUTH challenge without a signed-in user');
+        }
+        return NostrEvents.createAuthEvent(relayUrl, challenge, this.user.privateKey);
+    }
+
     _loadMetadataCache() {
         if (typeof localStorage === 'undefined') {
             return;
@@ -261,6 +296,8 @@ class NostrGroupClient {
         
         // Create subscriptions
         this._createSubscriptions();
+        this.startGroupStateSync();
+        await this.startDirectMessages();
         
         return this;
     }
@@ -375,6 +412,10 @@ class NostrGroupClient {
         if (!this.discoverySubscriptionsReady) {
             this._createDiscoverySubscriptions();
             this.discoverySubscriptionsReady = true;
+            this.startGroupStateSync();
+            this.startDirectMessages().catch((error) => {
+                console.warn('[NostrGroupClient] Failed to start direct messages:', error);
+            });
         }
 
         this.discoveryPending = false;
@@ -521,7 +562,7 @@ class NostrGroupClient {
         if (!this.pendingRelayConnections.has(publicIdentifier)) {
             this.pendingRelayConnections.set(publicIdentifier, {
                 identifier: publicIdentifier,
-                relayUrl,  // May be base URL; token appended once initialized
+                relayUrl,
                 originalUrl: relayUrl,
                 attempts: 0,
                 status: 'pending',
@@ -538,9 +579,8 @@ class NostrGroupClient {
                 
                 if (state.isInitialized) {
                     connection.isInitialized = true;
-                    // Prefer the URL from state if it has a token
-                    if (state.relayUrl && state.relayUrl.includes('?token=')) {
-                        connection.relayUrl = state.relayUrl;
+                    if (state.relayUrl) {
+                        connection.relayUrl = this._getBaseRelayUrl(state.relayUrl);
                     }
                 }
                 if (state.isRegistered) {
@@ -549,17 +589,6 @@ class NostrGroupClient {
                 if (state.requiresAuth != null) {
                     connection.requiresAuth = !!state.requiresAuth;
                 }
-                if (state.authToken && !connection.relayUrl.includes('?token=')) {
-                    // Append token if not already present
-                    try {
-                        const u = new URL(connection.relayUrl);
-                        u.searchParams.set('token', state.authToken);
-                        connection.relayUrl = u.toString();
-                    } catch (e) {
-                        console.warn('Failed to append token to URL:', e);
-                    }
-                }
-                
                 this._attemptConnectionIfReady(publicIdentifier);
             }
         }
@@ -585,16 +614,11 @@ class NostrGroupClient {
 
         const requiresAuth = metadata?.requiresAuth ?? this.relayReadyStates.get(targetId)?.requiresAuth ?? false;
 
-        // Always prefer URLs with tokens
         const connection = this.pendingRelayConnections.get(targetId);
         if (connection) {
-            // Only update URL if the new one has a token or the existing one doesn't
-            const newUrlHasToken = gatewayUrl && gatewayUrl.includes('?token=');
-            const existingUrlHasToken = connection.relayUrl && connection.relayUrl.includes('?token=');
-            
-            if (newUrlHasToken || !existingUrlHasToken) {
-                connection.relayUrl = gatewayUrl;
-                console.log(`[NostrGroupClient] Updated relay URL for ${targetId} to: ${gatewayUrl}`);
+            if (gatewayUrl) {
+                connection.relayUrl = this._getBaseRelayUrl(gatewayUrl);
+                console.log(`[NostrGroupClient] Updated relay URL for ${targetId} to: ${connection.relayUrl}`);
             }
             
             connection.isInitialized = true;
@@ -672,13 +696,6 @@ class NostrGroupClient {
             return;
         }
 
-        const requiresAuth = connection.requiresAuth ?? state.requiresAuth ?? false;
-        if (requiresAuth && !resolvedUrl.includes('token=')) {
-            console.log(`[NostrGroupClient] Relay ${identifier} requires auth but token missing, retrying`);
-            this._scheduleRelayRetry(identifier, 'missing-token', 2000);
-            return;
-        }
-
         this._clearRetryTimer(identifier);
 
         if (connection.status !== 'pending' && connection.status !== 'failed') {
@@ -753,72 +770,21 @@ class NostrGroupClient {
             authToken
         });
 
-        if (authToken) {
-            // Force the relay connection to use the latest tokenised URL
-            const currentUrl = this.groupRelayUrls.get(targetId) || incomingUrl || state.relayUrl || (connection && connection.originalUrl) || null;
-            if (currentUrl) {
-                this.relayManager.removeRelay(currentUrl);
-                this.queueRelayConnection(targetId, currentUrl);
-            }
-        }
-
         this._clearRetryTimer(targetId);
         this._attemptConnectionIfReady(targetId);
     }
 
     _resolveRelayUrl(connection, identifier, state = {}) {
-        let candidate = connection.relayUrl || state.relayUrl || connection.originalUrl || null;
+        const candidate = connection.relayUrl || state.relayUrl || connection.originalUrl || null;
         if (!candidate) {
             return null;
         }
 
-        if (candidate.includes('?token=')) {
-            connection.relayUrl = candidate;
-            return connection.relayUrl;
-        }
-
-        const baseUrl = this._getBaseRelayUrl(candidate);
-        const authToken = this._resolveAuthToken(identifier, state);
-
-        if (authToken) {
-            const withToken = this._appendTokenToUrl(baseUrl, authToken);
-            if (withToken) {
-                connection.relayUrl = withToken;
-                this.relayAuthTokens.set(identifier, authToken);
-                return connection.relayUrl;
-            }
-        }
-
-        connection.relayUrl = baseUrl;
+        // Private relays authenticate over the socket via NIP-42, so never connect with a URL token
+        connection.relayUrl = this._getBaseRelayUrl(candidate);
         return connection.relayUrl;
     }
 
-    _resolveAuthToken(identifier, state = {}) {
-        if (this.relayAuthTokens.has(identifier)) {
-            return this.relayAuthTokens.get(identifier);
-        }
-        return state.authToken || null;
-    }
-
-    _appendTokenToUrl(url, token) {
-        if (!url || !token) {
-            return url;
-        }
-
-        if (url.includes('token=')) {
-            return url;
-        }
-
-        try {
-            const u = new URL(url);
-            u.searchParams.set('token', token);
-            return u.toString();
-        } catch (_) {
-            const separator = url.includes('?') ? '&' : '?';
-            return `${url}${separator}token=${token}`;
-        }
-    }
-
     _scheduleRelayRetry(identifier, reason, delayOverride) {
         if (this.shutdownRequested || this.cancelled) {
             return;
@@ -944,19 +910,7 @@ class NostrGroupClient {
             throw new Error('NostrGroupClient shutting down');
         }
         try {
-            let finalUrl = relayUrl;
-            if (!finalUrl.includes('token=')) {
-                const token = this.relayAuthTokens.get(publicIdentifier);
-                if (token) {
-                    try {
-                        const u = new URL(finalUrl);
-                        u.searchParams.set('token', token);
-                        finalUrl = u.toString();
-                    } catch (e) {
-                        console.warn(`[NostrGroupClient] Failed to build authenticated URL for ${publicIdentifier}:`, e);
-                    }
-                }
-            }
+            const finalUrl = this._getBaseRelayUrl(relayUrl);
 
             console.log(`[NostrGroupClient] Connecting to group relay ${publicIdentifier} using URL ${finalUrl}`);
             
@@ -1037,7 +991,8 @@ class NostrGroupClient {
 
         // Define filters for messages
         const messageFilters = [
-            { kinds: [NostrEvents.KIND_TEXT_NOTE], "#h": [publicIdentifier] }
+            { kinds: [NostrEvents.KIND_TEXT_NOTE], "#h": [publicIdentifier] },
+            { kinds: [NostrEvents.KIND_GROUP_DELETE_EVENT], "#h": [publicIdentifier] }
         ];
 
         // Check for existing message subscription
@@ -1058,6 +1013,8 @@ class NostrGroupClient {
         this.relayManager.subscribeWithRouting(messagesSubId, messageFilters, (event) => {
             if (event.kind === NostrEvents.KIND_TEXT_NOTE) {
                 this._processGroupMessageEvent(event);
+            } else if (event.kind === NostrEvents.KIND_GROUP_DELETE_EVENT) {
+                this._processGroupDeleteEventEvent(event);
             }
         }, { targetRelays: [relayUrl] });
         
@@ -1561,6 +1518,13 @@ async fetchMultipleProfiles(pubkeys) {
                 this.relayAuthTokens.set(identifier, authToken);
             }
 
+            this.relayWriterStates.set(identifier, {
+                writerKey: relay.writerKey || null,
+                writable: relay.writable === true,
+                writers: Array.isArray(relay.writers) ? relay.writers : [],
+                hostingPeer: relay.hostingPeer === true
+            });
+
             const readiness = this.relayReadyStates.get(identifier) || {};
             this.relayReadyStates.set(identifier, {
                 ...readiness,
@@ -1905,7 +1869,8 @@ async fetchMultipleProfiles(pubkeys) {
                 kinds: [
                     NostrEvents.KIND_GROUP_PUT_USER,
                     NostrEvents.KIND_GROUP_REMOVE_USER,
-                    NostrEvents.KIND_GROUP_JOIN_REQUEST
+                    NostrEvents.KIND_GROUP_JOIN_REQUEST,
+                    NostrEvents.KIND_GROUP_WRITER_REQUEST
                 ],
                 "#h": [publicIdentifier]
             }
@@ -1956,6 +1921,9 @@ async fetchMultipleProfiles(pubkeys) {
                 case NostrEvents.KIND_GROUP_JOIN_REQUEST:
                     this._processJoinRequestEvent(event);
                     break;
+                case NostrEvents.KIND_GROUP_WRITER_REQUEST:
+                    this._processWriterRequestEvent(event);
+                    break;
             }
         });
         
@@ -1969,6 +1937,8 @@ async fetchMultipleProfiles(pubkeys) {
      */
     _subscribeToGroupContent(groupId) {
         if (!groupId) return;
+
+        this._subscribeToGroupReactions(groupId);
         
         const subId = `group-content-${groupId.substring(0, 8)}`;
         
@@ -1995,218 +1965,1044 @@ async fetchMultipleProfiles(pubkeys) {
                 kinds: [NostrEvents.KIND_TEXT_NOTE],
                 "#h": [groupId],
                 authors: relevantAuthors
+            },
+            {
+                kinds: [NostrEvents.KIND_GROUP_DELETE_EVENT],
+                "#h": [groupId]
             }
         ], (event) => {
-            this._processGroupMessageEvent(event);
+            if (event.kind === NostrEvents.KIND_GROUP_DELETE_EVENT) {
+                this._processGroupDeleteEventEvent(event);
+            } else {
+                this._processGroupMessageEvent(event);
+            }
         });
         
         this.activeSubscriptions.add(actualSubId);
     }
     
     /**
-     * Process an incoming event
-     * @param {Object} event - Nostr event
-     * @param {string} relayUrl - Source relay URL
+     * Pull reactions for the group messages on screen, and deletions that withdraw them.
+     * The subscription is replaced whenever the messages on screen change.
+     * @param {string} groupId - Group ID
      * @private
      */
-    _processEvent(event, relayUrl) {
-        console.log(`Processing event kind ${event.kind} with ID ${event.id.substring(0, 8)}...`);
-        switch (event.kind) {
-            case NostrEvents.KIND_METADATA:
-                this._processProfileEvent(event);
-                break;
-                
-            case NostrEvents.KIND_TEXT_NOTE:
-                this._processGroupMessageEvent(event);
-                break;
-                
-            case NostrEvents.KIND_GROUP_METADATA:
-                this._processGroupMetadataEvent(event);
-                break;
-                
-            case NostrEvents.KIND_GROUP_MEMBER_LIST:
-                this._processGroupMemberListEvent(event);
-                break;
-                
-            case NostrEvents.KIND_GROUP_ADMIN_LIST:
-                this._processGroupAdminListEvent(event);
-                break;
+    _subscribeToGroupReactions(groupId) {
+        const messageIds = this.reactionTargets.get(groupId) || [];
+        if (!messageIds.length) return;
 
-            case NostrEvents.KIND_GROUP_PUT_USER:
-                this._processGroupAddUserEvent(event);
-                break;
+        const subId = `group-reactions-${groupId.substring(0, 8)}`;
+        const subscribedIds = messageIds.join(',');
+        if (this.activeSubscriptions.has(subId) && this.reactionSubscriptions.get(groupId) === subscribedIds) {
+            return;
+        }
+        this.reactionSubscriptions.set(groupId, subscribedIds);
 
-            case NostrEvents.KIND_GROUP_REMOVE_USER:
-                this._processGroupRemoveUserEvent(event);
-                break;
-                
-            case NostrEvents.KIND_HYPERTUNA_RELAY:
-                this._processHypertunaRelayEvent(event);
-                break;
+        const actualSubId = this.relayManager.subscribe(subId, [
+            { kinds: [NostrEvents.KIND_REACTION], '#h': [groupId], '#e': messageIds },
+            { kinds: [NostrEvents.KIND_DELETION], '#h': [groupId], '#k': [String(NostrEvents.KIND_REACTION)] }
+        ], (event) => {
+            if (event.kind === NostrEvents.KIND_REACTION) {
+                this._processReactionEvent(event);
+            } else if (event.kind === NostrEvents.KIND_DELETION) {
+                this._processDeletionEvent(event);
+            }
+        });
 
-            case NostrEvents.KIND_USER_RELAY_LIST:
-                this.userRelayListEvent = event;
-                this._parseRelayListEvent(event).catch((err) => {
-                    console.error('Failed to parse relay list event', err);
-                });
-                break;
+        this.activeSubscriptions.add(actualSubId);
+        if (!this.groupSubscriptions.has(groupId)) {
+            this.groupSubscriptions.set(groupId, new Set());
         }
-        
-        // Emit event for any listeners
-        this.emit('event', { event, relayUrl });
-        this.emit(`event:kind:${event.kind}`, { event, relayUrl });
+        this.groupSubscriptions.get(groupId).add(actualSubId);
     }
-    
+
     /**
-     * Process a profile metadata event with enhanced logging
-     * @param {Object} event - Profile event (kind 0)
-     * @private
+     * Set which messages of a group are on screen and pull their reactions
+     * @param {string} groupId - Group ID
+     * @param {Array<string>} messageIds - Message event IDs
      */
-    _processProfileEvent(event) {
-        try {
-            console.log(`Processing profile event:`, {
-                pubkey: event.pubkey.substring(0, 8) + '...',
-                created_at: event.created_at,
-                content_length: event.content.length
-            });
-            
-            const profile = JSON.parse(event.content);
-            if (Array.isArray(event.tags)) {
-                const pictureTag = event.tags.find(tag => tag[0] === 'picture');
-                if (pictureTag) {
-                    profile.pictureTagUrl = pictureTag[1] || null;
-                    profile.pictureIsHypertunaPfp = pictureTag.includes('hypertuna:drive:pfp');
-                }
-            }
-            console.log(`Parsed profile data:`, {
-                name: profile.name,
-                about: profile.about ? profile.about.substring(0, 30) + '...' : undefined,
-                picture: profile.picture ? 'present' : undefined
-            });
-            
-            this.cachedProfiles.set(event.pubkey, {
-                ...profile,
-                pubkey: event.pubkey,
-                updated_at: event.created_at,
-                pictureTagUrl: profile.pictureTagUrl || null,
-                pictureIsHypertunaPfp: profile.pictureIsHypertunaPfp || false
-            });
-            
-            // Update current user if it's our profile
-            if (this.user && event.pubkey === this.user.pubkey) {
-                console.log(`Updating current user profile`);
-                this.user = {
-                    ...this.user,
-                    ...profile
-                };
-                this.emit('user:update', { user: this.user });
-            }
-            
-            this.emit('profile:update', { 
-                pubkey: event.pubkey, 
-                profile 
-            });
-        } catch (e) {
-            console.error('Error processing profile event:', e);
-        }
+    watchMessageReactions(groupId, messageIds) {
+        this.reactionTargets.set(groupId, [...new Set(messageIds)].sort());
+        this._subscribeToGroupReactions(groupId);
     }
-    
+
     /**
-     * Process a group metadata event
-     * @param {Object} event - Group metadata event (kind 39000)
+     * Process a reaction event (kind 7) on a group message
+     * @param {Object} event - Reaction event
      * @private
      */
-    _processGroupMetadataEvent(event) {
-        console.log(`Processing group metadata event with ID: ${event.id.substring(0, 8)}...`);
-        
-        const groupData = NostrEvents.parseGroupMetadata(event);
-        if (!groupData) {
-            console.warn(`Failed to parse group metadata from event`);
-            return;
-        }
+    _processReactionEvent(event) {
+        const groupId = event.tags.find(tag => tag[0] === 'h')?.[1];
+        // NIP-25: the last e tag is the reacted-to event
+        const targetId = event.tags.filter(tag => tag[0] === 'e').pop()?.[1];
+        if (!groupId || !targetId) return;
+        if (this.deletedEvents.get(event.id) === event.pubkey) return;
 
-        const publicIdentifier = groupData.id;
-        
-        // Check if this is a duplicate or older event
-        const existingGroup = this.groups.get(publicIdentifier);
-        if (existingGroup && existingGroup.createdAt >= groupData.createdAt) {
-            console.log(`Skipping older/duplicate metadata event for group ${publicIdentifier}`);
-            return;
-        }
-        
-        // Update group data including file sharing flag
-        this.groups.set(publicIdentifier, groupData);
-        
-        // Store hypertuna mapping if available
-        if (groupData.hypertunaId) {
-            this.hypertunaGroups.set(groupData.hypertunaId, publicIdentifier);
-            this.groupHypertunaIds.set(publicIdentifier, groupData.hypertunaId);
+        if (!this.groupReactions.has(groupId)) {
+            this.groupReactions.set(groupId, new Map());
         }
-        
-        // Emit event
-        this.emit('group:metadata', { 
-            groupId: publicIdentifier,
-            group: groupData 
-        });
-        
-        // Only subscribe to membership if not already subscribed
-        const membershipFilters = [
-            {
-                kinds: [
-                    NostrEvents.KIND_GROUP_MEMBER_LIST,
-                    NostrEvents.KIND_GROUP_ADMIN_LIST
-                ],
-                "#d": [publicIdentifier]
-            },
-            {
-                kinds: [
-                    NostrEvents.KIND_GROUP_PUT_USER,
-                    NostrEvents.KIND_GROUP_REMOVE_USER
-                ],
-                "#h": [publicIdentifier]
-            }
-        ];
-        
-        if (!this._findExistingSubscription(membershipFilters)) {
-            this._subscribeToGroupMembership(publicIdentifier);
+        const byMessage = this.groupReactions.get(groupId);
+        if (!byMessage.has(targetId)) {
+            byMessage.set(targetId, new Map());
         }
+        const reactions = byMessage.get(targetId);
+        if (reactions.has(event.id)) return;
+
+        reactions.set(event.id, event);
+        this.emit('group:reaction', { groupId, messageId: targetId, reaction: event });
     }
-    
+
     /**
-     * Process a Hypertuna relay event
-     * @param {Object} event - Hypertuna relay event (kind 30166)
+     * Process a deletion event (kind 5); only the author's own reactions are removed
+     * @param {Object} event - Deletion event
      * @private
      */
-    _processHypertunaRelayEvent(event) {
-        console.log(`Processing Hypertuna relay event with ID: ${event.id.substring(0, 8)}...`);
-        
-        // Check for the identifier tag
-        const isHypertunaRelay = event.tags.some(tag => tag[0] === 'i' && tag[1] === 'hypertuna:relay');
-        console.log(`Has hypertuna:relay identifier: ${isHypertunaRelay}`);
-        
-        // Extract hypertuna ID from the event
-        const hypertunaId = NostrEvents._getTagValue(event, 'hypertuna');
-        if (!hypertunaId) {
-            console.warn('Hypertuna relay event missing hypertuna tag');
-            return;
-        }
-        
-        // Extract group ID from the event
-        const groupId = NostrEvents._getTagValue(event, 'h');
-        if (!groupId) {
-            console.warn('Hypertuna relay event missing h tag');
-            return;
+    _processDeletionEvent(event) {
+        const deletedIds = event.tags.filter(tag => tag[0] === 'e' && tag[1]).map(tag => tag[1]);
+        const changed = new Set();
+
+        for (const eventId of deletedIds) {
+            this.deletedEvents.set(eventId, event.pubkey);
+            this.groupReactions.forEach((byMessage, groupId) => {
+                byMessage.forEach((reactions, messageId) => {
+                    const reaction = reactions.get(eventId);
+                    if (reaction && reaction.pubkey === event.pubkey) {
+                        reactions.delete(eventId);
+                        changed.add(JSON.stringify([groupId, messageId]));
+                    }
+                });
+            });
         }
 
-        const relayUrl = NostrEvents._getTagValue(event, 'd');
-        if (relayUrl) {
-            const existing = this.groupRelayUrls.get(groupId);
-            if (!existing || !existing.includes('token=')) {
-                this.groupRelayUrls.set(groupId, relayUrl);
+        changed.forEach(key => {
+            const [groupId, messageId] = JSON.parse(key);
+            this.emit('group:reaction', { groupId, messageId, reaction: null });
+        });
+    }
+
+    /**
+     * Reactions to a message, aggregated by emoji
+     * @param {string} groupId - Group ID
+     * @param {string} messageId - Message event ID
+     * @returns {Array<{content: string, emojiUrl: string|null, count: number, reactors: Array<string>, ownReactionId: string|null}>}
+     *   Ordered by first reaction
+     */
+    getMessageReactions(groupId, messageId) {
+        const reactions = this.groupReactions.get(groupId)?.get(messageId);
+        if (!reactions) return [];
+
+        const aggregated = new Map();
+        const ordered = [...reactions.values()].sort((a, b) => a.created_at - b.created_at);
+        for (const reaction of ordered) {
+            const content = reaction.content || '+';
+            const shortcode = /^:([a-zA-Z0-9_-]+):$/.exec(content)?.[1];
+            const emojiUrl = shortcode
+                ? this._customEmojiUrl(reaction.tags.find(tag => tag[0] === 'emoji' && tag[1] === shortcode)?.[2])
+                : null;
+            if (!aggregated.has(content)) {
+                aggregated.set(content, { content, emojiUrl, count: 0, reactors: [], ownReactionId: null });
             }
-        }
-        
-        console.log(`Processing Hypertuna relay event for group ${groupId} with hypertuna ID ${hypertunaId}`);
+            const entry = aggregated.get(content);
+            if (entry.reactors.includes(reaction.pubkey)) continue;
+            entry.reactors.push(reaction.pubkey);
+            entry.count++;
+            if (!entry.emojiUrl && emojiUrl) entry.emojiUrl = emojiUrl;
+            if (this.user && reaction.pubkey === this.user.pubkey) entry.ownReactionId = reaction.id;
+        }
+        return [...aggregated.values()];
+    }
+
+    /**
+     * Custom emoji (NIP-30) used in a group's reactions, for the reaction picker
+     * @param {string} groupId - Group ID
+     * @returns {Array<{shortcode: string, url: string}>}
+     */
+    getGroupCustomEmojis(groupId) {
+        const emojis = new Map();
+        this.groupReactions.get(groupId)?.forEach(reactions => {
+            reactions.forEach(reaction => {
+                reaction.tags.forEach(tag => {
+                    if (tag[0] !== 'emoji' || !/^[a-zA-Z0-9_-]+$/.test(tag[1] || '') || emojis.has(tag[1])) return;
+                    const url = this._customEmojiUrl(tag[2]);
+                    if (url) emojis.set(tag[1], { shortcode: tag[1], url });
+                });
+            });
+        });
+        return [...emojis.values()];
+    }
+
+    /**
+     * Normalize a custom emoji image URL, or null unless it is http(s)
+     * @param {string} url - URL from an emoji tag
+     * @returns {string|null}
+     * @private
+     */
+    _customEmojiUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * Add this user's reaction to a message, or withdraw it with a deletion if it exists
+     * @param {string} groupId - Group ID
+     * @param {string} messageId - Message event ID
+     * @param {string} content - Emoji, or :shortcode: for a custom emoji
+     * @param {Object} [emoji] - Custom emoji { shortcode, url } (NIP-30)
+     * @returns {Promise<Object>} - Published reaction or deletion event
+     */
+    async toggleReaction(groupId, messageId, content, emoji = null) {
+        if (!this.user || !this.user.privateKey) {
+            throw new Error('User not logged in');
+        }
+        const groupRelayUrl = this.groupRelayUrls.get(groupId);
+        if (!groupRelayUrl) {
+            throw new Error('Group relay not connected');
+        }
+
+        const reactionContent = emoji?.shortcode ? `:${emoji.shortcode}:` : content;
+        const reactions = this.groupReactions.get(groupId)?.get(messageId);
+        const own = reactions
+            ? [...reactions.values()].filter(r => r.pubkey === this.user.pubkey && (r.content || '+') === reactionContent)
+            : [];
+
+        if (own.length) {
+            const deletion = await NostrEvents.createDeletionEvent(
+                own.map(r => r.id),
+                this.user.privateKey,
+                { groupId, kind: NostrEvents.KIND_REACTION }
+            );
+            await this.relayManager.publishToRelays(deletion, [groupRelayUrl]);
+            this._processDeletionEvent(deletion);
+            return deletion;
+        }
+
+        const target = this.getGroupMessage(groupId, messageId) || { id: messageId };
+        const reaction = await NostrEvents.createReactionEvent(
+            groupId,
+            target,
+            reactionContent,
+            this.user.privateKey,
+            { emoji, relayUrl: groupRelayUrl }
+        );
+        await this.relayManager.publishToRelays(reaction, [groupRelayUrl]);
+        this._processReactionEvent(reaction);
+        return reaction;
+    }
+
+    /**
+     * Record an edit of a group message. Edits are kept even when the original has not
+     * arrived yet; whether the author matches is checked when the message is read.
+     * @param {string} groupId - Group ID
+     * @param {string} messageId - ID of the edited message
+     * @param {Object} edit - Edit event
+     * @private
+     */
+    _processMessageEditEvent(groupId, messageId, edit) {
+        if (!this.messageEdits.has(messageId)) {
+            this.messageEdits.set(messageId, []);
+        }
+        const edits = this.messageEdits.get(messageId);
+        if (edits.some(e => e.id === edit.id)) return;
+        edits.push(edit);
+
+        const message = this.getGroupMessage(groupId, messageId);
+        if (message && message.pubkey === edit.pubkey) {
+            this.emit('group:message', { groupId, message });
+        }
+    }
+
+    /**
+     * A message with its author's latest edit applied. The ID and tags stay those of the
+     * original so replies, quotes and reactions keep pointing at it.
+     * @param {string} groupId - Group ID
+     * @param {Object} message - Original message event
+     * @returns {Object} - The message, or a copy carrying the edited content and editedAt
+     * @private
+     */
+    _applyMessageEdit(groupId, message) {
+        const edits = (this.messageEdits.get(message.id) || [])
+            .filter(edit => edit.pubkey === message.pubkey && !this.isEventModerated(groupId, edit.id));
+        if (!edits.length) return message;
+
+        const latest = edits.reduce((a, b) =>
+            b.created_at > a.created_at || (b.created_at === a.created_at && b.id > a.id) ? b : a);
+        return { ...message, content: latest.content, editedAt: latest.created_at, editId: latest.id };
+    }
+
+    /**
+     * Process a NIP-29 delete-event moderation event (kind 9005). Removals are stored
+     * per signer and only take effect for signers that are admins of the group.
+     * @param {Object} event - Moderation event
+     * @private
+     */
+    _processGroupDeleteEventEvent(event) {
+        const groupId = event.tags.find(tag => tag[0] === 'h')?.[1];
+        if (!groupId) return;
+
+        if (!this.moderatedEvents.has(groupId)) {
+            this.moderatedEvents.set(groupId, new Map());
+        }
+        const moderated = this.moderatedEvents.get(groupId);
+        const removedIds = [];
+        event.tags.forEach(tag => {
+            if (tag[0] !== 'e' || !tag[1]) return;
+            if (!moderated.has(tag[1])) {
+                moderated.set(tag[1], new Set());
+            }
+            const signers = moderated.get(tag[1]);
+            if (signers.has(event.pubkey)) return;
+            signers.add(event.pubkey);
+            removedIds.push(tag[1]);
+        });
+
+        if (removedIds.length && this.isGroupAdmin(groupId, event.pubkey)) {
+            this.emit('group:message', { groupId, message: null, removedIds });
+        }
+    }
+
+    /**
+     * Whether a group admin removed an event with a kind 9005 moderation event
+     * @param {string} groupId - Group ID
+     * @param {string} eventId - Event ID
+     * @returns {boolean}
+     */
+    isEventModerated(groupId, eventId) {
+        const signers = this.moderatedEvents.get(groupId)?.get(eventId);
+        if (!signers) return false;
+        return [...signers].some(pubkey => this.isGroupAdmin(groupId, pubkey));
+    }
+
+    /**
+     * Edit one of this user's group messages
+     * @param {string} groupId - Group ID
+     * @param {string} messageId - ID of the message to edit
+     * @param {string} content - New content
+     * @returns {Promise<Object>} - Edit event
+     */
+    async editGroupMessage(groupId, messageId, content) {
+        if (!this.user || !this.user.privateKey) {
+            throw new Error('User not logged in');
+        }
+        const groupRelayUrl = this.groupRelayUrls.get(groupId);
+        if (!groupRelayUrl) {
+            throw new Error('Group relay not connected');
+        }
+
+        const original = (this.groupMessages.get(groupId) || []).find(m => m.id === messageId);
+        if (!original) {
+            throw new Error('Message not found');
+        }
+        if (original.pubkey !== this.user.pubkey) {
+            throw new Error('You can only edit your own messages');
+        }
+
+        const edit = await NostrEvents.createGroupMessageEdit(
+            groupId,
+            original,
+            content,
+            this.user.privateKey,
+            groupRelayUrl
+        );
+        const [result] = await this.relayManager.publishToRelays(edit, [groupRelayUrl]);
+        if (result?.status === 'fulfilled' && result.value?.success === false) {
+            throw new Error('The relay refused the edit');
+        }
+        this._processMessageEditEvent(groupId, messageId, edit);
+        return edit;
+    }
+
+    /**
+     * Remove a message from a group as an admin (NIP-29 kind 9005). Edits of the message
+     * are removed with it.
+     * @param {string} groupId - Group ID
+     * @param {string} messageId - ID of the message to remove
+     * @param {string} [reason] - Optional reason
+     * @returns {Promise<Object>} - Moderation event
+     */
+    async deleteGroupMessage(groupId, messageId, reason = '') {
+        if (!this.user || !this.user.privateKey) {
+            throw new Error('User not logged in');
+        }
+        if (!this.isGroupAdmin(groupId, this.user.pubkey)) {
+            throw new Error('You must be an admin to remove messages');
+        }
+        const groupRelayUrl = this.groupRelayUrls.get(groupId);
+        if (!groupRelayUrl) {
+            throw new Error('Group relay not connected');
+        }
+
+        const editIds = (this.messageEdits.get(messageId) || []).map(edit => edit.id);
+        const event = await NostrEvents.createDeleteEventEvent(
+            groupId,
+            [messageId, ...editIds],
+            this.user.privateKey,
+            reason
+        );
+        const [result] = await this.relayManager.publishToRelays(event, [groupRelayUrl]);
+        if (result?.status === 'fulfilled' && result.value?.success === false) {
+            throw new Error('The relay refused the removal');
+        }
+        this._processGroupDeleteEventEvent(event);
+        return event;
+    }
+
+    /**
+     * Fetch the relays a user receives direct messages on (kind 10050, NIP-17)
+     * @param {string} pubkey - Public key
+     * @returns {Promise<Array<string>>} - Relay URLs, empty if the user has no list
+     */
+    async fetchDmRelayList(pubkey) {
+        if (this.dmRelayLists.has(pubkey)) {
+            return this.dmRelayLists.get(pubkey);
+        }
+
+        return new Promise((resolve) => {
+            const subId = `dm-relays-${pubkey.substring(0, 8)}`;
+            let latest = null;
+
+            const finish = () => {
+                this.relayManager.unsubscribe(subId);
+                const relays = latest
+                    ? latest.tags.filter(tag => tag[0] === 'relay' && /^wss?:\/\//.test(tag[1] || '')).map(tag => tag[1])
+                    : [];
+                this.dmRelayLists.set(pubkey, relays);
+                resolve(relays);
+            };
+            const timeoutId = setTimeout(finish, 3000);
+
+            this.relayManager.subscribeWithRouting(subId, [
+                { kinds: [NostrEvents.KIND_DM_RELAY_LIST], authors: [pubkey], limit: 1 }
+            ], (event) => {
+                if (latest && latest.created_at >= event.created_at) return;
+                latest = event;
+                clearTimeout(timeoutId);
+                finish();
+            }, { targetRelays: this.relayManager.getDiscoveryRelays() });
+        });
+    }
+
+    /**
+     * Relays to deliver a user's direct messages to: their inbox relays, or the
+     * discovery relays when they have not published any
+     * @param {string} pubkey - Public key
+     * @returns {Promise<Array<string>>}
+     * @private
+     */
+    async _getDmDeliveryRelays(pubkey) {
+        const relays = await this.fetchDmRelayList(pubkey);
+        const targets = relays.length ? relays : this.relayManager.getDiscoveryRelays();
+        // Relays not connected yet are added as 'dm' relays so no other subscriptions are sent to them
+        await Promise.allSettled(targets
+            .filter(url => this.relayManager.getRelayStatus(url) === null)
+            .map(url => this.relayManager.addTypedRelay(url, 'dm')));
+        return targets;
+    }
+
+    /**
+     * Load this user's DM inbox relays and subscribe to gift wraps addressed to them.
+     * Users without a kind 10050 list get one naming the discovery relays, so others can reach them.
+     */
+    async startDirectMessages() {
+        if (!this.user || !this.user.privateKey) return;
+
+        this.dmReadState = this._loadDmReadState();
+        const ownRelays = await this.fetchDmRelayList(this.user.pubkey);
+        if (!ownRelays.length) {
+            const discoveryRelays = this.relayManager.getDiscoveryRelays();
+            if (discoveryRelays.length) {
+                const event = await NostrEvents.createDmRelayListEvent(discoveryRelays, this.user.privateKey);
+                await this.relayManager.publishToRelays(event, discoveryRelays);
+                this.dmRelayLists.set(this.user.pubkey, discoveryRelays);
+            }
+        }
+        this.dmInboxRelays = await this._getDmDeliveryRelays(this.user.pubkey);
+
+        const subId = this.relayManager.subscribeWithRouting('dm-inbox', [
+            { kinds: [NostrEvents.KIND_GIFT_WRAP], '#p': [this.user.pubkey] }
+        ], (event) => this._processGiftWrap(event), { targetRelays: this.dmInboxRelays });
+        this.activeSubscriptions.add(subId);
+    }
+
+    /**
+     * Open a gift wrap and store the direct message inside
+     * @param {Object} wrap - Gift wrap event (kind 1059)
+     * @private
+     */
+    async _processGiftWrap(wrap) {
+        if (!this.user || this.giftWrapIds.has(wrap.id)) return;
+        this.giftWrapIds.add(wrap.id);
+
+        let rumor;
+        try {
+            rumor = await NostrEvents.unwrapGiftWrap(wrap, this.user.privateKey);
+        } catch (error) {
+            console.warn('[NostrGroupClient] Ignoring gift wrap that could not be opened:', error.message);
+            return;
+        }
+        if (rumor.kind !== NostrEvents.KIND_PRIVATE_DM) return;
+        this._storeDirectMessage(rumor);
+    }
+
+    /**
+     * Conversations are identified by everyone taking part except this user
+     * @param {Object} rumor - Direct message
+     * @returns {string}
+     * @private
+     */
+    _conversationIdFor(rumor) {
+        const participants = new Set([rumor.pubkey]);
+        rumor.tags.forEach(tag => {
+            if (tag[0] === 'p' && tag[1]) participants.add(tag[1]);
+        });
+        if (participants.size > 1) participants.delete(this.user.pubkey);
+        return [...participants].sort().join(',');
+    }
+
+    _storeDirectMessage(rumor) {
+        const conversationId = this._conversationIdFor(rumor);
+        if (!this.directMessages.has(conversationId)) {
+            this.directMessages.set(conversationId, new Map());
+        }
+        const messages = this.directMessages.get(conversationId);
+        if (messages.has(rumor.id)) return;
+
+        messages.set(rumor.id, rumor);
+        this.emit('dm:message', { conversationId, message: rumor });
+    }
+
+    /**
+     * Direct message conversations, most recent first
+     * @returns {Array<{id: string, participants: Array<string>, lastMessage: Object, unreadCount: number}>}
+     */
+    getDirectMessageConversations() {
+        const conversations = [];
+        this.directMessages.forEach((messages, id) => {
+            const sorted = [...messages.values()].sort((a, b) => a.created_at - b.created_at);
+            conversations.push({
+                id,
+                participants: id.split(','),
+                lastMessage: sorted[sorted.length - 1],
+                unreadCount: this._countUnreadDirectMessages(id, sorted)
+            });
+        });
+        return conversations.sort((a, b) => b.lastMessage.created_at - a.lastMessage.created_at);
+    }
+
+    /**
+     * Messages of a conversation, oldest first
+     * @param {string} conversationId - Conversation ID
+     * @returns {Array<Object>}
+     */
+    getDirectMessages(conversationId) {
+        const messages = this.directMessages.get(conversationId);
+        return messages ? [...messages.values()].sort((a, b) => a.created_at - b.created_at) : [];
+    }
+
+    /**
+     * Conversation ID for a set of other participants
+     * @param {Array<string>} pubkeys - Public keys of the other participants
+     * @returns {string}
+     */
+    getConversationId(pubkeys) {
+        return [...new Set(pubkeys)].sort().join(',');
+    }
+
+    getUnreadDirectMessageCount() {
+        let count = 0;
+        this.directMessages.forEach((messages, id) => {
+            count += this._countUnreadDirectMessages(id, [...messages.values()]);
+        });
+        return count;
+    }
+
+    _countUnreadDirectMessages(conversationId, messages) {
+        const lastRead = this.dmReadState[conversationId] || 0;
+        return messages.filter(message => message.pubkey !== this.user?.pubkey && message.created_at > lastRead).length;
+    }
+
+    /**
+     * Mark every message of a conversation as read
+     * @param {string} conversationId - Conversation ID
+     */
+    markConversationRead(conversationId) {
+        const messages = this.getDirectMessages(conversationId);
+        if (!messages.length) return;
+        const lastRead = messages[messages.length - 1].created_at;
+        if ((this.dmReadState[conversationId] || 0) >= lastRead) return;
+
+        this.dmReadState[conversationId] = lastRead;
+        this._saveDmReadState();
+        this.emit('dm:read', { conversationId });
+    }
+
+    _loadDmReadState() {
+        if (typeof localStorage === 'undefined' || !this.user) return {};
+        try {
+            const parsed = JSON.parse(localStorage.getItem(DM_READ_STATE_KEY_PREFIX + this.user.pubkey) || '{}');
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (error) {
+            console.warn('[NostrGroupClient] Failed to load DM read state:', error);
+            return {};
+        }
+    }
+
+    _saveDmReadState() {
+        if (typeof localStorage === 'undefined' || !this.user) return;
+        try {
+            localStorage.setItem(DM_READ_STATE_KEY_PREFIX + this.user.pubkey, JSON.stringify(this.dmReadState));
+        } catch (error) {
+            console.warn('[NostrGroupClient] Failed to persist DM read state:', error);
+        }
+    }
+
+    /**
+     * Send a private direct message (NIP-17). A gift wrap goes to each recipient's inbox
+     * relays and one to this user's own, so the message shows up on their other devices.
+     * @param {Array<string>} recipients - Recipient public keys
+     * @param {string} content - Message text
+     * @param {Object} [options]
+     * @param {string} [options.replyTo] - ID of the direct message replied to
+     * @returns {Promise<Object>} - The sent message
+     */
+    async sendDirectMessage(recipients, content, options = {}) {
+        if (!this.user || !this.user.privateKey) {
+            throw new Error('User not logged in');
+        }
+        const others = [...new Set(recipients)].filter(pubkey => pubkey && pubkey !== this.user.pubkey);
+        if (!others.length) {
+            throw new Error('No recipients');
+        }
+
+        const rumor = await NostrEvents.createDirectMessageRumor(this.user.pubkey, others, content, options);
+        const undelivered = [];
+        for (const pubkey of [...others, this.user.pubkey]) {
+            const relays = pubkey === this.user.pubkey && this.dmInboxRelays.length
+                ? this.dmInboxRelays
+                : await this._getDmDeliveryRelays(pubkey);
+            const wrap = await NostrEvents.createGiftWrap(rumor, pubkey, this.user.privateKey);
+            const results = await this.relayManager.publishToRelays(wrap, relays);
+            const delivered = results.some(result => result.status === 'fulfilled' && result.value?.success);
+            if (!delivered && pubkey !== this.user.pubkey) undelivered.push(pubkey);
+        }
+
+        this._storeDirectMessage(rumor);
+        if (undelivered.length) {
+            throw new Error(`Message could not be delivered to ${undelivered.map(pubkey => NostrUtils.truncatePubkey(pubkey)).join(', ')}`);
+        }
+        return rumor;
+    }
+
+    /**
+     * Load read markers and muted groups, and follow changes made on other devices.
+     * The state is kept in localStorage and in an encrypted NIP-78 event on the discovery relays.
+     */
+    startGroupStateSync() {
+        if (!this.user || !this.user.privateKey) return;
+
+        this.notificationsSince = Math.floor(Date.now() / 1000);
+        this._loadGroupState();
+        const subId = this.relayManager.subscribeWithRouting('group-state', [
+            { kinds: [NostrEvents.KIND_APP_DATA], authors: [this.user.pubkey], '#d': [GROUP_STATE_D_TAG] }
+        ], (event) => this._processGroupStateEvent(event), {
+            targetRelays: this.relayManager.getDiscoveryRelays()
+        });
+        this.activeSubscriptions.add(subId);
+    }
+
+    /**
+     * Merge group state published by another device. Read markers only move forward;
+     * the muted list is taken from whichever device changed it last.
+     * @param {Object} event - Application data event (kind 30078)
+     * @private
+     */
+    async _processGroupStateEvent(event) {
+        if (!this.user || event.pubkey !== this.user.pubkey) return;
+
+        let remote;
+        try {
+            remote = await NostrEvents.readPrivateAppData(event, this.user.privateKey);
+        } catch (error) {
+            console.warn('[NostrGroupClient] Failed to read synced group state:', error.message);
+            return;
+        }
+
+        let changed = false;
+        let localAhead = false;
+        const remoteMarkers = remote.readMarkers && typeof remote.readMarkers === 'object' ? remote.readMarkers : {};
+        Object.entries(remoteMarkers).forEach(([groupId, timestamp]) => {
+            if (Number.isFinite(timestamp) && timestamp > (this.groupReadMarkers[groupId] || 0)) {
+                this.groupReadMarkers[groupId] = timestamp;
+                changed = true;
+            }
+        });
+        Object.entries(this.groupReadMarkers).forEach(([groupId, timestamp]) => {
+            if (timestamp > (remoteMarkers[groupId] || 0)) localAhead = true;
+        });
+
+        const remoteMutedAt = Number(remote.mutedUpdatedAt) || 0;
+        if (remoteMutedAt > this.mutedGroupsUpdatedAt && Array.isArray(remote.muted)) {
+            this.mutedGroups = new Set(remote.muted);
+            this.mutedGroupsUpdatedAt = remoteMutedAt;
+            changed = true;
+        } else if (this.mutedGroupsUpdatedAt > remoteMutedAt) {
+            localAhead = true;
+        }
+
+        if (changed) {
+            this._saveGroupState();
+            this.emit('group:read', { groupId: null });
+        }
+        if (localAhead) {
+            this._scheduleGroupStatePublish();
+        }
+    }
+
+    _loadGroupState() {
+        if (typeof localStorage === 'undefined' || !this.user) return;
+        try {
+            const parsed = JSON.parse(localStorage.getItem(GROUP_STATE_KEY_PREFIX + this.user.pubkey) || '{}');
+            this.groupReadMarkers = parsed.readMarkers && typeof parsed.readMarkers === 'object' ? parsed.readMarkers : {};
+            this.mutedGroups = new Set(Array.isArray(parsed.muted) ? parsed.muted : []);
+            this.mutedGroupsUpdatedAt = Number(parsed.mutedUpdatedAt) || 0;
+        } catch (error) {
+            console.warn('[NostrGroupClient] Failed to load group state:', error);
+        }
+    }
+
+    _serializeGroupState() {
+        return {
+            readMarkers: this.groupReadMarkers,
+            muted: Array.from(this.mutedGroups),
+            mutedUpdatedAt: this.mutedGroupsUpdatedAt
+        };
+    }
+
+    _saveGroupState() {
+        if (typeof localStorage === 'undefined' || !this.user) return;
+        try {
+            localStorage.setItem(GROUP_STATE_KEY_PREFIX + this.user.pubkey, JSON.stringify(this._serializeGroupState()));
+        } catch (error) {
+            console.warn('[NostrGroupClient] Failed to persist group state:', error);
+        }
+    }
+
+    /**
+     * Publish the group state after changes settle, so reading through a group sends one event
+     * @private
+     */
+    _scheduleGroupStatePublish() {
+        clearTimeout(this._groupStatePublishTimer);
+        this._groupStatePublishTimer = setTimeout(async () => {
+            this._groupStatePublishTimer = null;
+            if (!this.user || !this.user.privateKey) return;
+            try {
+                const event = await NostrEvents.createPrivateAppDataEvent(
+                    GROUP_STATE_D_TAG,
+                    this._serializeGroupState(),
+                    this.user.privateKey
+                );
+                await this.relayManager.publishToRelays(event, this.relayManager.getDiscoveryRelays());
+            } catch (error) {
+                console.warn('[NostrGroupClient] Failed to publish group state:', error);
+            }
+        }, GROUP_STATE_PUBLISH_DELAY_MS);
+    }
+
+    /**
+     * Move a group's read marker to its newest loaded message
+     * @param {string} groupId - Group ID
+     */
+    markGroupRead(groupId) {
+        const messages = this.groupMessages.get(groupId) || [];
+        if (!messages.length) return;
+        const latest = messages[messages.length - 1].created_at;
+        if ((this.groupReadMarkers[groupId] || 0) >= latest) return;
+
+        this.groupReadMarkers[groupId] = latest;
+        this._saveGroupState();
+        this._scheduleGroupStatePublish();
+        this.emit('group:read', { groupId });
+    }
+
+    /**
+     * Unread messages of a group and how many of them mention this user
+     * @param {string} groupId - Group ID
+     * @returns {{unread: number, mentions: number}}
+     */
+    getGroupUnreadCounts(groupId) {
+        const lastRead = this.groupReadMarkers[groupId] || 0;
+        let unread = 0;
+        let mentions = 0;
+        (this.groupMessages.get(groupId) || []).forEach(message => {
+            if (message.pubkey === this.user?.pubkey || message.created_at <= lastRead) return;
+            if (this.isEventModerated(groupId, message.id)) return;
+            unread++;
+            if (this.mentionsUser(message)) mentions++;
+        });
+        return { unread, mentions };
+    }
+
+    /**
+     * Whether an event mentions this user with a p tag or a nostr:npub reference
+     * @param {Object} event - Nostr event
+     * @returns {boolean}
+     */
+    mentionsUser(event) {
+        if (!this.user) return false;
+        if (event.tags.some(tag => tag[0] === 'p' && tag[1] === this.user.pubkey)) return true;
+        return (event.content || '').includes(`nostr:${NostrUtils.hexToNpub(this.user.pubkey)}`);
+    }
+
+    isGroupMuted(groupId) {
+        return this.mutedGroups.has(groupId);
+    }
+
+    /**
+     * Turn notifications for a group off or back on
+     * @param {string} groupId - Group ID
+     * @param {boolean} muted - Whether the group is muted
+     */
+    setGroupMuted(groupId, muted) {
+        if (this.mutedGroups.has(groupId) === muted) return;
+        if (muted) {
+            this.mutedGroups.add(groupId);
+        } else {
+            this.mutedGroups.delete(groupId);
+        }
+        this.mutedGroupsUpdatedAt = Math.floor(Date.now() / 1000);
+        this._saveGroupState();
+        this._scheduleGroupStatePublish();
+    }
+
+    /**
+     * Events from others that arrive after startup in groups that are not muted
+     * @private
+     */
+    _shouldNotify(groupId, event) {
+        return !!this.user
+            && this.notificationsSince > 0
+            && event.pubkey !== this.user.pubkey
+            && event.created_at >= this.notificationsSince
+            && !this.mutedGroups.has(groupId);
+    }
+
+    /**
+     * Process an incoming event
+     * @param {Object} event - Nostr event
+     * @param {string} relayUrl - Source relay URL
+     * @private
+     */
+    _processEvent(event, relayUrl) {
+        console.log(`Processing event kind ${event.kind} with ID ${event.id.substring(0, 8)}...`);
+        switch (event.kind) {
+            case NostrEvents.KIND_METADATA:
+                this._processProfileEvent(event);
+                break;
+                
+            case NostrEvents.KIND_TEXT_NOTE:
+                this._processGroupMessageEvent(event);
+                break;
+
+            case NostrEvents.KIND_REACTION:
+                this._processReactionEvent(event);
+                break;
+
+            case NostrEvents.KIND_DELETION:
+                this._processDeletionEvent(event);
+                break;
+
+            case NostrEvents.KIND_GROUP_DELETE_EVENT:
+                this._processGroupDeleteEventEvent(event);
+                break;
+                
+            case NostrEvents.KIND_GROUP_METADATA:
+                this._processGroupMetadataEvent(event);
+                break;
+                
+            case NostrEvents.KIND_GROUP_MEMBER_LIST:
+                this._processGroupMemberListEvent(event);
+                break;
+                
+            case NostrEvents.KIND_GROUP_ADMIN_LIST:
+                this._processGroupAdminListEvent(event);
+                break;
+
+            case NostrEvents.KIND_GROUP_PUT_USER:
+                this._processGroupAddUserEvent(event);
+                break;
+
+            case NostrEvents.KIND_GROUP_REMOVE_USER:
+                this._processGroupRemoveUserEvent(event);
+                break;
+                
+            case NostrEvents.KIND_HYPERTUNA_RELAY:
+                this._processHypertunaRelayEvent(event);
+                break;
+
+            case NostrEvents.KIND_USER_RELAY_LIST:
+                this.userRelayListEvent = event;
+                this._parseRelayListEvent(event).catch((err) => {
+                    console.error('Failed to parse relay list event', err);
+                });
+                break;
+        }
+        
+        // Emit event for any listeners
+        this.emit('event', { event, relayUrl });
+        this.emit(`event:kind:${event.kind}`, { event, relayUrl });
+    }
+    
+    /**
+     * Process a profile metadata event with enhanced logging
+     * @param {Object} event - Profile event (kind 0)
+     * @private
+     */
+    _processProfileEvent(event) {
+        try {
+            console.log(`Processing profile event:`, {
+                pubkey: event.pubkey.substring(0, 8) + '...',
+                created_at: event.created_at,
+                content_length: event.content.length
+            });
+            
+            const profile = JSON.parse(event.content);
+            if (Array.isArray(event.tags)) {
+                const pictureTag = event.tags.find(tag => tag[0] === 'picture');
+                if (pictureTag) {
+                    profile.pictureTagUrl = pictureTag[1] || null;
+                    profile.pictureIsHypertunaPfp = pictureTag.includes('hypertuna:drive:pfp');
+                }
+            }
+            console.log(`Parsed profile data:`, {
+                name: profile.name,
+                about: profile.about ? profile.about.substring(0, 30) + '...' : undefined,
+                picture: profile.picture ? 'present' : undefined
+            });
+            
+            this.cachedProfiles.set(event.pubkey, {
+                ...profile,
+                pubkey: event.pubkey,
+                updated_at: event.created_at,
+                pictureTagUrl: profile.pictureTagUrl || null,
+                pictureIsHypertunaPfp: profile.pictureIsHypertunaPfp || false
+            });
+            
+            // Update current user if it's our profile
+            if (this.user && event.pubkey === this.user.pubkey) {
+                console.log(`Updating current user profile`);
+                this.user = {
+                    ...this.user,
+                    ...profile
+                };
+                this.emit('user:update', { user: this.user });
+            }
+            
+            this.emit('profile:update', { 
+                pubkey: event.pubkey, 
+                profile 
+            });
+        } catch (e) {
+            console.error('Error processing profile event:', e);
+        }
+    }
+    
+    /**
+     * Process a group metadata event
+     * @param {Object} event - Group metadata event (kind 39000)
+     * @private
+     */
+    _processGroupMetadataEvent(event) {
+        console.log(`Processing group metadata event with ID: ${event.id.substring(0, 8)}...`);
+        
+        const groupData = NostrEvents.parseGroupMetadata(event);
+        if (!groupData) {
+            console.warn(`Failed to parse group metadata from event`);
+            return;
+        }
+
+        const publicIdentifier = groupData.id;
+        
+        // Check if this is a duplicate or older event
+        const existingGroup = this.groups.get(publicIdentifier);
+        if (existingGroup && existingGroup.createdAt >= groupData.createdAt) {
+            console.log(`Skipping older/duplicate metadata event for group ${publicIdentifier}`);
+            return;
+        }
+        
+        // Update group data including file sharing flag
+        this.groups.set(publicIdentifier, groupData);
+        
+        // Store hypertuna mapping if available
+        if (groupData.hypertunaId) {
+            this.hypertunaGroups.set(groupData.hypertunaId, publicIdentifier);
+            this.groupHypertunaIds.set(publicIdentifier, groupData.hypertunaId);
+        }
+        
+        // Emit event
+        this.emit('group:metadata', { 
+            groupId: publicIdentifier,
+            group: groupData 
+        });
+        
+        // Only subscribe to membership if not already subscribed
+        const membershipFilters = [
+            {
+                kinds: [
+                    NostrEvents.KIND_GROUP_MEMBER_LIST,
+                    NostrEvents.KIND_GROUP_ADMIN_LIST
+                ],
+                "#d": [publicIdentifier]
+            },
+            {
+                kinds: [
+                    NostrEvents.KIND_GROUP_PUT_USER,
+                    NostrEvents.KIND_GROUP_REMOVE_USER
+                ],
+                "#h": [publicIdentifier]
+            }
+        ];
+        
+        if (!this._findExistingSubscription(membershipFilters)) {
+            this._subscribeToGroupMembership(publicIdentifier);
+        }
+    }
+    
+    /**
+     * Process a Hypertuna relay event
+     * @param {Object} event - Hypertuna relay event (kind 30166)
+     * @private
+     */
+    _processHypertunaRelayEvent(event) {
+        console.log(`Processing Hypertuna relay event with ID: ${event.id.substring(0, 8)}...`);
+        
+        // Check for the identifier tag
+        const isHypertunaRelay = event.tags.some(tag => tag[0] === 'i' && tag[1] === 'hypertuna:relay');
+        console.log(`Has hypertuna:relay identifier: ${isHypertunaRelay}`);
+        
+        // Extract hypertuna ID from the event
+        const hypertunaId = NostrEvents._getTagValue(event, 'hypertuna');
+        if (!hypertunaId) {
+            console.warn('Hypertuna relay event missing hypertuna tag');
+            return;
+        }
+        
+        // Extract group ID from the event
+        const groupId = NostrEvents._getTagValue(event, 'h');
+        if (!groupId) {
+            console.warn('Hypertuna relay event missing h tag');
+            return;
+        }
+
+        const relayUrl = NostrEvents._getTagValue(event, 'd');
+        if (relayUrl) {
+            this.groupRelayUrls.set(groupId, this._getBaseRelayUrl(relayUrl));
+        }
+        
+        console.log(`Processing Hypertuna relay event for group ${groupId} with hypertuna ID ${hypertunaId}`);
         
         // Store mappings
         this.hypertunaGroups.set(hypertunaId, groupId);
@@ -2278,10 +3074,37 @@ async fetchMultipleProfiles(pubkeys) {
             this.joinRequests.set(groupId, new Map());
         }
 
+        const isNew = !this.joinRequests.get(groupId).has(event.pubkey);
         this.joinRequests.get(groupId).set(event.pubkey, event);
 
         this.fetchUserProfile(event.pubkey).catch(() => {});
         this.emit('joinrequests:update', { groupId, requests: this.getJoinRequests(groupId) });
+
+        if (isNew && this.isGroupAdmin(groupId, this.user?.pubkey) && this._shouldNotify(groupId, event)) {
+            this.emit('joinrequest:new', { groupId, pubkey: event.pubkey });
+        }
+    }
+    
+    /**
+     * Process a writer request event
+     * @param {Object} event - Writer request event (kind 9030)
+     * @private
+     */
+    _processWriterRequestEvent(event) {
+        const groupId = NostrEvents._getTagValue(event, 'h');
+        const writerKey = NostrEvents._getTagValue(event, 'writer');
+        if (!groupId || !writerKey) return;
+
+        if (!this.writerRequests.has(groupId)) {
+            this.writerRequests.set(groupId, new Map());
+        }
+
+        const requests = this.writerRequests.get(groupId);
+        const existing = requests.get(event.pubkey);
+        if (existing && existing.created_at >= event.created_at) return;
+        requests.set(event.pubkey, { writerKey, created_at: event.created_at });
+
+        this.emit('writerrequests:update', { groupId });
     }
     
     /**
@@ -2312,10 +3135,10 @@ async fetchMultipleProfiles(pubkeys) {
         // Use throttled recompute instead of immediate
         this._throttledRecomputeGroupMembers(publicIdentifier);
     
-        if (this.user && this.isGroupAdmin(publicIdentifier, this.user.pubkey) && !this.publishedMemberLists.has(publicIdentifier)) {
-            // Delay initial publish to avoid conflicts
+        if (this.user && this.isGroupAdmin(publicIdentifier, this.user.pubkey) && !this.syncedMemberLists.has(publicIdentifier)) {
+            // Delay initial sync to avoid conflicts
             setTimeout(() => {
-                this.publishMemberList(publicIdentifier);
+                this.syncMemberList(publicIdentifier);
             }, 1000);
         }
     }
@@ -2351,8 +3174,8 @@ async fetchMultipleProfiles(pubkeys) {
                 isAdmin 
             });
 
-            if (isAdmin && !this.publishedMemberLists.has(groupId)) {
-                this.publishMemberList(groupId);
+            if (isAdmin && !this.syncedMemberLists.has(groupId)) {
+                this.syncMemberList(groupId);
             }
         }
     }
@@ -2366,6 +3189,13 @@ async fetchMultipleProfiles(pubkeys) {
         // Check if it's a group message (has h tag)
         const groupId = event.tags.find(tag => tag[0] === 'h')?.[1];
         if (!groupId) return;
+
+        // Edits replace the content of the message they point at instead of showing up as messages
+        const editedId = NostrUtils.getEditTarget(event);
+        if (editedId) {
+            this._processMessageEditEvent(groupId, editedId, event);
+            return;
+        }
         
         // Add to group messages
         if (!this.groupMessages.has(groupId)) {
@@ -2384,6 +3214,12 @@ async fetchMultipleProfiles(pubkeys) {
                 groupId, 
                 message: event 
             });
+
+            if (this._shouldNotify(groupId, event)
+                && event.created_at > (this.groupReadMarkers[groupId] || 0)
+                && this.mentionsUser(event)) {
+                this.emit('group:mention', { groupId, message: event });
+            }
         }
     }
     
@@ -2777,10 +3613,111 @@ async fetchMultipleProfiles(pubkeys) {
     /**
      * Get messages for a group
      * @param {string} groupId - Group ID
-     * @returns {Array} - Array of message events
+     * @param {Object} [options]
+     * @param {boolean} [options.threaded] - Group replies under their thread roots
+     * @returns {Array} - Message events, oldest first; with options.threaded, threads of
+     *   { root, replies, replyCount, lastActivity } ordered by their root
+     */
+    getGroupMessages(groupId, options = {}) {
+        const messages = (this.groupMessages.get(groupId) || [])
+            .filter(message => !this.isEventModerated(groupId, message.id))
+            .map(message => this._applyMessageEdit(groupId, message));
+        return options.threaded ? this._buildMessageThreads(messages) : messages;
+    }
+
+    /**
+     * Find a loaded group message by ID
+     * @param {string} groupId - Group ID
+     * @param {string} eventId - Message event ID
+     * @returns {Object|null} - Message event
+     */
+    getGroupMessage(groupId, eventId) {
+        const message = (this.groupMessages.get(groupId) || []).find(m => m.id === eventId);
+        if (!message || this.isEventModerated(groupId, eventId)) return null;
+        return this._applyMessageEdit(groupId, message);
+    }
+
+    /**
+     * Group messages into NIP-10 threads. Replies to replies join the thread of their root;
+     * replies whose thread is not loaded are shown as their own thread.
+     * @param {Array} messages - Message events, oldest first
+     * @returns {Array} - Threads ordered by root creation time
+     * @private
+     */
+    _buildMessageThreads(messages) {
+        const byId = new Map(messages.map(message => [message.id, message]));
+        const rootIds = new Map(); // message id -> id of the loaded message that roots its thread
+
+        const findRoot = (message, seen = new Set()) => {
+            if (rootIds.has(message.id)) return rootIds.get(message.id);
+            seen.add(message.id);
+            const { root, reply } = NostrUtils.getThreadRefs(message);
+            let rootId = message.id;
+            for (const refId of [root, reply]) {
+                const ref = refId && byId.get(refId);
+                if (ref && !seen.has(ref.id)) {
+                    rootId = findRoot(ref, seen);
+                    break;
+                }
+            }
+            rootIds.set(message.id, rootId);
+            return rootId;
+        };
+
+        const threads = new Map();
+        for (const message of messages) {
+            const rootId = findRoot(message);
+            if (!threads.has(rootId)) {
+                const root = byId.get(rootId);
+                threads.set(rootId, { root, replies: [], replyCount: 0, lastActivity: root.created_at });
+            }
+            if (rootId === message.id) continue;
+            const thread = threads.get(rootId);
+            thread.replies.push(message);
+            thread.replyCount++;
+            thread.lastActivity = Math.max(thread.lastActivity, message.created_at);
+        }
+
+        return [...threads.values()].sort((a, b) => a.root.created_at - b.root.created_at);
+    }
+
+    /**
+     * Search a group's message history on its relay (NIP-50)
+     * @param {string} groupId - Group ID
+     * @param {string} query - Search terms, all of which must match
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Maximum number of results
+     * @param {number} [options.timeout] - How long to wait for results in ms
+     * @returns {Promise<Array>} - Matching message events, oldest first
      */
-    getGroupMessages(groupId) {
-        return this.groupMessages.get(groupId) || [];
+    async searchGroupMessages(groupId, query, options = {}) {
+        const { limit = 100, timeout = 3000 } = options;
+        const trimmed = typeof query === 'string' ? query.trim() : '';
+        if (!trimmed) return [];
+
+        const groupRelayUrl = this.groupRelayUrls.get(groupId);
+        if (!groupRelayUrl) {
+            throw new Error('Group relay not connected');
+        }
+
+        return new Promise(resolve => {
+            const subId = `group-search-${groupId}-${Date.now()}`;
+            const results = new Map();
+
+            this.relayManager.subscribeWithRouting(subId, [
+                { kinds: [NostrEvents.KIND_TEXT_NOTE], '#h': [groupId], search: trimmed, limit }
+            ], event => {
+                results.set(event.id, event);
+            }, { targetRelays: [groupRelayUrl], suppressGlobalEvents: true });
+
+            this.activeSubscriptions.add(subId);
+
+            setTimeout(() => {
+                this.relayManager.unsubscribe(subId);
+                this.activeSubscriptions.delete(subId);
+                resolve(Array.from(results.values()).sort((a, b) => a.created_at - b.created_at));
+            }, timeout);
+        });
     }
 
     getUserRelayGroupIds() {
@@ -2791,6 +3728,31 @@ async fetchMultipleProfiles(pubkeys) {
         return this.relayListLoaded;
     }
 
+    /**
+     * Pubkey the group's relay signs its 39000-39002 snapshots with, read from the NIP-11 `self` field
+     * @param {string} groupId - Group public identifier
+     * @returns {Promise<string|null>} - Relay pubkey, or null when the relay does not advertise one
+     */
+    async getGroupRelayPubkey(groupId) {
+        if (this.groupRelayPubkeys.has(groupId)) return this.groupRelayPubkeys.get(groupId);
+        const relayUrl = this.groupRelayUrls.get(groupId);
+        if (!relayUrl) return null;
+
+        try {
+            const infoUrl = new URL(this._getBaseRelayUrl(relayUrl));
+            infoUrl.protocol = infoUrl.protocol === 'wss:' ? 'https:' : 'http:';
+            const response = await fetch(infoUrl.toString(), { headers: { Accept: 'application/nostr+json' } });
+            if (!response.ok) return null;
+            const info = await response.json();
+            const relayPubkey = /^[0-9a-f]{64}$/.test(info?.self || '') ? info.self : null;
+            if (relayPubkey) this.groupRelayPubkeys.set(groupId, relayPubkey);
+            return relayPubkey;
+        } catch (error) {
+            console.warn(`Could not read relay information for ${groupId}:`, error.message);
+            return null;
+        }
+    }
+
     /**
      * Build full member list for a group by combining snapshot and updates
      * @param {string} publicIdentifier - Group public identifier
@@ -2813,6 +3775,9 @@ async fetchMultipleProfiles(pubkeys) {
             const admins = this.groupAdmins.get(publicIdentifier) || [];
             const adminPubkey = admins.length > 0 ? admins[0].pubkey : null;
             if (!adminPubkey) return [];
+            // the relay re-signs the member list after every membership change, so its snapshot is usually the newest
+            const relayPubkey = await this.getGroupRelayPubkey(publicIdentifier);
+            const snapshotAuthors = relayPubkey ? [adminPubkey, relayPubkey] : [adminPubkey];
     
             // Cancel any existing subscription for this group
             const existingSubIds = Array.from(this.activeSubscriptions).filter(id => 
@@ -2823,30 +3788,38 @@ async fetchMultipleProfiles(pubkeys) {
                 this.activeSubscriptions.delete(subId);
             });
     
-            // Fetch latest member list event from the admin
+            // Fetch the latest member list from each signer and keep the newest; either one may lag behind the other
             const baseEvent = await new Promise(resolve => {
                 const subId = `member-base-${publicIdentifier}-${Date.now()}`;
+                const newestByAuthor = new Map();
+                let done = false;
                 let timeout;
-                
-                this.relayManager.subscribe(subId, [
-                    { kinds: [NostrEvents.KIND_GROUP_MEMBER_LIST], '#d': [publicIdentifier], authors: [adminPubkey], limit: 1 }
-                ], event => {
+
+                const finish = () => {
+                    if (done) return;
+                    done = true;
                     clearTimeout(timeout);
                     this.relayManager.unsubscribe(subId);
                     this.activeSubscriptions.delete(subId);
-                    resolve(event);
+                    const [newest] = Array.from(newestByAuthor.values()).sort((a, b) => b.created_at - a.created_at);
+                    resolve(newest || null);
+                };
+                
+                this.relayManager.subscribe(subId, snapshotAuthors.map(author => (
+                    { kinds: [NostrEvents.KIND_GROUP_MEMBER_LIST], '#d': [publicIdentifier], authors: [author], limit: 1 }
+                )), async event => {
+                    if (!(await NostrEvents.verifyAdminListEvent(event, adminPubkey, { groupId: publicIdentifier, relayPubkey }))) return;
+                    const current = newestByAuthor.get(event.pubkey);
+                    if (!current || event.created_at > current.created_at) newestByAuthor.set(event.pubkey, event);
+                    if (newestByAuthor.size === snapshotAuthors.length) finish();
                 });
                 
                 this.activeSubscriptions.add(subId);
                 
-                timeout = setTimeout(() => {
-                    this.relayManager.unsubscribe(subId);
-                    this.activeSubscriptions.delete(subId);
-                    resolve(null);
-                }, 3000);
+                timeout = setTimeout(finish, 3000);
             });
     
-            if (!baseEvent || !(await NostrEvents.verifyAdminListEvent(baseEvent, adminPubkey))) {
+            if (!baseEvent) {
                 return [];
             }
     
@@ -3088,6 +4061,7 @@ async fetchMultipleProfiles(pubkeys) {
      * @param {Object} [options] - Additional join options
      * @param {boolean} [options.publish] - Whether to publish the join request
      * @param {boolean} [options.fileSharing] - Enable file sharing for this join
+     * @param {number} [options.expiresAt] - Unix time after which the request expires
      * @returns {Promise<Object>} - Join request event
      */
     async joinGroup(publicIdentifier, inviteCode = null, options = {}) {
@@ -3103,7 +4077,8 @@ async fetchMultipleProfiles(pubkeys) {
         const event = await NostrEvents.createGroupJoinRequest(
             publicIdentifier,
             inviteCode,
-            this.user.privateKey
+            this.user.privateKey,
+            { expiresAt: options.expiresAt }
         );
 
         if (publish) {
@@ -3117,7 +4092,7 @@ async fetchMultipleProfiles(pubkeys) {
     /**
      * Update user relay list with authentication token
      * @param {string} publicIdentifier - Relay public identifier
-     * @param {string} authenticatedUrl - Full relay URL including auth token
+     * @param {string} authenticatedUrl - Relay URL (any legacy token param is stripped)
      * @param {string} authToken - Authentication token
      * @param {boolean|null} [isPublicOverride] - Optional override for relay publicity
      * @private
@@ -3128,9 +4103,6 @@ async fetchMultipleProfiles(pubkeys) {
         const groupName = group?.name || '';
         const isPublic = isPublicOverride !== null ? isPublicOverride : (group?.isPublic || false);
         
-        // The authenticatedUrl is passed in directly from the worker's response,
-        // which already includes the token.
-        
         // Update user relay list
         if (!this.userRelayListEvent) {
             await this._createEmptyRelayList();
@@ -3212,9 +4184,13 @@ async fetchMultipleProfiles(pubkeys) {
      * Send a message to a group
      * @param {string} groupId - Group ID
      * @param {string} content - Message content
+     * @param {string} [filePath] - Local file to attach
+     * @param {Object} [options]
+     * @param {string} [options.replyTo] - ID of the message to reply to, in its thread
+     * @param {string} [options.quote] - ID of the message to quote
      * @returns {Promise<Object>} - Message event
      */
-    async sendGroupMessage(groupId, content, filePath = '') {
+    async sendGroupMessage(groupId, content, filePath = '', options = {}) {
         if (!this.user || !this.user.privateKey) {
             throw new Error('User not logged in');
         }
@@ -3236,13 +4212,30 @@ async fetchMultipleProfiles(pubkeys) {
         let attachment = null;
         if (filePath) {
             try {
-                // Build file URL using publicIdentifier (groupId)
-                attachment = await prepareFileAttachment(filePath, groupId);
+                // Build file URL using publicIdentifier (groupId); private groups only share ciphertext
+                const encrypt = this.groups.get(groupId)?.isPublic === false;
+                attachment = await prepareFileAttachment(filePath, groupId, { encrypt, relayKey });
             } catch (err) {
                 console.error('Failed to prepare file attachment:', err);
+                // The relay refused the file, so tell the sender instead of dropping it silently
+                if (err.code === 'UPLOAD_POLICY') throw err;
             }
         }
 
+        // Resolve reply and quote targets to the events NIP-10 tags reference
+        const thread = { relayUrl: this.groupRelayUrls.get(groupId) || '' };
+        if (options.replyTo) {
+            const parent = this.getGroupMessage(groupId, options.replyTo) || { id: options.replyTo };
+            const { root } = NostrUtils.getThreadRefs(parent);
+            thread.replyTo = parent;
+            if (root && root !== parent.id) {
+                thread.root = this.getGroupMessage(groupId, root) || { id: root };
+            }
+        }
+        if (options.quote) {
+            thread.quote = this.getGroupMessage(groupId, options.quote) || { id: options.quote };
+        }
+
         // Create message event
         const { event } = await NostrEvents.createGroupMessage(
             groupId,
@@ -3250,7 +4243,8 @@ async fetchMultipleProfiles(pubkeys) {
             previousRefs,
             this.user.privateKey,
             attachment,
-            relayKey
+            relayKey,
+            thread
         );
         
         // Publish only to the group's relay
@@ -3267,9 +4261,11 @@ async fetchMultipleProfiles(pubkeys) {
     /**
      * Create an invite code for a group
      * @param {string} groupId - Group ID
+     * @param {Object} [options]
+     * @param {number} [options.expiresAt] - Unix time after which the invite code stops working
      * @returns {Promise<Object>} - Invite creation event
      */
-    async createGroupInvite(groupId) {
+    async createGroupInvite(groupId, options = {}) {
         if (!this.user || !this.user.privateKey) {
             throw new Error('User not logged in');
         }
@@ -3283,7 +4279,7 @@ async fetchMultipleProfiles(pubkeys) {
         const event = await NostrEvents.createGroupInviteEvent(
             groupId,
             this.user.privateKey,
-            group
+            { ...group, expiresAt: options.expiresAt }
         );
         
         // Publish the event
@@ -3342,15 +4338,15 @@ async fetchMultipleProfiles(pubkeys) {
             // Publish the event
             await this.relayManager.publish(event);
             
-            // Clear the published member lists flag to allow republishing
-            this.publishedMemberLists.delete(publicIdentifier);
+            // Clear the synced member lists flag to allow resyncing
+            this.syncedMemberLists.delete(publicIdentifier);
             
             // Wait a bit to allow any other rapid updates to complete
             await new Promise(resolve => setTimeout(resolve, 500));
             
-            // Publish the updated member list only if no other updates are pending
+            // Sync the updated member list only if no other updates are pending
             if (!this._recomputeTimeouts[publicIdentifier]) {
-                await this.publishMemberList(publicIdentifier);
+                await this.syncMemberList(publicIdentifier);
             }
             
             // Clear the pending update
@@ -3402,9 +4398,9 @@ async fetchMultipleProfiles(pubkeys) {
             this.emit('group:membership', { groupId: publicIdentifier, isMember });
         }
 
-        // Allow republishing of the member list
-        this.publishedMemberLists.delete(publicIdentifier);
-        await this.publishMemberList(publicIdentifier);
+        // Allow resyncing of the member list
+        this.syncedMemberLists.delete(publicIdentifier);
+        await this.syncMemberList(publicIdentifier);
 
         return event;
     }
@@ -3507,28 +4503,18 @@ async fetchMultipleProfiles(pubkeys) {
     }
 
     /**
-     * Publish an updated member list for a group and notify the worker
+     * Send the current member list for a group to the worker. The group relay
+     * signs and publishes the 39002 snapshot itself after each 9000/9001.
      * @param {string} publicIdentifier - Group ID
      */
-    async publishMemberList(publicIdentifier) {
+    async syncMemberList(publicIdentifier) {
         const members = this.getGroupMembers(publicIdentifier);
         if (!this.user || members.length === 0) return;
 
-        // Track that we've published at least once but allow republishing
-        this.publishedMemberLists.add(publicIdentifier);
+        // Track that we've synced at least once but allow resyncing
+        this.syncedMemberLists.add(publicIdentifier);
 
         try {
-            const event = await NostrEvents.createGroupMemberListEvent(
-                publicIdentifier,
-                members,
-                this.user.privateKey
-            );
-
-            const relayUrl = this.groupRelayUrls.get(publicIdentifier);
-            if (relayUrl) {
-                await this.relayManager.publishToRelays(event, [relayUrl]);
-            }
-
             if (isElectron) {
                 const relayKey = this.publicToInternalMap.get(publicIdentifier) || null;
                 const msg = {
@@ -3546,7 +4532,7 @@ async fetchMultipleProfiles(pubkeys) {
                 });
             }
         } catch (e) {
-            console.error('Error publishing member list', e);
+            console.error('Error syncing member list', e);
         }
     }
 
@@ -3575,9 +4561,9 @@ async fetchMultipleProfiles(pubkeys) {
         const invite = this.invites.get(inviteId);
         if (!invite) throw new Error('Invite not found');
 
-        const urlWithToken = invite.relayUrl.includes('token=') ? invite.relayUrl : `${invite.relayUrl}?token=${invite.token}`;
+        const relayUrl = this._getBaseRelayUrl(invite.relayUrl);
 
-        await this.updateUserRelayListWithAuth(invite.publicIdentifier || invite.groupId, urlWithToken, invite.token, invite.isPublic);
+        await this.updateUserRelayListWithAuth(invite.publicIdentifier || invite.groupId, relayUrl, invite.token, invite.isPublic);
 
         this.invites.delete(inviteId);
         this.emit('invites:update', { invites: this.getInvites() });
@@ -3585,6 +4571,124 @@ async fetchMultipleProfiles(pubkeys) {
         return invite;
     }
 
+    /**
+     * Writer state of the local worker for a group relay
+     * @param {string} groupId
+     * @returns {{writerKey: string|null, writable: boolean, writers: Array<Object>, hostingPeer: boolean}}
+     */
+    getRelayWriterState(groupId) {
+        return this.relayWriterStates.get(groupId) || { writerKey: null, writable: false, writers: [], hostingPeer: false };
+    }
+
+    /**
+     * Apply the writer list the worker reports after a writer add/remove
+     * @param {string} relayKey - Internal relay key
+     * @param {Array<Object>} writers - Relay profile writers
+     */
+    setRelayWriters(relayKey, writers = []) {
+        const groupId = this.internalToPublicMap.get(relayKey) || relayKey;
+        this.relayWriterStates.set(groupId, {
+            ...this.getRelayWriterState(groupId),
+            writers: Array.isArray(writers) ? writers : []
+        });
+    }
+
+    /**
+     * Get the writer key each admin has requested for a group
+     * @param {string} groupId
+     * @returns {Map<string, string>} - pubkey -> writer key
+     */
+    getWriterRequests(groupId) {
+        const map = this.writerRequests.get(groupId) || new Map();
+        return new Map(Array.from(map.entries()).map(([pubkey, request]) => [pubkey, request.writerKey]));
+    }
+
+    /**
+     * Ask for the local worker to be added as a writer of a group relay
+     * @param {string} groupId
+     * @returns {Promise<Object>} - Writer request event
+     */
+    async requestWriterAccess(groupId) {
+        if (!this.user || !this.user.privateKey) {
+            throw new Error('User not logged in');
+        }
+        if (!this.isGroupAdmin(groupId, this.user.pubkey)) {
+            throw new Error('You must be an admin to request write access');
+        }
+
+        const { writerKey, writable } = this.getRelayWriterState(groupId);
+        if (!writerKey) throw new Error('Relay is not running in the local worker');
+        if (writable) throw new Error('This worker can already write to the relay');
+
+        const event = await NostrEvents.createWriterRequestEvent(groupId, writerKey, this.user.privateKey);
+        await this.relayManager.publish(event);
+        this._processWriterRequestEvent(event);
+        return event;
+    }
+
+    /**
+     * Add or remove an admin's worker as a writer of a group relay. The local
+     * worker must be a writer itself; it publishes the signed event and applies it.
+     * @param {string} groupId
+     * @param {string} pubkey - Admin whose worker is added or removed
+     * @param {boolean} add - True to add the writer, false to remove it
+     * @returns {Promise<Object>} - Writer add/remove event
+     */
+    async updateRelayWriter(groupId, pubkey, add) {
+        if (!this.user || !this.user.privateKey) {
+            throw new Error('User not logged in');
+        }
+        if (!this.isGroupAdmin(groupId, this.user.pubkey)) {
+            throw new Error('You must be an admin to manage relay writers');
+        }
+
+        const { writable, writers } = this.getRelayWriterState(groupId);
+        if (!writable) throw new Error('This worker is not a writer for the relay');
+
+        const writerKey = add
+            ? this.getWriterRequests(groupId).get(pubkey)
+            : writers.find((writer) => writer.pubkey === pubkey)?.writer_key;
+        if (!writerKey) {
+            throw new Error(add ? 'This admin has not requested write access' : 'This admin is not a writer');
+        }
+
+        const event = await NostrEvents.createWriterUpdateEvent(groupId, pubkey, writerKey, add, this.user.privateKey);
+        const relayKey = this.publicToInternalMap.get(groupId) || null;
+        const result = await sendWorkerMessage({
+            type: 'update-relay-writer',
+            data: { relayKey, publicIdentifier: groupId, event }
+        });
+        if (result && result.success === false) {
+            throw new Error(result.error || 'Failed to send writer update to worker');
+        }
+        return event;
+    }
+
+    /**
+     * Opt the local worker in or out of hosting a full replica of a group relay.
+     * Hosting peers register with the public gateway so it can serve the relay
+     * while the owner is offline.
+     * @param {string} groupId
+     * @param {boolean} enabled
+     */
+    async setRelayHosting(groupId, enabled) {
+        const { writerKey } = this.getRelayWriterState(groupId);
+        if (!writerKey) throw new Error('Relay is not running in the local worker');
+
+        const relayKey = this.publicToInternalMap.get(groupId) || null;
+        const result = await sendWorkerMessage({
+            type: 'set-relay-hosting',
+            data: { relayKey, publicIdentifier: groupId, enabled: !!enabled }
+        });
+        if (result && result.success === false) {
+            throw new Error(result.error || 'Failed to update relay hosting');
+        }
+        this.relayWriterStates.set(groupId, {
+            ...this.getRelayWriterState(groupId),
+            hostingPeer: !!enabled
+        });
+    }
+
     /**
      * Get pending join requests for a group
      * @param {string} groupId
@@ -3784,6 +4888,22 @@ async fetchMultipleProfiles(pubkeys) {
         this.groupMembers.clear();
         this.groupAdmins.clear();
         this.groupMessages.clear();
+        this.groupReactions.clear();
+        this.reactionTargets.clear();
+        this.reactionSubscriptions.clear();
+        this.deletedEvents.clear();
+        this.messageEdits.clear();
+        this.moderatedEvents.clear();
+        this.directMessages.clear();
+        this.giftWrapIds.clear();
+        this.dmRelayLists.clear();
+        this.dmInboxRelays = [];
+        this.dmReadState = {};
+        this.groupReadMarkers = {};
+        this.mutedGroups.clear();
+        this.mutedGroupsUpdatedAt = 0;
+        clearTimeout(this._groupStatePublishTimer);
+        this._groupStatePublishTimer = null;
         this.groupInvites.clear();
         this.invites.clear();
         this.cachedProfiles.clear();
@@ -3897,9 +5017,27 @@ async fetchMultipleProfiles(pubkeys) {
             this.groupMembers.clear();
             this.groupAdmins.clear();
             this.groupMessages.clear();
+            this.groupReactions.clear();
+            this.reactionTargets.clear();
+            this.reactionSubscriptions.clear();
+            this.deletedEvents.clear();
+            this.messageEdits.clear();
+            this.moderatedEvents.clear();
+            this.directMessages.clear();
+            this.giftWrapIds.clear();
+            this.dmRelayLists.clear();
+            this.dmInboxRelays = [];
+            this.dmReadState = {};
+            this.groupReadMarkers = {};
+            this.mutedGroups.clear();
+            this.mutedGroupsUpdatedAt = 0;
+            clearTimeout(this._groupStatePublishTimer);
+            this._groupStatePublishTimer = null;
             this.groupInvites.clear();
             this.invites.clear();
             this.joinRequests.clear();
+            this.writerRequests.clear();
+            this.relayWriterStates.clear();
             this.groupSubscriptions.clear();
             this.subscriptionsByFilter.clear();
             this.relayReadyStates.clear();
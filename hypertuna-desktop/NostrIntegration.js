@@ -42,6 +42,9 @@ class NostrIntegration {
         // Add timeout trackers for debouncing
         this._memberUpdateTimeout = null;
         this._workerUpdateTimeout = null;
+        this._dmRefreshTimeout = null;
+        this._groupBadgeTimeout = null;
+        this._notificationClickListener = null;
 
         // Track whether we've populated the groups list at least once
         this._initialGroupsLoaded = false;
@@ -239,6 +242,7 @@ class NostrIntegration {
         
         this.client.on('group:message', ({ groupId, message }) => {
             console.log(`New message in group: ${groupId}`);
+            this._scheduleGroupBadgeUpdate();
             
             // Only refresh messages if viewing this group
             if (this.app.currentPage === 'group-detail' && this.app.currentGroupId === groupId) {
@@ -248,6 +252,57 @@ class NostrIntegration {
                 }, 500);
             }
         });
+
+        this.client.on('group:read', () => {
+            this._scheduleGroupBadgeUpdate();
+        });
+
+        this.client.on('group:mention', ({ groupId, message }) => {
+            const group = this.client.getGroupById(groupId);
+            const author = this.client.cachedProfiles.get(message.pubkey)?.name
+                || 'User_' + NostrUtils.truncatePubkey(message.pubkey);
+            this.app.showNotification({
+                title: `${author} mentioned you in ${group?.name || 'a relay'}`,
+                body: this.app.summarizeMessage(message),
+                groupId
+            });
+        });
+
+        this.client.on('joinrequest:new', ({ groupId, pubkey }) => {
+            const group = this.client.getGroupById(groupId);
+            const name = this.client.cachedProfiles.get(pubkey)?.name || 'User_' + NostrUtils.truncatePubkey(pubkey);
+            this.app.showNotification({
+                title: `Join request for ${group?.name || 'your relay'}`,
+                body: `${name} asked to join`,
+                groupId
+            });
+        });
+
+        if (!this._notificationClickListener && window.electronAPI?.onNotificationClick) {
+            this._notificationClickListener = window.electronAPI.onNotificationClick((data) => {
+                if (data?.groupId) this.app.openGroup(data.groupId);
+            });
+        }
+
+        this.client.on('dm:message', () => {
+            this.app.updateDirectMessageBadge();
+            if (this.app.currentPage === 'messages') {
+                clearTimeout(this._dmRefreshTimeout);
+                this._dmRefreshTimeout = setTimeout(() => {
+                    this.app.loadDirectMessages();
+                }, 300);
+            }
+        });
+
+        this.client.on('dm:read', () => {
+            this.app.updateDirectMessageBadge();
+        });
+
+        this.client.on('group:reaction', ({ groupId, messageId }) => {
+            if (this.app.currentPage === 'group-detail' && this.app.currentGroupId === groupId) {
+                this.app.updateMessageReactions(messageId);
+            }
+        });
         
         // Profile updates
         this.client.on('profile:update', ({ pubkey, profile }) => {
@@ -296,8 +351,27 @@ class NostrIntegration {
                 this.app.updateJoinRequests(groupId, requests);
             }
         });
+
+        // Writer request updates
+        this.client.on('writerrequests:update', ({ groupId }) => {
+            if (this.app.currentPage === 'group-detail' && this.app.currentGroupId === groupId) {
+                this.app.loadGroupMembers();
+            }
+        });
     }
     
+    /**
+     * Refresh unread badges in the group list once a burst of messages has arrived
+     * @private
+     */
+    _scheduleGroupBadgeUpdate() {
+        if (this.app.currentPage !== 'groups') return;
+        clearTimeout(this._groupBadgeTimeout);
+        this._groupBadgeTimeout = setTimeout(() => {
+            this.app.updateGroupBadges();
+        }, 300);
+    }
+
     /**
      * Throttle group updates to prevent excessive refreshes
      * @private
@@ -485,10 +559,21 @@ class NostrIntegration {
     /**
      * Get messages for a group
      * @param {string} groupId - Group ID
-     * @returns {Array} - Array of message events
+     * @param {Object} [options] - See NostrGroupClient.getGroupMessages
+     * @returns {Array} - Array of message events, or threads with options.threaded
+     */
+    getGroupMessages(groupId, options = {}) {
+        return this.client.getGroupMessages(groupId, options);
+    }
+
+    /**
+     * Search a group's message history on its relay
+     * @param {string} groupId - Group ID
+     * @param {string} query - Search terms
+     * @returns {Promise<Array>} - Matching message events
      */
-    getGroupMessages(groupId) {
-        return this.client.getGroupMessages(groupId);
+    searchGroupMessages(groupId, query) {
+        return this.client.searchGroupMessages(groupId, query);
     }
 
     getUserRelayGroupIds() {
@@ -572,15 +657,125 @@ class NostrIntegration {
     async leaveGroup(groupId) {
         return await this.client.leaveGroup(groupId);
     }
+
+    markGroupRead(groupId) {
+        this.client.markGroupRead(groupId);
+    }
+
+    /**
+     * Unread and mention counts of a group
+     * @param {string} groupId - Group ID
+     * @returns {{unread: number, mentions: number}}
+     */
+    getGroupUnreadCounts(groupId) {
+        return this.client.getGroupUnreadCounts(groupId);
+    }
+
+    isGroupMuted(groupId) {
+        return this.client.isGroupMuted(groupId);
+    }
+
+    setGroupMuted(groupId, muted) {
+        this.client.setGroupMuted(groupId, muted);
+    }
+
+    /**
+     * Send a private direct message (NIP-17)
+     * @param {Array<string>} recipients - Recipient public keys
+     * @param {string} content - Message text
+     * @returns {Promise<Object>} - The sent message
+     */
+    async sendDirectMessage(recipients, content) {
+        return await this.client.sendDirectMessage(recipients, content);
+    }
+
+    /**
+     * Direct message conversations, most recent first
+     * @returns {Array} - See NostrGroupClient.getDirectMessageConversations
+     */
+    getDirectMessageConversations() {
+        return this.client.getDirectMessageConversations();
+    }
+
+    /**
+     * Messages of a direct message conversation, oldest first
+     * @param {string} conversationId - Conversation ID
+     * @returns {Array<Object>}
+     */
+    getDirectMessages(conversationId) {
+        return this.client.getDirectMessages(conversationId);
+    }
+
+    markConversationRead(conversationId) {
+        this.client.markConversationRead(conversationId);
+    }
+
+    getUnreadDirectMessageCount() {
+        return this.client.getUnreadDirectMessageCount();
+    }
+
+    /**
+     * Add or withdraw this user's reaction to a group message
+     * @param {string} groupId - Group ID
+     * @param {string} messageId - Message event ID
+     * @param {string} content - Emoji
+     * @param {Object} [emoji] - Custom emoji { shortcode, url }
+     * @returns {Promise<Object>} - Reaction or deletion event
+     */
+    async toggleReaction(groupId, messageId, content, emoji = null) {
+        return await this.client.toggleReaction(groupId, messageId, content, emoji);
+    }
+
+    /**
+     * Edit one of this user's group messages
+     * @param {string} groupId - Group ID
+     * @param {string} messageId - Message event ID
+     * @param {string} content - New content
+     * @returns {Promise<Object>} - Edit event
+     */
+    async editGroupMessage(groupId, messageId, content) {
+        return await this.client.editGroupMessage(groupId, messageId, content);
+    }
+
+    /**
+     * Remove a group message as an admin (NIP-29 kind 9005)
+     * @param {string} groupId - Group ID
+     * @param {string} messageId - Message event ID
+     * @returns {Promise<Object>} - Moderation event
+     */
+    async deleteGroupMessage(groupId, messageId) {
+        return await this.client.deleteGroupMessage(groupId, messageId);
+    }
+
+    /**
+     * Reactions to a group message, aggregated by emoji
+     * @param {string} groupId - Group ID
+     * @param {string} messageId - Message event ID
+     * @returns {Array} - See NostrGroupClient.getMessageReactions
+     */
+    getMessageReactions(groupId, messageId) {
+        return this.client.getMessageReactions(groupId, messageId);
+    }
+
+    /**
+     * Pull reactions for the messages on screen
+     * @param {string} groupId - Group ID
+     * @param {Array<string>} messageIds - Message event IDs
+     */
+    watchMessageReactions(groupId, messageIds) {
+        this.client.watchMessageReactions(groupId, messageIds);
+    }
     
     /**
      * Send a message to a group
      * @param {string} groupId - Group ID
      * @param {string} content - Message content
+     * @param {string} [filePath] - Local file to attach
+     * @param {Object} [options] - Reply and quote targets, see NostrGroupClient.sendGroupMessage
      * @returns {Promise<Object>} - Message event
      */
-    async sendGroupMessage(groupId, content, filePath = '') {
-        return await this.client.sendGroupMessage(groupId, content, filePath);
+    async sendGroupMessage(groupId, content, filePath = '', options = {}) {
+        return await this.client.sendGroupMessage(groupId, content, filePath, options);
     }
     
     /**
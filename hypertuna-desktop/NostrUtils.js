@@ -229,6 +229,201 @@ export class NostrUtils {
         return result;
     }
     
+    /**
+     * Derive the NIP-44 v2 conversation key shared by two users
+     * @param {string} privkey - Own private key
+     * @param {string} pubkey - Other user's public key
+     * @returns {Promise<Uint8Array>} - 32-byte conversation key
+     */
+    static async nip44ConversationKey(privkey, pubkey) {
+        const secp = nobleSecp256k1 || window.nobleSecp256k1;
+        if (!secp) {
+            throw new Error('Noble Secp256k1 library not available');
+        }
+        const shared = secp.getSharedSecret(privkey, '02' + pubkey, true);
+        const sharedBytes = typeof shared === 'string' ? this.hexToBytes(shared) : shared;
+        // HKDF-extract with the shared x coordinate as input keying material
+        return this._hmacSha256(new TextEncoder().encode('nip44-v2'), sharedBytes.slice(1, 33));
+    }
+
+    /**
+     * Encrypt a message with NIP-44 v2 (ChaCha20, HMAC-SHA256, padded length)
+     * @param {string} plaintext - Message, 1 to 65535 bytes of UTF-8
+     * @param {Uint8Array} conversationKey - Key from nip44ConversationKey
+     * @param {Uint8Array} [nonce] - 32-byte nonce, random unless given (for tests)
+     * @returns {Promise<string>} - Base64 payload
+     */
+    static async nip44Encrypt(plaintext, conversationKey, nonce = null) {
+        const messageNonce = nonce || globalThis.crypto.getRandomValues(new Uint8Array(32));
+        const { chachaKey, chachaNonce, hmacKey } = await this._nip44MessageKeys(conversationKey, messageNonce);
+
+        const unpadded = new TextEncoder().encode(plaintext);
+        if (unpadded.length < 1 || unpadded.length > 65535) {
+            throw new Error('NIP-44 plaintext must be 1 to 65535 bytes');
+        }
+        const padded = new Uint8Array(2 + this._nip44PaddedLength(unpadded.length));
+        padded[0] = unpadded.length >> 8;
+        padded[1] = unpadded.length & 0xff;
+        padded.set(unpadded, 2);
+
+        const ciphertext = this._chacha20(chachaKey, chachaNonce, padded);
+        const mac = await this._hmacSha256(hmacKey, messageNonce, ciphertext);
+
+        const payload = new Uint8Array(1 + 32 + ciphertext.length + 32);
+        payload[0] = 2;
+        payload.set(messageNonce, 1);
+        payload.set(ciphertext, 33);
+        payload.set(mac, 33 + ciphertext.length);
+        return this._bytesToBase64(payload);
+    }
+
+    /**
+     * Decrypt a NIP-44 v2 payload
+     * @param {string} payload - Base64 payload
+     * @param {Uint8Array} conversationKey - Key from nip44ConversationKey
+     * @returns {Promise<string>} - Plain text
+     */
+    static async nip44Decrypt(payload, conversationKey) {
+        if (typeof payload !== 'string' || payload.length < 132 || payload.length > 87472 || payload[0] === '#') {
+            throw new Error('Unsupported NIP-44 payload');
+        }
+        const data = this._base64ToBytes(payload);
+        if (data[0] !== 2) {
+            throw new Error(`Unsupported NIP-44 version ${data[0]}`);
+        }
+        const messageNonce = data.slice(1, 33);
+        const ciphertext = data.slice(33, data.length - 32);
+        const mac = data.slice(data.length - 32);
+
+        const { chachaKey, chachaNonce, hmacKey } = await this._nip44MessageKeys(conversationKey, messageNonce);
+        const expectedMac = await this._hmacSha256(hmacKey, messageNonce, ciphertext);
+        let difference = 0;
+        for (let i = 0; i < 32; i++) difference |= mac[i] ^ expectedMac[i];
+        if (difference !== 0) {
+            throw new Error('Invalid NIP-44 MAC');
+        }
+
+        const padded = this._chacha20(chachaKey, chachaNonce, ciphertext);
+        const length = (padded[0] << 8) | padded[1];
+        if (length < 1 || padded.length !== 2 + this._nip44PaddedLength(length)) {
+            throw new Error('Invalid NIP-44 padding');
+        }
+        return new TextDecoder().decode(padded.slice(2, 2 + length));
+    }
+
+    /**
+     * HKDF-expand the per-message keys from the conversation key and nonce
+     * @private
+     */
+    static async _nip44MessageKeys(conversationKey, nonce) {
+        const okm = new Uint8Array(96);
+        let previous = new Uint8Array(0);
+        for (let block = 1; block <= 3; block++) {
+            previous = await this._hmacSha256(conversationKey, previous, nonce, new Uint8Array([block]));
+            okm.set(previous, (block - 1) * 32);
+        }
+        return {
+            chachaKey: okm.slice(0, 32),
+            chachaNonce: okm.slice(32, 44),
+            hmacKey: okm.slice(44, 76)
+        };
+    }
+
+    /**
+     * Padded plaintext length: 32 bytes minimum, then chunks that grow with the message
+     * @private
+     */
+    static _nip44PaddedLength(length) {
+        if (length <= 32) return 32;
+        const nextPower = 1 << (Math.floor(Math.log2(length - 1)) + 1);
+        const chunk = nextPower <= 256 ? 32 : nextPower / 8;
+        return chunk * (Math.floor((length - 1) / chunk) + 1);
+    }
+
+    /**
+     * HMAC-SHA256 over the concatenation of the given chunks
+     * @private
+     */
+    static async _hmacSha256(key, ...chunks) {
+        const length = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const message = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            message.set(chunk, offset);
+            offset += chunk.length;
+        }
+        const cryptoKey = await globalThis.crypto.subtle.importKey(
+            'raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        return new Uint8Array(await globalThis.crypto.subtle.sign('HMAC', cryptoKey, message));
+    }
+
+    /**
+     * ChaCha20 (RFC 8439) keystream XOR with the block counter starting at 0.
+     * WebCrypto has no ChaCha20, so NIP-44 needs this in the renderer.
+     * @private
+     */
+    static _chacha20(key, nonce, data) {
+        const keyWords = new DataView(key.buffer, key.byteOffset, 32);
+        const nonceWords = new DataView(nonce.buffer, nonce.byteOffset, 12);
+        const input = new Uint32Array(16);
+        input.set([0x61707865, 0x3320646e, 0x79622d32, 0x6b206574]);
+        for (let i = 0; i < 8; i++) input[4 + i] = keyWords.getUint32(i * 4, true);
+        for (let i = 0; i < 3; i++) input[13 + i] = nonceWords.getUint32(i * 4, true);
+
+        const rotate = (value, bits) => (value << bits) | (value >>> (32 - bits));
+        const quarterRound = (x, a, b, c, d) => {
+            x[a] = (x[a] + x[b]) >>> 0; x[d] = rotate(x[d] ^ x[a], 16);
+            x[c] = (x[c] + x[d]) >>> 0; x[b] = rotate(x[b] ^ x[c], 12);
+            x[a] = (x[a] + x[b]) >>> 0; x[d] = rotate(x[d] ^ x[a], 8);
+            x[c] = (x[c] + x[d]) >>> 0; x[b] = rotate(x[b] ^ x[c], 7);
+        };
+
+        const output = new Uint8Array(data.length);
+        const working = new Uint32Array(16);
+        const keystream = new Uint8Array(working.buffer);
+        for (let offset = 0, counter = 0; offset < data.length; offset += 64, counter++) {
+            input[12] = counter;
+            working.set(input);
+            for (let round = 0; round < 10; round++) {
+                quarterRound(working, 0, 4, 8, 12);
+                quarterRound(working, 1, 5, 9, 13);
+                quarterRound(working, 2, 6, 10, 14);
+                quarterRound(working, 3, 7, 11, 15);
+                quarterRound(working, 0, 5, 10, 15);
+                quarterRound(working, 1, 6, 11, 12);
+                quarterRound(working, 2, 7, 8, 13);
+                quarterRound(working, 3, 4, 9, 14);
+            }
+            for (let i = 0; i < 16; i++) working[i] = (working[i] + input[i]) >>> 0;
+            // Uint32Array is little-endian on every platform Electron runs on
+            const blockLength = Math.min(64, data.length - offset);
+            for (let i = 0; i < blockLength; i++) {
+                output[offset + i] = data[offset + i] ^ keystream[i];
+            }
+        }
+        return output;
+    }
+
+    /**
+     * @private
+     */
+    static _bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return btoa(binary);
+    }
+
+    /**
+     * @private
+     */
+    static _base64ToBytes(str) {
+        const binary = atob(str);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
     /**
      * Format timestamp to human-readable time
      * @param {number} timestamp - Unix timestamp
@@ -358,6 +553,45 @@ export class NostrUtils {
         return refs;
     }
 
+    /**
+     * Read the NIP-10 thread references of an event
+     * Marked e tags are used when present; otherwise unmarked e tags follow the deprecated
+     * positional scheme (first is the root, last the parent)
+     * @param {Object} event - Event with tags
+     * @returns {{root: string|null, reply: string|null, mentions: Array<string>}} - Event IDs
+     */
+    static getThreadRefs(event) {
+        const eTags = (event?.tags || []).filter(tag => tag[0] === 'e' && typeof tag[1] === 'string' && tag[1] && tag[3] !== 'edit');
+        const refs = { root: null, reply: null, mentions: [] };
+        const marked = eTags.filter(tag => ['root', 'reply', 'mention'].includes(tag[3]));
+
+        if (marked.length) {
+            for (const tag of marked) {
+                if (tag[3] === 'root') refs.root = tag[1];
+                else if (tag[3] === 'reply') refs.reply = tag[1];
+                else refs.mentions.push(tag[1]);
+            }
+            // A direct reply to the root only carries the root marker
+            if (refs.root && !refs.reply) refs.reply = refs.root;
+        } else if (eTags.length) {
+            refs.root = eTags[0][1];
+            refs.reply = eTags[eTags.length - 1][1];
+            refs.mentions = eTags.slice(1, -1).map(tag => tag[1]);
+        }
+
+        return refs;
+    }
+
+    /**
+     * Read the message an edit event replaces
+     * @param {Object} event - Event with tags
+     * @returns {string|null} - ID of the edited event, or null if the event is not an edit
+     */
+    static getEditTarget(event) {
+        const tag = (event?.tags || []).find(t => t[0] === 'e' && t[3] === 'edit' && typeof t[1] === 'string' && t[1]);
+        return tag ? tag[1] : null;
+    }
+
     /**
      * Convert hex public key to npub format
      * @param {string} hex - Hex encoded public key
@@ -27,6 +27,17 @@ class WebSocketRelayManager {
         this.subscriptionCounter = 0;
         this.subscriptionIdMap = new Map(); // Maps original ID to unique short ID
         this.reverseSubscriptionMap = new Map(); // Maps short ID back to original
+
+        // NIP-42: signs kind 22242 events in answer to relay AUTH challenges
+        this.authSigner = null;
+    }
+
+    /**
+     * Set the callback used to answer NIP-42 AUTH challenges
+     * @param {Function|null} signer - async (relayUrl, challenge) => signed kind 22242 event
+     */
+    setAuthSigner(signer) {
+        this.authSigner = typeof signer === 'function' ? signer : null;
     }
 
     /**
@@ -186,13 +197,21 @@ class WebSocketRelayManager {
         
         return new Promise((resolve) => {
             const timeout = setTimeout(() => {
+                relay.conn.removeEventListener('message', okHandler);
                 resolve({ url: cleanUrl, success: false, error: 'Timeout' });
             }, 10000);
+
+            const failOnAuth = (reason) => {
+                clearTimeout(timeout);
+                relay.conn.removeEventListener('message', okHandler);
+                resolve({ url: cleanUrl, success: false, error: reason });
+            };
             
             const okHandler = (msgEvent) => {
                 try {
                     const data = JSON.parse(msgEvent.data);
                     if (Array.isArray(data) && data[0] === 'OK' && data[1] === event.id) {
+                        if (this._holdAuthRejectedEvent(relay, data, eventMsg, failOnAuth)) return;
                         clearTimeout(timeout);
                         relay.conn.removeEventListener('message', okHandler);
                         resolve({ url: cleanUrl, success: data[2] === true });
@@ -204,6 +223,7 @@ class WebSocketRelayManager {
             
             relay.conn.addEventListener('message', okHandler);
             
+            if (this._holdForAuth(relay, eventMsg, failOnAuth)) return;
             this._queueRequest(() => {
                 if (relay.conn.readyState === WebSocket.OPEN) {
                     relay.conn.send(eventMsg);
@@ -275,8 +295,8 @@ class WebSocketRelayManager {
      * @returns {Promise} - Resolves when connected
      */
     async addRelay(url) {
-        // Parse the URL to extract token
-        const { cleanUrl, token } = this.parseRelayUrl(url);
+        // Legacy ?token= params are dropped; private relays authenticate via NIP-42 AUTH
+        const { cleanUrl } = this.parseRelayUrl(url);
         
         // Normalize URL
         let normalizedUrl = cleanUrl;
@@ -288,17 +308,7 @@ class WebSocketRelayManager {
         if (this.relays.has(normalizedUrl)) {
             const existing = this.relays.get(normalizedUrl);
 
-            // If the token has changed, close the existing connection
-            if (token && existing.authToken && token !== existing.authToken) {
-                console.log(`Relay ${normalizedUrl} token updated, reconnecting`);
-                existing.preventReconnect = true; // avoid automatic reconnect with old token
-                try {
-                    existing.conn.close();
-                } catch (e) {
-                    console.warn(`Failed to close existing connection for ${normalizedUrl}`, e);
-                }
-                this.relays.delete(normalizedUrl);
-            } else if (existing.status === 'open' || existing.status === 'connecting') {
+            if (existing.status === 'open' || existing.status === 'connecting') {
                 console.log(`Relay ${normalizedUrl} already connected or connecting`);
                 return Promise.resolve();
             } else {
@@ -317,9 +327,7 @@ class WebSocketRelayManager {
                     reject(new Error('Relay manager shutting down'));
                     return;
                 }
-                // If token exists, append it back for the actual connection
-                const connectionUrl = token ? `${normalizedUrl}?token=${token}` : normalizedUrl;
-                const ws = new WebSocket(connectionUrl);
+                const ws = new WebSocket(normalizedUrl);
                 
                 const relayData = {
                     conn: ws,
@@ -327,7 +335,11 @@ class WebSocketRelayManager {
                     subscriptions: new Map(),
                     pendingMessages: [],
                     type: 'discovery',
-                    authToken: token,
+                    authEventId: null,
+                    authRequired: false,
+                    authenticated: false,
+                    // EVENT frames held back until the AUTH handshake in progress succeeds
+                    authPendingMessages: [],
                     preventReconnect: false,
                     reconnectTimer: null
                 };
@@ -335,7 +347,7 @@ class WebSocketRelayManager {
                 this.relays.set(normalizedUrl, relayData);
     
                 ws.onopen = () => {
-                    console.log(`Connected to relay: ${normalizedUrl} ${token ? '(authenticated)' : ''}`);
+                    console.log(`Connected to relay: ${normalizedUrl}`);
                     relayData.status = 'open';
                     
                     // Send any pending messages
@@ -852,6 +864,13 @@ _validateEvent(event) {
                     console.warn(`Publish to ${url} timed out for event ${event.id.substring(0, 8)}...`);
                     reject(new Error(`Publish to ${url} timed out`));
                 }, 10000);
+
+                const failOnAuth = (reason) => {
+                    clearTimeout(timeout);
+                    relay.conn.removeEventListener('message', okHandler);
+                    console.warn(`Failed publish to ${url}: ${reason}`);
+                    resolve({ url, success: false, error: reason });
+                };
                 
                 // Create a one-time event handler for the OK response
                 const okHandler = (msgEvent) => {
@@ -861,6 +880,9 @@ _validateEvent(event) {
                         // Check if this is an OK response for our event
                         if (Array.isArray(data) && data[0] === 'OK' && data[1] === event.id) {
                             console.log(`Received OK from ${url} for event ${event.id.substring(0, 8)}...`, data);
+
+                            // sent before the relay asked us to authenticate: it goes out again once AUTH succeeds
+                            if (this._holdAuthRejectedEvent(relay, data, eventMsg, failOnAuth)) return;
                             
                             clearTimeout(timeout);
                             relay.conn.removeEventListener('message', okHandler);
@@ -885,6 +907,11 @@ _validateEvent(event) {
                     try {
                         // Listen for the OK response
                         relay.conn.addEventListener('message', okHandler);
+
+                        if (this._holdForAuth(relay, eventMsg, failOnAuth)) {
+                            console.log(`Relay ${url} is authenticating, holding event until AUTH succeeds`);
+                            return;
+                        }
                         
                         // Queue the publish request
                         this._queueRequest(() => {
@@ -1062,6 +1089,17 @@ async testPublish() {
         else if (messageType === 'NOTICE') {
             console.log(`Notice from ${relayUrl}: ${message[1]}`);
         }
+        else if (messageType === 'CLOSED') {
+            const shortSubId = message[1];
+            const originalSubId = this._getOriginalSubscriptionId(shortSubId);
+            // auth-required subscriptions are re-sent once the AUTH handshake succeeds
+            console.log(`Subscription ${originalSubId || shortSubId} closed by ${relayUrl}: ${message[2] || ''}`);
+        }
+        else if (messageType === 'AUTH') {
+            this._handleAuthChallenge(relayUrl, message[1]).catch((e) => {
+                console.error(`Failed to answer AUTH challenge from ${relayUrl}:`, e);
+            });
+        }
         else if (messageType === 'OK') {
             // Handle OK responses
             if (message.length >= 3) {
@@ -1069,9 +1107,99 @@ async testPublish() {
                 const success = message[2];
                 const errorMsg = message.length > 3 ? message[3] : '';
                 console.log(`OK from ${relayUrl}: ${eventId.substring(0, 8)}... - ${success ? 'success' : 'failed'}${errorMsg ? ': ' + errorMsg : ''}`);
+                this._handleAuthResult(relayUrl, eventId, success, errorMsg);
             }
         }
     }
+
+    /**
+     * Sign and send a NIP-42 auth event for a relay challenge
+     * @private
+     */
+    async _handleAuthChallenge(relayUrl, challenge) {
+        const { cleanUrl } = this.parseRelayUrl(relayUrl);
+        const relay = this.relays.get(cleanUrl);
+        if (!relay || typeof challenge !== 'string') {
+            return;
+        }
+        relay.authRequired = true;
+        if (!this.authSigner) {
+            console.warn(`AUTH challenge from ${cleanUrl} ignored: no signer configured`);
+            return;
+        }
+
+        const authEvent = await this.authSigner(cleanUrl, challenge);
+        if (!authEvent?.id) {
+            return;
+        }
+
+        relay.authEventId = authEvent.id;
+        relay.authenticated = false;
+        this._queueRequest(() => {
+            if (relay.conn.readyState === WebSocket.OPEN) {
+                relay.conn.send(JSON.stringify(['AUTH', authEvent]));
+            }
+        });
+    }
+
+    /**
+     * Hold an EVENT frame while the relay's AUTH handshake is in progress
+     * @returns {boolean} - true when the frame will be sent once AUTH succeeds
+     * @private
+     */
+    _holdForAuth(relay, message, onAuthFailed) {
+        if (!relay.authRequired || relay.authenticated || !this.authSigner) {
+            return false;
+        }
+        relay.authPendingMessages.push({ message, onAuthFailed });
+        return true;
+    }
+
+    /**
+     * Hold an event the relay refused with auth-required because it arrived before AUTH succeeded
+     * @returns {boolean} - true when the OK frame was such a refusal and the event is held
+     * @private
+     */
+    _holdAuthRejectedEvent(relay, okFrame, message, onAuthFailed) {
+        if (okFrame[2] === true || relay.authenticated) return false;
+        if (typeof okFrame[3] !== 'string' || !okFrame[3].startsWith('auth-required:')) return false;
+        relay.authRequired = true;
+        return this._holdForAuth(relay, message, onAuthFailed);
+    }
+
+    /**
+     * Track the relay's answer to our AUTH event
+     * @private
+     */
+    _handleAuthResult(relayUrl, eventId, success, errorMsg) {
+        const { cleanUrl } = this.parseRelayUrl(relayUrl);
+        const relay = this.relays.get(cleanUrl);
+        if (!relay || !relay.authEventId || relay.authEventId !== eventId) {
+            return;
+        }
+
+        relay.authEventId = null;
+        const held = relay.authPendingMessages.splice(0);
+        if (!success) {
+            console.error(`Authentication failed for relay: ${cleanUrl}${errorMsg ? ' - ' + errorMsg : ''}`);
+            held.forEach(({ onAuthFailed }) => onAuthFailed(errorMsg || 'auth-required: authentication failed'));
+            this.emit('auth:failed', { relayUrl: cleanUrl, reason: errorMsg });
+            return;
+        }
+
+        relay.authenticated = true;
+        console.log(`Authenticated with relay: ${cleanUrl}`);
+        this.emit('auth:success', { relayUrl: cleanUrl });
+        held.forEach(({ message }) => {
+            this._queueRequest(() => {
+                if (relay.conn.readyState === WebSocket.OPEN) {
+                    relay.conn.send(message);
+                }
+            });
+        });
+        // Replay subscriptions the relay closed while we were unauthenticated
+        this._applyRelevantSubscriptions(cleanUrl);
+    }
 }
 
 // Export the class
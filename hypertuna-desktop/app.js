@@ -343,6 +343,15 @@ function failAllPendingPfpUploads(error) {
   pendingPfpUploads.clear()
 }
 
+function base64ToBytes(base64) {
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
 function enqueuePfpUpload(task) {
   if (!task || !task.fileHash || !task.buffer) return
   task.attempts = task.attempts || 0
@@ -461,15 +470,28 @@ async function processPfpQueue () {
         }
         console.log('[PFPQueue] sending to worker', { owner: task.owner, fileHash: task.fileHash, attempts: task.attempts })
         const ackPromise = waitForPfpAck(task.owner, task.fileHash, { timeoutMs: 60000 })
-        await sendWorkerCommand({
-          type: 'upload-pfp',
-          data: {
+        if (electronAPI?.startUpload) {
+          const result = await electronAPI.startUpload({
+            target: 'pfp',
             owner: task.owner,
             fileHash: task.fileHash,
             metadata: task.metadata,
-            buffer: task.buffer
+            data: base64ToBytes(task.buffer)
+          })
+          if (!result?.success) {
+            throw new Error(result?.error || 'PFP upload failed')
           }
-        }, baseOptions)
+        } else {
+          await sendWorkerCommand({
+            type: 'upload-pfp',
+            data: {
+              owner: task.owner,
+              fileHash: task.fileHash,
+              metadata: task.metadata,
+              buffer: task.buffer
+            }
+          }, baseOptions)
+        }
 
         await ackPromise
         removePfpUpload(task.owner, task.fileHash)
@@ -1894,6 +1916,19 @@ async function handleWorkerMessage(message) {
       addLog(`Worker upload-pfp error: ${message?.error || 'Unknown error'}`, 'error')
       break
 
+    case 'upload-progress':
+      // Chunk progress reaches UI code through the worker-message window event
+      break
+
+    case 'upload-complete':
+      addLog(`Stored ${message.target === 'pfp' ? 'avatar' : 'file'} ${message.fileHash?.substring(0, 8)} in the worker drive`, 'status')
+      break
+
+    case 'upload-error':
+      console.error('[App] Worker reported upload error:', message?.error)
+      addLog(`Upload error: ${message?.error || 'Unknown error'}`, 'error')
+      break
+
     case 'heartbeat':
       // Update last heartbeat time
       updateWorkerStatus('running', `Running (${new Date(message.timestamp).toLocaleTimeString()})`)
@@ -2134,6 +2169,22 @@ async function handleWorkerMessage(message) {
       }
       break;
 
+    case 'relay-writers-updated':
+      addLog(`${message.added ? 'Added' : 'Removed'} relay writer for ${message.pubkey?.substring(0, 8) || 'admin'} on ${message.relayKey}`, 'status');
+
+      if (window.App?.nostr?.client && message.relayKey) {
+        window.App.nostr.client.setRelayWriters(message.relayKey, message.writers);
+      }
+      if (window.App && typeof window.App.loadGroupMembers === 'function') {
+        window.App.loadGroupMembers();
+      }
+      break;
+
+    case 'relay-hosting-updated':
+      addLog(`${message.hostingPeer ? 'Hosting' : 'Stopped hosting'} relay ${message.relayKey}`, 'status');
+      fetchRelays();
+      break;
+
     case 'members-updated':
       // Relay membership list was updated in the worker
       if (message.relayKey) {
@@ -1,7 +1,8 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, Notification } = require('electron');
 const path = require('path');
 const { promises: fs, existsSync } = require('fs');
 const { spawn } = require('child_process');
+const crypto = require('crypto');
 
 let mainWindow = null;
 let workerProcess = null;
@@ -10,12 +11,19 @@ let gatewayStatusCache = null;
 let gatewayLogsCache = [];
 let publicGatewayConfigCache = null;
 let publicGatewayStatusCache = null;
+let uploadWorkerReady = false;
+const uploads = new Map();
 
 const userDataPath = app.getPath('userData');
 const storagePath = path.join(userDataPath, 'hypertuna-data');
 const logFilePath = path.join(storagePath, 'desktop-console.log');
 const gatewaySettingsPath = path.join(storagePath, 'gateway-settings.json');
 const publicGatewaySettingsPath = path.join(storagePath, 'public-gateway-settings.json');
+const pendingUploadsPath = path.join(storagePath, 'pending-uploads.json');
+const encryptedUploadsPath = path.join(storagePath, 'encrypted-uploads');
+const UPLOAD_CHUNK_SIZE = 256 * 1024;
+const UPLOAD_STEP_TIMEOUT_MS = 30000;
+const UPLOAD_MAX_RETRIES = 5;
 const DEFAULT_CERT_ALLOWLIST = new Set(['relay.nostr.band', 'relay.damus.io', 'nos.lol']);
 const envAllowlist = (process.env.NOSTR_CERT_ALLOWLIST || '')
   .split(',')
@@ -100,7 +108,8 @@ async function startWorkerProcess() {
         ...process.env,
         ELECTRON_RUN_AS_NODE: '1',
         APP_DIR: workerRoot,
-        STORAGE_DIR: storagePath
+        STORAGE_DIR: storagePath,
+        APP_VERSION: app.getVersion()
       },
       stdio: ['pipe', 'pipe', 'pipe', 'ipc']
     });
@@ -128,6 +137,14 @@ async function startWorkerProcess() {
           publicGatewayStatusCache = message.state || null;
         } else if (message.type === 'public-gateway-config') {
           publicGatewayConfigCache = message.config || null;
+        } else if (message.type === 'drive-key') {
+          // The worker sets up its upload staging area before announcing its drive
+          uploadWorkerReady = true;
+          resumeUploads();
+        }
+
+        if (handleUploadMessage(message)) {
+          return;
         }
       }
 
@@ -148,6 +165,7 @@ async function startWorkerProcess() {
     workerProcess.on('exit', (code, signal) => {
       console.log(`[Main] Worker exited with code=${code} signal=${signal}`);
       workerProcess = null;
+      pauseUploads('Worker exited');
       pendingWorkerMessages = [];
       gatewayStatusCache = null;
       gatewayLogsCache = [];
@@ -199,6 +217,7 @@ async function stopWorkerProcess() {
     workerProcess.kill();
     workerProcess = null;
     pendingWorkerMessages = [];
+    pauseUploads('Worker stopped');
     return { success: true };
   } catch (error) {
     console.error('[Main] Failed to stop worker', error);
@@ -220,6 +239,335 @@ function sendGatewayCommand(type, payload = {}) {
   }
 }
 
+// Chunked uploads to the worker. Each upload sends upload-begin, then one chunk per ack and
+// finally upload-finish. When the worker goes away the upload pauses and is resumed once the
+// worker is ready again; upload-begin reports the bytes the worker already staged. Uploads
+// read from a file path are also persisted so they resume after the app restarts.
+
+function sendToRenderer(message) {
+  if (mainWindow) {
+    mainWindow.webContents.send('worker-message', message);
+  } else {
+    pendingWorkerMessages.push(message);
+  }
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const handle = await fs.open(filePath, 'r');
+  try {
+    for await (const chunk of handle.createReadStream()) {
+      hash.update(chunk);
+      size += chunk.length;
+    }
+  } finally {
+    await handle.close().catch(() => {});
+  }
+  return { fileHash: hash.digest('hex'), size };
+}
+
+// Attachments for private groups are encrypted here before upload, so drives, mirroring peers
+// and gateways only ever hold ciphertext. The AES-256-GCM auth tag is appended to the
+// ciphertext, which is the layout WebCrypto expects when the renderer decrypts the file.
+async function encryptFile(filePath) {
+  const key = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const plaintextHash = crypto.createHash('sha256');
+  const ciphertextHash = crypto.createHash('sha256');
+  let size = 0;
+
+  await fs.mkdir(encryptedUploadsPath, { recursive: true });
+  const outputPath = path.join(encryptedUploadsPath, `${crypto.randomBytes(16).toString('hex')}.enc`);
+  const input = await fs.open(filePath, 'r');
+  const output = await fs.open(outputPath, 'w');
+  const write = async (chunk) => {
+    if (!chunk.length) return;
+    ciphertextHash.update(chunk);
+    size += chunk.length;
+    await output.write(chunk);
+  };
+
+  let failed = true;
+  try {
+    for await (const chunk of input.createReadStream()) {
+      plaintextHash.update(chunk);
+      await write(cipher.update(chunk));
+    }
+    await write(cipher.final());
+    await write(cipher.getAuthTag());
+    failed = false;
+  } finally {
+    await input.close().catch(() => {});
+    await output.close().catch(() => {});
+    if (failed) {
+      await fs.rm(outputPath, { force: true });
+    }
+  }
+
+  return {
+    filePath: outputPath,
+    fileHash: ciphertextHash.digest('hex'),
+    plaintextHash: plaintextHash.digest('hex'),
+    size,
+    key: key.toString('hex'),
+    iv: iv.toString('hex')
+  };
+}
+
+function isEncryptedUploadPath(filePath) {
+  return typeof filePath === 'string' && path.dirname(path.resolve(filePath)) === encryptedUploadsPath;
+}
+
+async function persistPendingUploads() {
+  const descriptors = Array.from(uploads.values())
+    .filter((upload) => upload.descriptor.filePath)
+    .map((upload) => upload.descriptor);
+  try {
+    await ensureStorageDir();
+    await fs.writeFile(pendingUploadsPath, JSON.stringify(descriptors, null, 2), 'utf8');
+  } catch (error) {
+    console.error('[Main] Failed to persist pending uploads', error);
+  }
+}
+
+async function loadPendingUploads() {
+  try {
+    const data = await fs.readFile(pendingUploadsPath, 'utf8');
+    const descriptors = JSON.parse(data);
+    for (const descriptor of Array.isArray(descriptors) ? descriptors : []) {
+      if (descriptor?.uploadId && descriptor.filePath && !uploads.has(descriptor.uploadId)) {
+        uploads.set(descriptor.uploadId, { descriptor, data: null, step: null, running: false, retries: 0, waiters: [] });
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('[Main] Failed to load pending uploads', error);
+    }
+  }
+}
+
+// Encrypted copies that no pending upload refers to were never sent (e.g. the relay's upload
+// policy refused the file) and are removed at startup
+async function removeOrphanedEncryptedUploads() {
+  let names = [];
+  try {
+    names = await fs.readdir(encryptedUploadsPath);
+  } catch (_) {
+    return;
+  }
+  const pending = new Set(Array.from(uploads.values()).map((upload) => path.resolve(upload.descriptor.filePath || '')));
+  for (const name of names) {
+    const filePath = path.join(encryptedUploadsPath, name);
+    if (!pending.has(filePath)) {
+      await fs.rm(filePath, { force: true }).catch(() => {});
+    }
+  }
+}
+
+async function readUploadChunk(upload, offset) {
+  const { descriptor } = upload;
+  const length = Math.min(UPLOAD_CHUNK_SIZE, descriptor.size - offset);
+  if (upload.data) {
+    return upload.data.subarray(offset, offset + length);
+  }
+  const handle = await fs.open(descriptor.filePath, 'r');
+  try {
+    const chunk = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(chunk, 0, length, offset);
+    if (bytesRead !== length) {
+      throw new Error('File changed while uploading');
+    }
+    return chunk;
+  } finally {
+    await handle.close().catch(() => {});
+  }
+}
+
+// Send one protocol step and wait for the worker's reply to it
+function sendUploadStep(upload, type, data, expect) {
+  return new Promise((resolve, reject) => {
+    if (!workerProcess || !uploadWorkerReady) {
+      const error = new Error('Worker not ready');
+      error.retryable = true;
+      reject(error);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      upload.step = null;
+      const error = new Error(`Timed out waiting for ${expect}`);
+      error.retryable = true;
+      reject(error);
+    }, UPLOAD_STEP_TIMEOUT_MS);
+
+    upload.step = { expect, resolve, reject, timer };
+    try {
+      workerProcess.send({ type, data });
+    } catch (error) {
+      clearTimeout(timer);
+      upload.step = null;
+      error.retryable = true;
+      reject(error);
+    }
+  });
+}
+
+function handleUploadMessage(message) {
+  const { type, uploadId } = message;
+  if (!['upload-ready', 'upload-chunk-ack', 'upload-complete', 'upload-error'].includes(type)) {
+    return false;
+  }
+
+  const upload = uploadId ? uploads.get(uploadId) : null;
+  const step = upload?.step;
+  if (step && (type === step.expect || type === 'upload-error')) {
+    clearTimeout(step.timer);
+    upload.step = null;
+    if (type === 'upload-error') {
+      // A rejected chunk is retried from the offset the worker reports on the next upload-begin
+      const error = new Error(message.error || 'Upload failed');
+      error.retryable = step.expect === 'upload-chunk-ack';
+      step.reject(error);
+    } else {
+      step.resolve(message);
+    }
+  }
+
+  // Progress is reported by the upload loop; only the outcome goes to the renderer
+  return type === 'upload-ready' || type === 'upload-chunk-ack';
+}
+
+function settleUpload(upload, result) {
+  uploads.delete(upload.descriptor.uploadId);
+  if (upload.descriptor.filePath) {
+    persistPendingUploads();
+  }
+  // Encrypted copies only exist to be uploaded
+  if (isEncryptedUploadPath(upload.descriptor.filePath)) {
+    fs.rm(upload.descriptor.filePath, { force: true }).catch(() => {});
+  }
+  for (const resolve of upload.waiters) {
+    resolve(result);
+  }
+  upload.waiters = [];
+}
+
+async function runUpload(upload) {
+  if (upload.running || !uploadWorkerReady) return;
+  upload.running = true;
+  const { descriptor } = upload;
+  const { uploadId } = descriptor;
+
+  try {
+    const ready = await sendUploadStep(upload, 'upload-begin', {
+      uploadId,
+      target: descriptor.target,
+      fileHash: descriptor.fileHash,
+      size: descriptor.size,
+      metadata: descriptor.metadata,
+      identifier: descriptor.identifier,
+      relayKey: descriptor.relayKey,
+      owner: descriptor.owner
+    }, 'upload-ready');
+
+    let offset = ready.received || 0;
+    while (offset < descriptor.size) {
+      const chunk = await readUploadChunk(upload, offset);
+      const ack = await sendUploadStep(upload, 'upload-chunk', {
+        uploadId,
+        offset,
+        chunk: Buffer.from(chunk).toString('base64')
+      }, 'upload-chunk-ack');
+      offset = ack.received;
+      upload.retries = 0;
+      sendToRenderer({
+        type: 'upload-progress',
+        uploadId,
+        target: descriptor.target,
+        fileHash: descriptor.fileHash,
+        received: offset,
+        size: descriptor.size
+      });
+    }
+
+    await sendUploadStep(upload, 'upload-finish', { uploadId }, 'upload-complete');
+    settleUpload(upload, { success: true, uploadId });
+  } catch (error) {
+    upload.running = false;
+    if (error.retryable && upload.retries < UPLOAD_MAX_RETRIES) {
+      upload.retries += 1;
+      console.warn(`[Main] Upload ${uploadId} paused: ${error.message}`);
+      if (uploadWorkerReady) {
+        setTimeout(() => runUpload(upload), upload.retries * 2000);
+      }
+      return;
+    }
+    console.error(`[Main] Upload ${uploadId} failed`, error);
+    if (workerProcess) {
+      try { workerProcess.send({ type: 'upload-abort', data: { uploadId } }); } catch (_) {}
+    }
+    settleUpload(upload, { success: false, uploadId, error: error.message });
+  } finally {
+    upload.running = false;
+  }
+}
+
+function resumeUploads() {
+  for (const upload of uploads.values()) {
+    upload.retries = 0;
+    runUpload(upload);
+  }
+}
+
+function pauseUploads(reason) {
+  uploadWorkerReady = false;
+  for (const upload of uploads.values()) {
+    const step = upload.step;
+    if (!step) continue;
+    clearTimeout(step.timer);
+    upload.step = null;
+    const error = new Error(reason);
+    error.retryable = true;
+    step.reject(error);
+  }
+}
+
+async function startUpload(options = {}) {
+  const { target, fileHash, filePath = null } = options;
+  if (target !== 'file' && target !== 'pfp') {
+    throw new Error(`Unsupported upload target ${target}`);
+  }
+  if (!filePath && !options.data) {
+    throw new Error('Upload needs a filePath or data');
+  }
+
+  const data = options.data ? Buffer.from(options.data) : null;
+  const size = data ? data.length : (await fs.stat(filePath)).size;
+  const descriptor = {
+    uploadId: crypto.randomBytes(16).toString('hex'),
+    target,
+    fileHash,
+    size,
+    filePath,
+    metadata: options.metadata || null,
+    identifier: options.identifier || null,
+    relayKey: options.relayKey || null,
+    owner: options.owner || ''
+  };
+
+  const upload = { descriptor, data, step: null, running: false, retries: 0, waiters: [] };
+  uploads.set(descriptor.uploadId, upload);
+  if (filePath) {
+    await persistPendingUploads();
+  }
+
+  const done = new Promise((resolve) => upload.waiters.push(resolve));
+  runUpload(upload);
+  return done;
+}
+
 ipcMain.handle('start-worker', async () => {
   return startWorkerProcess();
 });
@@ -427,6 +775,56 @@ ipcMain.handle('append-log-line', async (_event, line) => {
   }
 });
 
+ipcMain.handle('hash-file', async (_event, filePath) => {
+  try {
+    const result = await hashFile(filePath);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('[Main] Failed to hash file', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('encrypt-file', async (_event, filePath) => {
+  try {
+    const result = await encryptFile(filePath);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('[Main] Failed to encrypt file', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Native notifications for mentions and join requests. Clicking one brings the window forward
+// and hands the payload back to the renderer so it can open the group.
+ipcMain.handle('show-notification', async (_event, options = {}) => {
+  if (!Notification.isSupported()) {
+    return { success: false, error: 'Notifications are not supported on this system' };
+  }
+  const notification = new Notification({
+    title: String(options.title || 'Hypertuna'),
+    body: String(options.body || '')
+  });
+  notification.on('click', () => {
+    if (!mainWindow) return;
+    if (mainWindow.isMinimized()) mainWindow.restore();
+    mainWindow.show();
+    mainWindow.focus();
+    mainWindow.webContents.send('notification-click', options.data || null);
+  });
+  notification.show();
+  return { success: true };
+});
+
+ipcMain.handle('start-upload', async (_event, options) => {
+  try {
+    return await startUpload(options);
+  } catch (error) {
+    console.error('[Main] Failed to start upload', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('read-file-buffer', async (_event, filePath) => {
   try {
     const data = await fs.readFile(filePath);
@@ -440,6 +838,8 @@ ipcMain.handle('read-file-buffer', async (_event, filePath) => {
 
 app.whenReady().then(async () => {
   await ensureStorageDir();
+  await loadPendingUploads();
+  await removeOrphanedEncryptedUploads();
   createWindow();
 
   app.on('activate', () => {
@@ -56,6 +56,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getLogFilePath: () => ipcRenderer.invoke('get-log-file-path'),
   appendLogLine: (line) => ipcRenderer.invoke('append-log-line', line),
   readFileBuffer: (filePath) => ipcRenderer.invoke('read-file-buffer', filePath),
+  hashFile: (filePath) => ipcRenderer.invoke('hash-file', filePath),
+  encryptFile: (filePath) => ipcRenderer.invoke('encrypt-file', filePath),
+  startUpload: (upload) => ipcRenderer.invoke('start-upload', upload),
+  showNotification: (options) => ipcRenderer.invoke('show-notification', options),
+  onNotificationClick: registerListener('notification-click'),
   importModule,
   requireModule
 });
@@ -0,0 +1,142 @@
+import test from 'brittle';
+import { createRequire } from 'node:module';
+
+// crypto-libraries.js loads its modules through the preload bridge; node's require stands in for it
+globalThis.window = { electronAPI: { requireModule: createRequire(import.meta.url) } };
+const { NostrUtils } = await import('../NostrUtils.js');
+
+const hex = (value) => NostrUtils.hexToBytes(value);
+const scalar = (last) => '0'.repeat(62) + last;
+
+// NIP-44 v2 test vectors from https://github.com/paulmillr/nip44 (nip44.vectors.json, v2.valid)
+const CONVERSATION_KEYS = [
+    {
+        sec1: '315e59ff51cb9209768cf7da80791ddcaae56ac9775eb25b6dee1234bc5d2268',
+        pub2: 'c2f9d9948dc8c7c38321e4b85c8558872eafa0641cd269db76848a6073e69133',
+        conversationKey: '3dfef0ce2a4d80a25e7a328accf73448ef67096f65f79588e358d9a0eb9013f1'
+    },
+    {
+        sec1: 'a1e37752c9fdc1273be53f68c5f74be7c8905728e8de75800b94262f9497c86e',
+        pub2: '03bb7947065dde12ba991ea045132581d0954f042c84e06d8c00066e23c1a800',
+        conversationKey: '4d14f36e81b8452128da64fe6f1eae873baae2f444b02c950b90e43553f2178b'
+    }
+];
+
+const MESSAGE_KEYS = {
+    conversationKey: 'a1a3d60f3470a8612633924e91febf96dc5366ce130f658b1f0fc652c20b3b54',
+    nonce: 'e1e6f880560d6d149ed83dcc7e5861ee62a5ee051f7fde9975fe5d25d2a02d72',
+    chachaKey: 'f145f3bed47cb70dbeaac07f3a3fe683e822b3715edb7c4fe310829014ce7d76',
+    chachaNonce: 'c4ad129bb01180c0933a160c',
+    hmacKey: '027c1db445f05e2eee864a0975b0ddef5b7110583c8c192de3732571ca5838c4'
+};
+
+const PADDED_LENGTHS = [
+    [16, 32], [32, 32], [33, 64], [37, 64], [45, 64], [49, 64], [64, 64], [65, 96],
+    [100, 128], [111, 128], [200, 224], [250, 256], [320, 320], [383, 384], [384, 384], [400, 448],
+    [500, 512], [512, 512], [515, 640], [700, 768], [800, 896], [900, 1024], [1020, 1024], [65536, 65536]
+];
+
+const ENCRYPT_DECRYPT = [
+    {
+        sec1: scalar('01'),
+        sec2: scalar('02'),
+        conversationKey: 'c41c775356fd92eadc63ff5a0dc1da211b268cbea22316767095b2871ea1412d',
+        nonce: scalar('01'),
+        plaintext: 'a',
+        payload: 'AgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABee0G5VSK0/9YypIObAtDKfYEAjD35uVkHyB0F4DwrcNaCXlCWZKaArsGrY6M9wnuTMxWfp1RTN9Xga8no+kF5Vsb'
+    },
+    {
+        sec1: scalar('02'),
+        sec2: scalar('01'),
+        conversationKey: 'c41c775356fd92eadc63ff5a0dc1da211b268cbea22316767095b2871ea1412d',
+        nonce: 'f00000000000000000000000000000f00000000000000000000000000000000f',
+        plaintext: '🍕🫃',
+        payload: 'AvAAAAAAAAAAAAAAAAAAAPAAAAAAAAAAAAAAAAAAAAAPSKSK6is9ngkX2+cSq85Th16oRTISAOfhStnixqZziKMDvB0QQzgFZdjLTPicCJaV8nDITO+QfaQ61+KbWQIOO2Yj'
+    },
+    {
+        sec1: '5c0c523f52a5b6fad39ed2403092df8cebc36318b39383bca6c00808626fab3a',
+        sec2: '4b22aa260e4acb7021e32f38a6cdf4b673c6a277755bfce287e370c924dc936d',
+        conversationKey: '3e2b52a63be47d34fe0a80e34e73d436d6963bc8f39827f327057a9986c20a45',
+        nonce: 'b635236c42db20f021bb8d1cdff5ca75dd1a0cc72ea742ad750f33010b24f73b',
+        plaintext: '表ポあA鷗ŒéＢ逍Üßªąñ丂㐀𠀀',
+        payload: 'ArY1I2xC2yDwIbuNHN/1ynXdGgzHLqdCrXUPMwELJPc7s7JqlCMJBAIIjfkpHReBPXeoMCyuClwgbT419jUWU1PwaNl4FEQYKCDKVJz+97Mp3K+Q2YGa77B6gpxB/lr1QgoqpDf7wDVrDmOqGoiPjWDqy8KzLueKDcm9BVP8xeTJIxs='
+    }
+];
+
+test('NIP-44 conversation keys match the v2 vectors', async (t) => {
+    for (const vector of CONVERSATION_KEYS) {
+        const key = await NostrUtils.nip44ConversationKey(vector.sec1, vector.pub2);
+        t.is(NostrUtils.bytesToHex(key), vector.conversationKey);
+    }
+});
+
+test('NIP-44 message keys match the v2 vectors', async (t) => {
+    const keys = await NostrUtils._nip44MessageKeys(hex(MESSAGE_KEYS.conversationKey), hex(MESSAGE_KEYS.nonce));
+    t.is(NostrUtils.bytesToHex(keys.chachaKey), MESSAGE_KEYS.chachaKey);
+    t.is(NostrUtils.bytesToHex(keys.chachaNonce), MESSAGE_KEYS.chachaNonce);
+    t.is(NostrUtils.bytesToHex(keys.hmacKey), MESSAGE_KEYS.hmacKey);
+});
+
+test('NIP-44 padded lengths match the v2 vectors', (t) => {
+    for (const [length, padded] of PADDED_LENGTHS) {
+        t.is(NostrUtils._nip44PaddedLength(length), padded, `${length} bytes`);
+    }
+});
+
+test('NIP-44 encryption with a fixed nonce matches the v2 vectors and decrypts back', async (t) => {
+    for (const vector of ENCRYPT_DECRYPT) {
+        const key = await NostrUtils.nip44ConversationKey(vector.sec1, NostrUtils.getPublicKey(vector.sec2));
+        t.is(NostrUtils.bytesToHex(key), vector.conversationKey);
+        t.is(await NostrUtils.nip44Encrypt(vector.plaintext, key, hex(vector.nonce)), vector.payload);
+        t.is(await NostrUtils.nip44Decrypt(vector.payload, key), vector.plaintext);
+
+        // the other side derives the same key
+        const reverse = await NostrUtils.nip44ConversationKey(vector.sec2, NostrUtils.getPublicKey(vector.sec1));
+        t.is(NostrUtils.bytesToHex(reverse), vector.conversationKey);
+    }
+});
+
+test('NIP-44 decryption refuses tampered and unsupported payloads', async (t) => {
+    const [vector] = ENCRYPT_DECRYPT;
+    const key = hex(vector.conversationKey);
+    const data = NostrUtils._base64ToBytes(vector.payload);
+
+    const tamperedMac = data.slice();
+    tamperedMac[tamperedMac.length - 1] ^= 1;
+    await t.exception(NostrUtils.nip44Decrypt(NostrUtils._bytesToBase64(tamperedMac), key), /Invalid NIP-44 MAC/);
+
+    const tamperedCiphertext = data.slice();
+    tamperedCiphertext[40] ^= 1;
+    await t.exception(NostrUtils.nip44Decrypt(NostrUtils._bytesToBase64(tamperedCiphertext), key), /Invalid NIP-44 MAC/);
+
+    const otherVersion = data.slice();
+    otherVersion[0] = 1;
+    await t.exception(NostrUtils.nip44Decrypt(NostrUtils._bytesToBase64(otherVersion), key), /Unsupported NIP-44 version 1/);
+
+    await t.exception(NostrUtils.nip44Decrypt('#' + vector.payload.slice(1), key), /Unsupported NIP-44 payload/);
+    await t.exception(NostrUtils.nip44Decrypt(vector.payload.slice(0, 100), key), /Unsupported NIP-44 payload/);
+    await t.exception(NostrUtils.nip44Encrypt('', key), /1 to 65535 bytes/);
+});
+
+test('ChaCha20 matches the RFC 8439 test vectors', (t) => {
+    // A.1 #1: all-zero key and nonce, block counter 0
+    const keystream = NostrUtils._chacha20(new Uint8Array(32), new Uint8Array(12), new Uint8Array(64));
+    t.is(NostrUtils.bytesToHex(keystream),
+        '76b8e0ada0f13d90405d6ae55386bd28bdd219b8a08ded1aa836efcc8b770dc7' +
+        'da41597c5157488d7724e03fb8d84a376a43b8f41518a11cc387b669b2ee6586');
+
+    // 2.4.2 starts at block counter 1, so the first block of keystream is skipped
+    const key = Uint8Array.from({ length: 32 }, (_, i) => i);
+    const nonce = hex('000000000000004a00000000');
+    const plaintext = new TextEncoder().encode(
+        "Ladies and Gentlemen of the class of '99: If I could offer you only one tip for the future, sunscreen would be it."
+    );
+    const input = new Uint8Array(64 + plaintext.length);
+    input.set(plaintext, 64);
+    const output = NostrUtils._chacha20(key, nonce, input).slice(64);
+    t.is(NostrUtils.bytesToHex(output),
+        '6e2e359a2568f98041ba0728dd0d6981e97e7aec1d4360c20a27afccfd9fae0b' +
+        'f91b65c5524733ab8f593dabcd62b3571639d624e65152ab8f530c359f0861d8' +
+        '07ca0dbf500d6a6156a38e088a22b65e52bc514d16ccf806818ce91ab7793736' +
+        '5af90bbf74a35be6b40b8eedf2785e42874d');
+});
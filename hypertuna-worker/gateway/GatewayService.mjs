@@ -21,11 +21,18 @@ import PublicGatewayDiscoveryClient from './PublicGatewayDiscoveryClient.mjs';
 import PublicGatewayRelayClient from './PublicGatewayRelayClient.mjs';
 import PublicGatewayHyperbeeAdapter from '../../shared/public-gateway/PublicGatewayHyperbeeAdapter.mjs';
 import PublicGatewayVirtualRelayManager from './PublicGatewayVirtualRelayManager.mjs';
+import {
+  buildRelayInformationDocument,
+  sendRelayInformation,
+  wantsRelayInformation
+} from '../../shared/public-gateway/RelayInformation.mjs';
 import {
   registerVirtualRelay,
   unregisterVirtualRelay
 } from '../hypertuna-relay-manager-adapter.mjs';
 import { getRelayAuthStore } from '../relay-auth-store.mjs';
+import { NostrUtils } from '../nostr-utils.js';
+import { createAuthChallenge, validateAuthEvent } from '../../shared/auth/Nip42Auth.mjs';
 import { updatePublicGatewaySettings } from '../../shared/config/PublicGatewaySettings.mjs';
 
 const MAX_LOG_ENTRIES = 500;
@@ -185,6 +192,7 @@ export class GatewayService extends EventEmitter {
       onProtocol: this._onProtocolCreated.bind(this),
       onHandshake: this._onProtocolHandshake.bind(this),
       onTelemetry: this._onPeerTelemetry.bind(this),
+      onWebSocketFrame: this._onPeerWebSocketFrame.bind(this),
       handshakeBuilder: this.#buildHandshakePayload.bind(this)
     });
     this.peerHealthManager = new PeerHealthManager();
@@ -214,7 +222,7 @@ export class GatewayService extends EventEmitter {
       }
     };
     this.healthInterval = null;
-    this.eventCheckTimers = new Map();
+    this.delegationRetryTimers = new Map();
     this.activePeerPolls = new Map();
     this.pfpOwnerIndex = new Map(); // owner -> Set<peerPublicKey>
     this.pfpDriveKeys = new Map(); // peerPublicKey -> driveKey
@@ -1176,7 +1184,7 @@ export class GatewayService extends EventEmitter {
     this.#emitPublicGatewayStatus();
   }
 
-  async _fetchPfpFromPeers(owner, file) {
+  async _fetchPfpFromPeers(owner, file, requestHeaders = {}) {
     const ownerPeers = owner ? this._getPeersForOwner(owner) : [];
     const generalPeers = this._getPeersWithPfpDrives().filter((peerKey) => !ownerPeers.includes(peerKey));
     const candidates = [...ownerPeers, ...generalPeers];
@@ -1206,7 +1214,7 @@ export class GatewayService extends EventEmitter {
       if (!healthy) continue;
 
       try {
-        const stream = await requestPfpFromPeer(peer, owner || null, file, this.connectionPool);
+        const stream = await requestPfpFromPeer(peer, owner || null, file, this.connectionPool, requestHeaders);
         peer.lastSeen = Date.now();
         if ((stream.statusCode || 200) === 200) {
           this.log('info', `[PublicGateway] PFP proxy success owner=${owner || 'n/a'} file=${file} peer=${peerKey.slice(0, 8)}`);
@@ -1229,7 +1237,7 @@ export class GatewayService extends EventEmitter {
     return null;
   }
 
-  async _fetchPfpFromRelay(identifier, owner, file) {
+  async _fetchPfpFromRelay(identifier, owner, file, requestHeaders = {}) {
     const normalized = this._normalizeRelayIdentifier(identifier);
     if (!normalized) return null;
 
@@ -1262,10 +1270,12 @@ export class GatewayService extends EventEmitter {
 
       try {
         attempted = true;
-        const stream = await requestPfpFromPeer(peer, owner || null, file, this.connectionPool);
+        const stream = await requestPfpFromPeer(peer, owner || null, file, this.connectionPool, requestHeaders);
         peer.lastSeen = Date.now();
 
-        if ((stream.statusCode || 200) === 200) {
+        // 206, 304 and 416 answer the client's range or conditional headers
+        const status = stream.statusCode || 200;
+        if (status < 400 || status === 416) {
           return stream;
         }
 
@@ -1438,6 +1448,33 @@ export class GatewayService extends EventEmitter {
     });
   }
 
+  // hosting peers push EVENT frames for delegated subscriptions as soon as they are stored
+  _onPeerWebSocketFrame({ publicKey, frame, context }) {
+    if (frame?.type !== 'relay-frames' || !Array.isArray(frame.frames)) return;
+
+    const connData = this.wsConnections.get(frame.connectionKey);
+    if (!connData || connData.relayKey !== frame.relayKey) {
+      this.log('debug', '[PublicGateway] Dropping pushed frames for unknown connection', {
+        peer: publicKey?.slice(0, 12) || 'unknown',
+        connectionKey: frame.connectionKey || null
+      });
+      context?.connection?.protocol?.sendWebSocketFrame?.({
+        type: 'relay-connection-closed',
+        relayKey: frame.relayKey,
+        connectionKey: frame.connectionKey
+      });
+      return;
+    }
+
+    const { ws } = connData;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    for (const relayFrame of frame.frames) {
+      if (Array.isArray(relayFrame)) {
+        ws.send(JSON.stringify(relayFrame));
+      }
+    }
+  }
+
   log(level, message) {
     const entry = {
       id: `${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
@@ -1517,10 +1554,10 @@ export class GatewayService extends EventEmitter {
       this.healthInterval = null;
     }
 
-    for (const timer of this.eventCheckTimers.values()) {
+    for (const timer of this.delegationRetryTimers.values()) {
       clearTimeout(timer);
     }
-    this.eventCheckTimers.clear();
+    this.delegationRetryTimers.clear();
 
     for (const { ws } of this.wsConnections.values()) {
       try { ws.close(); } catch (_) {}
@@ -2043,15 +2080,15 @@ export class GatewayService extends EventEmitter {
       }
     });
 
-    this.app.get('/drive/:identifier/:file', async (req, res) => {
-      const { identifier, file } = req.params;
+    const serveDriveFile = async (req, res) => {
+      const { identifier, file, variant } = req.params;
       try {
         const peer = await this.findHealthyPeerForRelay(identifier);
         if (!peer) {
           return res.status(503).json({ error: 'No healthy peers available for this relay' });
         }
 
-        const stream = await requestFileFromPeer(peer, identifier, file, this.connectionPool);
+        const stream = await requestFileFromPeer(peer, identifier, file, this.connectionPool, req.headers, variant);
         Object.entries(stream.headers).forEach(([key, value]) => res.setHeader(key, value));
         res.status(stream.statusCode);
         stream.pipe(res);
@@ -2060,7 +2097,10 @@ export class GatewayService extends EventEmitter {
         this.log('error', `Drive file error: ${error.message}`);
         res.status(500).json({ error: 'Internal Server Error', message: error.message });
       }
-    });
+    };
+
+    this.app.get('/drive/:identifier/:file', serveDriveFile);
+    this.app.get('/drive/:identifier/:file/:variant', serveDriveFile);
 
     this.app.post('/post/join/:identifier', async (req, res) => {
       const identifier = req.params.identifier;
@@ -2122,7 +2162,7 @@ export class GatewayService extends EventEmitter {
 
       if (relayIdentifier) {
         try {
-          const targetedStream = await this._fetchPfpFromRelay(relayIdentifier, owner || null, file);
+          const targetedStream = await this._fetchPfpFromRelay(relayIdentifier, owner || null, file, req.headers);
           if (targetedStream === false) {
             res.status(404).json({ error: 'Avatar not found' });
             return;
@@ -2154,7 +2194,7 @@ export class GatewayService extends EventEmitter {
       }
 
       try {
-        const stream = await this._fetchPfpFromPeers(owner || null, file);
+        const stream = await this._fetchPfpFromPeers(owner || null, file, req.headers);
         if (!stream) {
           res.status(404).json({ error: 'Avatar not found' });
           return;
@@ -2176,6 +2216,19 @@ export class GatewayService extends EventEmitter {
     this.app.get('/pfp/:file', servePfp);
     this.app.get('/pfp/:owner/:file', servePfp);
 
+    this.app.get('*', (req, res, next) => {
+      if (!wantsRelayInformation(req)) return next();
+      const { matchedIdentifier } = this._matchRelayIdentifierFromPath(req.path);
+      if (!matchedIdentifier) return next();
+
+      const metadata = this.activeRelays.get(matchedIdentifier)?.metadata || {};
+      sendRelayInformation(res, buildRelayInformationDocument(metadata, {
+        software: 'hypertuna-worker',
+        version: this.options.softwareVersion || null,
+        authRequired: metadata.requiresAuth !== false
+      }));
+    });
+
     this.app.use(async (req, res, next) => {
       if (req.path === '/health' || req.path === '/register' || req.path.startsWith('/callback')) {
         return next();
@@ -2312,6 +2365,12 @@ export class GatewayService extends EventEmitter {
         if (relayObj.metadataEventId) {
           nextMetadata.metadataEventId = relayObj.metadataEventId;
         }
+        if (relayObj.adminPubkey !== undefined) {
+          nextMetadata.adminPubkey = relayObj.adminPubkey || null;
+        }
+        if (relayObj.relayPubkey !== undefined) {
+          nextMetadata.relayPubkey = relayObj.relayPubkey || null;
+        }
         if (!nextMetadata.identifier) {
           nextMetadata.identifier = normalizedIdentifier;
         }
@@ -2752,10 +2811,7 @@ export class GatewayService extends EventEmitter {
     return parsed.toString();
   }
 
-  handleGatewayWebSocketConnection(ws, req) {
-    const parsedUrl = url.parse(req.url, true);
-    const pathname = parsedUrl.pathname || '';
-
+  _matchRelayIdentifierFromPath(pathname = '') {
     const strippedPath = pathname.replace(/^\/+/, '');
     const normalizedIdentifier = this._normalizeRelayIdentifier(strippedPath);
 
@@ -2772,12 +2828,16 @@ export class GatewayService extends EventEmitter {
     if (fallbackIdentifier) candidateIdentifiers.add(fallbackIdentifier);
     if (strippedPath) candidateIdentifiers.add(strippedPath);
 
-    const matchedIdentifier = Array.from(candidateIdentifiers).find(id => this.activeRelays.has(id));
+    const matchedIdentifier = Array.from(candidateIdentifiers).find(id => this.activeRelays.has(id)) || null;
+    return { matchedIdentifier, strippedPath, candidateIdentifiers };
+  }
 
-    const authToken = parsedUrl.query?.token || null;
+  handleGatewayWebSocketConnection(ws, req) {
+    const parsedUrl = url.parse(req.url, true);
+    const { matchedIdentifier, strippedPath, candidateIdentifiers } = this._matchRelayIdentifierFromPath(parsedUrl.pathname || '');
 
     if (matchedIdentifier) {
-      this.handleWebSocket(ws, matchedIdentifier, authToken);
+      this.handleWebSocket(ws, matchedIdentifier, `ws://${req.headers.host}${parsedUrl.pathname || '/'}`);
       return;
     }
 
@@ -2786,12 +2846,16 @@ export class GatewayService extends EventEmitter {
     ws.close(1008, 'Invalid relay key');
   }
 
-  handleWebSocket(ws, identifier, authToken = null) {
+  handleWebSocket(ws, identifier, relayUrl = null) {
     const connectionKey = generateConnectionKey();
+    const authChallenge = createAuthChallenge();
     this.wsConnections.set(connectionKey, {
       ws,
       relayKey: identifier,
-      authToken,
+      relayUrl,
+      authChallenge,
+      authEvent: null,
+      authPubkey: null,
       connectionKey,
       shouldPollPeers: false,
       delegatedSubscriptions: new Set(),
@@ -2812,18 +2876,25 @@ export class GatewayService extends EventEmitter {
           return;
         }
 
+        let frame = null;
         let frameType = null;
         let frameSubscriptionId = null;
         if (typeof msg === 'string' || msg instanceof Buffer) {
           try {
             const parsed = JSON.parse(typeof msg === 'string' ? msg : msg.toString());
             if (Array.isArray(parsed)) {
+              frame = parsed;
               frameType = parsed[0];
               frameSubscriptionId = parsed[1];
             }
           } catch (_) {}
         }
 
+        if (frameType === 'AUTH') {
+          await this.#handleAuthFrame(connData, identifier, frame[1]);
+          return;
+        }
+
         const wasPolling = connData.shouldPollPeers;
         let shouldTriggerImmediatePoll = false;
 
@@ -2903,13 +2974,6 @@ export class GatewayService extends EventEmitter {
 
           for (const response of responses) {
             if (!response) continue;
-            if (response[0] === 'OK' && response[2] === false) {
-              const errorMsg = response[3] || '';
-              if (errorMsg.includes('Authentication') && ws.readyState === WebSocket.OPEN) {
-                ws.close(4403, 'Authentication failed');
-                return;
-              }
-            }
             if (ws.readyState === WebSocket.OPEN) {
               ws.send(JSON.stringify(response));
             }
@@ -2945,7 +3009,8 @@ export class GatewayService extends EventEmitter {
           (connData.pendingDelegations?.size > 0) ||
           (wantsDelegation && forwardSucceeded);
 
-        if (!wasPolling && connData.shouldPollPeers) {
+        // every delegated REQ needs one backlog fetch for stored matches and EOSE; later events are pushed
+        if (wantsDelegation || (!wasPolling && connData.shouldPollPeers)) {
           shouldTriggerImmediatePoll = true;
         }
 
@@ -2963,7 +3028,66 @@ export class GatewayService extends EventEmitter {
       this.cleanupConnection(connectionKey);
     });
 
-    this.startEventChecking(connectionKey);
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(['AUTH', authChallenge]));
+    }
+  }
+
+  async #handleAuthFrame(connData, identifier, authEvent) {
+    const { ws } = connData;
+    const eventId = typeof authEvent?.id === 'string' ? authEvent.id : '';
+    const reply = (ok, reason = '') => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(['OK', eventId, ok, reason]));
+      }
+    };
+
+    const validation = await validateAuthEvent(authEvent, {
+      challenge: connData.authChallenge,
+      relayUrl: connData.relayUrl,
+      verifySignature: (event) => NostrUtils.verifySignature(event)
+    });
+    if (!validation.ok) {
+      this.log('debug', '[PublicGateway] Rejected AUTH event', {
+        connectionKey: connData.connectionKey,
+        relayKey: identifier,
+        reason: validation.reason
+      });
+      reply(false, validation.reason);
+      return;
+    }
+
+    const healthyPeer = await this.findHealthyPeerForRelay(identifier);
+    if (!healthyPeer) {
+      reply(false, 'error: no healthy peers available for this relay');
+      return;
+    }
+
+    try {
+      const responses = await forwardMessageToPeerHyperswarm(
+        healthyPeer.publicKey,
+        identifier,
+        JSON.stringify(['AUTH', authEvent]),
+        connData.connectionKey,
+        this.connectionPool,
+        null,
+        authEvent,
+        connData.authChallenge
+      );
+      const okFrame = responses.find((response) => Array.isArray(response) && response[0] === 'OK' && response[1] === eventId);
+      if (okFrame?.[2] === true) {
+        connData.authEvent = authEvent;
+        connData.authPubkey = validation.pubkey;
+        this.log('info', '[PublicGateway] Client authenticated via NIP-42', {
+          connectionKey: connData.connectionKey,
+          relayKey: identifier,
+          pubkey: validation.pubkey.slice(0, 12)
+        });
+      }
+      reply(okFrame?.[2] === true, okFrame?.[3] || (okFrame ? '' : 'error: peer did not acknowledge AUTH'));
+    } catch (error) {
+      reply(false, `error: ${error.message}`);
+    }
   }
 
   async #maybeHandleReqLocally(connData, rawMessage) {
@@ -3245,10 +3369,10 @@ export class GatewayService extends EventEmitter {
 
     this.wsConnections.delete(connectionKey);
     this.messageQueues.delete(connectionKey);
-    const timer = this.eventCheckTimers.get(connectionKey);
+    const timer = this.delegationRetryTimers.get(connectionKey);
     if (timer) {
       clearTimeout(timer);
-      this.eventCheckTimers.delete(connectionKey);
+      this.delegationRetryTimers.delete(connectionKey);
     }
 
     data.pendingDelegations?.clear?.();
@@ -3267,7 +3391,9 @@ export class GatewayService extends EventEmitter {
       outboundMessage,
       connData.connectionKey,
       this.connectionPool,
-      connData.authToken
+      null,
+      connData.authEvent,
+      connData.authChallenge
     );
 
     if (subscriptionId) {
@@ -3320,6 +3446,7 @@ export class GatewayService extends EventEmitter {
       );
       if (!healthyPeer) {
         ws.send(JSON.stringify(['NOTICE', 'Gateway temporarily unavailable - no healthy peers']));
+        if (hasPending) this.#scheduleDelegationRetry(connectionKey);
         return;
       }
 
@@ -3362,7 +3489,8 @@ export class GatewayService extends EventEmitter {
 
       if (pendingDelegations?.size) {
         connectionData.shouldPollPeers = true;
-        this.log('debug', '[PublicGateway] Pending delegations remain unsent, deferring event polling', {
+        this.#scheduleDelegationRetry(connectionKey);
+        this.log('debug', '[PublicGateway] Pending delegations remain unsent, retrying shortly', {
           connectionKey,
           relayKey: identifier,
           pending: pendingDelegations.size,
@@ -3376,7 +3504,7 @@ export class GatewayService extends EventEmitter {
         return;
       }
 
-      this.log('debug', '[PublicGateway] Polling delegated subscriptions from peer', {
+      this.log('debug', '[PublicGateway] Fetching delegated subscription backlog from peer', {
         connectionKey,
         relayKey: identifier,
         delegatedSubscriptions: connectionData.delegatedSubscriptions?.size || 0,
@@ -3396,7 +3524,10 @@ export class GatewayService extends EventEmitter {
           identifier,
           connectionKey,
           this.connectionPool,
-          connectionData.authToken
+          null,
+          connectionData.authEvent,
+          null,
+          connectionData.authChallenge
         );
 
         for (const event of events) {
@@ -3421,47 +3552,22 @@ export class GatewayService extends EventEmitter {
     return pollPromise;
   }
 
-  async startEventChecking(connectionKey) {
-    const loop = async () => {
-      const connectionData = this.wsConnections.get(connectionKey);
-      if (!connectionData) {
-        this.eventCheckTimers.delete(connectionKey);
-        return;
-      }
-
-      const { ws, relayKey: identifier } = connectionData;
-      if (!ws || ws.readyState !== WebSocket.OPEN) {
-        this.cleanupConnection(connectionKey);
-        return;
-      }
-
-      const hasPending = (connectionData.pendingDelegations?.size || 0) > 0;
-      if (connectionData.shouldPollPeers || hasPending) {
-        await this.#pollDelegatedSubscriptions(connectionKey, {
-          reason: hasPending ? 'pending-resend' : 'scheduled',
-          allowRetry: true
-        });
-      } else {
-        this.log('debug', '[PublicGateway] Skipping peer poll for connection (local handling active)', {
-          connectionKey,
-          relayKey: identifier
-        });
-      }
-
-      const timer = setTimeout(() => {
-        loop().catch((error) => {
-          this.log('warn', `[PublicGateway] Event polling loop error: ${error.message}`);
-        });
-      }, hasPending ? 2000 : 10000);
-      this.eventCheckTimers.set(connectionKey, timer);
-    };
+  // retry delegated REQs that could not be sent yet; delivered events arrive via peer pushes
+  #scheduleDelegationRetry(connectionKey) {
+    if (this.delegationRetryTimers.has(connectionKey)) return;
 
     const timer = setTimeout(() => {
-      loop().catch((error) => {
-        this.log('warn', `[PublicGateway] Initial event polling loop error: ${error.message}`);
+      this.delegationRetryTimers.delete(connectionKey);
+      const connectionData = this.wsConnections.get(connectionKey);
+      if (!connectionData?.pendingDelegations?.size) return;
+      this.#pollDelegatedSubscriptions(connectionKey, {
+        reason: 'pending-resend',
+        allowRetry: true
+      }).catch((error) => {
+        this.log('warn', `[PublicGateway] Delegation retry failed: ${error.message}`);
       });
-    }, 500);
-    this.eventCheckTimers.set(connectionKey, timer);
+    }, 2000);
+    this.delegationRetryTimers.set(connectionKey, timer);
   }
 
   async findHealthyPeerForRelay(identifier, allowRetry = false) {
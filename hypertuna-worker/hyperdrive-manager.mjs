@@ -5,6 +5,8 @@ import Hyperdrive from 'hyperdrive'
 import Hyperswarm from 'hyperswarm'
 import b4a from 'b4a'
 import { setTimeout as scheduleTimeout, clearTimeout } from 'node:timers'
+import { createReadStream } from 'node:fs'
+import { pipeline } from 'node:stream/promises'
 import crypto from 'node:crypto'
 
 let store = null
@@ -15,6 +17,7 @@ let pfpDriveKeyHex = null
 let pfpStore = null
 let storageDir = null
 let replicationSwarm = null
+let swarmBootstrap = null // DHT bootstrap nodes; null uses the public network
 const topicCache = new Map() // key -> { discovery, refCount, lastUsed, readyPromise, timer }
 const pfpTopicCache = new Map()
 let replicationConnectionsOpen = 0
@@ -111,6 +114,11 @@ export function normalizeIdentifier(id) {
 export const relayPath = (identifier) => `/${normalizeIdentifier(identifier)}`
 export const relayFilePath = (identifier, fileHash) => `${relayPath(identifier)}/${fileHash}`
 
+// Derived versions of a relay file (e.g. a downscaled thumbnail) live next to it under
+// /<identifier>/<variant>/<fileHash> and are mirrored, served and collected with the original.
+export const FILE_VARIANTS = new Set(['thumb'])
+export const relayVariantPath = (identifier, fileHash, variant) => `${relayPath(identifier)}/${variant}/${fileHash}`
+
 export async function ensureRelayFolder(identifier) {
   const path = relayPath(identifier)
   try {
@@ -124,7 +132,7 @@ export async function ensureRelayFolder(identifier) {
 async function ensureReplicationSwarm () {
   if (replicationSwarm) return replicationSwarm
   if (!store) throw new Error('Corestore not initialized')
-  replicationSwarm = new Hyperswarm()
+  replicationSwarm = new Hyperswarm(swarmBootstrap ? { bootstrap: swarmBootstrap } : {})
   console.log('[Hyperdrive] replication swarm initialized')
   replicationSwarm.on('connection', (conn, info) => {
     replicationConnectionsOpen++
@@ -168,6 +176,7 @@ export async function joinRemoteDriveTopic (remoteDrive, ttlMs = 90000) {
  */
 export async function initializeHyperdrive(config) {
   storageDir = config.storage
+  swarmBootstrap = Array.isArray(config.swarmBootstrap) ? config.swarmBootstrap : null
   store = new Corestore(storageDir)
   drive = new Hyperdrive(store)
   await drive.ready()
@@ -349,54 +358,306 @@ async function reopenPfpDriveIfClosing () {
   }
 }
 
+// File content is either a buffer or a staged upload { filePath, hash, size } whose hash
+// was computed while its chunks were received; staged content is streamed into the drive.
+function contentHash (data) {
+  if (b4a.isBuffer(data)) return crypto.createHash('sha256').update(data).digest('hex')
+  return data?.hash || null
+}
+
+function contentLength (data) {
+  return b4a.isBuffer(data) ? data.length : (data?.size || 0)
+}
+
+async function putContent (targetDrive, path, data, metadata) {
+  if (b4a.isBuffer(data)) {
+    await targetDrive.put(path, data, { metadata })
+    return
+  }
+  await pipeline(createReadStream(data.filePath), targetDrive.createWriteStream(path, { metadata }))
+}
+
+// Content-addressed blob layer. Each distinct file body is written once under
+// /.blobs/<fileHash>; relay folders hold reference entries /<identifier>/<fileHash> that
+// point at the same blob, so readers (local and remote) still see ordinary files.
+export const BLOB_FOLDER = '.blobs'
+const blobPath = (fileHash) => `/${BLOB_FOLDER}/${fileHash}`
+const FILE_HASH_PATTERN = /^[a-f0-9]{64}$/
+// References stored this recently are kept by GC even before their filekey entry is indexed
+const GC_GRACE_MS = 10 * 60 * 1000
+const recentlyStored = new Map() // relay file path -> stored at
+let blobStoreLock = Promise.resolve()
+
+// Serialize writers that read and repoint blob references
+function withBlobStoreLock (fn) {
+  const run = blobStoreLock.then(fn, fn)
+  blobStoreLock = run.catch(() => {})
+  return run
+}
+
+const blobId = (blob) => `${blob.blockOffset}:${blob.blockLength}`
+
+function sameBlob (a, b) {
+  return !!a && !!b && a.blockOffset === b.blockOffset && a.blockLength === b.blockLength
+}
+
+// One pass over the drive: relay references, their variants, canonical blobs and how many
+// entries use each blob
+async function scanDrive (targetDrive) {
+  const refs = []
+  const variants = []
+  const blobs = new Map() // fileHash -> canonical entry
+  const usage = new Map() // blobId -> entry count
+  for await (const entry of targetDrive.list('/', { recursive: true })) {
+    const blob = entry.value?.blob
+    if (!blob) continue
+    usage.set(blobId(blob), (usage.get(blobId(blob)) || 0) + 1)
+    const parts = entry.key.split('/').filter(Boolean)
+    if (parts.length === 3 && FILE_VARIANTS.has(parts[1]) && FILE_HASH_PATTERN.test(parts[2])) {
+      variants.push({ entry, folder: parts[0], fileHash: parts[2] })
+    }
+    if (parts.length !== 2 || !FILE_HASH_PATTERN.test(parts[1])) continue
+    if (parts[0] === BLOB_FOLDER) blobs.set(parts[1], entry)
+    else refs.push({ entry, folder: parts[0], fileHash: parts[1] })
+  }
+  return { refs, variants, blobs, usage }
+}
+
+// Drop one use of a blob and clear its blocks once no entry points at it; returns bytes freed
+async function releaseBlob (targetDrive, usage, blob) {
+  const id = blobId(blob)
+  const remaining = (usage.get(id) || 1) - 1
+  if (remaining > 0) {
+    usage.set(id, remaining)
+    return 0
+  }
+  usage.delete(id)
+  const blobs = await targetDrive.getBlobs()
+  await blobs.clear(blob)
+  return blob.byteLength || 0
+}
+
+async function blobMatchesHash (targetDrive, blob, fileHash) {
+  const blobs = await targetDrive.getBlobs()
+  const hash = crypto.createHash('sha256')
+  for await (const chunk of blobs.createReadStream(blob)) hash.update(chunk)
+  return hash.digest('hex') === fileHash
+}
+
+// Point a relay reference at the canonical blob for its hash. A full copy (written before the
+// blob layer existed, or by a mirror run) becomes the canonical blob when none exists yet and
+// its content matches the hash; otherwise its own blob is released.
+async function linkReference (targetDrive, scan, { entry, fileHash }, stats) {
+  const blob = entry.value.blob
+  const canonical = scan.blobs.get(fileHash)
+  if (!canonical) {
+    if (!(await blobMatchesHash(targetDrive, blob, fileHash))) return
+    await targetDrive.putEntry(blobPath(fileHash), { executable: false, linkname: null, blob, metadata: null })
+    scan.blobs.set(fileHash, { key: blobPath(fileHash), value: { blob } })
+    scan.usage.set(blobId(blob), (scan.usage.get(blobId(blob)) || 0) + 1)
+    return
+  }
+  if (sameBlob(canonical.value.blob, blob)) return
+
+  await targetDrive.putEntry(entry.key, { ...entry.value, blob: canonical.value.blob })
+  const id = blobId(canonical.value.blob)
+  scan.usage.set(id, (scan.usage.get(id) || 0) + 1)
+  stats.refsLinked++
+  stats.bytesFreed += await releaseBlob(targetDrive, scan.usage, blob)
+}
+
 /**
- * Store a file and its metadata under the relay's directory.
+ * Store a file and its metadata under the relay's directory. The content is written to the
+ * blob store only if no relay stored it before; the relay entry references that blob.
  * @param {string} identifier - Relay publicIdentifier (npub:alias) or legacy relayKey.
  * @param {string} fileHash - Hash of the file's raw data.
- * @param {Uint8Array|Buffer} data - Raw file data.
+ * @param {Uint8Array|Buffer|{filePath: string, hash: string, size: number}} data - Raw file data or a staged upload.
  * @param {object} metadata - Additional metadata (e.g. mime type).
+ * @param {object} [options]
+ * @param {boolean} [options.local] - An upload made on this worker. It is marked with the local drive key
+ *   and never garbage collected: a worker that is not a relay writer cannot index it.
  */
-export async function storeFile(identifier, fileHash, data, metadata) {
-  const hash = crypto.createHash('sha256').update(data).digest('hex')
+export async function storeFile(identifier, fileHash, data, metadata, { local = false } = {}) {
+  const hash = contentHash(data)
   if (hash !== fileHash) {
     throw new Error('Hash mismatch')
   }
 
   const path = relayFilePath(identifier, fileHash)
-  let exists = false
-  try {
-    exists = await drive.exists(path)
-  } catch (err) {
-    if (isClosingCoreError(err)) {
-      console.warn('[Hyperdrive] storeFile detected closing core; reopening local drive...')
-      const ok = await reopenLocalDriveIfClosing()
-      if (ok) exists = await drive.exists(path)
-      else throw err
-    } else {
-      throw err
+  const t0 = Date.now()
+  const result = await withBlobStoreLock(() => withDriveReopen('storeFile', () => drive, reopenLocalDriveIfClosing, async (d) => {
+    if (await d.exists(path)) return 'exists'
+    let canonical = await d.entry(blobPath(fileHash))
+    const linked = !!canonical
+    if (!canonical) {
+      await putContent(d, blobPath(fileHash), data, null)
+      canonical = await d.entry(blobPath(fileHash))
     }
-  }
-  if (exists) {
+    const entryMetadata = local ? { ...(metadata || {}), storedBy: localDriveKeyHex } : metadata
+    await d.putEntry(path, { executable: false, linkname: null, blob: canonical.value.blob, metadata: entryMetadata })
+    return linked ? 'linked' : 'wrote'
+  }))
+  if (result === 'exists') {
     console.log(`[Hyperdrive] storeFile skip exists path=${path}`)
     return
   }
-  const t0 = Date.now()
-  try {
-    await drive.put(path, data, { metadata })
-  } catch (err) {
-    if (isClosingCoreError(err)) {
-      console.warn('[Hyperdrive] storeFile.put detected closing core; reopening local drive...')
-      const ok = await reopenLocalDriveIfClosing()
-      if (ok) {
-        await drive.put(path, data, { metadata })
-      } else {
-        throw err
+  recentlyStored.set(path, Date.now())
+  console.log(`[Hyperdrive] storeFile ${result} path=${path} bytes=${contentLength(data)} ms=${Date.now() - t0}`)
+}
+
+/**
+ * Store a derived version of a relay file, e.g. its thumbnail. Variants are small and
+ * specific to one file, so they are written directly rather than through the blob store.
+ * @param {string} identifier - Relay publicIdentifier (npub:alias) or legacy relayKey.
+ * @param {string} fileHash - Hash of the original file.
+ * @param {string} variant - One of FILE_VARIANTS.
+ * @param {Buffer} data - Variant content.
+ * @param {object} metadata - Variant metadata (e.g. mime type, dimensions).
+ */
+export async function storeFileVariant(identifier, fileHash, variant, data, metadata) {
+  if (!FILE_VARIANTS.has(variant)) throw new Error(`Unknown file variant ${variant}`)
+  const path = relayVariantPath(identifier, fileHash, variant)
+  await withDriveReopen('storeFileVariant', () => drive, reopenLocalDriveIfClosing, (d) => d.put(path, data, { metadata }))
+  console.log(`[Hyperdrive] storeFileVariant path=${path} bytes=${data.length}`)
+}
+
+/**
+ * Serve a relay file as its own variant, e.g. an image already small enough to be its own
+ * thumbnail. The variant entry references the original's blob, so nothing is copied.
+ * @param {string} identifier - Relay publicIdentifier (npub:alias) or legacy relayKey.
+ * @param {string} fileHash - Hash of the original file.
+ * @param {string} variant - One of FILE_VARIANTS.
+ */
+export async function linkFileVariant(identifier, fileHash, variant) {
+  if (!FILE_VARIANTS.has(variant)) throw new Error(`Unknown file variant ${variant}`)
+  const path = relayVariantPath(identifier, fileHash, variant)
+  await withBlobStoreLock(() => withDriveReopen('linkFileVariant', () => drive, reopenLocalDriveIfClosing, async (d) => {
+    const original = await d.entry(relayFilePath(identifier, fileHash))
+    if (!original?.value?.blob) throw new Error(`No file ${fileHash} to link ${variant} to`)
+    await d.putEntry(path, { ...original.value, executable: false, linkname: null })
+  }))
+  console.log(`[Hyperdrive] linkFileVariant path=${path}`)
+}
+
+/**
+ * Link the references in one relay folder to the blob store, e.g. after a mirror run copied
+ * files from another peer's drive.
+ * @param {string} identifier - Relay folder identifier (publicIdentifier or relayKey).
+ * @returns {Promise<{refsLinked: number, bytesFreed: number}>}
+ */
+export async function linkRelayFolder(identifier) {
+  const folder = normalizeIdentifier(identifier)
+  return withBlobStoreLock(() => withDriveReopen('linkRelayFolder', () => drive, reopenLocalDriveIfClosing, async (d) => {
+    const stats = { refsLinked: 0, bytesFreed: 0 }
+    const scan = await scanDrive(d)
+    for (const ref of scan.refs) {
+      if (ref.folder === folder) await linkReference(d, scan, ref, stats)
+    }
+    return stats
+  }))
+}
+
+/**
+ * Remove relay references nobody indexes any more, their variants and the blobs they leave
+ * unreferenced. Live references are linked to the blob store on the way, so full copies are deduplicated.
+ * Uploads made on this worker (see storeFile) are always kept.
+ * @param {Map<string, Set<string>|null>} liveFiles - Relay folder -> file hashes present in the
+ *   relay's filekey index. null keeps the whole folder (index unavailable or not maintained by
+ *   this worker); folders missing from the map belong to relays this worker no longer has and are removed.
+ * @returns {Promise<{refsRemoved: number, refsLinked: number, blobsRemoved: number, bytesFreed: number}>}
+ */
+export async function collectGarbage(liveFiles) {
+  return withBlobStoreLock(() => withDriveReopen('collectGarbage', () => drive, reopenLocalDriveIfClosing, async (d) => {
+    const stats = { refsRemoved: 0, refsLinked: 0, blobsRemoved: 0, bytesFreed: 0 }
+    const now = Date.now()
+    for (const [path, storedAt] of recentlyStored) {
+      if (now - storedAt >= GC_GRACE_MS) recentlyStored.delete(path)
+    }
+
+    const scan = await scanDrive(d)
+    const referenced = new Set()
+    const kept = new Set() // relay file paths
+    for (const ref of scan.refs) {
+      const hashes = liveFiles.get(ref.folder)
+      const live = hashes === null || hashes?.has(ref.fileHash) || recentlyStored.has(ref.entry.key) ||
+        (!!localDriveKeyHex && ref.entry.value.metadata?.storedBy === localDriveKeyHex)
+      if (live) {
+        referenced.add(ref.fileHash)
+        kept.add(ref.entry.key)
+        await linkReference(d, scan, ref, stats)
+        continue
       }
-    } else {
-      throw err
+      await d.del(ref.entry.key)
+      stats.refsRemoved++
+      stats.bytesFreed += await releaseBlob(d, scan.usage, ref.entry.value.blob)
+    }
+
+    for (const { entry, folder, fileHash } of scan.variants) {
+      if (kept.has(relayFilePath(folder, fileHash))) continue
+      await d.del(entry.key)
+      stats.refsRemoved++
+      stats.bytesFreed += await releaseBlob(d, scan.usage, entry.value.blob)
+    }
+
+    for (const [fileHash, entry] of scan.blobs) {
+      if (referenced.has(fileHash)) continue
+      await d.del(entry.key)
+      stats.blobsRemoved++
+      stats.bytesFreed += await releaseBlob(d, scan.usage, entry.value.blob)
     }
+    console.log(`[Hyperdrive] gc refsRemoved=${stats.refsRemoved} refsLinked=${stats.refsLinked} blobsRemoved=${stats.blobsRemoved} bytesFreed=${stats.bytesFreed}`)
+    return stats
+  }))
+}
+
+/**
+ * Storage used by each relay folder in the local drive.
+ * bytes counts every referenced file and variant; uniqueBytes only blobs no other relay references,
+ * i.e. what removing the relay would free.
+ * @returns {Promise<{relays: Array<{identifier: string, files: number, bytes: number, uniqueBytes: number}>, blobs: number, storedBytes: number}>}
+ */
+export async function getRelayStorageUsage() {
+  const scan = await withDriveReopen('getRelayStorageUsage', () => drive, reopenLocalDriveIfClosing, scanDrive)
+  const folders = new Map()
+  const owners = new Map() // blobId -> Set of folders
+  const stored = new Map() // blobId -> byteLength
+  const variants = new Set(scan.variants)
+  for (const item of [...scan.refs, ...scan.variants]) {
+    const { entry, folder } = item
+    const blob = entry.value.blob
+    const usage = folders.get(folder) || { identifier: folder, files: 0, bytes: 0, uniqueBytes: 0 }
+    if (!variants.has(item)) usage.files++
+    usage.bytes += blob.byteLength || 0
+    folders.set(folder, usage)
+    if (!owners.has(blobId(blob))) owners.set(blobId(blob), new Set())
+    owners.get(blobId(blob)).add(folder)
+    stored.set(blobId(blob), blob.byteLength || 0)
   }
-  console.log(`[Hyperdrive] storeFile wrote path=${path} bytes=${data?.length || 0} ms=${Date.now() - t0}`)
+  for (const entry of scan.blobs.values()) {
+    stored.set(blobId(entry.value.blob), entry.value.blob.byteLength || 0)
+  }
+  for (const [id, set] of owners) {
+    if (set.size === 1) folders.get([...set][0]).uniqueBytes += stored.get(id)
+  }
+
+  let storedBytes = 0
+  for (const bytes of stored.values()) storedBytes += bytes
+  return { relays: Array.from(folders.values()), blobs: scan.blobs.size, storedBytes }
+}
+
+/**
+ * Total size of the files referenced from one relay folder.
+ * @param {string} identifier - Relay folder identifier (publicIdentifier or relayKey).
+ * @returns {Promise<number>}
+ */
+export async function getRelayFolderBytes(identifier) {
+  return withDriveReopen('getRelayFolderBytes', () => drive, reopenLocalDriveIfClosing, async (d) => {
+    let bytes = 0
+    for await (const entry of d.list(relayPath(identifier), { recursive: false })) {
+      bytes += entry.value?.blob?.byteLength || 0
+    }
+    return bytes
+  })
 }
 
 async function ensurePfpDriveReady () {
@@ -410,7 +671,7 @@ export function getPfpDriveKey () {
 
 export async function storePfpFile(owner, fileHash, data, metadata) {
   await ensurePfpDriveReady()
-  const hash = crypto.createHash('sha256').update(data).digest('hex')
+  const hash = contentHash(data)
   if (hash !== fileHash) {
     throw new Error('Hash mismatch')
   }
@@ -438,14 +699,14 @@ export async function storePfpFile(owner, fileHash, data, metadata) {
 
   const t0 = Date.now()
   try {
-    await pfpDrive.put(path, data, { metadata })
+    await putContent(pfpDrive, path, data, metadata)
   } catch (err) {
     const isClosing = isClosingCoreError(err) || isStoreClosedError(err)
     if (isClosing) {
       console.warn('[Hyperdrive] storePfpFile.put detected closing core; reopening...')
       const ok = await reopenPfpDriveIfClosing()
       if (ok) {
-        await pfpDrive.put(path, data, { metadata })
+        await putContent(pfpDrive, path, data, metadata)
       } else {
         throw err
       }
@@ -454,7 +715,7 @@ export async function storePfpFile(owner, fileHash, data, metadata) {
     }
   }
 
-  console.log(`[Hyperdrive] storePfpFile wrote path=${path} bytes=${data?.length || 0} ms=${Date.now() - t0}`)
+  console.log(`[Hyperdrive] storePfpFile wrote path=${path} bytes=${contentLength(data)} ms=${Date.now() - t0}`)
 }
 
 export async function getPfpFile(owner, fileHash) {
@@ -546,6 +807,78 @@ export async function getFile(identifier, fileHash) {
   }
 }
 
+// Run fn against a drive, reopening it once if its core turned out to be closing
+async function withDriveReopen (label, getDrive, reopen, fn) {
+  try {
+    return await fn(getDrive())
+  } catch (err) {
+    if (!isClosingCoreError(err) && !isStoreClosedError(err)) throw err
+    console.warn(`[Hyperdrive] ${label} detected closing core; reopening...`)
+    if (!(await reopen())) throw err
+    return fn(getDrive())
+  }
+}
+
+async function readEntryInfo (targetDrive, path) {
+  const entry = await targetDrive.entry(path)
+  if (!entry) return null
+  return {
+    size: entry.value.blob?.byteLength || 0,
+    metadata: entry.value.metadata || null
+  }
+}
+
+async function readEntryRange (targetDrive, path, start, end) {
+  if (end < start) return b4a.alloc(0)
+  const chunks = []
+  for await (const chunk of targetDrive.createReadStream(path, { start, end })) {
+    chunks.push(chunk)
+  }
+  return b4a.concat(chunks)
+}
+
+const relayEntryPath = (identifier, fileHash, variant) =>
+  variant ? relayVariantPath(identifier, fileHash, variant) : relayFilePath(identifier, fileHash)
+
+/**
+ * Size and metadata of a relay file, without reading its content.
+ * @param {string} identifier
+ * @param {string} fileHash
+ * @param {string} [variant] - Read a derived version (see FILE_VARIANTS) instead of the original
+ * @returns {Promise<{size: number, metadata: Object|null}|null>}
+ */
+export async function getFileInfo(identifier, fileHash, variant = null) {
+  const path = relayEntryPath(identifier, fileHash, variant)
+  return withDriveReopen('getFileInfo', () => drive, reopenLocalDriveIfClosing, (d) => readEntryInfo(d, path))
+}
+
+/**
+ * Read bytes start..end (inclusive) of a relay file.
+ * @param {string} identifier
+ * @param {string} fileHash
+ * @param {number} start
+ * @param {number} end
+ * @param {string} [variant] - Read a derived version (see FILE_VARIANTS) instead of the original
+ * @returns {Promise<Buffer>}
+ */
+export async function readFileRange(identifier, fileHash, start, end, variant = null) {
+  const path = relayEntryPath(identifier, fileHash, variant)
+  return withDriveReopen('readFileRange', () => drive, reopenLocalDriveIfClosing, (d) => readEntryRange(d, path, start, end))
+}
+
+export async function getPfpFileInfo(owner, fileHash) {
+  await ensurePfpDriveReady()
+  const path = buildPfpFilePath(owner, fileHash)
+  return withDriveReopen('getPfpFileInfo', () => pfpDrive, reopenPfpDriveIfClosing, (d) => readEntryInfo(d, path))
+}
+
+export async function readPfpFileRange(owner, fileHash, start, end) {
+  await ensurePfpDriveReady()
+  const path = buildPfpFilePath(owner, fileHash)
+  return withDriveReopen('readPfpFileRange', () => pfpDrive, reopenPfpDriveIfClosing, (d) => readEntryRange(d, path, start, end))
+}
+
+
 /**
  * Lightweight existence check for a file path without reading the blob.
  * @param {string} identifier
@@ -728,6 +1061,31 @@ export function watchDrive (onChange) {
   return currentWatcher
 }
 
+/**
+ * Leave the replication swarm and close the drives and their corestore.
+ * @returns {Promise<void>}
+ */
+export async function closeHyperdrive () {
+  for (const cache of [topicCache, pfpTopicCache]) {
+    for (const entry of cache.values()) {
+      if (entry.timer) clearTimeout(entry.timer)
+    }
+    cache.clear()
+  }
+  if (replicationSwarm) await replicationSwarm.destroy()
+  if (pfpDrive) await pfpDrive.close()
+  if (drive) await drive.close()
+  if (store) await store.close()
+  replicationSwarm = null
+  pfpDrive = null
+  pfpDriveKeyHex = null
+  pfpStore = null
+  drive = null
+  localDriveKeyHex = null
+  store = null
+  recentlyStored.clear()
+}
+
 /**
  * Get replication health metrics for the local Hyperdrive.
  * @returns {Object}
@@ -4,8 +4,44 @@ import Autobee from './hypertuna-relay-helper.mjs';
 import b4a from 'b4a';
 import { nobleSecp256k1 } from './crypto-libraries.js';
 import { NostrUtils } from './nostr-utils.js';
-
-export { validateEvent, verifyEventSignature, getEventHash, serializeEvent };
+import { tokenizeContent, parseSearchQuery, eventMatchesSearch, buildSearchIndexKey } from '../shared/search/ContentSearch.mjs';
+import { isEphemeralKind, eventMatchesFilters } from '../shared/nostr/EventFilters.mjs';
+
+// created_at index range; every new entry in it is a newly stored event
+const CREATED_AT_INDEX_RANGE = {
+  gte: b4a.from('created_at:', 'utf8'),
+  lt: b4a.from('created_at;', 'utf8')
+};
+
+// NIP-29 moderation kinds only group admins may publish: put-user, remove-user, edit-metadata, delete-event,
+// create-group, delete-group
+const GROUP_MODERATION_KINDS = new Set([9000, 9001, 9002, 9005, 9007, 9008]);
+// group state snapshots; the relay signs its own, otherwise only admins may publish them
+const GROUP_STATE_KINDS = new Set([39000, 39001, 39002]);
+// moderation kinds after which the relay re-signs its group state snapshots
+const GROUP_STATE_TRIGGER_KINDS = new Set([9000, 9001, 9002]);
+const GROUP_PUT_USER_KIND = 9000;
+const GROUP_REMOVE_USER_KIND = 9001;
+const GROUP_EDIT_METADATA_KIND = 9002;
+const GROUP_DELETE_EVENT_KIND = 9005;
+const GROUP_CREATE_KIND = 9007;
+const GROUP_JOIN_REQUEST_KIND = 9021;
+const GROUP_METADATA_KIND = 39000;
+const GROUP_ADMIN_LIST_KIND = 39001;
+const GROUP_MEMBER_LIST_KIND = 39002;
+// 9002 tags that overwrite the metadata tag of the same name, and flags that replace their opposite
+const GROUP_METADATA_VALUE_TAGS = new Set(['name', 'about', 'picture']);
+const GROUP_METADATA_FLAG_PAIRS = [['public', 'private'], ['open', 'closed'], ['file-sharing-on', 'file-sharing-off']];
+// autobase writer management: an admin asks for its worker's writer key to be added (9030),
+// then an admin on a writable worker adds (9031) or removes (9032) that key
+const GROUP_WRITER_REQUEST_KIND = 9030;
+const GROUP_WRITER_ADD_KIND = 9031;
+const GROUP_WRITER_REMOVE_KIND = 9032;
+const GROUP_WRITER_KINDS = new Set([GROUP_WRITER_REQUEST_KIND, GROUP_WRITER_ADD_KIND, GROUP_WRITER_REMOVE_KIND]);
+// subscriptions of a connection no gateway holds are dropped once they go this long without a REQ or backlog fetch
+const SUBSCRIPTION_IDLE_TTL_MS = 30 * 60 * 1000;
+
+export { validateEvent, verifyEventSignature, getEventHash, serializeEvent, GROUP_WRITER_ADD_KIND, GROUP_WRITER_REMOVE_KIND };
 
 function logWithTimestamp(message, data = null) {
   const timestamp = new Date().toISOString();
@@ -134,6 +170,21 @@ export default class NostrRelay extends Autobee {
       this.verifyEvent = handlers.verifyEvent || this.defaultVerifyEvent.bind(this);
       this.executeIdQueries = this.executeIdQueries.bind(this);
       this.findCommonIds = this.findCommonIds.bind(this);
+      // connectionKey -> { connection, last_seen, subscriptions: { [subscriptionId]: { filters, last_returned_event_timestamp, live } } }
+      // a subscription is live once its backlog and EOSE went out; from then on new events are pushed
+      // REQ state belongs to this peer's client connections, so it stays out of the replicated log
+      this.connectionSubscriptions = new Map();
+      // optional local Hyperbee (never replicated) that lets subscription state survive a restart
+      this.subscriptionStore = handlers.subscriptionStore || null;
+      // connections a gateway currently holds open for pushes; sweepStaleSubscriptions() leaves them alone
+      this.heldConnections = new Set();
+      // NIP-29 write policy, see setGroupPolicy(); until one is loaded only admin-only kinds are refused
+      this.groupPolicy = null;
+      // { pubkey, privateKey } the relay signs group state events with, see setRelayIdentity()
+      this.relayIdentity = null;
+      this.liveViewVersion = null;
+      this.liveUpdateRunning = false;
+      this.liveUpdateQueued = false;
       logWithTimestamp('NostrRelay: Initialized');
     }
   
@@ -157,6 +208,24 @@ export default class NostrRelay extends Autobee {
             // The verification should happen before the event reaches this point
             // We'll just do basic validation
             if (validateEvent(event)) {
+                // Ephemeral kinds are only ever broadcast, never stored
+                if (isEphemeralKind(event.kind)) {
+                    logWithTimestamp(`NostrRelay.apply: Event ${event.id} has an ephemeral kind, not storing`);
+                    continue;
+                }
+
+                // Refuse events that were previously deleted (NIP-09 tombstone)
+                if (await NostrRelay.isTombstoned(b, event)) {
+                    logWithTimestamp(`NostrRelay.apply: Event ${event.id} was deleted, not storing`);
+                    continue;
+                }
+
+                // Replaceable kinds keep only the newest version per (pubkey, kind[, d-tag])
+                if (!(await NostrRelay.replaceExistingVersion(b, event))) {
+                    logWithTimestamp(`NostrRelay.apply: Event ${event.id} is superseded by a newer version, not storing`);
+                    continue;
+                }
+
                 // Store the full event under its ID
                 const eventKey = b4a.from(event.id, 'hex');
                 logWithTimestamp(`NostrRelay.apply: Storing event with ID: ${event.id}`);
@@ -203,10 +272,59 @@ export default class NostrRelay extends Autobee {
                         b4a.from(JSON.stringify(fileKeyValue), 'utf8')
                     )
                 }
+
+                // NIP-50: inverted index over content tokens
+                for (const searchKey of NostrRelay.constructIndexKeysSearch(event)) {
+                    await b.put(b4a.from(searchKey, 'utf8'), event.id);
+                }
+
+                // NIP-40: index the expiration so the sweeper can find expired events without a full scan.
+                // Expiry itself is not checked here, apply() must stay independent of the wall clock.
+                const expirationKey = NostrRelay.constructIndexKeyExpiration(event);
+                if (expirationKey) {
+                    logWithTimestamp(`NostrRelay.apply: Storing expiration index for event ${event.id} under key: ${expirationKey}`);
+                    await b.put(b4a.from(expirationKey, 'utf8'), event.id);
+                }
+
+                // NIP-09: kind 5 events delete the referenced events of the same author
+                if (event.kind === 5) {
+                    await NostrRelay.applyDeletionEvent(b, event);
+                }
+
+                // NIP-29: kind 9005 removes the referenced events whatever their author, if an admin signed it
+                if (event.kind === GROUP_DELETE_EVENT_KIND) {
+                    await NostrRelay.applyGroupDeleteEvent(b, event);
+                }
             } else {
                 logWithTimestamp(`NostrRelay.apply: Invalid event, not storing. ID: ${event.id}`);
             }
+        } else if (op.type === 'delete') {
+            // Operator-initiated removal (deleteEvent); no author check applies
+            logWithTimestamp(`NostrRelay.apply: Processing delete op for event ${op.id}`);
+            const target = await NostrRelay.getEventFromBatch(b, op.id);
+            if (target) {
+                await NostrRelay.removeEventEntries(b, target);
+            }
+            await NostrRelay.putTombstone(b, op.id, { pubkey: null, deletionId: null, deletedAt: op.deleted_at ?? null });
+        } else if (op.type === 'reindex-search') {
+            logWithTimestamp('NostrRelay.apply: Rebuilding content search index');
+            await NostrRelay.rebuildSearchIndex(b, { indexedAt: op.indexed_at ?? null });
+        } else if (op.type === 'group-creator') {
+            // the first group and creator in the log are kept, see ensureGroupCreator()
+            const creatorKey = b4a.from(NostrRelay.constructGroupCreatorKey(), 'utf8');
+            if (/^[0-9a-f]{64}$/.test(op.pubkey || '') && op.groupId && !(await b.get(creatorKey))) {
+                logWithTimestamp(`NostrRelay.apply: Recording ${op.pubkey} as creator of ${op.groupId}`);
+                await b.put(creatorKey, JSON.stringify({ pubkey: op.pubkey, group_id: op.groupId }));
+            }
+        } else if (op.type === 'relay-identity') {
+            // the first identity in the log becomes the group's; claims from writers that join later are ignored
+            const identityKey = b4a.from(NostrRelay.constructRelayIdentityKey(), 'utf8');
+            if (/^[0-9a-f]{64}$/.test(op.pubkey || '') && !(await b.get(identityKey))) {
+                logWithTimestamp(`NostrRelay.apply: Recording relay identity ${op.pubkey}`);
+                await b.put(identityKey, JSON.stringify({ pubkey: op.pubkey }));
+            }
         } else if (op.type === 'subscriptions') {
+            // legacy entries: subscription state is no longer appended, but older logs still contain it
             const subscriptionData = JSON.parse(op.subscriptions);
             // logWithTimestamp('NostrRelay.apply: Processing subscription data:', subscriptionData);
             const key = b4a.from(subscriptionData.connection, 'hex');
@@ -219,6 +337,460 @@ export default class NostrRelay extends Autobee {
     await b.flush();
 }
 
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  // HELPERS USED BY apply() TO <DELETE> EVENTS AND MAINTAIN TOMBSTONES (NIP-09): /////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  // tombstones are kept under their own prefix so a deleted id can be refused if it is republished.
+  // pubkey is the author the deletion applies to; null means the id is blocked regardless of author.
+  static constructTombstoneKey(id) {
+    return `deleted:id:${id}`;
+  }
+
+  // NIP-09 `a` tag deletions cover every version of a replaceable event up to the deletion's created_at
+  static constructAddressTombstoneKey(kind, pubkey, dTag) {
+    return `deleted:addr:${NostrRelay.padNumber(kind, 5)}:${pubkey}:${dTag}`;
+  }
+
+  // parses a `kind:pubkey:d-tag` address, or returns null when it does not name a replaceable event
+  static parseEventAddress(value) {
+    if (typeof value !== 'string') return null;
+    const [kindValue, pubkey, ...rest] = value.split(':');
+    const kind = Number.parseInt(kindValue, 10);
+    if (!/^[a-f0-9]{64}$/.test(pubkey || '')) return null;
+    if (!NostrRelay.isReplaceableKind(kind) && !NostrRelay.isParameterizedReplaceableKind(kind)) return null;
+    return { kind, pubkey, dTag: NostrRelay.isParameterizedReplaceableKind(kind) ? rest.join(':') : '' };
+  }
+
+  static async getEventFromBatch(b, id) {
+    if (typeof id !== 'string' || !/^[a-f0-9]{64}$/.test(id)) return null;
+    const node = await b.get(b4a.from(id, 'hex'));
+    if (!node || !node.value) return null;
+    try {
+      return typeof node.value === 'string' ? JSON.parse(node.value) : JSON.parse(b4a.toString(node.value, 'utf8'));
+    } catch (error) {
+      logWithTimestamp(`getEventFromBatch: Error parsing event ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  static async getTombstone(view, id) {
+    const node = await view.get(b4a.from(NostrRelay.constructTombstoneKey(id), 'utf8'));
+    if (!node || !node.value) return null;
+    try {
+      return typeof node.value === 'string' ? JSON.parse(node.value) : JSON.parse(b4a.toString(node.value, 'utf8'));
+    } catch (error) {
+      return { id, pubkey: null };
+    }
+  }
+
+  static async isTombstoned(view, event) {
+    const tombstone = await NostrRelay.getTombstone(view, event.id);
+    if (tombstone && (!tombstone.pubkey || tombstone.pubkey === event.pubkey)) return true;
+
+    if (!NostrRelay.isReplaceableKind(event.kind) && !NostrRelay.isParameterizedReplaceableKind(event.kind)) return false;
+    const dTag = NostrRelay.isParameterizedReplaceableKind(event.kind) ? NostrRelay.getDTagValue(event) : '';
+    const addressTombstone = await NostrRelay.getAddressTombstone(view, event.kind, event.pubkey, dTag);
+    return !!addressTombstone && event.created_at <= addressTombstone.deleted_until;
+  }
+
+  static async getAddressTombstone(view, kind, pubkey, dTag) {
+    const node = await view.get(b4a.from(NostrRelay.constructAddressTombstoneKey(kind, pubkey, dTag), 'utf8'));
+    if (!node || !node.value) return null;
+    try {
+      return typeof node.value === 'string' ? JSON.parse(node.value) : JSON.parse(b4a.toString(node.value, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // deletedAt must come from the log (the deletion event or the op), never the clock: apply() has to
+  // produce the same view on every peer
+  static async putTombstone(b, id, { pubkey = null, deletionId = null, deletedAt = null } = {}) {
+    const tombstone = {
+      id,
+      pubkey,
+      deletion_id: deletionId,
+      deleted_at: deletedAt
+    };
+    logWithTimestamp(`NostrRelay.putTombstone: Recording tombstone for event ${id}`);
+    await b.put(b4a.from(NostrRelay.constructTombstoneKey(id), 'utf8'), JSON.stringify(tombstone));
+  }
+
+  // removes the stored event record and every index entry written for it by apply()
+  static async removeEventEntries(b, event) {
+    logWithTimestamp(`NostrRelay.removeEventEntries: Removing event ${event.id} and its index entries`);
+    await b.del(b4a.from(event.id, 'hex'));
+    await b.del(b4a.from(NostrRelay.constructIndexKeyKind(event), 'utf8'));
+    await b.del(b4a.from(NostrRelay.constructIndexKeyPubkey(event), 'utf8'));
+    await b.del(b4a.from(NostrRelay.constructIndexKeyCreatedAt(event), 'utf8'));
+
+    let fileKeyHash = null;
+    let driveKey = null;
+
+    for (const tag of event.tags) {
+      if (tag.length >= 2 && /^[a-zA-Z]$/.test(tag[0])) {
+        await b.del(b4a.from(NostrRelay.constructIndexKeyTagKey(event, tag[0], tag[1]), 'utf8'));
+      }
+      if (tag[0] === 'filekey' && tag[1]) fileKeyHash = tag[1];
+      if (tag[0] === 'drivekey' && tag[1]) driveKey = tag[1];
+    }
+
+    if (fileKeyHash && driveKey) {
+      await b.del(b4a.from(NostrRelay.constructIndexKeyFilekey(event, fileKeyHash, driveKey), 'utf8'));
+    }
+
+    const replaceableKey = NostrRelay.constructIndexKeyReplaceable(event);
+    if (replaceableKey) {
+      const pointer = await b.get(b4a.from(replaceableKey, 'utf8'));
+      if (pointer && NostrRelay.pointerValueToId(pointer.value) === event.id) {
+        await b.del(b4a.from(replaceableKey, 'utf8'));
+      }
+    }
+
+    const expirationKey = NostrRelay.constructIndexKeyExpiration(event);
+    if (expirationKey) {
+      await b.del(b4a.from(expirationKey, 'utf8'));
+    }
+
+    for (const searchKey of NostrRelay.constructIndexKeysSearch(event)) {
+      await b.del(b4a.from(searchKey, 'utf8'));
+    }
+  }
+
+  // NIP-09: each `e` tag of a kind 5 event is removed if it was authored by the deletion's pubkey.
+  // Targets that have not arrived yet are tombstoned so they are refused when they do.
+  static async applyDeletionEvent(b, deletion) {
+    for (const tag of deletion.tags) {
+      if (tag[0] !== 'e' || !tag[1]) continue;
+      const targetId = tag[1];
+      const target = await NostrRelay.getEventFromBatch(b, targetId);
+
+      if (target) {
+        if (target.pubkey !== deletion.pubkey) {
+          logWithTimestamp(`NostrRelay.applyDeletionEvent: Ignoring deletion of ${targetId}, author mismatch`);
+          continue;
+        }
+        if (target.kind === 5) {
+          logWithTimestamp(`NostrRelay.applyDeletionEvent: Ignoring deletion of deletion event ${targetId}`);
+          continue;
+        }
+        await NostrRelay.removeEventEntries(b, target);
+      }
+
+      // a target that is already tombstoned keeps its tombstone: an author-less one (9005 or operator delete)
+      // must not be narrowed to one author, and an author's own deletion must not be handed to another pubkey
+      if (await NostrRelay.getTombstone(b, targetId)) continue;
+      await NostrRelay.putTombstone(b, targetId, { pubkey: deletion.pubkey, deletionId: deletion.id, deletedAt: deletion.created_at });
+    }
+
+    for (const tag of deletion.tags) {
+      if (tag[0] !== 'a' || !tag[1]) continue;
+      const address = NostrRelay.parseEventAddress(tag[1]);
+      if (!address || address.pubkey !== deletion.pubkey) {
+        logWithTimestamp(`NostrRelay.applyDeletionEvent: Ignoring deletion of address ${tag[1]}`);
+        continue;
+      }
+      await NostrRelay.applyAddressDeletion(b, address, deletion);
+    }
+  }
+
+  // removes the stored version if it is not newer than the deletion, and records how far the deletion
+  // reaches so older versions arriving later are refused
+  static async applyAddressDeletion(b, { kind, pubkey, dTag }, deletion) {
+    const probe = { kind, pubkey, tags: dTag ? [['d', dTag]] : [] };
+    const current = await NostrRelay.getCurrentVersion(b, probe);
+    if (current && current.created_at <= deletion.created_at) {
+      await NostrRelay.removeEventEntries(b, current);
+    }
+
+    const existing = await NostrRelay.getAddressTombstone(b, kind, pubkey, dTag);
+    if (existing && existing.deleted_until >= deletion.created_at) return;
+    const tombstone = { kind, pubkey, d: dTag, deletion_id: deletion.id, deleted_until: deletion.created_at };
+    logWithTimestamp(`NostrRelay.applyAddressDeletion: Recording tombstone for ${kind}:${pubkey}:${dTag}`);
+    await b.put(b4a.from(NostrRelay.constructAddressTombstoneKey(kind, pubkey, dTag), 'utf8'), JSON.stringify(tombstone));
+  }
+
+  // Moderation and group state events are kept so the roster and metadata can always be rebuilt.
+  // Removed targets get an author-less tombstone, which refuses a repost by anyone.
+  // The signer is checked against the roles in the view: a writer whose policy let the event through
+  // must not be able to delete on behalf of a non-admin.
+  static async applyGroupDeleteEvent(b, deletion) {
+    if (!(await NostrRelay.isGroupAdminInView(b, deletion.pubkey, NostrRelay.getTagValue(deletion, 'h')))) {
+      logWithTimestamp(`NostrRelay.applyGroupDeleteEvent: Ignoring ${deletion.id}, signer is not a group admin`);
+      return;
+    }
+
+    for (const tag of deletion.tags) {
+      if (tag[0] !== 'e' || !tag[1]) continue;
+      const targetId = tag[1];
+      const target = await NostrRelay.getEventFromBatch(b, targetId);
+
+      if (target) {
+        if (GROUP_MODERATION_KINDS.has(target.kind) || GROUP_STATE_KINDS.has(target.kind) || GROUP_WRITER_KINDS.has(target.kind)) {
+          logWithTimestamp(`NostrRelay.applyGroupDeleteEvent: Ignoring deletion of moderation event ${targetId}`);
+          continue;
+        }
+        await NostrRelay.removeEventEntries(b, target);
+      }
+
+      await NostrRelay.putTombstone(b, targetId, { pubkey: null, deletionId: deletion.id, deletedAt: deletion.created_at });
+    }
+  }
+
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  // HELPERS USED BY apply() FOR NIP-29 GROUP <ROLES>: ////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  // { pubkey, group_id } of the first `group-creator` op in the log
+  static constructGroupCreatorKey() {
+    return 'group:creator';
+  }
+
+  static async getGroupCreator(view) {
+    const node = await view.get(b4a.from(NostrRelay.constructGroupCreatorKey(), 'utf8'));
+    if (!node || !node.value) return null;
+    try {
+      return typeof node.value === 'string' ? JSON.parse(node.value) : JSON.parse(b4a.toString(node.value, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // pubkey -> roles: the recorded creator, the newest admin list (39001) the creator signed, then 9000/9001
+  // changes made by admins in created_at order. apply() and the write checks both read it from the view,
+  // so a deletion the relay accepted is applied the same way on every peer
+  static async getGroupRosterFromView(view, creator) {
+    const roster = new Map(creator ? [[creator.pubkey, ['admin']]] : []);
+    if (!creator) return roster;
+
+    const adminList = await NostrRelay.getCurrentVersion(view, {
+      kind: GROUP_ADMIN_LIST_KIND,
+      pubkey: creator.pubkey,
+      tags: [['d', creator.group_id]]
+    });
+    for (const tag of adminList?.tags || []) {
+      if (tag[0] === 'p' && tag[1] && tag[1] !== creator.pubkey) roster.set(tag[1], ['admin']);
+    }
+
+    const roleChanges = [];
+    for (const kind of [GROUP_PUT_USER_KIND, GROUP_REMOVE_USER_KIND]) {
+      const prefix = `kind:${NostrRelay.padNumber(kind, 5)}:`;
+      for await (const entry of view.createReadStream({ gte: b4a.from(prefix, 'utf8'), lt: b4a.from(`${prefix}~`, 'utf8') })) {
+        const change = await NostrRelay.getEventFromBatch(view, NostrRelay.pointerValueToId(entry.value));
+        if (change?.tags.some((tag) => tag[0] === 'h' && tag[1] === creator.group_id)) roleChanges.push(change);
+      }
+    }
+    roleChanges.sort((a, b) => a.created_at - b.created_at || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+    const isAdmin = (pubkey) => roster.get(pubkey)?.includes('admin');
+    for (const change of roleChanges) {
+      if (!isAdmin(change.pubkey)) continue;
+      for (const tag of change.tags) {
+        if (tag[0] !== 'p' || !tag[1] || tag[1] === creator.pubkey) continue;
+        if (change.kind === GROUP_PUT_USER_KIND) {
+          // put-user tags are ['p', pubkey, role, ...]; anything after the role (auth tokens) is not a role
+          roster.set(tag[1], [tag[2] || 'member']);
+        } else {
+          roster.delete(tag[1]);
+        }
+      }
+    }
+    return roster;
+  }
+
+  static async isGroupAdminInView(view, pubkey, groupId) {
+    const creator = await NostrRelay.getGroupCreator(view);
+    if (!creator || !pubkey || groupId !== creator.group_id) return false;
+    return !!(await NostrRelay.getGroupRosterFromView(view, creator)).get(pubkey)?.includes('admin');
+  }
+
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  // HELPERS USED BY apply() FOR <REPLACEABLE> AND <PARAMETERIZED REPLACEABLE> EVENTS: ////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  // kinds 0, 3 and 10000-19999 are replaceable per (pubkey, kind)
+  static isReplaceableKind(kind) {
+    return kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000);
+  }
+
+  // kinds 30000-39999 are replaceable per (pubkey, kind, d-tag)
+  static isParameterizedReplaceableKind(kind) {
+    return kind >= 30000 && kind < 40000;
+  }
+
+  static getDTagValue(event) {
+    const dTag = Array.isArray(event.tags) ? event.tags.find(tag => tag[0] === 'd') : null;
+    return dTag && typeof dTag[1] === 'string' ? dTag[1] : '';
+  }
+
+  // pointer to the id of the current version; returns null for kinds that are not replaceable
+  static constructIndexKeyReplaceable(event) {
+    if (NostrRelay.isReplaceableKind(event.kind)) {
+      return `replaceable:kind:${NostrRelay.padNumber(event.kind, 5)}:pubkey:${event.pubkey}`;
+    }
+    if (NostrRelay.isParameterizedReplaceableKind(event.kind)) {
+      return `replaceable:kind:${NostrRelay.padNumber(event.kind, 5)}:pubkey:${event.pubkey}:d:${NostrRelay.getDTagValue(event)}`;
+    }
+    return null;
+  }
+
+  static pointerValueToId(value) {
+    if (!value) return null;
+    return typeof value === 'string' ? value : b4a.toString(value, 'utf8');
+  }
+
+  // NIP-01: the newer created_at wins, ties are broken by the lowest id
+  static isNewerVersion(candidate, current) {
+    if (candidate.created_at !== current.created_at) {
+      return candidate.created_at > current.created_at;
+    }
+    return candidate.id < current.id;
+  }
+
+  // finds the stored version of a replaceable event, if any
+  static async getCurrentVersion(view, event) {
+    const replaceableKey = NostrRelay.constructIndexKeyReplaceable(event);
+    if (!replaceableKey) return null;
+    const pointer = await view.get(b4a.from(replaceableKey, 'utf8'));
+    const currentId = pointer ? NostrRelay.pointerValueToId(pointer.value) : null;
+    if (!currentId) return null;
+    return NostrRelay.getEventFromBatch(view, currentId);
+  }
+
+  // returns false if a newer version is already stored; otherwise removes the superseded
+  // version with its index entries and points the replaceable key at the incoming event
+  static async replaceExistingVersion(b, event) {
+    const replaceableKey = NostrRelay.constructIndexKeyReplaceable(event);
+    if (!replaceableKey) return true;
+
+    const current = await NostrRelay.getCurrentVersion(b, event);
+    if (current && current.id !== event.id) {
+      if (!NostrRelay.isNewerVersion(event, current)) {
+        return false;
+      }
+      logWithTimestamp(`NostrRelay.replaceExistingVersion: Event ${event.id} replaces ${current.id}`);
+      await NostrRelay.removeEventEntries(b, current);
+    }
+
+    await b.put(b4a.from(replaceableKey, 'utf8'), event.id);
+    return true;
+  }
+
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  // HELPERS FOR <EXPIRING> EVENTS (NIP-40): //////////////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  static getExpiration(event) {
+    if (!Array.isArray(event?.tags)) return null;
+    const tag = event.tags.find((entry) => Array.isArray(entry) && entry[0] === 'expiration');
+    if (!tag || tag[1] === undefined) return null;
+    const expiration = Number.parseInt(tag[1], 10);
+    return Number.isFinite(expiration) && expiration >= 0 ? expiration : null;
+  }
+
+  static isExpired(event, now = Math.floor(Date.now() / 1000)) {
+    const expiration = NostrRelay.getExpiration(event);
+    return expiration !== null && expiration <= now;
+  }
+
+  static constructIndexKeyExpiration(event) {
+    const expiration = NostrRelay.getExpiration(event);
+    if (expiration === null) return null;
+    return `expiration:${NostrRelay.padTimestamp(expiration)}:id:${event.id}`;
+  }
+
+  // ids of every stored event whose expiration is at or before `now`
+  async collectExpiredIds(now = Math.floor(Date.now() / 1000)) {
+    const ids = new Set();
+    const range = {
+      gte: b4a.from('expiration:', 'utf8'),
+      lt: b4a.from(`expiration:${NostrRelay.padTimestamp(now + 1)}`, 'utf8')
+    };
+    for await (const entry of this.view.createReadStream(range)) {
+      if (!entry || !entry.value) continue;
+      ids.add(NostrRelay.pointerValueToId(entry.value));
+    }
+    return ids;
+  }
+
+  // appends `delete` ops for expired events; apply() removes them with their index entries.
+  // Readers already hide expired events, so this only reclaims space and needs a writable relay.
+  async sweepExpiredEvents(now = Math.floor(Date.now() / 1000)) {
+    if (!this.writable) return 0;
+
+    const expiredIds = await this.collectExpiredIds(now);
+    if (expiredIds.size === 0) return 0;
+
+    logWithTimestamp(`sweepExpiredEvents: Removing ${expiredIds.size} expired events`);
+    await this.append(Array.from(expiredIds, (id) => ({ type: 'delete', id, deleted_at: now })));
+    return expiredIds.size;
+  }
+
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  // HELPERS FOR THE CONTENT <SEARCH> INDEX (NIP-50): /////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  // written once the search index covers every stored event, so the backfill only runs one time per relay
+  static constructSearchIndexMarkerKey() {
+    return 'search-index:version:1';
+  }
+
+  // indexes events stored before apply() maintained the search index.
+  // indexedAt comes from the op so every peer writes the same marker
+  static async rebuildSearchIndex(b, { indexedAt = null } = {}) {
+    const ids = [];
+    const range = {
+      gte: b4a.from('created_at:', 'utf8'),
+      lt: b4a.from('created_at;', 'utf8')
+    };
+    for await (const entry of b.createReadStream(range)) {
+      if (!entry || !entry.value) continue;
+      ids.push(NostrRelay.pointerValueToId(entry.value));
+    }
+
+    logWithTimestamp(`NostrRelay.rebuildSearchIndex: Indexing content of ${ids.length} events`);
+    for (const id of ids) {
+      const event = await NostrRelay.getEventFromBatch(b, id);
+      if (!event) continue;
+      for (const searchKey of NostrRelay.constructIndexKeysSearch(event)) {
+        await b.put(b4a.from(searchKey, 'utf8'), event.id);
+      }
+    }
+
+    await b.put(
+      b4a.from(NostrRelay.constructSearchIndexMarkerKey(), 'utf8'),
+      JSON.stringify({ indexed_at: indexedAt })
+    );
+  }
+
+  // appends a `reindex-search` op when the view predates the search index; apply() does the work
+  async ensureSearchIndex() {
+    if (!this.writable) return false;
+
+    const marker = await this.view.get(b4a.from(NostrRelay.constructSearchIndexMarkerKey(), 'utf8'));
+    if (marker) return false;
+
+    await this.append({ type: 'reindex-search', indexed_at: Math.floor(Date.now() / 1000) });
+    return true;
+  }
+
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+
   /////////////////////////////////////////////////////////////////////////////////////////////////////////
   // PROCESSES TO <PUBLISH> EVENTS TO HYPERBEE: ///////////////////////////////////////////////////////////
   /////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -251,6 +823,12 @@ export default class NostrRelay extends Autobee {
     return `created_at:${NostrRelay.padTimestamp(event.created_at)}:id:${event.id}`;
   }
 
+  // one key per distinct content token, so a search term is a range scan like a tag value
+  static constructIndexKeysSearch(event) {
+    const paddedCreatedAt = NostrRelay.padTimestamp(event.created_at);
+    return tokenizeContent(event.content).map((token) => buildSearchIndexKey(token, paddedCreatedAt, event.id));
+  }
+
 
   // function to verify event object structure and attributes are valid + append valid event objects to hyperbee log
   // note: apply() method will take objects appended to hyperbee log + handle the final processes to 'put' new entries into the db.
@@ -269,6 +847,38 @@ export default class NostrRelay extends Autobee {
     
     const isValid = await this.verifyEvent(event);  // Now using await
     logWithTimestamp('publishEvent: Event verification result:', isValid);
+
+    if (isValid && NostrRelay.isExpired(event)) {
+      logWithTimestamp(`publishEvent: Event ${event.id} has already expired, refusing`);
+      return ["OK", event.id, false, "invalid: event has expired"];
+    }
+
+    if (isValid) {
+      const policyRejection = await this.checkGroupPolicy(event);
+      if (policyRejection) {
+        logWithTimestamp(`publishEvent: Event ${event.id} rejected by group policy: ${policyRejection}`);
+        return ["OK", event.id, false, policyRejection];
+      }
+    }
+
+    if (isValid && isEphemeralKind(event.kind)) {
+      const delivered = this.broadcastLiveEvent(event);
+      logWithTimestamp(`publishEvent: Broadcast ephemeral event ${event.id} to ${delivered} subscription(s)`);
+      return ["OK", event.id, true, ""];
+    }
+
+    if (isValid && await NostrRelay.isTombstoned(this.view, event)) {
+      logWithTimestamp(`publishEvent: Event ${event.id} has been deleted, refusing`);
+      return ["OK", event.id, false, "blocked: event has been deleted"];
+    }
+
+    if (isValid) {
+      const current = await NostrRelay.getCurrentVersion(this.view, event);
+      if (current && current.id !== event.id && !NostrRelay.isNewerVersion(event, current)) {
+        logWithTimestamp(`publishEvent: Newer version ${current.id} already stored, refusing ${event.id}`);
+        return ["OK", event.id, false, "duplicate: a newer version of this event already exists"];
+      }
+    }
     
     if (isValid) {
       logWithTimestamp(`publishEvent: Publishing event with ID: ${event.id}`);
@@ -283,6 +893,11 @@ export default class NostrRelay extends Autobee {
         
         await this.append(batch);
         logWithTimestamp(`publishEvent: Event published successfully: ${event.id}`);
+        if (GROUP_STATE_TRIGGER_KINDS.has(event.kind)) {
+          await this.publishGroupState().catch((error) => {
+            logWithTimestamp(`publishEvent: Error publishing group state: ${error.message}`);
+          });
+        }
         return ["OK", event.id, true, ""];
       } catch (error) {
         logWithTimestamp(`publishEvent: Error publishing event: ${error.message}`);
@@ -313,6 +928,343 @@ export default class NostrRelay extends Autobee {
   /////////////////////////////////////////////////////////////////////////////////////////////////////////
 
 
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  // PROCESS TO <ENFORCE> NIP-29 GROUP MODERATION AND MEMBERSHIP ON WRITES: //////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  // policy: { groupId, adminPubkey, isOpen, isMember(pubkey), isRemoved(pubkey) }
+  // adminPubkey is the group creator, recorded in the log on first use (ensureGroupCreator); further admins
+  // are derived from the stored group events
+  setGroupPolicy(policy) {
+    this.groupPolicy = policy || null;
+  }
+
+  // pubkey -> roles, see getGroupRosterFromView()
+  async getGroupRoster() {
+    return NostrRelay.getGroupRosterFromView(this.view, await this.ensureGroupCreator());
+  }
+
+  // appends a `group-creator` op naming the policy's group and creator when the log has none yet; apply() keeps
+  // the first. Roles are derived from the recorded creator so they do not depend on each peer's local policy
+  async ensureGroupCreator() {
+    const recorded = await NostrRelay.getGroupCreator(this.view);
+    const { groupId, adminPubkey } = this.groupPolicy || {};
+    if (recorded || !this.writable || !groupId || !adminPubkey) return recorded;
+
+    await this.append({ type: 'group-creator', groupId, pubkey: adminPubkey });
+    return NostrRelay.getGroupCreator(this.view);
+  }
+
+  async getGroupAdmins() {
+    const admins = new Set();
+    for (const [pubkey, roles] of await this.getGroupRoster()) {
+      if (roles.includes('admin')) admins.add(pubkey);
+    }
+    return admins;
+  }
+
+  // returns an OK rejection message, or null when the event may be stored
+  async checkGroupPolicy(event) {
+    const policy = this.groupPolicy;
+    if (event.pubkey === this.relayIdentity?.pubkey) return null;
+
+    const editRejection = await this.checkEditEvent(event);
+    if (editRejection) return editRejection;
+
+    const adminOnly = GROUP_MODERATION_KINDS.has(event.kind) || GROUP_STATE_KINDS.has(event.kind) || GROUP_WRITER_KINDS.has(event.kind);
+    if (!policy) {
+      // without the policy nobody can be told apart from an admin, so moderation and membership changes fail closed
+      return adminOnly ? `restricted: group policy not loaded, kind ${event.kind} refused` : null;
+    }
+
+    if (adminOnly) {
+      const admins = await this.getGroupAdmins();
+      if (!admins.has(event.pubkey)) return `restricted: only group admins can publish kind ${event.kind}`;
+      return GROUP_WRITER_KINDS.has(event.kind) ? this.checkWriterEvent(event, admins) : null;
+    }
+
+    if (policy.isOpen || event.kind === GROUP_JOIN_REQUEST_KIND || policy.isMember?.(event.pubkey)) {
+      return null;
+    }
+    if ((await this.getGroupAdmins()).has(event.pubkey)) {
+      return null;
+    }
+    return policy.isRemoved?.(event.pubkey)
+      ? 'blocked: removed from this group'
+      : 'restricted: not a member of this group';
+  }
+
+  // an edit (e tag with the 'edit' marker) must be signed by the author of the message it replaces.
+  // Authorship cannot be checked without the original, so edits of messages this relay lacks are refused
+  async checkEditEvent(event) {
+    const editTag = event.tags?.find((tag) => tag[0] === 'e' && tag[3] === 'edit' && tag[1]);
+    if (!editTag) return null;
+    const original = await NostrRelay.getEventFromBatch(this.view, editTag[1]);
+    if (!original) return 'invalid: edited message not found';
+    return original.pubkey !== event.pubkey ? 'restricted: only the author can edit a message' : null;
+  }
+
+  // writer requests must name a writer key; additions must match the key the promoted admin requested
+  async checkWriterEvent(event, admins) {
+    const writerKey = NostrRelay.getTagValue(event, 'writer');
+    if (!/^[0-9a-f]{64}$/.test(writerKey || '')) return 'invalid: missing or malformed writer tag';
+    if (event.kind === GROUP_WRITER_REQUEST_KIND) return null;
+
+    const target = NostrRelay.getTagValue(event, 'p');
+    if (!target) return 'invalid: missing p tag';
+    if (event.kind === GROUP_WRITER_REMOVE_KIND) {
+      return writerKey === b4a.toString(this.key, 'hex') ? "restricted: the group creator's writer cannot be removed" : null;
+    }
+    if (!admins.has(target)) return 'restricted: only group admins can be made writers';
+    return writerKey === await this.getRequestedWriterKey(target)
+      ? null
+      : 'invalid: writer key does not match the admin\'s writer request';
+  }
+
+  // writer key from the newest writer request (9030) the admin signed for this group, or null
+  async getRequestedWriterKey(pubkey) {
+    const groupId = this.groupPolicy?.groupId;
+    if (!groupId) return null;
+    const [request] = (await this.queryEvents({ kinds: [GROUP_WRITER_REQUEST_KIND], authors: [pubkey], '#h': [groupId] }))
+      .sort((a, b) => b.created_at - a.created_at);
+    return request ? NostrRelay.getTagValue(request, 'writer') : null;
+  }
+
+  static getTagValue(event, name) {
+    return event.tags?.find((tag) => tag[0] === name)?.[1] || null;
+  }
+
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  // PROCESS TO <SIGN> RELAY-GENERATED GROUP STATE EVENTS (39000/39001/39002): ///////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  setRelayIdentity(identity) {
+    this.relayIdentity = identity?.pubkey && identity?.privateKey ? identity : null;
+  }
+
+  static constructRelayIdentityKey() {
+    return 'relay-identity';
+  }
+
+  // pubkey the group's snapshots are signed with (NIP-11 `self`). It is read from the log rather than the
+  // local keypair so every peer reports the same one, whichever of the group's writers it is
+  async getGroupRelayPubkey() {
+    const node = await this.view.get(b4a.from(NostrRelay.constructRelayIdentityKey(), 'utf8'));
+    if (!node || !node.value) return null;
+    try {
+      const { pubkey } = typeof node.value === 'string' ? JSON.parse(node.value) : JSON.parse(b4a.toString(node.value, 'utf8'));
+      return pubkey || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // appends a `relay-identity` op naming this peer's keypair when the log has none yet; apply() keeps the first
+  async ensureRelayIdentity() {
+    const recorded = await this.getGroupRelayPubkey();
+    if (recorded || !this.writable || !this.relayIdentity) return recorded;
+
+    await this.append({ type: 'relay-identity', pubkey: this.relayIdentity.pubkey });
+    return this.getGroupRelayPubkey();
+  }
+
+  async signRelayEvent(kind, content, tags, createdAt) {
+    const event = {
+      kind,
+      content,
+      created_at: createdAt,
+      tags,
+      pubkey: this.relayIdentity.pubkey
+    };
+    event.id = await getEventHash(event);
+    event.sig = NostrUtils.bytesToHex(await nobleSecp256k1.schnorr.sign(event.id, this.relayIdentity.privateKey));
+    return event;
+  }
+
+  // apply a 9002 edit to 39000 metadata tags
+  static applyGroupMetadataEdit(tags, edit) {
+    let next = tags;
+    for (const tag of edit.tags) {
+      const [name] = tag;
+      if (GROUP_METADATA_VALUE_TAGS.has(name)) {
+        next = [...next.filter((t) => t[0] !== name), [...tag]];
+        continue;
+      }
+      const pair = GROUP_METADATA_FLAG_PAIRS.find((flags) => flags.includes(name));
+      if (pair) {
+        next = [...next.filter((t) => !pair.includes(t[0])), [name]];
+      }
+    }
+    return next;
+  }
+
+  // replay admin 9002 edits over the 9007 create event (or, for groups without one, the newest admin-signed 39000)
+  async buildGroupMetadataTags(groupId, admins) {
+    const [created] = (await this.queryEvents({ kinds: [GROUP_CREATE_KIND], authors: admins, '#h': [groupId] }))
+      .sort((a, b) => a.created_at - b.created_at);
+
+    let tags;
+    let since = 0;
+    if (created) {
+      tags = [['d', groupId], ...created.tags.filter((tag) => tag[0] !== 'h').map((tag) => [...tag])];
+    } else {
+      const [current] = (await this.queryEvents({ kinds: [GROUP_METADATA_KIND], authors: admins, '#d': [groupId] }))
+        .sort((a, b) => b.created_at - a.created_at);
+      tags = current ? current.tags.map((tag) => [...tag]) : [['d', groupId]];
+      since = current?.created_at || 0;
+    }
+
+    const edits = (await this.queryEvents({ kinds: [GROUP_EDIT_METADATA_KIND], authors: admins, '#h': [groupId], since }))
+      .sort((a, b) => a.created_at - b.created_at);
+    for (const edit of edits) {
+      tags = NostrRelay.applyGroupMetadataEdit(tags, edit);
+    }
+    return tags;
+  }
+
+  // rebuild and sign the metadata, admin and member snapshots after a moderation event was stored
+  async publishGroupState() {
+    const groupId = this.groupPolicy?.groupId;
+    if (!this.relayIdentity || !groupId || !this.groupPolicy.adminPubkey) return [];
+    // other writers leave the snapshots to the peer holding the group's key; clients fold newer 9000/9001 over them
+    if (await this.getGroupRelayPubkey() !== this.relayIdentity.pubkey) return [];
+
+    const roster = await this.getGroupRoster();
+    const admins = Array.from(roster).filter(([, roles]) => roles.includes('admin')).map(([pubkey]) => pubkey);
+    const metadataTags = await this.buildGroupMetadataTags(groupId, admins);
+    const name = metadataTags.find((tag) => tag[0] === 'name')?.[1] || groupId;
+    const baseTags = [['d', groupId], ['hypertuna', groupId], ['i', 'hypertuna:relay']];
+    const memberTags = (entries) => entries.map(([pubkey, roles]) => ['p', pubkey, ...roles]);
+
+    const snapshots = [
+      [GROUP_METADATA_KIND, `Group metadata for: ${name}`, metadataTags],
+      [GROUP_ADMIN_LIST_KIND, `Admin list for group: ${name}`,
+        [...baseTags, ...memberTags(Array.from(roster).filter(([, roles]) => roles.includes('admin')))]],
+      [GROUP_MEMBER_LIST_KIND, `Member list for group: ${name}`, [...baseTags, ...memberTags(Array.from(roster))]]
+    ];
+
+    const results = [];
+    for (const [kind, content, tags] of snapshots) {
+      // a snapshot must replace the previous one even when both are signed within the same second
+      const [previous] = await this.queryEvents({ kinds: [kind], authors: [this.relayIdentity.pubkey], '#d': [groupId] });
+      const createdAt = Math.max(Math.floor(Date.now() / 1000), (previous?.created_at || 0) + 1);
+      const event = await this.signRelayEvent(kind, content, tags, createdAt);
+      results.push(await this.publishEvent(event));
+    }
+    logWithTimestamp(`publishGroupState: Published group state for ${groupId}:`, results.map((result) => result[2]));
+    return results;
+  }
+
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  // PROCESS TO <PUSH> NEW AND EPHEMERAL EVENTS TO LIVE SUBSCRIPTIONS: ///////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  // frames are emitted as 'live-frames' (connectionKey, frames); the relay server pushes them to the
+  // gateway holding that connection so clients receive them without polling
+  pushLiveFrames(connectionKey, frames) {
+    if (frames.length === 0) return;
+    this.emit('live-frames', connectionKey, frames);
+  }
+
+  // push the event to every live subscription whose filters match; returns the number of subscriptions reached.
+  // Stored events advance the subscription's cursor so a later backlog query does not return them again;
+  // subscriptions still waiting for their backlog get them from it, or from the re-query once they go live.
+  broadcastLiveEvent(event) {
+    const stored = !isEphemeralKind(event.kind);
+    let delivered = 0;
+    for (const [connectionKey, subscriptionData] of this.connectionSubscriptions) {
+      const frames = [];
+      for (const [subscriptionId, subscription] of Object.entries(subscriptionData.subscriptions || {})) {
+        if (stored && (!subscription?.live || NostrRelay.hasReturnedEvent(subscription, event))) continue;
+        if (eventMatchesFilters(event, subscription?.filters)) {
+          frames.push(['EVENT', subscriptionId, event]);
+          if (stored) {
+            NostrRelay.advanceCursor(subscription, event);
+          }
+        }
+      }
+      delivered += frames.length;
+      this.pushLiveFrames(connectionKey, frames);
+      if (stored && frames.length) {
+        this.persistSubscriptions(connectionKey, subscriptionData);
+      }
+    }
+    return delivered;
+  }
+
+  // a gateway holds this connection open, so its subscriptions stay until releaseLiveConnection()
+  holdLiveConnection(connectionKey) {
+    this.heldConnections.add(connectionKey);
+  }
+
+  // the client or the gateway carrying it went away; drop its subscriptions
+  releaseLiveConnection(connectionKey) {
+    this.heldConnections.delete(connectionKey);
+    this.clearSubscriptions(connectionKey).catch((error) => {
+      logWithTimestamp(`releaseLiveConnection: Error clearing subscriptions for ${connectionKey}:`, error.message);
+    });
+  }
+
+  // start watching view updates; events stored by any writer are pushed once apply() has indexed them
+  startLiveUpdates() {
+    if (this.liveViewVersion !== null) return;
+    this.liveViewVersion = this.view.version;
+    this.on('update', () => this.scheduleLiveUpdate());
+  }
+
+  scheduleLiveUpdate() {
+    if (this.liveUpdateRunning) {
+      this.liveUpdateQueued = true;
+      return;
+    }
+    this.liveUpdateRunning = true;
+    this.pushAppendedEvents()
+      .catch((error) => logWithTimestamp(`pushAppendedEvents: Error pushing new events: ${error.message}`))
+      .finally(() => {
+        this.liveUpdateRunning = false;
+        if (this.liveUpdateQueued) {
+          this.liveUpdateQueued = false;
+          this.scheduleLiveUpdate();
+        }
+      });
+  }
+
+  // diff the created_at index against the last version pushed; added entries are newly stored events
+  async pushAppendedEvents() {
+    const snapshot = this.view.snapshot();
+    try {
+      // a snapshot reports its version once it is ready
+      await snapshot.ready();
+      const previousVersion = this.liveViewVersion;
+      this.liveViewVersion = snapshot.version;
+      if (previousVersion === null || snapshot.version <= previousVersion || this.connectionSubscriptions.size === 0) {
+        return;
+      }
+
+      for await (const { left, right } of snapshot.createDiffStream(previousVersion, CREATED_AT_INDEX_RANGE)) {
+        if (!left || right) continue;
+        const event = await this.getEvent(left.value);
+        if (event) {
+          this.broadcastLiveEvent(event);
+        }
+      }
+    } finally {
+      await snapshot.close();
+    }
+  }
+
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+
   /////////////////////////////////////////////////////////////////////////////////////////////////////////
   // PROCESS TO <DELETE> EVENT BY ID FROM HYPERBEE: ///////////////////////////////////////////////////////
   /////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -326,7 +1278,8 @@ export default class NostrRelay extends Autobee {
 
     await this.append({
       type: 'delete',
-      id: typeof id === 'string' ? id : b4a.toString(id, 'hex')
+      id: typeof id === 'string' ? id : b4a.toString(id, 'hex'),
+      deleted_at: Math.floor(Date.now() / 1000)
     });
   }
 
@@ -390,6 +1343,11 @@ export default class NostrRelay extends Autobee {
         logWithTimestamp(`executeIdQueries: Event not found for ID ${id}`);
         continue;
       }
+
+      if (NostrRelay.isExpired(event)) {
+        logWithTimestamp(`executeIdQueries: Event ${id} skipped, expired`);
+        continue;
+      }
   
       // Skip events older than last_returned_event_timestamp if it exists
       if (last_returned_event_timestamp && event.created_at < last_returned_event_timestamp) {
@@ -429,6 +1387,11 @@ export default class NostrRelay extends Autobee {
           }
         }
       }
+
+      // Check NIP-50 search filter
+      if (filter.search && !eventMatchesSearch(event, filter.search)) {
+        matches = false;
+      }
   
       if (matches) {
         results.push(event);
@@ -475,9 +1438,10 @@ export default class NostrRelay extends Autobee {
 
     const groups = [];
 
-    // Determine time range parameters - prioritize last_returned_event_timestamp over filter.since
-    const since = last_returned_event_timestamp
-      ? last_returned_event_timestamp + 1 // Add 1 to exclude previously returned events
+    // Determine time range parameters - prioritize last_returned_event_timestamp over filter.since.
+    // The cursor's own second is included: callers drop the ids already returned in it
+    const since = Number.isFinite(last_returned_event_timestamp)
+      ? last_returned_event_timestamp
       : filter.since || 0;
     const until = filter.until || 9999999999;
 
@@ -485,11 +1449,14 @@ export default class NostrRelay extends Autobee {
       `constructQueries: Using time range - since: ${since}, until: ${until}`
     );
 
+    const searchTerms = parseSearchQuery(filter.search);
+
     // Case 1: Only time-based query (no other filters)
     if (
       (!filter.kinds || filter.kinds.length === 0) &&
       (!filter.authors || filter.authors.length === 0) &&
-      !this.hasTagFilters(filter)
+      !this.hasTagFilters(filter) &&
+      searchTerms.length === 0
     ) {
       const query = this.constructor.constructTimeRangeQuery(since, until);
       // logWithTimestamp(`constructQueries: Constructed time-based query:`, query);
@@ -531,6 +1498,11 @@ export default class NostrRelay extends Autobee {
       groups.push(...tagGroups);
     }
 
+    // Case 5: Search terms (NIP-50), one group per term so every term must match
+    for (const term of searchTerms) {
+      groups.push([this.constructor.constructSearchRangeQuery(term, since, until)]);
+    }
+
     logWithTimestamp(
       `constructQueries: Constructed ${groups.length} query groups`
     );
@@ -564,6 +1536,12 @@ export default class NostrRelay extends Autobee {
     return { gte, lte };
   }
 
+  static constructSearchRangeQuery(term, since, until) {
+    const gte = b4a.from(buildSearchIndexKey(term, this.padTimestamp(since), ''), 'utf8');
+    const lte = b4a.from(buildSearchIndexKey(term, this.padTimestamp(until), '#'), 'utf8');
+    return { gte, lte };
+  }
+
   static constructFilekeyRangeQuery({ filekey, drivekey, pubkey } = {}) {
     // To select all keys with a given prefix in Hyperbee, use an upper bound
     // that is the prefix plus a 0xFF byte (max byte) — not '#', which sorts
@@ -703,35 +1681,14 @@ async executeQueries(queryGroups) {
         return [];
     }
 
-    const groupResultSets = [];
-
     try {
-        for (let i = 0; i < queryGroups.length; i++) {
-            const group = queryGroups[i];
-            logWithTimestamp(`executeQueries: Processing group ${i + 1}/${queryGroups.length}`);
-
-            const unionIds = new Set();
-            for (let j = 0; j < group.length; j++) {
-                const query = group[j];
-                logWithTimestamp(`executeQueries:  Query ${j + 1}/${group.length} in group ${i + 1}`);
-                for await (const entry of this.view.createReadStream(query)) {
-                    if (!entry || !entry.value) continue;
-                    const eventId = entry.value; // direct event ID
-                    unionIds.add(eventId);
-                }
-            }
-            logWithTimestamp(`executeQueries: Group ${i + 1} produced ${unionIds.size} unique IDs`);
-            groupResultSets.push(unionIds);
-        }
-
-        const commonIds = this.findCommonIds(groupResultSets);
-        logWithTimestamp(`executeQueries: Found ${commonIds.size} common IDs across all groups`);
+        const commonIds = await this.collectQueryIds(queryGroups);
 
         const results = [];
         for (const id of commonIds) {
             try {
                 const event = await this.getEvent(id);
-                if (event) {
+                if (event && !NostrRelay.isExpired(event)) {
                     results.push(event);
                 }
             } catch (error) {
@@ -748,6 +1705,71 @@ async executeQueries(queryGroups) {
     }
 }
 
+// scans the index ranges of each query group and intersects the groups, returning matching event IDs
+// without loading the events themselves (shared by executeQueries and countEvents)
+async collectQueryIds(queryGroups) {
+    const groupResultSets = [];
+
+    if (!queryGroups || queryGroups.length === 0) {
+        return new Set();
+    }
+
+    for (let i = 0; i < queryGroups.length; i++) {
+        const group = queryGroups[i];
+        logWithTimestamp(`collectQueryIds: Processing group ${i + 1}/${queryGroups.length}`);
+
+        const unionIds = new Set();
+        for (let j = 0; j < group.length; j++) {
+            const query = group[j];
+            logWithTimestamp(`collectQueryIds:  Query ${j + 1}/${group.length} in group ${i + 1}`);
+            for await (const entry of this.view.createReadStream(query)) {
+                if (!entry || !entry.value) continue;
+                const eventId = entry.value; // direct event ID
+                unionIds.add(eventId);
+            }
+        }
+        logWithTimestamp(`collectQueryIds: Group ${i + 1} produced ${unionIds.size} unique IDs`);
+        groupResultSets.push(unionIds);
+    }
+
+    const commonIds = this.findCommonIds(groupResultSets);
+    logWithTimestamp(`collectQueryIds: Found ${commonIds.size} common IDs across all groups`);
+    return commonIds;
+}
+
+// NIP-45: counts the union of events matching any of the filters. Counts come from the
+// index keys; only filters with explicit ids need to look the events up.
+async countEvents(filters) {
+    const matchedIds = new Set();
+
+    for (const filter of filters) {
+        if (filter.ids && filter.ids.length > 0) {
+            const { limit, ...unlimitedFilter } = filter;
+            const events = await this.executeIdQueries(unlimitedFilter);
+            for (const event of events) {
+                matchedIds.add(event.id);
+            }
+            continue;
+        }
+
+        const queries = this.constructQueries(filter);
+        const ids = await this.collectQueryIds(queries);
+        for (const id of ids) {
+            matchedIds.add(id);
+        }
+    }
+
+    // expired events stay indexed until the sweeper removes them
+    if (matchedIds.size > 0) {
+        for (const id of await this.collectExpiredIds()) {
+            matchedIds.delete(id);
+        }
+    }
+
+    logWithTimestamp(`countEvents: Counted ${matchedIds.size} events across ${filters.length} filters`);
+    return matchedIds.size;
+}
+
 findCommonIds(resultSets) {
     logWithTimestamp(`findCommonIds: Starting to process ${resultSets.length} result sets`);
 
@@ -784,7 +1806,9 @@ findCommonIds(resultSets) {
     return commonIds;
 }
 
-async handleSubscription(connectionKey) {
+// subscriptionIds limits the query to the given subscriptions, e.g. the one a new REQ opened.
+// Subscriptions that are already live only return events the pushes have not covered, without another EOSE.
+async handleSubscription(connectionKey, { subscriptionIds = null } = {}) {
     logWithTimestamp(`handleSubscription: Handling subscription for connection: ${connectionKey}`);
     const activeSubscriptions = await this.getSubscriptions(connectionKey);
     if (!activeSubscriptions) {
@@ -797,6 +1821,7 @@ async handleSubscription(connectionKey) {
     let activeSubscriptionsUpdated = JSON.parse(JSON.stringify(activeSubscriptions));
 
     for (const [subscriptionId, subscription] of Object.entries(activeSubscriptions.subscriptions)) {
+        if (Array.isArray(subscriptionIds) && !subscriptionIds.includes(subscriptionId)) continue;
         const last_returned_event_timestamp = subscription.last_returned_event_timestamp;
         logWithTimestamp(`handleSubscription: Processing subscription ${subscriptionId} with last timestamp: ${last_returned_event_timestamp}`);
         
@@ -810,25 +1835,28 @@ async handleSubscription(connectionKey) {
                 events = await this.queryEvents(filter, last_returned_event_timestamp);
             }
 
+            // the query includes the cursor's second, so drop what was already returned in it
+            const cursor = activeSubscriptionsUpdated.subscriptions[subscriptionId];
+            events = events.filter((event) => !NostrRelay.hasReturnedEvent(cursor, event));
+
             // Sort events by created_at in descending order
             if (events.length > 0) {
                 events.sort((a, b) => b.created_at - a.created_at);
-                const new_last_returned_event_timestamp = events[0].created_at;
-                
-                logWithTimestamp(`handleSubscription: Updating last_returned_event_timestamp for subscription ${subscriptionId}:`, {
-                    previous: last_returned_event_timestamp,
-                    new: new_last_returned_event_timestamp
-                });
-                
-                activeSubscriptionsUpdated.subscriptions[subscriptionId].last_returned_event_timestamp = 
-                    new_last_returned_event_timestamp;
-                
                 for (const event of events) {
+                    NostrRelay.advanceCursor(cursor, event);
                     eventsForClient.push(['EVENT', subscriptionId, event]);
                 }
+
+                logWithTimestamp(`handleSubscription: Updating last_returned_event_timestamp for subscription ${subscriptionId}:`, {
+                    previous: last_returned_event_timestamp,
+                    new: cursor.last_returned_event_timestamp
+                });
             }
         }
-        eventsForClient.push(['EOSE', subscriptionId]);
+        if (!subscription.live) {
+            eventsForClient.push(['EOSE', subscriptionId]);
+            activeSubscriptionsUpdated.subscriptions[subscriptionId].live = true;
+        }
     }
     
     logWithTimestamp(`handleSubscription: Total events and EOSE messages for client:`, eventsForClient.length);
@@ -839,37 +1867,154 @@ async handleSubscription(connectionKey) {
   ///////////////////////////////////////////////////////////////////////////////////////////////////////
 
   ///////////////////////////////////////////////////////////////////////////////////////////////////////////////  
-  // PROCESSES TO <GET> <PUBLISH> AND <UPDATE> SUBSCRIPTIONS TO HYPERBEE: ///////////////////////////////////////
+  // PROCESSES TO <GET> <PUBLISH> AND <UPDATE> LOCAL (NON-REPLICATED) SUBSCRIPTION STATE: //////////////////////
   ///////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
   async getSubscriptions(connectionKey) {
     logWithTimestamp(`getSubscriptions: Attempting to retrieve subscriptions for connectionKey: ${connectionKey}`);
-    const key = b4a.from(connectionKey, 'hex');
-    logWithTimestamp(`getSubscriptions: Converted key: ${key.toString('hex')}`);
-    const subscriptionData = await this.view.get(key);
-    if (subscriptionData) {
-      logWithTimestamp(`getSubscriptions: Subscriptions found for connection ${connectionKey}: ${JSON.stringify(subscriptionData)}`);
+    let subscriptionData = this.connectionSubscriptions.get(connectionKey) || null;
+
+    if (!subscriptionData && this.subscriptionStore) {
       try {
-        return typeof subscriptionData.value === 'string' ? JSON.parse(subscriptionData.value) : subscriptionData.value;
+        const node = await this.subscriptionStore.get(connectionKey);
+        subscriptionData = node?.value || null;
+        if (subscriptionData) {
+          this.connectionSubscriptions.set(connectionKey, subscriptionData);
+        }
       } catch (error) {
-        logWithTimestamp('getSubscriptions: Error parsing subscriptions:', error.message);
-        return null;
+        logWithTimestamp('getSubscriptions: Error reading subscription store:', error.message);
       }
+    }
+
+    if (subscriptionData) {
+      logWithTimestamp(`getSubscriptions: Subscriptions found for connection ${connectionKey}: ${JSON.stringify(subscriptionData)}`);
+      // callers mutate the result before saving it back
+      return JSON.parse(JSON.stringify(subscriptionData));
     } else {
       logWithTimestamp(`getSubscriptions: No subscriptions found for connection: ${connectionKey}`);
       return null;
     }
   }
 
+  async saveSubscriptions(connectionKey, subscriptionData) {
+    if (!subscriptionData || Object.keys(subscriptionData.subscriptions || {}).length === 0) {
+      await this.clearSubscriptions(connectionKey);
+      return;
+    }
+
+    subscriptionData.last_seen = Date.now();
+    this.connectionSubscriptions.set(connectionKey, subscriptionData);
+    await this.persistSubscriptions(connectionKey, subscriptionData);
+  }
+
+  async persistSubscriptions(connectionKey, subscriptionData) {
+    if (!this.subscriptionStore) return;
+    try {
+      await this.subscriptionStore.put(connectionKey, subscriptionData);
+    } catch (error) {
+      logWithTimestamp('saveSubscriptions: Error writing subscription store:', error.message);
+    }
+  }
+
+  async clearSubscriptions(connectionKey) {
+    this.connectionSubscriptions.delete(connectionKey);
+    if (this.subscriptionStore) {
+      await this.subscriptionStore.del(connectionKey);
+    }
+  }
+
+  // connections can vanish without a close (peer crash, gateway restart, swarm drop); drop subscriptions
+  // that no gateway holds and that have not been used for maxIdleMs. Entries stored before last_seen
+  // existed count as stale. Returns the number of connections cleared.
+  async sweepStaleSubscriptions(maxIdleMs = SUBSCRIPTION_IDLE_TTL_MS, now = Date.now()) {
+    const lastSeen = new Map();
+    for (const [connectionKey, subscriptionData] of this.connectionSubscriptions) {
+      lastSeen.set(connectionKey, subscriptionData?.last_seen || 0);
+    }
+    if (this.subscriptionStore) {
+      try {
+        for await (const entry of this.subscriptionStore.createReadStream()) {
+          if (!lastSeen.has(entry.key)) lastSeen.set(entry.key, entry.value?.last_seen || 0);
+        }
+      } catch (error) {
+        logWithTimestamp('sweepStaleSubscriptions: Error reading subscription store:', error.message);
+      }
+    }
+
+    let cleared = 0;
+    for (const [connectionKey, seenAt] of lastSeen) {
+      if (this.heldConnections.has(connectionKey) || now - seenAt < maxIdleMs) continue;
+      await this.clearSubscriptions(connectionKey);
+      cleared++;
+    }
+    if (cleared > 0) {
+      logWithTimestamp(`sweepStaleSubscriptions: Cleared subscriptions for ${cleared} idle connection(s)`);
+    }
+    return cleared;
+  }
+
+
+  // A subscription's cursor is the newest created_at it has returned plus the ids returned in that second,
+  // so events that share the second with the last one returned are still delivered, once. Cursors saved
+  // before the ids were kept cover their whole second.
+  static hasReturnedEvent(subscription, event) {
+    if (event?.created_at !== subscription?.last_returned_event_timestamp) return false;
+    const ids = subscription.last_returned_event_ids;
+    return !Array.isArray(ids) || ids.includes(event.id);
+  }
+
+  static advanceCursor(subscription, event) {
+    const cursor = subscription.last_returned_event_timestamp;
+    if (!Number.isFinite(cursor) || event.created_at > cursor) {
+      subscription.last_returned_event_timestamp = event.created_at;
+      subscription.last_returned_event_ids = [event.id];
+    } else if (event.created_at === cursor && Array.isArray(subscription.last_returned_event_ids) &&
+        !subscription.last_returned_event_ids.includes(event.id)) {
+      subscription.last_returned_event_ids.push(event.id);
+    }
+  }
+
+  // keeps the further of two cursors, or the union of their ids when both stop in the same second
+  static mergeCursor(target, incoming) {
+    const incomingAt = incoming?.last_returned_event_timestamp;
+    if (!Number.isFinite(incomingAt)) return;
+    const currentAt = target.last_returned_event_timestamp;
+    if (!Number.isFinite(currentAt) || incomingAt > currentAt) {
+      target.last_returned_event_timestamp = incomingAt;
+      target.last_returned_event_ids = incoming.last_returned_event_ids;
+    } else if (incomingAt === currentAt && Array.isArray(target.last_returned_event_ids)) {
+      target.last_returned_event_ids = Array.isArray(incoming.last_returned_event_ids)
+        ? [...new Set([...target.last_returned_event_ids, ...incoming.last_returned_event_ids])]
+        : incoming.last_returned_event_ids;
+    }
+  }
+
+  // events stored between a subscription's backlog query and its switch to live were pushed to no one;
+  // query again from the cursor and push whatever the backlog missed
+  async pushMissedEvents(connectionKey, subscriptionIds) {
+    const [frames] = await this.handleSubscription(connectionKey, { subscriptionIds });
+    const subscriptionData = this.connectionSubscriptions.get(connectionKey);
+    if (!subscriptionData) return 0;
+
+    // pushes made while the query ran have already moved the live cursor
+    const missed = frames.filter(([type, subscriptionId, event]) => {
+      const subscription = subscriptionData.subscriptions?.[subscriptionId];
+      return type === 'EVENT' && subscription && !NostrRelay.hasReturnedEvent(subscription, event);
+    });
+    if (missed.length === 0) return 0;
+
+    for (const [, subscriptionId, event] of missed) {
+      NostrRelay.advanceCursor(subscriptionData.subscriptions[subscriptionId], event);
+    }
+    logWithTimestamp(`pushMissedEvents: Pushing ${missed.length} event(s) stored before ${connectionKey} went live`);
+    this.pushLiveFrames(connectionKey, missed);
+    await this.persistSubscriptions(connectionKey, subscriptionData);
+    return missed.length;
+  }
 
 async publishSubscription(connectionKey, reqMessage, activeSubscriptions = null) {
     // logWithTimestamp('publishSubscription: Attempting to publish subscription:', JSON.stringify(reqMessage, null, 2));
     
-    if (!this.writable) {
-      logWithTimestamp('publishSubscription: Error - Not writable');
-      throw new Error('Not writable');
-    }
-    
     const [, subscriptionId, ...filters] = reqMessage;
     
     if (!connectionKey || !subscriptionId || filters.length === 0) {
@@ -886,7 +2031,8 @@ async publishSubscription(connectionKey, reqMessage, activeSubscriptions = null)
       // Create or update subscription with the new structure
       subscriptions[subscriptionId] = {
         last_returned_event_timestamp: undefined,
-        filters: filters
+        filters: filters,
+        live: false
       };
       
       const subscriptionObject = {
@@ -894,10 +2040,7 @@ async publishSubscription(connectionKey, reqMessage, activeSubscriptions = null)
         subscriptions: subscriptions
       };
       
-      await this.append({
-        type: 'subscriptions',
-        subscriptions: JSON.stringify(subscriptionObject)
-      });
+      await this.saveSubscriptions(connectionKey, subscriptionObject);
       
       logWithTimestamp(`publishSubscription: Published subscription for connection: ${connectionKey}, subscriptionId: ${subscriptionId}`);
       return ['NOTICE', `Subscription ${subscriptionId} created/updated successfully`];
@@ -910,15 +2053,26 @@ async publishSubscription(connectionKey, reqMessage, activeSubscriptions = null)
  async updateSubscriptions(connectionKey, activeSubscriptionsUpdated) {
     // logWithTimestamp('updateSubscriptions: Updating subscriptions:', JSON.stringify(activeSubscriptionsUpdated, null, 2));
     
-    if (!this.writable) {
-      logWithTimestamp('updateSubscriptions: Error - Not writable');
-      throw new Error('Not writable');
+    const current = await this.getSubscriptions(connectionKey);
+    if (!current) {
+      logWithTimestamp(`updateSubscriptions: No subscriptions left for connection: ${connectionKey}`);
+      return ['NOTICE', 'Subscriptions updated successfully'];
+    }
+
+    // only advance cursors; a CLOSE that landed while the update was in flight must stay closed,
+    // and pushes made in the meantime may already have moved the cursor further
+    const switchedLive = [];
+    for (const [subscriptionId, subscription] of Object.entries(activeSubscriptionsUpdated?.subscriptions || {})) {
+      const target = current.subscriptions[subscriptionId];
+      if (!target) continue;
+      NostrRelay.mergeCursor(target, subscription);
+      if (!target.live && subscription.live) switchedLive.push(subscriptionId);
+      target.live = target.live || !!subscription.live;
+    }
+    await this.saveSubscriptions(connectionKey, current);
+    if (switchedLive.length > 0) {
+      await this.pushMissedEvents(connectionKey, switchedLive);
     }
-    
-    await this.append({
-      type: 'subscriptions',
-      subscriptions: JSON.stringify(activeSubscriptionsUpdated)
-    });
     
     logWithTimestamp(`updateSubscriptions: Updated subscriptions for connection: ${connectionKey}`);
     return ['NOTICE', 'Subscriptions updated successfully'];
@@ -935,7 +2089,12 @@ async publishSubscription(connectionKey, reqMessage, activeSubscriptions = null)
         return false;
       }
       
-      const validKeys = ['ids', 'authors', 'kinds', 'since', 'until', 'limit'];
+      if (filter.search !== undefined && typeof filter.search !== 'string') {
+        logWithTimestamp('validateFilters: search must be a string');
+        return false;
+      }
+
+      const validKeys = ['ids', 'authors', 'kinds', 'since', 'until', 'limit', 'search'];
       const hasValidKey = validKeys.some(key => filter.hasOwnProperty(key));
       
       if (!hasValidKey) {
@@ -994,9 +2153,21 @@ async handleMessage(message, sendResponse, connectionKey) {
           logWithTimestamp(`handleMessage: Closed subscription ${closeSubscriptionId}`);
           break;
   
+        case 'COUNT':
+          logWithTimestamp(`handleMessage: Processing COUNT message for client connection: ${connectionKey}`);
+          const [countSubscriptionId, ...countFilters] = params;
+          if (!countSubscriptionId || countFilters.length === 0 || !this.validateFilters(countFilters)) {
+            sendResponse(['CLOSED', countSubscriptionId || '', 'invalid: invalid COUNT filters']);
+            break;
+          }
+          const count = await this.countEvents(countFilters);
+          sendResponse(['COUNT', countSubscriptionId, { count }]);
+          break;
+  
         default:
-          logWithTimestamp(`handleMessage: Unknown message type: ${type}`);
-          throw new Error('Unknown message type');
+          // unsupported verbs are reported rather than treated as errors so clients can probe for support
+          logWithTimestamp(`handleMessage: Unsupported message type: ${type}`);
+          sendResponse(['NOTICE', `Unsupported message type: ${type}`]);
       }
     } catch (error) {
       logWithTimestamp('handleMessage: Error handling message:', error);
@@ -1016,11 +2187,7 @@ async handleMessage(message, sendResponse, connectionKey) {
     
     delete activeSubscriptions.subscriptions[subscriptionId];
     
-    // Update the subscriptions in the database
-    await this.append({
-      type: 'subscriptions',
-      subscriptions: JSON.stringify(activeSubscriptions)
-    });
+    await this.saveSubscriptions(connectionKey, activeSubscriptions);
     
     logWithTimestamp(`unsubscribe: Successfully removed subscription ${subscriptionId}`);
   }
@@ -49,7 +49,8 @@ export default class Autobee extends Autobase {
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
     }
-    // Add any other necessary cleanup logic here
+    // autobase expects close() to return its closing promise (its error path calls close().catch)
+    return super.close();
   }
 
   static async apply (batch, view, base) {
@@ -21,6 +21,7 @@ calculateMembers
 
 import { ChallengeManager } from './challenge-manager.mjs';
 import { normalizeRelayIdentifier } from './relay-identifier-utils.mjs';
+import { getRelayAuthStore } from './relay-auth-store.mjs';
 
 
 // Store active relay managers
@@ -36,6 +37,22 @@ const relayMemberRemoves = new Map();
 const publicToKey = new Map();
 const keyToPublic = new Map();
 
+// Listeners for EVENT frames pushed to live subscriptions: (relayKey, connectionKey, frames)
+const liveFrameListeners = new Set();
+
+function forwardLiveFrames(relayKey, relayManager) {
+    if (typeof relayManager?.onLiveFrames !== 'function') return;
+    relayManager.onLiveFrames((connectionKey, frames) => {
+        for (const listener of liveFrameListeners) {
+            try {
+                listener(relayKey, connectionKey, frames);
+            } catch (error) {
+                console.error('[RelayAdapter] Live frame listener failed:', error.message);
+            }
+        }
+    });
+}
+
 function parseRelayMetadataEvent(event) {
     if (!event) return null;
 
@@ -148,6 +165,27 @@ export function setRelayMembers(relayKey, members = [], adds = null, removes = n
     if (removes) relayMemberRemoves.set(relayKey, removes);
 }
 
+/**
+ * Apply a relay profile's NIP-29 write policy to its active relay
+ * @param {Object} profile - Relay profile (admin_pubkey, isOpen, members, member_removes)
+ */
+export function setRelayGroupPolicy(profile) {
+    const relayKey = profile?.relay_key;
+    const relayManager = relayKey ? activeRelays.get(relayKey) : null;
+    if (typeof relayManager?.setGroupPolicy !== 'function') return;
+
+    const authStore = getRelayAuthStore();
+    const removed = new Set((profile.member_removes || []).map((entry) => entry?.pubkey).filter(Boolean));
+    relayManager.setGroupPolicy({
+        groupId: profile.public_identifier || null,
+        adminPubkey: profile.admin_pubkey || null,
+        isOpen: !!profile.isOpen,
+        isMember: (pubkey) => (relayMembers.get(relayKey) || []).includes(pubkey)
+            || authStore.isAuthorized(relayKey, pubkey),
+        isRemoved: (pubkey) => removed.has(pubkey)
+    });
+}
+
 export function registerVirtualRelay(relayKey, manager, options = {}) {
     if (!relayKey) {
         throw new Error('relayKey is required to register a virtual relay');
@@ -177,6 +215,7 @@ export function registerVirtualRelay(relayKey, manager, options = {}) {
 
     activeRelays.set(relayKey, manager);
     virtualRelayKeys.add(relayKey);
+    forwardLiveFrames(relayKey, manager);
 
     setRelayMapping(relayKey, publicIdentifier);
     setRelayMembers(relayKey, members);
@@ -288,6 +327,7 @@ export async function createRelay(options = {}) {
         
         const relayKey = relayManager.getPublicKey();
         activeRelays.set(relayKey, relayManager);
+        forwardLiveFrames(relayKey, relayManager);
         
         // Generate public identifier
         const npub = config.nostr_npub || (config.nostr_pubkey_hex ? 
@@ -310,7 +350,7 @@ export async function createRelay(options = {}) {
             members: config.nostr_pubkey_hex ? [config.nostr_pubkey_hex] : [],
             member_adds: config.nostr_pubkey_hex ? [{ pubkey: config.nostr_pubkey_hex, ts: Date.now() }] : [],
             member_removes: [],
-            relay_nostr_id: null,
+            relay_nostr_id: relayManager.getRelayPubkey(),
             relay_key: relayKey, // Internal key
             public_identifier: publicIdentifier, // New public-facing identifier
             relay_storage: defaultStorageDir,
@@ -347,11 +387,12 @@ export async function createRelay(options = {}) {
             console.log('[RelayAdapter] Added auth token to auth store');
         }
 
-        // Load members into in-memory map
+        // Load members and the NIP-29 write policy into memory; the policy must not depend on the profile save succeeding
         setRelayMembers(relayKey, profileInfo.members || [], profileInfo.member_adds || [], profileInfo.member_removes || []);
         if (publicIdentifier) {
             setRelayMembers(publicIdentifier, profileInfo.members || [], profileInfo.member_adds || [], profileInfo.member_removes || []);
         }
+        setRelayGroupPolicy(profileInfo);
         
         console.log('[RelayAdapter] Created relay:', relayKey);
         const gatewayBase = buildGatewayWebsocketBase(config);
@@ -525,6 +566,7 @@ export async function joinRelay(options = {}) {
         await relayManager.initialize();
         
         activeRelays.set(relayKey, relayManager);
+        forwardLiveFrames(relayKey, relayManager);
         
         // Check if profile already exists
         let profileInfo = await getRelayProfileByKey(relayKey);
@@ -539,7 +581,7 @@ export async function joinRelay(options = {}) {
                 members: config.nostr_pubkey_hex ? [config.nostr_pubkey_hex] : [],
                 member_adds: config.nostr_pubkey_hex ? [{ pubkey: config.nostr_pubkey_hex, ts: Date.now() }] : [],
                 member_removes: [],
-                relay_nostr_id: null,
+                relay_nostr_id: relayManager.getRelayPubkey(),
                 relay_key: relayKey,
                 public_identifier: publicIdentifier || null,
                 relay_storage: defaultStorageDir,
@@ -552,6 +594,7 @@ export async function joinRelay(options = {}) {
         } else {
             // Update existing profile
             profileInfo.relay_storage = defaultStorageDir;
+            profileInfo.relay_nostr_id = relayManager.getRelayPubkey();
             profileInfo.last_joined_at = new Date().toISOString();
             profileInfo.is_active = true;
             if (name) profileInfo.name = name;
@@ -563,11 +606,12 @@ export async function joinRelay(options = {}) {
             await saveRelayProfile(profileInfo);
         }
 
-        // Load members into in-memory map
+        // Load members and the NIP-29 write policy into memory; the policy must not depend on the profile save succeeding
         setRelayMembers(relayKey, profileInfo.members || [], profileInfo.member_adds || [], profileInfo.member_removes || []);
         if (profileInfo.public_identifier) {
             setRelayMembers(profileInfo.public_identifier, profileInfo.members || [], profileInfo.member_adds || [], profileInfo.member_removes || []);
         }
+        setRelayGroupPolicy(profileInfo);
         
         console.log('[RelayAdapter] Joined relay:', relayKey);
         
@@ -668,6 +712,102 @@ export async function disconnectRelay(relayKey) {
     }
 }
 
+/**
+ * Add or remove an admin's worker as an autobase writer of a relay and record it in the relay profile
+ * @param {string} relayKey - Relay key
+ * @param {Object} event - Admin-signed writer add (9031) or remove (9032) event
+ * @returns {Promise<Object>} - Result with the updated writers list
+ */
+export async function updateRelayWriter(relayKey, event) {
+    const relayManager = activeRelays.get(relayKey);
+    if (!relayManager) {
+        return {
+            success: false,
+            error: 'Relay not active'
+        };
+    }
+    if (!relayManager.isWritable()) {
+        return {
+            success: false,
+            error: 'This worker is not a writer for the relay'
+        };
+    }
+
+    try {
+        await ensureProfilesInitialized();
+
+        const { pubkey, writerKey, added } = await relayManager.updateWriter(event);
+
+        const profileInfo = await getRelayProfileByKey(relayKey);
+        let writers = [];
+        if (profileInfo) {
+            writers = (profileInfo.writers || []).filter((writer) => writer.writer_key !== writerKey);
+            if (added) {
+                writers.push({
+                    pubkey,
+                    writer_key: writerKey,
+                    added_at: new Date().toISOString(),
+                    authorized_by: event.pubkey,
+                    event_id: event.id
+                });
+            }
+            profileInfo.writers = writers;
+            await saveRelayProfile(profileInfo);
+        }
+
+        console.log(`[RelayAdapter] ${added ? 'Added' : 'Removed'} writer ${writerKey.substring(0, 8)}... for ${pubkey.substring(0, 8)}... on relay:`, relayKey);
+
+        return {
+            success: true,
+            relayKey,
+            pubkey,
+            writerKey,
+            added,
+            writers
+        };
+
+    } catch (error) {
+        console.error('[RelayAdapter] Error updating relay writer:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Opt this worker in or out of hosting a relay it joined. Hosting peers keep the relay
+ * connected and register it with the public gateway so it stays reachable while writers are offline.
+ * @param {string} relayKey - Relay key
+ * @param {boolean} enabled - Whether to host the relay
+ * @returns {Promise<Object>} - Result with the new hosting state
+ */
+export async function setRelayHosting(relayKey, enabled) {
+    await ensureProfilesInitialized();
+
+    const profileInfo = await getRelayProfileByKey(relayKey);
+    if (!profileInfo) {
+        return {
+            success: false,
+            error: 'Relay profile not found'
+        };
+    }
+
+    profileInfo.hosting_peer = !!enabled;
+    if (profileInfo.hosting_peer) {
+        profileInfo.auto_connect = true;
+    }
+    await saveRelayProfile(profileInfo);
+
+    console.log(`[RelayAdapter] Hosting ${profileInfo.hosting_peer ? 'enabled' : 'disabled'} for relay:`, relayKey);
+
+    return {
+        success: true,
+        relayKey,
+        hostingPeer: profileInfo.hosting_peer
+    };
+}
+
 /**
  * Get all relay profiles
  * @returns {Promise<Array>} - Array of relay profiles
@@ -813,6 +953,7 @@ async function connectStoredRelayProfile(profile, config, authStore, options = {
     try {
         if (isAlreadyActive) {
             console.log(`[RelayAdapter] Relay ${relayKey} already active, syncing metadata`);
+            setRelayGroupPolicy(profile);
 
             if (profile.auth_config && profile.auth_config.requiresAuth) {
                 const authData = {};
@@ -1022,13 +1163,41 @@ export async function handleRelayMessage(relayKey, message, sendResponse, connec
  * @param {string} connectionKey - Connection identifier
  * @returns {Promise<Array>}
  */
-export async function handleRelaySubscription(relayKey, connectionKey) {
+export async function handleRelaySubscription(relayKey, connectionKey, options = {}) {
     const relayManager = activeRelays.get(relayKey);
     if (!relayManager) {
         throw new Error(`Relay not found: ${relayKey}`);
     }
     
-    return relayManager.handleSubscription(connectionKey);
+    return relayManager.handleSubscription(connectionKey, options);
+}
+
+/**
+ * Receive EVENT frames pushed to live subscriptions on any active relay
+ * @param {Function} listener - Called with (relayKey, connectionKey, frames)
+ * @returns {Function} - Removes the listener
+ */
+export function onRelayLiveFrames(listener) {
+    liveFrameListeners.add(listener);
+    return () => liveFrameListeners.delete(listener);
+}
+
+/**
+ * Keep a connection's subscriptions while a gateway holds it open for pushes
+ * @param {string} relayKey - The relay key
+ * @param {string} connectionKey - Connection identifier
+ */
+export function holdRelayConnection(relayKey, connectionKey) {
+    activeRelays.get(relayKey)?.holdLiveConnection?.(connectionKey);
+}
+
+/**
+ * Stop pushing live frames for a connection that has gone away
+ * @param {string} relayKey - The relay key
+ * @param {string} connectionKey - Connection identifier
+ */
+export function releaseRelayConnection(relayKey, connectionKey) {
+    activeRelays.get(relayKey)?.releaseLiveConnection?.(connectionKey);
 }
 
 /**
@@ -1096,6 +1265,11 @@ export async function getActiveRelays() {
             description: profile?.description || '',
             connectionUrl: `${buildGatewayWebsocketBase(globalConfig || { proxy_server_address: 'localhost', proxy_websocket_protocol: 'wss' })}/${identifierPath}`,
             createdAt: profile?.created_at || profile?.joined_at || null,
+            writerKey: manager?.getWriterKey?.() || null,
+            writable: !!manager?.isWritable?.(),
+            relayPubkey: manager?.getRelayPubkey?.() || null,
+            writers: profile?.writers || [],
+            hostingPeer: profile?.hosting_peer === true,
             isActive: true
         });
     }
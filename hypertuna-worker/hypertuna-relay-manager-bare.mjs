@@ -3,7 +3,8 @@
 
 import Corestore from 'corestore';
 import Hyperswarm from 'hyperswarm';
-import NostrRelay from './hypertuna-relay-event-processor.mjs';
+import Hyperbee from 'hyperbee';
+import NostrRelay, { GROUP_WRITER_ADD_KIND, GROUP_WRITER_REMOVE_KIND } from './hypertuna-relay-event-processor.mjs';
 import b4a from 'b4a';
 import c from 'compact-encoding';
 import Protomux from 'protomux';
@@ -11,6 +12,12 @@ import Autobee from './hypertuna-relay-helper.mjs';
 import { nobleSecp256k1 } from './crypto-libraries.js';
 import { NostrUtils } from './nostr-utils.js';
 import { setTimeout as delay } from 'node:timers/promises';
+import { setInterval, clearInterval } from 'node:timers';
+
+// How often writable relays remove events whose NIP-40 expiration has passed
+const EXPIRATION_SWEEP_INTERVAL_MS = 60000;
+// How often subscriptions of connections that went away without a close are dropped
+const SUBSCRIPTION_SWEEP_INTERVAL_MS = 5 * 60000;
 
 // File locking utility to handle concurrent access
 const fileLocks = new Map();
@@ -104,10 +111,44 @@ export class RelayManager {
       this.bootstrap = bootstrap;
       this.store = null;  // Initialize in the initialize method
       this.relay = null;
+      this.subscriptionStore = null;
+      this.relayPubkey = null;
       this.swarm = null;
       this.peers = new Map(); // Track connected peers
+      this.expirationSweepTimer = null;
+      this.subscriptionSweepTimer = null;
     }
   
+    // writer changes go to the autobase, key-value ops to Autobee and everything else to NostrRelay.
+    // Writer ops are only appended by addWriter()/removeWriter(), after assertWriterAuthority()
+    static async apply(batch, view, base) {
+      const kvOps = []
+      const eventOps = []
+
+      for (const node of batch) {
+        const op = node.value
+        if (op.type === 'addWriter') {
+          console.log('\rAdding writer', op.key)
+          await base.addWriter(b4a.from(op.key, 'hex'))
+          continue
+        }
+        if (op.type === 'removeWriter') {
+          console.log('\rRemoving writer', op.key)
+          await base.removeWriter(b4a.from(op.key, 'hex'))
+          continue
+        }
+        if (op.type === 'put' || op.type === 'del') kvOps.push(node)
+        else eventOps.push(node)
+      }
+
+      if (kvOps.length) {
+        await Autobee.apply(kvOps, view, base)
+      }
+      if (eventOps.length) {
+        await NostrRelay.apply(eventOps, view, base)
+      }
+    }
+
     async initialize() {
       console.log('Initializing relay with bootstrap:', this.bootstrap);
   
@@ -118,39 +159,31 @@ export class RelayManager {
         
         // Initialize Corestore after acquiring the lock
         this.store = new Corestore(this.storageDir);
+
+        // REQ subscription state lives in a local core that is never added to the autobase
+        this.subscriptionStore = new Hyperbee(this.store.get({ name: 'local-subscriptions' }), {
+          keyEncoding: 'utf-8',
+          valueEncoding: 'json'
+        });
+        await this.subscriptionStore.ready();
         
         this.relay = new NostrRelay(this.store, this.bootstrap, {
-          apply: async (batch, view, base) => {
-            const kvOps = []
-            const eventOps = []
-
-            for (const node of batch) {
-              const op = node.value
-              if (op.type === 'addWriter') {
-                console.log('\rAdding writer', op.key)
-                await base.addWriter(b4a.from(op.key, 'hex'))
-                continue
-              }
-              if (op.type === 'put' || op.type === 'del') kvOps.push(node)
-              else eventOps.push(node)
-            }
-
-            if (kvOps.length) {
-              await Autobee.apply(kvOps, view, base)
-            }
-            if (eventOps.length) {
-              await NostrRelay.apply(eventOps, view, base)
-            }
-          },
+          apply: RelayManager.apply,
           valueEncoding: c.any,
-          verifyEvent: this.verifyEvent.bind(this)
+          verifyEvent: this.verifyEvent.bind(this),
+          subscriptionStore: this.subscriptionStore
         });
 
         this.relay.on('error', console.error);
 
+        this.relay.setRelayIdentity(await this.loadRelayIdentity());
+
         await this.relay.update();
+        this.relay.startLiveUpdates();
+        await this.refreshRelayPubkey();
 
         this.relay.view.core.on('append', async () => {
+          await this.refreshRelayPubkey();
           if (this.relay.view.version === 1) return;
           console.log('\rRelay event appended. Current version:', this.relay.view.version);
         });
@@ -168,12 +201,24 @@ export class RelayManager {
 
         console.log('Initializing relay');
         if (this.relay.writable) {
+          try {
+            this.relayPubkey = await this.relay.ensureRelayIdentity();
+          } catch (error) {
+            console.error('Failed to record relay identity:', error);
+          }
           try {
             const initEventId = await this.initRelay();
             console.log('Relay initialized with event ID:', initEventId);
           } catch (error) {
             console.error('Failed to initialize relay:', error);
           }
+          try {
+            if (await this.relay.ensureSearchIndex()) {
+              console.log('Queued content search index backfill');
+            }
+          } catch (error) {
+            console.error('Failed to backfill search index:', error);
+          }
         } else {
           console.log('Relay isn\'t writable yet');
           console.log('Have another writer add the following key:');
@@ -183,6 +228,9 @@ export class RelayManager {
         // Release the lock after initialization
         releaseFileLock(this.storageDir);
         console.log(`Released lock for storage directory: ${this.storageDir}`);
+
+        this.startExpirationSweeper();
+        this.startSubscriptionSweeper();
         
         return this;
       } catch (error) {
@@ -226,19 +274,15 @@ export class RelayManager {
           return;
         }
         
+        // Peers only announce their writer key here; it is never added from this channel.
+        // addWriter() needs a writer event signed by a group admin (see updateWriter)
         const addWriterMessage = addWriterProtocol.addMessage({
           encoding: c.string,
-          onmessage: async (message) => {
+          onmessage: (message) => {
             const writerKey = message.toString();
-            console.log('Received new writer key:', writerKey);
-            try {
-              await this.addWriter(writerKey);
-              await this.relay.update();
-              console.log('Writer key added successfully');
-              addWriterProtocol.close();
-            } catch (error) {
-              console.error('Error adding writer key:', error);
-            }
+            console.log('Received peer writer key:', writerKey);
+            const peer = this.peers.get(peerKey);
+            if (peer) peer.writerKey = writerKey;
           }
         });
         
@@ -253,7 +297,9 @@ export class RelayManager {
       });
     }
 
-    async addWriter(key) {
+    // event is the admin-signed 9031 that authorizes the key; see assertWriterAuthority()
+    async addWriter(key, event) {
+      await this.assertWriterAuthority(event, key);
       console.log('Adding writer:', key);
       return this.relay.append({
         type: 'addWriter',
@@ -261,7 +307,9 @@ export class RelayManager {
       });
     }
 
-    async removeWriter(key) {
+    // event is the admin-signed 9032 that authorizes the removal
+    async removeWriter(key, event) {
+      await this.assertWriterAuthority(event, key);
       console.log('Removing writer:', key);
       return await this.relay.append({
         type: 'removeWriter',
@@ -269,6 +317,63 @@ export class RelayManager {
       });
     }
 
+    getWriterKey() {
+      return this.relay?.local ? b4a.toString(this.relay.local.key, 'hex') : null;
+    }
+
+    isWritable() {
+      return !!this.relay?.writable;
+    }
+
+    // Writers change only for a writer event signed by a current group admin, and only admins become writers.
+    // Without a loaded group policy there is no roster to check against, so nothing is changed.
+    async assertWriterAuthority(event, key = null) {
+      if (event?.kind !== GROUP_WRITER_ADD_KIND && event?.kind !== GROUP_WRITER_REMOVE_KIND) {
+        throw new Error(`Unsupported writer event kind: ${event?.kind}`);
+      }
+      if (key !== null && NostrRelay.getTagValue(event, 'writer') !== key) {
+        throw new Error('Writer key does not match the writer event');
+      }
+      if (!this.relay?.groupPolicy?.adminPubkey) {
+        throw new Error('Group policy not loaded; refusing to change writers');
+      }
+      const admins = await this.relay.getGroupAdmins();
+      if (!admins.has(event.pubkey)) {
+        throw new Error('Only group admins can change writers');
+      }
+      if (event.kind === GROUP_WRITER_ADD_KIND && !admins.has(NostrRelay.getTagValue(event, 'p'))) {
+        throw new Error('Only group admins can be made writers');
+      }
+    }
+
+    // Publish an admin-signed writer add (9031) or remove (9032) event, then apply it to the autobase.
+    // The relay's group policy also rejects the event unless the key matches the admin's writer request.
+    async updateWriter(event) {
+      if (!this.relay) {
+        throw new Error('Relay not initialized');
+      }
+      await this.assertWriterAuthority(event);
+
+      const [, , accepted, reason] = await this.relay.publishEvent(event);
+      if (!accepted) {
+        throw new Error(reason || 'Writer event rejected');
+      }
+
+      const writerKey = NostrRelay.getTagValue(event, 'writer');
+      if (event.kind === GROUP_WRITER_ADD_KIND) {
+        await this.addWriter(writerKey, event);
+      } else {
+        await this.removeWriter(writerKey, event);
+      }
+      await this.relay.update();
+
+      return {
+        pubkey: NostrRelay.getTagValue(event, 'p'),
+        writerKey,
+        added: event.kind === GROUP_WRITER_ADD_KIND
+      };
+    }
+
     async handleMessage(message, sendResponse, connectionKey) {
       if (!this.relay) {
         throw new Error('Relay not initialized');
@@ -276,13 +381,41 @@ export class RelayManager {
       return this.relay.handleMessage(message, sendResponse, connectionKey);
     }
 
-    async handleSubscription(connectionKey) {
+    async handleSubscription(connectionKey, options = {}) {
       if (!this.relay) {
         throw new Error('Relay not initialized');
       }
-      return this.relay.handleSubscription(connectionKey);
+      return this.relay.handleSubscription(connectionKey, options);
     }        
 
+    // listener(connectionKey, frames) receives EVENT frames as soon as they match a live subscription
+    onLiveFrames(listener) {
+      if (!this.relay) {
+        throw new Error('Relay not initialized');
+      }
+      this.relay.on('live-frames', listener);
+      return () => this.relay?.off('live-frames', listener);
+    }
+
+    holdLiveConnection(connectionKey) {
+      this.relay?.holdLiveConnection(connectionKey);
+    }
+
+    releaseLiveConnection(connectionKey) {
+      this.relay?.releaseLiveConnection(connectionKey);
+    }
+
+    // NIP-29 write policy for this group relay (admin-only moderation, closed membership)
+    setGroupPolicy(policy) {
+      this.relay?.setGroupPolicy(policy);
+      // record the group's creator in the log now, so peers that cannot write derive the same admins
+      if (this.relay?.writable) {
+        this.relay.ensureGroupCreator().catch((error) => {
+          console.error('Failed to record group creator:', error);
+        });
+      }
+    }
+
     async updateSubscriptions(connectionKey, activeSubscriptionsUpdated) {
       try {
         if (!this.relay) {
@@ -302,10 +435,48 @@ export class RelayManager {
       }
     }
 
+    // This peer's nostr keypair, kept in a local core. It signs group state only while it is the identity
+    // recorded in the group's log, see NostrRelay.ensureRelayIdentity()
+    async loadRelayIdentity() {
+      const identityStore = new Hyperbee(this.store.get({ name: 'local-relay-identity' }), {
+        keyEncoding: 'utf-8',
+        valueEncoding: 'json'
+      });
+      try {
+        await identityStore.ready();
+        const existing = await identityStore.get('keypair');
+        if (existing?.value?.privateKey) {
+          return existing.value;
+        }
+
+        const privateKey = NostrUtils.generatePrivateKey(); // Returns hex string
+        const identity = {
+          pubkey: NostrUtils.getPublicKey(privateKey), // Returns hex string (x-only, 32 bytes)
+          privateKey
+        };
+        await identityStore.put('keypair', identity);
+        console.log('Generated relay identity:', identity.pubkey);
+        return identity;
+      } finally {
+        await identityStore.close();
+      }
+    }
+
+    // the group's relay pubkey, not necessarily this peer's; null until the log recording it has replicated
+    getRelayPubkey() {
+      return this.relayPubkey;
+    }
+
+    async refreshRelayPubkey() {
+      try {
+        this.relayPubkey = await this.relay.getGroupRelayPubkey();
+      } catch (error) {
+        console.error('Failed to read relay identity:', error.message);
+      }
+    }
+
     async initRelay() {
-      // Generate a new private key
-      const privateKey = NostrUtils.generatePrivateKey(); // Returns hex string
-      const publicKey = NostrUtils.getPublicKey(privateKey); // Returns hex string (x-only, 32 bytes)
+      const { pubkey: publicKey, privateKey } = this.relay.relayIdentity;
       
       const event = {
         kind: 0,
@@ -436,6 +607,61 @@ export class RelayManager {
       return b4a.toString(this.relay.key, 'hex');
     }
 
+    startExpirationSweeper(intervalMs = EXPIRATION_SWEEP_INTERVAL_MS) {
+      if (this.expirationSweepTimer) return;
+      this.expirationSweepTimer = setInterval(() => {
+        this.sweepExpiredEvents().catch((error) => {
+          console.error(`Expiration sweep failed: ${error.message}`);
+        });
+      }, intervalMs);
+      this.expirationSweepTimer.unref?.();
+    }
+
+    stopExpirationSweeper() {
+      if (!this.expirationSweepTimer) return;
+      clearInterval(this.expirationSweepTimer);
+      this.expirationSweepTimer = null;
+    }
+
+    // subscription state is local, so this runs whether or not the relay is writable
+    startSubscriptionSweeper(intervalMs = SUBSCRIPTION_SWEEP_INTERVAL_MS) {
+      if (this.subscriptionSweepTimer) return;
+      const sweep = () => {
+        this.relay?.sweepStaleSubscriptions().catch((error) => {
+          console.error(`Subscription sweep failed: ${error.message}`);
+        });
+      };
+      // entries left behind by the previous run are swept right away
+      sweep();
+      this.subscriptionSweepTimer = setInterval(sweep, intervalMs);
+      this.subscriptionSweepTimer.unref?.();
+    }
+
+    stopSubscriptionSweeper() {
+      if (!this.subscriptionSweepTimer) return;
+      clearInterval(this.subscriptionSweepTimer);
+      this.subscriptionSweepTimer = null;
+    }
+
+    async sweepExpiredEvents() {
+      if (!this.relay || !this.relay.writable) {
+        return 0;
+      }
+
+      try {
+        await acquireFileLock(`${this.storageDir}-write`);
+        const removed = await this.relay.sweepExpiredEvents();
+        releaseFileLock(`${this.storageDir}-write`);
+        if (removed > 0) {
+          console.log(`Expiration sweep removed ${removed} expired events`);
+        }
+        return removed;
+      } catch (error) {
+        releaseFileLock(`${this.storageDir}-write`);
+        throw error;
+      }
+    }
+
     async flushSubscriptionQueue(subscriptionId) {
       try {
         await acquireFileLock(`${this.storageDir}-flush`);
@@ -453,10 +679,16 @@ export class RelayManager {
         // Acquire lock for cleanup
         await acquireFileLock(`${this.storageDir}-close`);
         console.log(`Closing relay for ${this.storageDir}`);
+
+        this.stopExpirationSweeper();
+        this.stopSubscriptionSweeper();
         
         if (this.relay) {
           await this.relay.close();
         }
+        if (this.subscriptionStore) {
+          await this.subscriptionStore.close();
+        }
         if (this.swarm) {
           await this.swarm.destroy();
         }
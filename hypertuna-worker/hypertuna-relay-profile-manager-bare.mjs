@@ -4,6 +4,7 @@
 import { promises as fs } from 'node:fs';
 import { join, dirname } from 'node:path';
 import process from 'node:process';
+import { normalizeUploadPolicy } from './upload-policy.mjs';
 
 // Constants
 const RELAY_PROFILES_FILE = 'relay-profiles.json';
@@ -63,6 +64,16 @@ function ensureProfileSchema(profile) {
     if (!Array.isArray(profile.member_removes)) {
         profile.member_removes = [];
     }
+    // Admin workers promoted to autobase writers: { pubkey, writer_key, added_at, authorized_by, event_id }
+    if (!Array.isArray(profile.writers)) {
+        profile.writers = [];
+    }
+    // Members that opted in to keep a full replica online and register it with the public gateway
+    if (typeof profile.hosting_peer !== 'boolean') {
+        profile.hosting_peer = false;
+    }
+    // Limits on files added to this relay's drive folder (see upload-policy.mjs)
+    profile.upload_policy = normalizeUploadPolicy(profile.upload_policy);
     // Add auth-related fields
     if (!profile.auth_tokens) {
         profile.auth_tokens = {}; // Map of pubkey -> token
@@ -430,7 +441,7 @@ async function _saveRelayProfile(relayProfile) {
         
         // Update in-memory relay members map in adapter
         try {
-            const { setRelayMembers, setRelayMapping } = await import('./hypertuna-relay-manager-adapter.mjs');
+            const { setRelayMembers, setRelayMapping, setRelayGroupPolicy } = await import('./hypertuna-relay-manager-adapter.mjs');
             if (relayProfile.members) {
                 setRelayMembers(relayProfile.relay_key, relayProfile.members);
                 if (relayProfile.public_identifier) {
@@ -440,6 +451,7 @@ async function _saveRelayProfile(relayProfile) {
             if (relayProfile.public_identifier) {
                 setRelayMapping(relayProfile.relay_key, relayProfile.public_identifier);
             }
+            setRelayGroupPolicy(relayProfile);
         } catch (err) {
             console.error('[ProfileManager] Failed to update relay adapter maps:', err);
         }
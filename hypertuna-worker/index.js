@@ -13,6 +13,7 @@ import GatewayService from './gateway/GatewayService.mjs'
 import {
   getAllRelayProfiles,
   getRelayProfileByKey,
+  getRelayProfileByPublicIdentifier,
   saveRelayProfile,
   removeRelayAuth, // <-- NEW IMPORT
   updateRelayMembers, // This is likely not used directly anymore for member_adds/removes
@@ -41,9 +42,33 @@ import {
   getPfpDriveKey,
   mirrorPfpDrive,
   watchDrive,
-  getReplicationHealth
+  getReplicationHealth,
+  normalizeIdentifier,
+  collectGarbage,
+  closeHyperdrive,
+  getRelayStorageUsage,
+  getRelayFolderBytes,
+  storeFileVariant,
+  linkFileVariant,
+  BLOB_FOLDER
 } from './hyperdrive-manager.mjs';
 import { ensureMirrorsForProviders, stopAllMirrors } from './mirror-sync-manager.mjs';
+import {
+  initializeUploadManager,
+  beginUpload,
+  writeUploadChunk,
+  completeUpload,
+  discardUpload
+} from './upload-manager.mjs';
+import {
+  normalizeUploadPolicy,
+  checkUploadPolicy,
+  UploadPolicyError,
+  initializeUploadUsage,
+  getMemberUsageToday,
+  recordMemberUsage
+} from './upload-policy.mjs';
+import { canCreateThumbnail, createThumbnail, queueThumbnailJob } from './thumbnail-generator.mjs';
 import { NostrUtils } from './nostr-utils.js';
 import { getRelayKeyFromPublicIdentifier } from './relay-lookup-utils.mjs';
 import { loadGatewaySettings, getCachedGatewaySettings, updateGatewaySettings } from '../shared/config/GatewaySettings.mjs'
@@ -251,7 +276,8 @@ async function startGatewayService(options = {}) {
     gatewayService = new GatewayService({
       publicGateway: publicGatewaySettings,
       getCurrentPubkey: () => config?.nostr_pubkey_hex || null,
-      getOwnPeerPublicKey: () => config?.swarmPublicKey || deriveSwarmPublicKey(config)
+      getOwnPeerPublicKey: () => config?.swarmPublicKey || deriveSwarmPublicKey(config),
+      softwareVersion: process.env.APP_VERSION || null
     })
     global.gatewayService = gatewayService
     gatewayService.on('log', (entry) => {
@@ -398,10 +424,13 @@ const relayMemberAdds = new Map()
 const relayMemberRemoves = new Map()
 const relayRegistrationStatus = new Map()
 const seenFileHashes = new Map()
+const policyRejectedFiles = new Map() // relayKey -> Set of file hashes mirrors declined
 let config = null
 let configPath = null
 let healthLogPath = null
 let healthIntervalHandle = null
+let fileGcRunning = null
+const FILE_GC_INTERVAL_MS = 6 * 60 * 60 * 1000
 
 // Store configuration received from the parent process
 let configReceived = false
@@ -452,6 +481,156 @@ async function appendFilekeyDbEntry (relayKey, fileHash) {
   }
 }
 
+async function resolveRelayProfile (relayKey, identifier) {
+  let profile = relayKey ? await getRelayProfileByKey(relayKey) : null
+  if (!profile && identifier) {
+    profile = isHex64(identifier)
+      ? await getRelayProfileByKey(identifier.toLowerCase())
+      : await getRelayProfileByPublicIdentifier(identifier)
+  }
+  return profile || null
+}
+
+// Bytes stored for a relay under both of its folder names
+async function getRelayUsageBytes (profile) {
+  const folders = new Set([profile.relay_key, profile.public_identifier].filter(Boolean))
+  let bytes = 0
+  for (const folder of folders) bytes += await getRelayFolderBytes(folder)
+  return bytes
+}
+
+// Encrypted attachments declare the type of their plaintext separately
+function declaredMimeType (metadata) {
+  return metadata?.declaredMimeType || metadata?.mimeType || null
+}
+
+/**
+ * Check a file this member wants to add against the relay's upload policy.
+ * Throws an UploadPolicyError describing the broken rule.
+ * @returns {Promise<Object|null>} - The relay profile, when one exists
+ */
+async function enforceUploadPolicy ({ relayKey, identifier, size, mimeType }) {
+  const profile = await resolveRelayProfile(relayKey, identifier)
+  if (!profile) return null
+  const policy = normalizeUploadPolicy(profile.upload_policy)
+  checkUploadPolicy(policy, {
+    size,
+    mimeType,
+    memberBytesToday: getMemberUsageToday(profile.relay_key, config?.nostr_pubkey_hex),
+    relayBytes: policy.relay_quota === null ? 0 : await getRelayUsageBytes(profile)
+  })
+  return profile
+}
+
+// Admission for mirror runs of one relay: files in other members' drives are copied only while
+// they fit the upload policy, and count towards the daily quota of the member who indexed them
+// once they are stored locally (as reconcileRelayFiles charges them), not when they are screened.
+function createMirrorAdmission (relayKey, identifier, fileMap) {
+  // fileHash -> { relayKey, pubkey, size } of files screened in but not yet charged
+  const admitted = new Map()
+
+  const pendingBytes = (pubkey) => {
+    let total = 0
+    for (const entry of admitted.values()) {
+      if (entry.pubkey === pubkey) total += entry.size
+    }
+    return total
+  }
+
+  const screen = async (entries, remoteKeyHex) => {
+    const rejected = new Map()
+    const profile = await resolveRelayProfile(relayKey, identifier)
+    if (!profile) return rejected
+    const policy = normalizeUploadPolicy(profile.upload_policy)
+    let relayBytes = policy.relay_quota === null ? 0 : await getRelayUsageBytes(profile)
+    const declined = policyRejectedFiles.get(relayKey) || new Set()
+
+    for (const entry of entries) {
+      const fileHash = entry.key.split('/').pop()
+      if (await fileExists(identifier, fileHash)) continue
+      const size = entry.value.blob.byteLength || 0
+      const pubkey = fileMap.get(fileHash)?.get(remoteKeyHex) || remoteKeyHex
+      admitted.delete(fileHash)
+      try {
+        checkUploadPolicy(policy, {
+          size,
+          mimeType: declaredMimeType(entry.value.metadata),
+          memberBytesToday: getMemberUsageToday(profile.relay_key, pubkey) + pendingBytes(pubkey),
+          relayBytes
+        })
+      } catch (err) {
+        if (!(err instanceof UploadPolicyError)) throw err
+        rejected.set(entry.key, err.message)
+        declined.add(fileHash)
+        continue
+      }
+      relayBytes += size
+      admitted.set(fileHash, { relayKey: profile.relay_key, pubkey, size })
+    }
+
+    policyRejectedFiles.set(relayKey, declined)
+    return rejected
+  }
+
+  const onMirrored = async () => {
+    for (const [fileHash, entry] of admitted) {
+      if (!(await fileExists(identifier, fileHash))) continue
+      admitted.delete(fileHash)
+      await recordMemberUsage(entry.relayKey, entry.pubkey, entry.size)
+    }
+  }
+
+  return { screen, onMirrored }
+}
+
+// Queue the thumbnail variant of a new image file, read back from the drive once earlier
+// thumbnails are done. Images that are already small are linked as their own thumbnail;
+// failures only cost the preview.
+function scheduleThumbnail (identifier, fileHash, size, metadata) {
+  const mimeType = metadata?.mimeType || null
+  if (metadata?.encrypted || !canCreateThumbnail(mimeType, size)) return
+  queueThumbnailJob(async () => {
+    const content = await getFile(identifier, fileHash)
+    if (!content) return
+    const thumbnail = createThumbnail(content, mimeType)
+    if (!thumbnail) {
+      await linkFileVariant(identifier, fileHash, 'thumb')
+      return
+    }
+    await storeFileVariant(identifier, fileHash, 'thumb', thumbnail.data, {
+      mimeType: thumbnail.mimeType,
+      width: thumbnail.width,
+      height: thumbnail.height
+    })
+  }).catch((err) => {
+    console.warn(`[Worker] thumbnail for ${fileHash} failed:`, err?.message || err)
+  })
+}
+
+// Store relay file content (a buffer or a staged upload) and index it on the relay
+async function commitRelayFile ({ relayKey, identifier, fileHash, metadata }, data) {
+  const size = b4a.isBuffer(data) ? data.length : data.size
+  const isNew = !(await fileExists(identifier, fileHash))
+  const profile = isNew
+    ? await enforceUploadPolicy({ relayKey, identifier, size, mimeType: declaredMimeType(metadata) })
+    : null
+  await ensureRelayFolder(identifier)
+  await storeFile(identifier, fileHash, data, metadata || null, { local: true })
+  if (isNew) scheduleThumbnail(identifier, fileHash, size, metadata)
+  if (profile) await recordMemberUsage(profile.relay_key, config?.nostr_pubkey_hex, size)
+  let resolvedRelayKey = relayKey
+  if (!resolvedRelayKey && identifier && !/^[a-fA-F0-9]{64}$/.test(identifier)) {
+    try { resolvedRelayKey = await getRelayKeyFromPublicIdentifier(identifier) } catch (_) {}
+  }
+  if (resolvedRelayKey) {
+    await appendFilekeyDbEntry(resolvedRelayKey, fileHash)
+    ensureMirrorsForAllRelays().catch(err => console.warn('[Mirror] ensure after upload failed:', err))
+  } else {
+    console.warn('[Worker] upload-file: could not resolve relayKey for identifier', identifier)
+  }
+  return resolvedRelayKey || null
+}
+
 async function publishFilekeyEvent (relayKey, fileHash) {
   if (!config?.nostr_pubkey_hex || !config?.nostr_nsec_hex || !config?.driveKey) return
   const relayManager = activeRelays.get(relayKey)
@@ -485,7 +664,7 @@ function startDriveWatcher () {
   watchDrive(async ({ type, path }) => {
     console.log(`[DriveWatch] change type=${type} path=${path}`)
     const parts = path.split('/').filter(Boolean)
-    if (parts.length !== 2) return
+    if (parts.length !== 2 || parts[0] === BLOB_FOLDER) return
     const [identifier, fileHash] = parts
     let relayKey = identifier
     try {
@@ -833,13 +1012,19 @@ async function reconcileRelayFiles() {
     const seen = seenFileHashes.get(relayKey) || new Set()
     // Prefer publicIdentifier path if available for this relay
     let identifier = relayKey
+    let profile = null
     try {
-      const profile = await getRelayProfileByKey(relayKey)
+      profile = await getRelayProfileByKey(relayKey)
       if (profile?.public_identifier) identifier = profile.public_identifier
     } catch (_) {}
 
+    // Files fetched here carry no type, so relays that restrict types leave them to the mirrors
+    const policy = normalizeUploadPolicy(profile?.upload_policy)
+    if (policy.allowed_mime_types.length) continue
+
+    const declined = policyRejectedFiles.get(relayKey) || new Set()
     for (const [fileHash, driveMap] of fileMap.entries()) {
-      if (seen.has(fileHash)) continue
+      if (seen.has(fileHash) || declined.has(fileHash)) continue
 
       let exists = null
       try {
@@ -861,25 +1046,40 @@ async function reconcileRelayFiles() {
           try {
             const data = await fetchFileFromDrive(driveKey, identifier, fileHash)
             if (!data) throw new Error('File not found')
+            const pubkey = driveMap.get(driveKey) || driveKey
+            if (profile) {
+              checkUploadPolicy(policy, {
+                size: data.length,
+                memberBytesToday: getMemberUsageToday(profile.relay_key, pubkey),
+                relayBytes: policy.relay_quota === null ? 0 : await getRelayUsageBytes(profile)
+              })
+            }
             await storeFile(identifier, fileHash, data, { sourceDrive: driveKey })
+            if (profile) await recordMemberUsage(profile.relay_key, pubkey, data.length)
             stored = true
             break
           } catch (err) {
+            if (err instanceof UploadPolicyError) {
+              console.warn(`[Reconcile] declined ${fileHash} for relay ${relayKey}: ${err.message}`)
+              declined.add(fileHash)
+              break
+            }
             console.error(`[Worker] Failed to download ${fileHash} from ${driveKey} (attempt ${attempt + 1}):`, err)
           }
         }
-        if (stored) break
+        if (stored || declined.has(fileHash)) break
       }
 
       if (stored) {
         console.log(`[Worker] Stored file ${fileHash} for relay ${relayKey}`)
         seen.add(fileHash)
-      } else {
+      } else if (!declined.has(fileHash)) {
         console.warn(`[Worker] Unable to retrieve file ${fileHash} for relay ${relayKey}`)
       }
     }
 
     seenFileHashes.set(relayKey, seen)
+    policyRejectedFiles.set(relayKey, declined)
   }
 }
 
@@ -961,7 +1161,7 @@ async function ensureMirrorsForAllRelays() {
         console.warn('[Mirror] re-check providers failed:', e)
       }
     }
-    await ensureMirrorsForProviders(providers, identifier)
+    await ensureMirrorsForProviders(providers, identifier, createMirrorAdmission(relayKey, identifier, fileMap))
   }
 }
 
@@ -980,6 +1180,8 @@ async function backfillRelayFilekeyIndex(relayKey, identifier) {
   let count = 0
   for await (const entry of localDrive.list(pathPrefix, { recursive: false })) {
     if (!entry?.value?.blob) continue
+    // Variants such as /<identifier>/thumb/<hash> share the original's hash
+    if (entry.key.split('/').filter(Boolean).length !== 2) continue
     const fileHash = entry.key.split('/').pop()
     console.log(`[Backfill] local entry key=${entry.key} hash=${fileHash}`)
     try {
@@ -990,6 +1192,71 @@ async function backfillRelayFilekeyIndex(relayKey, identifier) {
   console.log(`[Mirror] backfill for ${relayKey} (${identifier}) added ${count} index entries`)
 }
 
+// Filekey index hashes for every relay folder this worker may have written, keyed by both the
+// relayKey and public identifier folder names. Relays that are not open, or not writable here
+// (their index may lack what this worker stored), map to null so their files are kept.
+async function collectLiveRelayFiles(profiles) {
+  const liveFiles = new Map()
+  for (const profile of profiles) {
+    if (!profile?.relay_key) continue
+    const manager = activeRelays.get(profile.relay_key)
+    let hashes = null
+    if (manager?.relay?.writable && typeof manager.relay.queryFilekeyIndex === 'function') {
+      try {
+        hashes = new Set((await manager.relay.queryFilekeyIndex()).keys())
+      } catch (err) {
+        console.warn(`[Worker] GC: filekey index unavailable for ${profile.relay_key}:`, err?.message || err)
+      }
+    }
+    liveFiles.set(normalizeIdentifier(profile.relay_key), hashes)
+    if (profile.public_identifier) liveFiles.set(normalizeIdentifier(profile.public_identifier), hashes)
+  }
+  return liveFiles
+}
+
+async function runFileGarbageCollection() {
+  if (fileGcRunning) return fileGcRunning
+  fileGcRunning = (async () => {
+    const profiles = await getAllRelayProfiles(global.userConfig?.userKey)
+    // An empty list usually means the profiles could not be read; never treat that as "no relays"
+    if (!profiles.length) {
+      console.warn('[Worker] File GC skipped: no relay profiles loaded')
+      return null
+    }
+    return collectGarbage(await collectLiveRelayFiles(profiles))
+  })()
+  try {
+    return await fileGcRunning
+  } finally {
+    fileGcRunning = null
+  }
+}
+
+async function collectRelayStorage() {
+  const [usage, profiles] = await Promise.all([
+    getRelayStorageUsage(),
+    getAllRelayProfiles(global.userConfig?.userKey)
+  ])
+  const profilesByFolder = new Map()
+  for (const profile of profiles) {
+    if (!profile?.relay_key) continue
+    profilesByFolder.set(normalizeIdentifier(profile.relay_key), profile)
+    if (profile.public_identifier) profilesByFolder.set(normalizeIdentifier(profile.public_identifier), profile)
+  }
+  return {
+    relays: usage.relays.map((entry) => {
+      const profile = profilesByFolder.get(entry.identifier)
+      return {
+        ...entry,
+        relayKey: profile?.relay_key || null,
+        name: profile?.name || null
+      }
+    }),
+    blobs: usage.blobs,
+    storedBytes: usage.storedBytes
+  }
+}
+
 async function collectRelayHealth(relayKey, manager, maxChecks = 200) {
   if (virtualRelayKeys.has(relayKey)) {
     return {
@@ -1163,6 +1430,25 @@ async function handleMessageObject(message) {
       break
     }
 
+    case 'get-relay-storage': {
+      try {
+        sendMessage({ type: 'relay-storage', data: await collectRelayStorage() })
+      } catch (err) {
+        sendMessage({ type: 'error', message: `get-relay-storage failed: ${err.message}` })
+      }
+      break
+    }
+
+    case 'run-file-gc': {
+      try {
+        const stats = await runFileGarbageCollection()
+        sendMessage({ type: 'file-gc-complete', data: { stats, skipped: !stats } })
+      } catch (err) {
+        sendMessage({ type: 'error', message: `run-file-gc failed: ${err.message}` })
+      }
+      break
+    }
+
     case 'set-replication-health-interval': {
       const ms = Math.max(5000, Number(message.intervalMs) || 60000)
       startHealthLogger(ms)
@@ -1297,22 +1583,12 @@ async function handleMessageObject(message) {
         if (!identifier || !fileHash || !buffer) throw new Error('Missing identifier/publicIdentifier, fileHash, or buffer')
         console.log(`[Upload] begin relayKey=${relayKey} identifier=${identifier} fileHash=${fileHash} metaKeys=${metadata ? Object.keys(metadata) : 'none'} bufLen=${buffer?.length}`)
         const data = b4a.from(buffer, 'base64')
-        await ensureRelayFolder(identifier)
-        await storeFile(identifier, fileHash, data, metadata || null)
-        let resolvedRelayKey = relayKey
-        if (!resolvedRelayKey && identifier && !/^[a-fA-F0-9]{64}$/.test(identifier)) {
-          try { resolvedRelayKey = await getRelayKeyFromPublicIdentifier(identifier) } catch (_) {}
-        }
-        if (resolvedRelayKey) {
-          await appendFilekeyDbEntry(resolvedRelayKey, fileHash)
-          ensureMirrorsForAllRelays().catch(err => console.warn('[Mirror] ensure after upload failed:', err))
-        } else {
-          console.warn('[Worker] upload-file: could not resolve relayKey for identifier', identifier)
-        }
+        const resolvedRelayKey = await commitRelayFile({ relayKey, identifier, fileHash, metadata }, data)
         console.log(`[Upload] complete relayKey=${resolvedRelayKey || relayKey} identifier=${identifier} fileHash=${fileHash}`)
-        sendMessage({ type: 'upload-file-complete', relayKey: resolvedRelayKey || null, identifier, fileHash })
+        sendMessage({ type: 'upload-file-complete', relayKey: resolvedRelayKey, identifier, fileHash })
       } catch (err) {
         console.error('[Worker] upload-file error:', err)
+        sendMessage({ type: 'upload-file-error', fileHash: message.data?.fileHash || null, error: err.message, code: err.code || null })
         sendMessage({ type: 'error', message: `upload-file failed: ${err.message}` })
       }
       break
@@ -1337,6 +1613,129 @@ async function handleMessageObject(message) {
       break
     }
 
+    // Chunked uploads: the desktop main process sends upload-begin, then one upload-chunk per
+    // upload-chunk-ack, then upload-finish. upload-begin on a staged upload reports how many
+    // bytes are already stored so the sender resumes from there.
+    case 'upload-begin': {
+      const data = message.data || {}
+      try {
+        if (data.target === 'file') {
+          data.identifier = data.identifier || data.publicIdentifier || data.relayKey
+          if (!data.identifier) throw new Error('Missing identifier/publicIdentifier')
+          // Refuse before any bytes are staged; commitRelayFile checks again when storing
+          if (!(await fileExists(data.identifier, data.fileHash))) {
+            await enforceUploadPolicy({
+              relayKey: data.relayKey,
+              identifier: data.identifier,
+              size: data.size,
+              mimeType: declaredMimeType(data.metadata)
+            })
+          }
+        }
+        const result = await beginUpload(data)
+        sendMessage({ type: 'upload-ready', ...result })
+      } catch (err) {
+        console.error('[Worker] upload-begin error:', err)
+        sendMessage({ type: 'upload-error', uploadId: data.uploadId || null, error: err.message, code: err.code || null })
+      }
+      break
+    }
+
+    case 'upload-chunk': {
+      const { uploadId, offset, chunk } = message.data || {}
+      try {
+        if (typeof chunk !== 'string') throw new Error('Missing chunk data')
+        const received = await writeUploadChunk(uploadId, offset, b4a.from(chunk, 'base64'))
+        sendMessage({ type: 'upload-chunk-ack', uploadId, received })
+      } catch (err) {
+        console.error('[Worker] upload-chunk error:', err)
+        sendMessage({ type: 'upload-error', uploadId: uploadId || null, error: err.message })
+      }
+      break
+    }
+
+    case 'upload-finish': {
+      const { uploadId } = message.data || {}
+      try {
+        const session = await completeUpload(uploadId, async (upload, content) => {
+          if (upload.target === 'pfp') {
+            await storePfpFile(upload.owner, upload.fileHash, content, upload.metadata)
+          } else {
+            upload.relayKey = await commitRelayFile(upload, content)
+          }
+        })
+        console.log(`[Upload] complete uploadId=${uploadId} target=${session.target} fileHash=${session.fileHash} bytes=${session.size}`)
+        sendMessage({
+          type: 'upload-complete',
+          uploadId,
+          target: session.target,
+          fileHash: session.fileHash,
+          relayKey: session.relayKey,
+          identifier: session.identifier,
+          owner: session.owner
+        })
+        if (session.target === 'pfp') {
+          sendMessage({ type: 'upload-pfp-complete', owner: session.owner, fileHash: session.fileHash })
+        } else {
+          sendMessage({ type: 'upload-file-complete', relayKey: session.relayKey, identifier: session.identifier, fileHash: session.fileHash })
+        }
+      } catch (err) {
+        console.error('[Worker] upload-finish error:', err)
+        sendMessage({ type: 'upload-error', uploadId: uploadId || null, error: err.message, code: err.code || null })
+      }
+      break
+    }
+
+    case 'check-upload-policy': {
+      const { requestId, relayKey, identifier, fileHash, size, metadata } = message.data || {}
+      try {
+        if (!identifier || !(await fileExists(identifier, fileHash))) {
+          await enforceUploadPolicy({ relayKey, identifier, size, mimeType: declaredMimeType(metadata) })
+        }
+        sendMessage({ type: 'upload-policy-result', requestId, allowed: true })
+      } catch (err) {
+        sendMessage({ type: 'upload-policy-result', requestId, allowed: false, error: err.message, code: err.code || null })
+      }
+      break
+    }
+
+    case 'get-upload-policy': {
+      const { relayKey, publicIdentifier } = message.data || {}
+      const profile = await resolveRelayProfile(relayKey, publicIdentifier)
+      sendMessage({
+        type: 'upload-policy',
+        relayKey: profile?.relay_key || relayKey || null,
+        policy: profile ? normalizeUploadPolicy(profile.upload_policy) : null
+      })
+      break
+    }
+
+    case 'set-upload-policy': {
+      const { relayKey, publicIdentifier, policy } = message.data || {}
+      try {
+        const profile = await resolveRelayProfile(relayKey, publicIdentifier)
+        if (!profile) throw new Error('Relay profile not found')
+        profile.upload_policy = normalizeUploadPolicy({ ...profile.upload_policy, ...policy })
+        await saveRelayProfile(profile)
+        // Files declined under the previous policy are screened again
+        policyRejectedFiles.delete(profile.relay_key)
+        sendMessage({ type: 'upload-policy-updated', relayKey: profile.relay_key, policy: profile.upload_policy })
+      } catch (err) {
+        sendMessage({ type: 'error', message: `Failed to update upload policy: ${err.message}` })
+      }
+      break
+    }
+
+    case 'upload-abort': {
+      const { uploadId } = message.data || {}
+      try {
+        await discardUpload(uploadId)
+      } catch (err) {
+        console.warn('[Worker] upload-abort error:', err)
+      }
+      break
+    }
+
     case 'crypto-encrypt': {
       const { requestId, privkey, pubkey, plaintext } = message || {}
       try {
@@ -1554,6 +1953,68 @@ async function handleMessageObject(message) {
       }
       break
 
+    case 'update-relay-writer':
+      console.log('[Worker] Update relay writer requested:', message.data?.relayKey || message.data?.publicIdentifier)
+      if (relayServer) {
+        try {
+          const { relayKey, publicIdentifier, event } = message.data
+          const result = await relayServer.updateRelayWriter(relayKey || publicIdentifier, event)
+          if (!result.success) {
+            throw new Error(result.error)
+          }
+          sendMessage({
+            type: 'relay-writers-updated',
+            relayKey: result.relayKey,
+            pubkey: result.pubkey,
+            added: result.added,
+            writers: result.writers
+          })
+
+          const relays = await relayServer.getActiveRelays()
+          const relaysAuth = await addAuthInfoToRelays(relays)
+          sendMessage({
+            type: 'relay-update',
+            relays: addMembersToRelays(relaysAuth)
+          })
+        } catch (err) {
+          sendMessage({
+            type: 'error',
+            message: `Failed to update relay writer: ${err.message}`
+          })
+        }
+      }
+      break
+
+    case 'set-relay-hosting':
+      console.log('[Worker] Set relay hosting requested:', message.data)
+      if (relayServer) {
+        try {
+          const { relayKey, publicIdentifier, enabled } = message.data
+          const result = await relayServer.setRelayHosting(relayKey || publicIdentifier, enabled)
+          if (!result.success) {
+            throw new Error(result.error)
+          }
+          sendMessage({
+            type: 'relay-hosting-updated',
+            relayKey: result.relayKey,
+            hostingPeer: result.hostingPeer
+          })
+
+          const relays = await relayServer.getActiveRelays()
+          const relaysAuth = await addAuthInfoToRelays(relays)
+          sendMessage({
+            type: 'relay-update',
+            relays: addMembersToRelays(relaysAuth)
+          })
+        } catch (err) {
+          sendMessage({
+            type: 'error',
+            message: `Failed to update relay hosting: ${err.message}`
+          })
+        }
+      }
+      break
+
     case 'update-auth-data':
       console.log('[Worker] Update auth data requested:', message.data)
       if (relayServer) {
@@ -1734,6 +2195,8 @@ async function cleanup() {
 
   // Stop all mirror watchers
   try { await stopAllMirrors() } catch (_) {}
+
+  try { await closeHyperdrive() } catch (err) { console.warn('[Worker] Failed to close hyperdrive:', err?.message || err) }
   
   if (workerPipe) {
     try { workerPipe.end() } catch (err) { console.warn('[Worker] Failed to close pipe cleanly:', err?.message || err) }
@@ -1817,6 +2280,9 @@ async function main() {
 
     const pfpConfig = { ...config, storage: global.userConfig.storage, pfpDriveKey: config.pfpDriveKey }
     await initializePfpHyperdrive(pfpConfig);
+    await initializeUploadManager(global.userConfig.storage)
+      .catch(err => console.error('[Worker] Upload manager init error:', err));
+    await initializeUploadUsage(global.userConfig.storage);
     config.pfpDriveKey = pfpConfig.pfpDriveKey;
     if (config.pfpDriveKey) {
       syncGatewayPeerMetadata('pfp-drive-ready').catch((err) => {
@@ -1953,6 +2419,12 @@ async function main() {
       }
     }, 60000)
 
+    setInterval(() => {
+      if (!isShuttingDown) {
+        runFileGarbageCollection().catch(err => console.error('[Worker] File GC error:', err))
+      }
+    }, FILE_GC_INTERVAL_MS)
+
     // Keep the process alive with heartbeat
     const heartbeatInterval = setInterval(() => {
       if (isShuttingDown) {
@@ -4,7 +4,7 @@
 
 import Hyperdrive from 'hyperdrive'
 import b4a from 'b4a'
-import { getCorestore, getLocalDrive, joinRemoteDriveTopic } from './hyperdrive-manager.mjs'
+import { getCorestore, getLocalDrive, joinRemoteDriveTopic, linkRelayFolder, FILE_VARIANTS } from './hyperdrive-manager.mjs'
 
 // Map key: `${remoteKeyHex}:${folder}` -> state
 const mirrorStates = new Map()
@@ -19,14 +19,42 @@ function isRelayFolderMatch (key, folder) {
   return key === folder || key.startsWith(folder.endsWith('/') ? folder : folder + '/')
 }
 
+// Ask the mirror's screen which remote files must not be copied; returns the rejected keys.
+// Only the files themselves are screened; their variants are skipped along with them.
+async function screenRemoteEntries (remoteDrive, prefix, screen, remoteKeyHex) {
+  if (typeof screen !== 'function') return new Set()
+  const folder = prefix.endsWith('/') ? prefix : prefix + '/'
+  const entries = []
+  for await (const entry of remoteDrive.list(prefix, { recursive: false })) {
+    if (entry?.value?.blob && !entry.key.slice(folder.length).includes('/')) entries.push(entry)
+  }
+  const rejected = await screen(entries, remoteKeyHex)
+  if (rejected.size) {
+    const [key, reason] = rejected.entries().next().value
+    console.log(`[Mirror] ${remoteKeyHex.substring(0, 12)} ${prefix}: skipping ${rejected.size} files (e.g. ${key}: ${reason})`)
+  }
+  const keys = new Set()
+  for (const key of rejected.keys()) {
+    keys.add(key)
+    const fileHash = key.slice(folder.length)
+    for (const variant of FILE_VARIANTS) keys.add(`${folder}${variant}/${fileHash}`)
+  }
+  return keys
+}
+
 /**
  * Ensure a continuous mirror from a remote drive into the local drive for a given folder prefix.
  * This sets up initial full mirror and a watcher that re-runs the mirror on changes.
  *
  * @param {string} remoteKeyHex - 64-hex remote drive key
  * @param {string} folder - subtree on the remote to mirror (e.g., `/${identifier}`)
+ * @param {Object} [options]
+ * @param {(entries: Array, remoteKeyHex: string) => Promise<Map<string, string>>} [options.screen] -
+ *   Called with the remote entries before each run; files it returns (key -> reason) are not copied
+ * @param {(remoteKeyHex: string) => Promise<void>} [options.onMirrored] -
+ *   Called after each run, once the files it copied are stored locally
  */
-export async function ensureRemoteMirror (remoteKeyHex, folder) {
+export async function ensureRemoteMirror (remoteKeyHex, folder, options = {}) {
   const store = getCorestore()
   const localDrive = getLocalDrive()
   if (!store || !localDrive) throw new Error('Hyperdrive not initialized')
@@ -35,7 +63,10 @@ export async function ensureRemoteMirror (remoteKeyHex, folder) {
   if (mirrorStates.has(k)) {
     // eslint-disable-next-line no-console
     console.log(`[Mirror] reuse existing state for ${remoteKeyHex.substring(0, 12)} ${folder}`)
-    return mirrorStates.get(k)
+    const existing = mirrorStates.get(k)
+    if (options.screen) existing.admission.screen = options.screen
+    if (options.onMirrored) existing.admission.onMirrored = options.onMirrored
+    return existing
   }
 
   // Normalize folder prefix to start with '/'
@@ -56,6 +87,7 @@ export async function ensureRemoteMirror (remoteKeyHex, folder) {
   let running = false
   let pending = false
   let closed = false
+  const admission = { screen: options.screen || null, onMirrored: options.onMirrored || null }
   const watcher = remoteDrive.watch(prefix)
 
   async function runMirror () {
@@ -68,12 +100,13 @@ export async function ensureRemoteMirror (remoteKeyHex, folder) {
         return
       }
       const t0 = Date.now()
+      const rejected = await screenRemoteEntries(remoteDrive, prefix, admission.screen, remoteKeyHex)
       // Use built-in mirror (MirrorDrive). We only filter keys under prefix.
       const mirror = remoteDrive.mirror(localDrive, {
         prune: true,
         batch: true,
         includeEquals: false,
-        filter: (key) => isRelayFolderMatch(key, prefix)
+        filter: (key) => isRelayFolderMatch(key, prefix) && !rejected.has(key)
       })
       console.log(`[Mirror] start run remote=${remoteKeyHex.substring(0, 12)} prefix=${prefix}`)
       for await (const _diff of mirror) {
@@ -82,6 +115,12 @@ export async function ensureRemoteMirror (remoteKeyHex, folder) {
       const elapsed = Date.now() - t0
       // eslint-disable-next-line no-console
       console.log(`[Mirror] ${remoteKeyHex.substring(0, 12)} ${prefix}: files=${mirror.count.files} add=${mirror.count.add} remove=${mirror.count.remove} change=${mirror.count.change} ms=${elapsed}`)
+      // Mirrored files arrive as full copies; point them at the shared blob store
+      if (mirror.count.add || mirror.count.change) {
+        const { refsLinked, bytesFreed } = await linkRelayFolder(prefix.slice(1))
+        if (refsLinked) console.log(`[Mirror] ${prefix}: linked ${refsLinked} mirrored files to blob store, freed=${bytesFreed}`)
+      }
+      if (admission.onMirrored) await admission.onMirrored(remoteKeyHex)
     } catch (err) {
       // eslint-disable-next-line no-console
       console.error(`[Mirror] Error while mirroring ${remoteKeyHex} ${prefix}:`, err)
@@ -118,6 +157,7 @@ export async function ensureRemoteMirror (remoteKeyHex, folder) {
     remoteDrive,
     release,
     watcher,
+    admission,
     stop: async () => {
       closed = true
       try { await watcher.destroy() } catch (_) {}
@@ -138,8 +178,9 @@ export async function ensureRemoteMirror (remoteKeyHex, folder) {
  * Ensure mirrors for a set of provider drives for a given relay identifier.
  * @param {Iterable<string>} remoteKeysHex
  * @param {string} identifier - Relay identifier (publicIdentifier or relayKey)
+ * @param {Object} [options] - Passed to ensureRemoteMirror (e.g. screen)
  */
-export async function ensureMirrorsForProviders (remoteKeysHex, identifier) {
+export async function ensureMirrorsForProviders (remoteKeysHex, identifier, options = {}) {
   const folder = identifier.startsWith('/') ? identifier : `/${identifier}`
   // eslint-disable-next-line no-console
   console.log(`[Mirror] ensure for identifier=${folder} providers=${Array.from(remoteKeysHex || []).length}`)
@@ -149,7 +190,7 @@ export async function ensureMirrorsForProviders (remoteKeysHex, identifier) {
     if (!/^[a-fA-F0-9]{64}$/.test(keyHex)) continue
     // eslint-disable-next-line no-console
     console.log(`[Mirror] schedule ${keyHex.substring(0, 12)} for ${folder}`)
-    tasks.push(ensureRemoteMirror(keyHex.toLowerCase(), folder))
+    tasks.push(ensureRemoteMirror(keyHex.toLowerCase(), folder, options))
   }
   await Promise.allSettled(tasks)
 }
@@ -18,6 +18,8 @@ import {
   createRelay as createRelayManager,
   joinRelay as joinRelayManager,
   disconnectRelay as disconnectRelayManager,
+  updateRelayWriter as updateRelayWriterManager,
+  setRelayHosting as setRelayHostingManager,
   getRelayProfiles,
   autoConnectStoredRelays,
   handleRelayMessage,
@@ -26,7 +28,10 @@ import {
   cleanupRelays,
   updateRelaySubscriptions,
   getRelayMembers,
-  getRelayMetadata
+  getRelayMetadata,
+  onRelayLiveFrames,
+  holdRelayConnection,
+  releaseRelayConnection
 } from './hypertuna-relay-manager-adapter.mjs';
 
 import {
@@ -44,8 +49,10 @@ import {
   calculateAuthorizedUsers
 } from './hypertuna-relay-profile-manager-bare.mjs';
 
-import { getFile, getPfpFile } from './hyperdrive-manager.mjs';
+import { getFileInfo, readFileRange, getPfpFileInfo, readPfpFileRange, FILE_VARIANTS } from './hyperdrive-manager.mjs';
+import { planFileResponse } from '../shared/public-gateway/FileRanges.mjs';
 import { loadGatewaySettings, getCachedGatewaySettings } from '../shared/config/GatewaySettings.mjs';
+import { AUTH_CHALLENGE_HEADER, AUTH_HEADER, decodeAuthHeader, validateAuthEvent } from '../shared/auth/Nip42Auth.mjs';
 
 const PUBLIC_GATEWAY_REPLICA_IDENTIFIER = 'public-gateway:hyperbee';
 
@@ -69,6 +76,111 @@ function parseNostrMessagePayload(message) {
   return message;
 }
 
+// Gateways forward the client's NIP-42 event, and the challenge they issued for it, with every
+// request of its websocket session. A fresh event binds to the gateway connection key it first
+// arrives with; afterwards that connection keeps using it while active, and no other connection
+// can present it.
+const AUTH_EVENT_MAX_AGE_SECONDS = 5 * 60;
+const AUTH_SESSION_IDLE_MS = 15 * 60 * 1000;
+const authSessions = new Map(); // connectionKey -> { eventId, pubkey, relayKey, lastSeen }
+const authEventConnections = new Map(); // auth event id -> { connectionKey, expiresAt }
+
+function pruneAuthSessions(now = Date.now()) {
+  for (const [connectionKey, session] of authSessions) {
+    if (now - session.lastSeen > AUTH_SESSION_IDLE_MS) authSessions.delete(connectionKey);
+  }
+  // once an event is too old to validate it cannot be bound again anyway
+  for (const [eventId, entry] of authEventConnections) {
+    if (entry.expiresAt <= now) authEventConnections.delete(eventId);
+  }
+}
+
+// paths a client may have dialed this relay under, on whichever gateway it used
+function getRelayAuthPaths(...identifiers) {
+  return [...new Set(identifiers.filter(Boolean).map(id => `/${id.replace(':', '/')}`))];
+}
+
+function isPubkeyAuthorizedForRelay(relayKey, profile, pubkey) {
+  if (getRelayAuthStore().isAuthorized(relayKey, pubkey)) return true;
+  const authConfig = profile?.auth_config;
+  if (!authConfig) return false;
+  return calculateAuthorizedUsers(authConfig.auth_adds || [], authConfig.auth_removes || [])
+    .some(user => user.pubkey === pubkey);
+}
+
+async function verifyAuthEventForRelay(authEvent, { relayKey, identifier, profile, connectionKey, challenge, requireMembership = true }) {
+  if (!connectionKey) {
+    return { pubkey: null, reason: 'invalid: auth requires a gateway connection' };
+  }
+
+  let pubkey;
+  const session = authSessions.get(connectionKey);
+  if (session && session.eventId === authEvent?.id && session.relayKey === relayKey) {
+    session.lastSeen = Date.now();
+    pubkey = session.pubkey;
+  } else {
+    const validation = await validateAuthEvent(authEvent, {
+      challenge,
+      relayPaths: getRelayAuthPaths(identifier, relayKey, profile?.public_identifier),
+      verifySignature: (event) => NostrUtils.verifySignature(event),
+      maxSkewSeconds: AUTH_EVENT_MAX_AGE_SECONDS
+    });
+    if (!validation.ok) {
+      return { pubkey: null, reason: validation.reason };
+    }
+    const bound = authEventConnections.get(authEvent.id);
+    if (bound && bound.connectionKey !== connectionKey) {
+      return { pubkey: null, reason: 'invalid: auth event was already used by another connection' };
+    }
+
+    pruneAuthSessions();
+    pubkey = validation.pubkey;
+    authEventConnections.set(authEvent.id, {
+      connectionKey,
+      expiresAt: (authEvent.created_at + AUTH_EVENT_MAX_AGE_SECONDS) * 1000
+    });
+    authSessions.set(connectionKey, { eventId: authEvent.id, pubkey, relayKey, lastSeen: Date.now() });
+  }
+
+  if (requireMembership && !isPubkeyAuthorizedForRelay(relayKey, profile, pubkey)) {
+    return { pubkey: null, reason: 'restricted: not authorized for this relay' };
+  }
+  return { pubkey, reason: null };
+}
+
+/**
+ * Resolve who a gateway request is acting for, accepting either a legacy
+ * relay auth token or a forwarded NIP-42 auth event.
+ * @returns {Promise<{ pubkey: string|null, reason: string|null }>}
+ */
+async function resolveRequestAuth(request, { relayKey, identifier, profile, connectionKey }) {
+  const authToken = request.headers['x-auth-token'] || request.query?.token || null;
+  if (authToken) {
+    const auth = getRelayAuthStore().verifyAuth(relayKey, authToken);
+    if (auth) {
+      return { pubkey: auth.pubkey, reason: null };
+    }
+  }
+
+  const authEvent = decodeAuthHeader(request.headers[AUTH_HEADER]);
+  if (!authEvent) {
+    return {
+      pubkey: null,
+      reason: authToken
+        ? 'restricted: invalid authentication'
+        : 'auth-required: this relay requires authentication'
+    };
+  }
+
+  return verifyAuthEventForRelay(authEvent, {
+    relayKey,
+    identifier,
+    profile,
+    connectionKey,
+    challenge: request.headers[AUTH_CHALLENGE_HEADER] || null
+  });
+}
+
 
 // Global state
 let config = null;
@@ -79,6 +191,8 @@ let pendingRegistrations = []; // Queue registrations until gateway connects
 let connectedPeers = new Map(); // Track all connected peers
 let pendingPeerProtocols = new Map(); // Awaiters for outbound connections
 const peerJoinHandles = new Map(); // Persistent joinPeer handles
+const liveSubscriptionChannels = new Map(); // connectionKey -> { protocol, identifier, relayKey } that opened its REQs
+let stopLiveFramePush = null;
 let healthMonitorTimer = null;
 
 // Enhanced health state tracking
@@ -111,6 +225,29 @@ function buildGatewayWebsocketBase(cfg = config) {
   return `${protocol}://${host}`;
 }
 
+function releaseLiveSubscriptionChannel(connectionKey) {
+  const channel = liveSubscriptionChannels.get(connectionKey);
+  if (!channel) return;
+  liveSubscriptionChannels.delete(connectionKey);
+  releaseRelayConnection(channel.relayKey, connectionKey);
+}
+
+// Push EVENT frames for live subscriptions back over the protocol connection the REQ arrived on
+function pushLiveFramesToGateway(relayKey, connectionKey, frames) {
+  const channel = liveSubscriptionChannels.get(connectionKey);
+  if (!channel) return;
+  if (!channel.protocol?.channel || channel.protocol.channel.closed) {
+    releaseLiveSubscriptionChannel(connectionKey);
+    return;
+  }
+  channel.protocol.sendWebSocketFrame({
+    type: 'relay-frames',
+    relayKey: channel.identifier,
+    connectionKey,
+    frames
+  });
+}
+
 // Initialize with enhanced config
 export async function initializeRelayServer(customConfig = {}) {
   console.log('[RelayServer] ========================================');
@@ -181,6 +318,10 @@ export async function initializeRelayServer(customConfig = {}) {
   // Initialize auth store
   const authStore = getRelayAuthStore();
   console.log('[RelayServer] Auth store initialized');
+
+  if (!stopLiveFramePush) {
+    stopLiveFramePush = onRelayLiveFrames(pushLiveFramesToGateway);
+  }
   
   console.log('[RelayServer] Base initialization complete (gateway startup deferred)');
   console.log('[RelayServer] ========================================');
@@ -578,6 +719,12 @@ function handlePeerConnection(stream, peerInfo) {
       }
     }
 
+    for (const [connectionKey, channel] of liveSubscriptionChannels) {
+      if (channel.protocol === protocol) {
+        releaseLiveSubscriptionChannel(connectionKey);
+      }
+    }
+
     if (gatewayConnection === protocol) {
       console.log('[RelayServer] >>> GATEWAY CONNECTION LOST <<<');
       gatewayConnection = null;
@@ -732,6 +879,17 @@ async function processPendingRegistrations() {
 // Setup protocol handlers for all endpoints
 function setupProtocolHandlers(protocol) {
   console.log('[RelayServer] Setting up protocol handlers');
+
+  // gateways report client websockets that closed so their live subscriptions stop receiving pushes
+  protocol.on('wsframe', (frame) => {
+    if (frame?.type === 'relay-connection-closed' && typeof frame.connectionKey === 'string') {
+      authSessions.delete(frame.connectionKey);
+      const channel = liveSubscriptionChannels.get(frame.connectionKey);
+      if (channel?.protocol === protocol) {
+        releaseLiveSubscriptionChannel(frame.connectionKey);
+      }
+    }
+  });
   
   // Health endpoint
   protocol.handle('/health', async () => {
@@ -1271,13 +1429,7 @@ function setupProtocolHandlers(protocol) {
     }
     
     try {
-      // Extract auth token from request headers
-      let authToken = request.headers['x-auth-token'];
-      if (!authToken && request.query?.token) {
-        authToken = request.query.token;
-      }
-
-      console.log(`[RelayServer] Auth token present: ${!!authToken}`);
+      console.log(`[RelayServer] Auth token present: ${!!request.headers['x-auth-token']}, auth event present: ${!!request.headers[AUTH_HEADER]}`);
       
       // Check if identifier is a public identifier or relay key
       let relayKey = await getRelayKeyFromPublicIdentifier(identifier) || identifier;
@@ -1336,40 +1488,47 @@ function setupProtocolHandlers(protocol) {
       console.log(`[RelayServer] Relay ${identifier} requires auth: ${requiresAuth}${virtualRelay ? ' (virtual relay)' : ''}`);
       console.log(`[RelayServer] Authorized pubkeys count: ${authorizedPubkeys.length}`);
 
+      const jsonResponse = (frame) => ({
+        statusCode: 200, // Still 200 because it's a valid NOSTR response
+        headers: { 'content-type': 'application/json' },
+        body: b4a.from(JSON.stringify(frame))
+      });
+
+      // NIP-42: the gateway forwards the client's signed auth event for confirmation
+      if (nostrMessage[0] === 'AUTH') {
+        const authEvent = nostrMessage[1];
+        const result = await verifyAuthEventForRelay(authEvent, {
+          relayKey,
+          identifier,
+          profile,
+          connectionKey,
+          challenge: request.headers[AUTH_CHALLENGE_HEADER] || null,
+          requireMembership: requiresAuth
+        });
+        if (!result.pubkey) {
+          console.warn(`[RelayServer] Rejected AUTH for relay ${identifier}: ${result.reason}`);
+        } else {
+          console.log(`[RelayServer] AUTH accepted for ${result.pubkey.substring(0, 8)}...`);
+        }
+        updateMetrics(!!result.pubkey);
+        return jsonResponse(['OK', authEvent?.id || '', !!result.pubkey, result.reason || '']);
+      }
+
       // Handle authentication for protected relays
       if (requiresAuth) {
-        // For REQ (subscription) messages, check if read access requires auth
-        if (nostrMessage[0] === 'REQ') {
+        const auth = await resolveRequestAuth(request, { relayKey, identifier, profile, connectionKey });
+
+        // For REQ (subscription) and COUNT messages, check if read access requires auth
+        if (nostrMessage[0] === 'REQ' || nostrMessage[0] === 'COUNT') {
           // Some relays might allow public read access
-          // You can customize this based on your requirements
           if (profile?.auth_config?.publicRead !== true) {
-            if (!authToken) {
-              console.warn(`[RelayServer] Missing auth token for REQ on protected relay`);
+            if (!auth.pubkey) {
+              console.warn(`[RelayServer] Unauthenticated ${nostrMessage[0]} on protected relay: ${auth.reason}`);
               updateMetrics(false);
-              return {
-                statusCode: 403,
-                headers: { 'content-type': 'application/json' },
-                body: b4a.from(JSON.stringify([
-                  ['NOTICE', 'Authentication required for read access']
-                ]))
-              };
+              return jsonResponse(['CLOSED', nostrMessage[1] || '', auth.reason]);
             }
 
-            // Verify auth for REQ
-            const auth = authStore.verifyAuth(relayKey, authToken);
-            if (!auth) {
-              console.warn(`[RelayServer] Invalid auth for REQ`);
-              updateMetrics(false);
-              return {
-                statusCode: 403,
-                headers: { 'content-type': 'application/json' },
-                body: b4a.from(JSON.stringify([
-                  ['NOTICE', 'Invalid authentication']
-                ]))
-              };
-            }
-            
-            console.log(`[RelayServer] REQ authenticated for ${auth.pubkey.substring(0, 8)}...`);
+            console.log(`[RelayServer] ${nostrMessage[0]} authenticated for ${auth.pubkey.substring(0, 8)}...`);
           }
         }
         
@@ -1377,44 +1536,17 @@ function setupProtocolHandlers(protocol) {
         if (nostrMessage[0] === 'EVENT') {
           const event = nostrMessage.length === 2 ? nostrMessage[1] : nostrMessage[2];
           
-          if (!authToken) {
-            console.warn(`[RelayServer] Missing auth token for EVENT`);
-            updateMetrics(false);
-
-            // Return proper NOSTR OK response with auth error
-            const okResponse = ['OK', event?.id || '', false, 'error: authentication required'];
-            return {
-              statusCode: 200, // Still 200 because it's a valid NOSTR response
-              headers: { 'content-type': 'application/json' },
-              body: b4a.from(JSON.stringify(okResponse))
-            };
-          }
-          
-          // Verify the auth
-          const auth = authStore.verifyAuth(relayKey, authToken);
-          if (!auth) {
-            console.warn(`[RelayServer] Invalid auth token`);
+          if (!auth.pubkey) {
+            console.warn(`[RelayServer] Unauthenticated EVENT on protected relay: ${auth.reason}`);
             updateMetrics(false);
-            
-            const okResponse = ['OK', event?.id || '', false, 'error: invalid authentication'];
-            return {
-              statusCode: 200,
-              headers: { 'content-type': 'application/json' },
-              body: b4a.from(JSON.stringify(okResponse))
-            };
+            return jsonResponse(['OK', event?.id || '', false, auth.reason]);
           }
           
           // Check if the event pubkey matches the authenticated user
           if (event && event.pubkey !== auth.pubkey) {
             console.warn(`[RelayServer] Event pubkey ${event.pubkey} doesn't match auth pubkey ${auth.pubkey}`);
             updateMetrics(false);
-            
-            const okResponse = ['OK', event.id, false, 'error: pubkey mismatch - event must be signed by authenticated user'];
-            return {
-              statusCode: 200,
-              headers: { 'content-type': 'application/json' },
-              body: b4a.from(JSON.stringify(okResponse))
-            };
+            return jsonResponse(['OK', event.id, false, 'restricted: event must be signed by the authenticated user']);
           }
           
           // Get current member list to verify membership
@@ -1422,19 +1554,10 @@ function setupProtocolHandlers(protocol) {
           if (!members.includes(auth.pubkey)) {
             console.warn(`[RelayServer] Authenticated pubkey ${auth.pubkey} is not a member`);
             updateMetrics(false);
-            
-            const okResponse = ['OK', event.id, false, 'error: not a member of this relay'];
-            return {
-              statusCode: 200,
-              headers: { 'content-type': 'application/json' },
-              body: b4a.from(JSON.stringify(okResponse))
-            };
+            return jsonResponse(['OK', event?.id || '', false, 'restricted: not a member of this relay']);
           }
           
           console.log(`[RelayServer] EVENT authenticated and authorized for ${auth.pubkey.substring(0, 8)}...`);
-          
-          // Update last used timestamp
-          auth.lastUsed = Date.now();
         }
       } else {
         // For non-protected relays, still check member list for EVENT messages
@@ -1466,6 +1589,12 @@ function setupProtocolHandlers(protocol) {
       };
       
       await handleRelayMessage(relayKey, nostrMessage, sendResponse, connectionKey);
+
+      // new matches for this connection's subscriptions are pushed over this protocol connection
+      if (nostrMessage[0] === 'REQ' && connectionKey) {
+        liveSubscriptionChannels.set(connectionKey, { protocol, identifier: rawIdentifier, relayKey });
+        holdRelayConnection(relayKey, connectionKey);
+      }
       
       console.log(`[RelayServer] Handled message, ${responses.length} responses queued`);
       
@@ -1501,11 +1630,6 @@ function setupProtocolHandlers(protocol) {
   protocol.handle('/get/relay/:identifier/:connectionKey', async (request) => {
     const rawIdentifier = request.params.identifier;
     const identifier = normalizeRelayIdentifier(rawIdentifier);
-    // Extract auth token from request headers
-    let authToken = request.headers['x-auth-token'];
-    if (!authToken && request.query?.token) {
-      authToken = request.query.token;
-    }
     const connectionKey = request.params.connectionKey;
 
     console.log(`[RelayServer] Checking subscriptions for identifier: ${rawIdentifier}, connectionKey: ${connectionKey}`);
@@ -1562,41 +1686,28 @@ function setupProtocolHandlers(protocol) {
         // This endpoint is implicitly for REQ messages (fetching events for a subscription)
         // Check if public read access is explicitly allowed
           if (profile?.auth_config?.publicRead !== true) {
-            if (!authToken) {
-              console.warn(`[RelayServer] Missing auth token for read access on protected relay`);
+            const auth = await resolveRequestAuth(request, { relayKey, identifier, profile, connectionKey });
+            if (!auth.pubkey) {
+              console.warn(`[RelayServer] Unauthenticated read access on protected relay: ${auth.reason}`);
               updateMetrics(false);
               return {
                 statusCode: 200, // Return 200 for valid NOSTR NOTICE response
                 headers: { 'content-type': 'application/json' },
                 body: b4a.from(JSON.stringify([
-                  ['NOTICE', 'Authentication required for read access']
-                ]))
-              };
-            }
-
-            // Verify auth
-            const auth = authStore.verifyAuth(relayKey, authToken);
-            if (!auth) {
-              console.warn(`[RelayServer] Invalid auth for read access`);
-              updateMetrics(false);
-              return {
-                statusCode: 200, // Return 200 for valid NOSTR NOTICE response
-                headers: { 'content-type': 'application/json' },
-                body: b4a.from(JSON.stringify([
-                  ['NOTICE', 'Invalid authentication']
+                  ['NOTICE', auth.reason]
                 ]))
               };
             }
 
             console.log(`[RelayServer] Read access authenticated for ${auth.pubkey.substring(0, 8)}...`);
-            // Update last used timestamp
-            auth.lastUsed = Date.now();
           } else {
             console.log(`[RelayServer] Relay ${identifier} allows public read access despite requiring auth.`);
           }
         }
         
-        const [events, activeSubscriptionsUpdated] = await handleRelaySubscription(relayKey, connectionKey);
+        // a gateway that just forwarded a REQ only needs that subscription's backlog
+        const subscriptionIds = request.query?.subscription ? [request.query.subscription] : null;
+        const [events, activeSubscriptionsUpdated] = await handleRelaySubscription(relayKey, connectionKey, { subscriptionIds });
         
         if (!Array.isArray(events)) {
             console.log(`[RelayServer] Invalid response format from handleSubscription`);
@@ -1665,23 +1776,36 @@ function setupProtocolHandlers(protocol) {
   });
 
   // Serve files stored in Hyperdrive
-  protocol.handle('/drive/:identifier/:file', async (request) => {
+  // /drive/:identifier/:file serves the original, /drive/:identifier/:file/:variant a derived
+  // version such as its thumbnail
+  async function handleDriveFileRequest(request) {
     const rawIdentifier = request.params.identifier;
     const identifier = normalizeRelayIdentifier(rawIdentifier);
     const fileId = request.params.file;
+    const variant = request.params.variant || null;
 
-    console.log(`[RelayServer] Drive file requested: ${rawIdentifier}/${fileId}`);
+    console.log(`[RelayServer] Drive file requested: ${rawIdentifier}/${fileId}${variant ? `/${variant}` : ''}`);
     if (rawIdentifier !== identifier) {
       console.log(`[RelayServer] Normalized identifier: ${identifier}`);
     }
 
+    if (variant && !FILE_VARIANTS.has(variant)) {
+      updateMetrics(false);
+      return {
+        statusCode: 404,
+        headers: { 'content-type': 'application/json' },
+        body: b4a.from(JSON.stringify({ error: 'Unknown file variant' }))
+      };
+    }
+
     try {
       const hash = fileId.split('.')[0];
       // Prefer new layout using publicIdentifier path; fall back to legacy relayKey path
-      let fileBuffer = await getFile(identifier, hash);
-      if (!fileBuffer) {
+      let folder = identifier;
+      let fileInfo = await getFileInfo(identifier, hash, variant);
+      if (!fileInfo) {
         const relayKey = await getRelayKeyFromPublicIdentifier(identifier);
-        if (!fileBuffer && !relayKey && !/^[a-f0-9]{64}$/i.test(identifier)) {
+        if (!relayKey && !/^[a-f0-9]{64}$/i.test(identifier)) {
           updateMetrics(false);
           return {
             statusCode: 404,
@@ -1690,10 +1814,11 @@ function setupProtocolHandlers(protocol) {
           };
         }
         if (relayKey) {
-          fileBuffer = await getFile(relayKey, hash);
+          folder = relayKey;
+          fileInfo = await getFileInfo(relayKey, hash, variant);
         }
       }
-      if (!fileBuffer) {
+      if (!fileInfo) {
         updateMetrics(false);
         return {
           statusCode: 404,
@@ -1702,29 +1827,42 @@ function setupProtocolHandlers(protocol) {
         };
       }
 
-      // Determine content type from file extension
-      let contentType = 'application/octet-stream';
-      if (fileId.includes('.')) {
+      // Determine content type from the stored metadata, then the file extension
+      let contentType = fileInfo.metadata?.mimeType || 'application/octet-stream';
+      if (!fileInfo.metadata?.mimeType && !variant && fileId.includes('.')) {
         const ext = fileId.split('.').pop().toLowerCase();
         const mimeTypes = {
           'jpg': 'image/jpeg',
           'jpeg': 'image/jpeg',
           'png': 'image/png',
           'gif': 'image/gif',
+          'webp': 'image/webp',
+          'mp4': 'video/mp4',
+          'webm': 'video/webm',
+          'mp3': 'audio/mpeg',
           'pdf': 'application/pdf',
           'txt': 'text/plain'
         };
         contentType = mimeTypes[ext] || contentType;
       }
 
+      const plan = planFileResponse({
+        headers: request.headers || {},
+        size: fileInfo.size,
+        fileHash: variant ? `${hash}-${variant}` : hash
+      });
+      const body = plan.statusCode === 200 || plan.statusCode === 206
+        ? await readFileRange(folder, hash, plan.start, plan.end, variant)
+        : b4a.alloc(0);
+
       updateMetrics(true);
       return {
-        statusCode: 200,
+        statusCode: plan.statusCode,
         headers: {
           'content-type': contentType,
-          'content-length': fileBuffer.length.toString()
+          ...plan.headers
         },
-        body: b4a.from(fileBuffer)
+        body
       };
     } catch (error) {
       console.error('[RelayServer] Error fetching drive file:', error);
@@ -1735,7 +1873,10 @@ function setupProtocolHandlers(protocol) {
         body: b4a.from(JSON.stringify({ error: error.message }))
       };
     }
-  });
+  }
+
+  protocol.handle('/drive/:identifier/:file', handleDriveFileRequest);
+  protocol.handle('/drive/:identifier/:file/:variant', handleDriveFileRequest);
 
   async function handlePfpRequest(request, ownerParam = null) {
     const rawOwner = ownerParam || request.params.owner || null;
@@ -1753,9 +1894,9 @@ function setupProtocolHandlers(protocol) {
     try {
       const hash = fileId.split('.')[0];
       const ownerKey = rawOwner ? rawOwner.trim() : '';
-      const fileBuffer = await getPfpFile(ownerKey, hash);
+      const fileInfo = await getPfpFileInfo(ownerKey, hash);
 
-      if (!fileBuffer) {
+      if (!fileInfo) {
         updateMetrics(false);
         return {
           statusCode: 404,
@@ -1772,16 +1913,21 @@ function setupProtocolHandlers(protocol) {
         gif: 'image/gif',
         webp: 'image/webp'
       };
-      const contentType = mimeTypes[ext] || 'application/octet-stream';
+      const contentType = fileInfo.metadata?.mimeType || mimeTypes[ext] || 'application/octet-stream';
+
+      const plan = planFileResponse({ headers: request.headers || {}, size: fileInfo.size, fileHash: hash });
+      const body = plan.statusCode === 200 || plan.statusCode === 206
+        ? await readPfpFileRange(ownerKey, hash, plan.start, plan.end)
+        : b4a.alloc(0);
 
       updateMetrics(true);
       return {
-        statusCode: 200,
+        statusCode: plan.statusCode,
         headers: {
           'content-type': contentType,
-          'cache-control': 'public, max-age=60'
+          ...plan.headers
         },
-        body: b4a.from(fileBuffer)
+        body
       };
     } catch (error) {
       console.error('[RelayServer] PFP handler error:', error);
@@ -2038,6 +2184,11 @@ async function registerWithGateway(relayProfileInfo = null, options = {}) {
     const relayList = [];
 
     for (const relay of activeRelays) {
+      // Readers only register when they opted in to host; otherwise the gateway could route to a stale partial replica
+      if (!relay.writable && !relay.hostingPeer) {
+        continue;
+      }
+
       const profile =
         profilesByRelayKey.get(relay.relayKey) ||
         (relay.publicIdentifier ? profilesByIdentifier.get(relay.publicIdentifier) : null) ||
@@ -2088,10 +2239,15 @@ async function registerWithGateway(relayProfileInfo = null, options = {}) {
         name: resolvedName,
         description: resolvedDescription,
         avatarUrl: resolvedAvatar || null,
+        adminPubkey: profile?.admin_pubkey || null,
+        // the manager reads it from the group's log; the profile copy may predate replication or be another peer's key
+        relayPubkey: relay.relayPubkey || profile?.relay_nostr_id || null,
         isPublic: resolvedIsPublic,
         metadataUpdatedAt: resolvedMetadata?.updatedAt || toTimestamp(profile?.updated_at),
         metadataEventId: resolvedMetadata?.eventId || null,
-        gatewayPath: identifierPath
+        gatewayPath: identifierPath,
+        writable: relay.writable,
+        hostingPeer: relay.hostingPeer
       });
     }
 
@@ -2743,6 +2899,28 @@ export async function disconnectRelay(relayKey) {
   return result;
 }
 
+export async function updateRelayWriter(identifier, event) {
+  const relayKey = await getRelayKeyFromPublicIdentifier(identifier) || identifier;
+  console.log('[RelayServer] Updating relay writer via adapter:', relayKey, 'kind:', event?.kind);
+  return updateRelayWriterManager(relayKey, event);
+}
+
+export async function setRelayHosting(identifier, enabled) {
+  const relayKey = await getRelayKeyFromPublicIdentifier(identifier) || identifier;
+  console.log('[RelayServer] Setting relay hosting via adapter:', relayKey, enabled);
+  const result = await setRelayHostingManager(relayKey, enabled);
+
+  if (result.success && config.registerWithGateway && gatewayConnection) {
+    try {
+      await registerWithGateway();
+    } catch (regError) {
+      console.error('[RelayServer] Failed to notify gateway after hosting change:', regError.message);
+    }
+  }
+
+  return result;
+}
+
 export async function shutdownRelayServer() {
   console.log('[RelayServer] ========================================');
   console.log('[RelayServer] SHUTTING DOWN');
@@ -2758,6 +2936,12 @@ export async function shutdownRelayServer() {
     clearInterval(healthMonitorTimer);
     healthMonitorTimer = null;
   }
+
+  if (stopLiveFramePush) {
+    stopLiveFramePush();
+    stopLiveFramePush = null;
+  }
+  liveSubscriptionChannels.clear();
   
   // Clean up all active relays
   await cleanupRelays();
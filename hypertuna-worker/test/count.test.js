@@ -0,0 +1,58 @@
+import test from 'brittle';
+
+import { createRelay, createKeys, signEvent } from './helpers.js';
+
+async function count(relay, ...filters) {
+  const responses = [];
+  await relay.handleMessage(['COUNT', 'count-1', ...filters], (response) => responses.push(response), 'conn-1');
+  return responses;
+}
+
+test('COUNT answers the number of matching events', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const bob = createKeys();
+  for (const [index, keys] of [alice, alice, bob].entries()) {
+    await relay.publishEvent(await signEvent(keys, { kind: 9, tags: [['h', 'group-a']], content: `message ${index}` }));
+  }
+  await relay.publishEvent(await signEvent(bob, { kind: 9, tags: [['h', 'group-b']] }));
+
+  t.alike(await count(relay, { kinds: [9], '#h': ['group-a'] }), [['COUNT', 'count-1', { count: 3 }]]);
+  t.alike(await count(relay, { kinds: [9], authors: [alice.pubkey] }), [['COUNT', 'count-1', { count: 2 }]]);
+});
+
+test('COUNT counts an event matched by several filters once and ignores limit', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const notes = [];
+  for (const content of ['one', 'two', 'three']) {
+    const note = await signEvent(alice, { content });
+    notes.push(note);
+    await relay.publishEvent(note);
+  }
+
+  t.alike(
+    await count(relay, { kinds: [1], limit: 1 }, { ids: [notes[0].id] }, { authors: [alice.pubkey] }),
+    [['COUNT', 'count-1', { count: 3 }]]
+  );
+});
+
+test('COUNT leaves out expired events', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const now = Math.floor(Date.now() / 1000);
+  const expiring = await signEvent(alice, { tags: [['expiration', String(now + 1)]] });
+  await relay.publishEvent(expiring);
+  await relay.publishEvent(await signEvent(alice, { content: 'lasting' }));
+
+  await new Promise((resolve) => setTimeout(resolve, 2100));
+  t.alike(await count(relay, { kinds: [1] }), [['COUNT', 'count-1', { count: 1 }]]);
+});
+
+test('COUNT without filters is closed as invalid', async (t) => {
+  const relay = await createRelay(t);
+  const [response] = await count(relay);
+  t.is(response[0], 'CLOSED');
+  t.is(response[1], 'count-1');
+  t.ok(response[2].startsWith('invalid:'));
+});
@@ -0,0 +1,102 @@
+import test from 'brittle';
+
+import { createRelay, createKeys, signEvent, storedIds } from './helpers.js';
+
+test('kind 5 removes the author\'s own events and refuses them afterwards', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const note = await signEvent(alice, { content: 'to be deleted' });
+  const kept = await signEvent(alice, { content: 'kept' });
+
+  t.ok((await relay.publishEvent(note))[2]);
+  t.ok((await relay.publishEvent(kept))[2]);
+  t.ok((await relay.publishEvent(await signEvent(alice, { kind: 5, tags: [['e', note.id]] })))[2]);
+
+  t.alike(await storedIds(relay, { kinds: [1] }), [kept.id]);
+  const [, , accepted, reason] = await relay.publishEvent(note);
+  t.is(accepted, false);
+  t.ok(reason.startsWith('blocked:'));
+});
+
+test('kind 5 from another pubkey leaves the event in place', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const mallory = createKeys();
+  const note = await signEvent(alice, { content: 'not yours' });
+
+  await relay.publishEvent(note);
+  await relay.publishEvent(await signEvent(mallory, { kind: 5, tags: [['e', note.id]] }));
+
+  t.alike(await storedIds(relay, { kinds: [1] }), [note.id]);
+});
+
+test('a deletion that arrives before its target refuses the target later', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const note = await signEvent(alice, { content: 'deleted in advance' });
+
+  await relay.publishEvent(await signEvent(alice, { kind: 5, tags: [['e', note.id]] }));
+
+  t.is((await relay.publishEvent(note))[2], false);
+  t.alike(await storedIds(relay, { kinds: [1] }), []);
+});
+
+test('kind 5 cannot narrow an author-less tombstone to one author', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const mallory = createKeys();
+  const note = await signEvent(alice, { content: 'removed by the operator' });
+
+  await relay.deleteEvent(note.id);
+  await relay.publishEvent(await signEvent(mallory, { kind: 5, tags: [['e', note.id]] }));
+
+  const [, , accepted, reason] = await relay.publishEvent(note);
+  t.is(accepted, false);
+  t.ok(reason.startsWith('blocked:'));
+});
+
+test('operator delete removes a stored event and blocks reposts', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const note = await signEvent(alice, { content: 'moderated' });
+
+  await relay.publishEvent(note);
+  await relay.deleteEvent(note.id);
+
+  t.alike(await storedIds(relay, { kinds: [1] }), []);
+  t.is((await relay.publishEvent(note))[2], false);
+});
+
+test('an `a` tag deletion covers every version up to its created_at', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const now = Math.floor(Date.now() / 1000);
+  const address = (createdAt, content) => signEvent(alice, { kind: 30023, content, tags: [['d', 'post']], createdAt });
+
+  const current = await address(now - 10, 'current');
+  await relay.publishEvent(current);
+  await relay.publishEvent(await signEvent(alice, {
+    kind: 5,
+    tags: [['a', `30023:${alice.pubkey}:post`]],
+    createdAt: now
+  }));
+
+  t.alike(await storedIds(relay, { kinds: [30023] }), []);
+  t.is((await relay.publishEvent(await address(now - 5, 'older')))[2], false);
+
+  const newer = await address(now + 5, 'newer');
+  t.ok((await relay.publishEvent(newer))[2]);
+  t.alike(await storedIds(relay, { kinds: [30023] }), [newer.id]);
+});
+
+test('an `a` tag naming another author\'s address is ignored', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const mallory = createKeys();
+  const post = await signEvent(alice, { kind: 30023, content: 'mine', tags: [['d', 'post']] });
+
+  await relay.publishEvent(post);
+  await relay.publishEvent(await signEvent(mallory, { kind: 5, tags: [['a', `30023:${alice.pubkey}:post`]] }));
+
+  t.alike(await storedIds(relay, { kinds: [30023] }), [post.id]);
+});
@@ -0,0 +1,42 @@
+import test from 'brittle';
+
+import { createRelay, createKeys, signEvent, storedIds } from './helpers.js';
+
+async function subscribe(relay, connectionKey, subscriptionId, ...filters) {
+  await relay.handleMessage(['REQ', subscriptionId, ...filters], () => {}, connectionKey);
+}
+
+function collectLiveFrames(relay) {
+  const pushed = [];
+  relay.on('live-frames', (connectionKey, frames) => pushed.push(...frames.map((frame) => [connectionKey, ...frame])));
+  return pushed;
+}
+
+test('ephemeral events reach matching subscriptions without being stored', async (t) => {
+  const relay = await createRelay(t);
+  const pushed = collectLiveFrames(relay);
+  const alice = createKeys();
+  await subscribe(relay, 'conn-a', 'typing', { kinds: [20001], '#h': ['group-a'] });
+  await subscribe(relay, 'conn-b', 'typing', { kinds: [20001], '#h': ['group-b'] });
+
+  const typing = await signEvent(alice, { kind: 20001, tags: [['h', 'group-a']] });
+  t.alike(await relay.publishEvent(typing), ['OK', typing.id, true, '']);
+
+  t.alike(pushed, [['conn-a', 'EVENT', 'typing', typing]]);
+  t.alike(await storedIds(relay, { kinds: [20001] }), []);
+  t.is(await relay.getEvent(typing.id), null);
+});
+
+test('ephemeral events with a bad signature are refused and not broadcast', async (t) => {
+  const relay = await createRelay(t);
+  const pushed = collectLiveFrames(relay);
+  const alice = createKeys();
+  const mallory = createKeys();
+  await subscribe(relay, 'conn-a', 'typing', { kinds: [20001] });
+
+  const forged = { ...(await signEvent(mallory, { kind: 20001 })), pubkey: alice.pubkey };
+  const [, , accepted] = await relay.publishEvent(forged);
+
+  t.is(accepted, false);
+  t.alike(pushed, []);
+});
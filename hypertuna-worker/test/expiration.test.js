@@ -0,0 +1,55 @@
+import test from 'brittle';
+import b4a from 'b4a';
+
+import { createRelay, createKeys, signEvent, storedIds } from './helpers.js';
+
+test('an event that has already expired is refused', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const now = Math.floor(Date.now() / 1000);
+  const stale = await signEvent(alice, { tags: [['expiration', String(now - 10)]] });
+
+  const [, , accepted, reason] = await relay.publishEvent(stale);
+  t.is(accepted, false);
+  t.ok(reason.startsWith('invalid:'));
+  t.alike(await storedIds(relay, { kinds: [1] }), []);
+});
+
+test('expired events are hidden from queries before they are swept', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const now = Math.floor(Date.now() / 1000);
+  const expiring = await signEvent(alice, { tags: [['expiration', String(now + 2)]] });
+  const lasting = await signEvent(alice, { content: 'lasting' });
+  await relay.publishEvent(expiring);
+  await relay.publishEvent(lasting);
+
+  t.alike(await storedIds(relay, { kinds: [1] }), [expiring.id, lasting.id].sort());
+
+  await new Promise((resolve) => setTimeout(resolve, (now + 3) * 1000 - Date.now()));
+  t.alike(await storedIds(relay, { kinds: [1] }), [lasting.id]);
+  t.alike(await relay.executeIdQueries({ ids: [expiring.id] }), []);
+});
+
+test('the sweeper removes expired events together with their index entries', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const now = Math.floor(Date.now() / 1000);
+  const expiring = await signEvent(alice, { kind: 9, tags: [['h', 'group-a'], ['expiration', String(now + 60)]] });
+  const lasting = await signEvent(alice, { kind: 9, tags: [['h', 'group-a'], ['expiration', String(now + 3600)]] });
+  await relay.publishEvent(expiring);
+  await relay.publishEvent(lasting);
+
+  t.is(await relay.sweepExpiredEvents(now), 0);
+  t.is(await relay.sweepExpiredEvents(now + 120), 1);
+
+  t.is(await relay.getEvent(expiring.id), null);
+  t.ok(await relay.getEvent(lasting.id));
+
+  const remainingKeys = [];
+  for await (const entry of relay.view.createReadStream()) {
+    const key = b4a.toString(entry.key, 'utf8');
+    if (key.includes(expiring.id) && !key.startsWith('deleted:')) remainingKeys.push(key);
+  }
+  t.alike(remainingKeys, []);
+});
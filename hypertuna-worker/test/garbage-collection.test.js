@@ -0,0 +1,80 @@
+import test from 'brittle';
+import tmp from 'test-tmp';
+import crypto from 'node:crypto';
+
+import {
+  initializeHyperdrive,
+  closeHyperdrive,
+  getLocalDrive,
+  storeFile,
+  fileExists,
+  collectGarbage,
+  normalizeIdentifier
+} from '../hyperdrive-manager.mjs';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+function createRelayFolder() {
+  return normalizeIdentifier(crypto.randomBytes(32).toString('hex'));
+}
+
+// the local drive of a worker whose storage is `storage`, without joining the public DHT
+async function openDrive(t, storage) {
+  await initializeHyperdrive({ storage, swarmBootstrap: [] });
+  t.teardown(() => closeHyperdrive());
+}
+
+// a reference written outside storeFile, like one left by an earlier run: not covered by the grace period
+async function putOldReference(folder) {
+  const data = crypto.randomBytes(64);
+  const fileHash = sha256(data);
+  await getLocalDrive().put(`/${folder}/${fileHash}`, data);
+  return fileHash;
+}
+
+test('GC keeps indexed, recent and unreadable-index references and removes the rest', async (t) => {
+  await openDrive(t, await tmp(t));
+  const indexed = createRelayFolder();
+  const unreadable = createRelayFolder();
+  const recent = createRelayFolder();
+  const gone = createRelayFolder();
+
+  const live = await putOldReference(indexed);
+  const unindexed = await putOldReference(indexed);
+  const kept = await putOldReference(unreadable);
+  const recentData = crypto.randomBytes(64);
+  await storeFile(recent, sha256(recentData), recentData, null);
+  const orphan = await putOldReference(gone);
+
+  const stats = await collectGarbage(new Map([
+    [indexed, new Set([live])],
+    [unreadable, null],
+    [recent, new Set()]
+  ]));
+
+  t.is(stats.refsRemoved, 2);
+  t.ok(await fileExists(indexed, live));
+  t.absent(await fileExists(indexed, unindexed));
+  t.ok(await fileExists(unreadable, kept));
+  t.ok(await fileExists(recent, sha256(recentData)));
+  t.absent(await fileExists(gone, orphan));
+});
+
+test('an upload made on this worker survives GC without a filekey index entry', async (t) => {
+  const storage = await tmp(t);
+  const folder = createRelayFolder();
+  const upload = crypto.randomBytes(64);
+  const mirrored = crypto.randomBytes(64);
+
+  await initializeHyperdrive({ storage, swarmBootstrap: [] });
+  await storeFile(folder, sha256(upload), upload, { mimeType: 'application/octet-stream' }, { local: true });
+  await storeFile(folder, sha256(mirrored), mirrored, { sourceDrive: 'f'.repeat(64) });
+  // a restart ends the grace period of both; the relay index never listed them (this worker is not a writer)
+  await closeHyperdrive();
+  await openDrive(t, storage);
+
+  const stats = await collectGarbage(new Map([[folder, new Set()]]));
+  t.is(stats.refsRemoved, 1);
+  t.ok(await fileExists(folder, sha256(upload)));
+  t.absent(await fileExists(folder, sha256(mirrored)));
+});
@@ -0,0 +1,140 @@
+import test from 'brittle';
+
+import NostrRelay from '../hypertuna-relay-event-processor.mjs';
+import { createRelay, createKeys, signEvent, storedIds } from './helpers.js';
+
+const GROUP_ID = 'test-group';
+
+async function createGroupRelay(t, admin, members = []) {
+  const relay = await createRelay(t);
+  relay.setGroupPolicy({
+    groupId: GROUP_ID,
+    adminPubkey: admin.pubkey,
+    isOpen: false,
+    isMember: (pubkey) => members.includes(pubkey)
+  });
+  return relay;
+}
+
+async function publish(relay, keys, { kind = 1, tags = [], ...rest } = {}) {
+  const event = await signEvent(keys, { kind, tags: [['h', GROUP_ID], ...tags], ...rest });
+  const [, , accepted, reason] = await relay.publishEvent(event);
+  return { event, accepted, reason };
+}
+
+function deleteEvent(relay, keys, target, options = {}) {
+  return publish(relay, keys, { kind: 9005, tags: [['e', target.id]], ...options });
+}
+
+test('an admin deletes a message in a group whose log has no create event', async (t) => {
+  const admin = createKeys();
+  const alice = createKeys();
+  const relay = await createGroupRelay(t, admin, [alice.pubkey]);
+
+  const { event: message } = await publish(relay, alice, { content: 'spam' });
+  const deletion = await deleteEvent(relay, admin, message);
+  t.ok(deletion.accepted);
+  t.alike(await relay.queryEvents({ kinds: [9007] }), []);
+
+  t.alike(await storedIds(relay, { kinds: [1] }), [], 'the accepted deletion was applied');
+  t.alike(await storedIds(relay, { kinds: [9005] }), [deletion.event.id]);
+  t.is((await relay.publishEvent(message))[3], 'blocked: event has been deleted');
+});
+
+test('admins promoted with put-user can delete until they are removed', async (t) => {
+  const admin = createKeys();
+  const deputy = createKeys();
+  const alice = createKeys();
+  const relay = await createGroupRelay(t, admin, [alice.pubkey]);
+  const now = Math.floor(Date.now() / 1000);
+
+  t.ok((await publish(relay, admin, { kind: 9000, tags: [['p', deputy.pubkey, 'admin']], createdAt: now - 2 })).accepted);
+  const { event: first } = await publish(relay, alice, { content: 'first' });
+  t.ok((await deleteEvent(relay, deputy, first)).accepted);
+  t.alike(await storedIds(relay, { kinds: [1] }), []);
+
+  t.ok((await publish(relay, admin, { kind: 9001, tags: [['p', deputy.pubkey]], createdAt: now - 1 })).accepted);
+  const { event: second } = await publish(relay, alice, { content: 'second' });
+  const refused = await deleteEvent(relay, deputy, second);
+  t.is(refused.accepted, false);
+  t.ok(refused.reason.startsWith('restricted:'));
+  t.alike(await storedIds(relay, { kinds: [1] }), [second.id]);
+});
+
+test('role changes count in created_at order for both the write check and apply', async (t) => {
+  const admin = createKeys();
+  const deputy = createKeys();
+  const alice = createKeys();
+  const relay = await createGroupRelay(t, admin, [alice.pubkey]);
+  const now = Math.floor(Date.now() / 1000);
+
+  // the removal reaches the log first but is older than the promotion, so the deputy stays an admin
+  t.ok((await publish(relay, admin, { kind: 9001, tags: [['p', deputy.pubkey]], createdAt: now - 10 })).accepted);
+  t.ok((await publish(relay, admin, { kind: 9000, tags: [['p', deputy.pubkey, 'admin']], createdAt: now - 20 })).accepted);
+  t.absent((await relay.getGroupAdmins()).has(deputy.pubkey));
+
+  t.ok((await publish(relay, admin, { kind: 9000, tags: [['p', deputy.pubkey, 'admin']], createdAt: now - 5 })).accepted);
+  t.ok((await relay.getGroupAdmins()).has(deputy.pubkey));
+
+  const { event: message } = await publish(relay, alice, { content: 'hello' });
+  t.ok((await deleteEvent(relay, deputy, message)).accepted);
+  t.alike(await storedIds(relay, { kinds: [1] }), []);
+});
+
+test('apply ignores a deletion signed by a non-admin that reached the log', async (t) => {
+  const admin = createKeys();
+  const alice = createKeys();
+  const bob = createKeys();
+  const relay = await createGroupRelay(t, admin, [alice.pubkey, bob.pubkey]);
+
+  const { event: message } = await publish(relay, alice, { content: 'mine' });
+  t.is((await deleteEvent(relay, bob, message)).accepted, false);
+
+  // a writer whose own checks let it through still cannot delete for a non-admin
+  const forged = await signEvent(bob, { kind: 9005, tags: [['h', GROUP_ID], ['e', message.id]] });
+  await relay.append({ type: 'event', event: JSON.stringify(forged) });
+  t.alike(await storedIds(relay, { kinds: [1] }), [message.id]);
+  t.alike(await NostrRelay.getTombstone(relay.view, message.id), null);
+});
+
+test('moderation events survive a delete-event', async (t) => {
+  const admin = createKeys();
+  const member = createKeys();
+  const relay = await createGroupRelay(t, admin);
+
+  const { event: putUser } = await publish(relay, admin, { kind: 9000, tags: [['p', member.pubkey, 'member']] });
+  t.ok((await deleteEvent(relay, admin, putUser)).accepted);
+  t.alike(await storedIds(relay, { kinds: [9000] }), [putUser.id]);
+});
+
+test('the first recorded creator stays the group\'s when the policy changes', async (t) => {
+  const admin = createKeys();
+  const other = createKeys();
+  const alice = createKeys();
+  const relay = await createGroupRelay(t, admin, [alice.pubkey]);
+
+  t.alike(await relay.ensureGroupCreator(), { pubkey: admin.pubkey, group_id: GROUP_ID });
+  relay.setGroupPolicy({ groupId: GROUP_ID, adminPubkey: other.pubkey, isOpen: false, isMember: () => true });
+  t.alike(await relay.ensureGroupCreator(), { pubkey: admin.pubkey, group_id: GROUP_ID });
+
+  const { event: message } = await publish(relay, alice, { content: 'hello' });
+  t.is((await deleteEvent(relay, other, message)).accepted, false);
+  t.ok((await deleteEvent(relay, admin, message)).accepted);
+});
+
+test('an edit of a deleted message is refused and an author edit is stored', async (t) => {
+  const admin = createKeys();
+  const alice = createKeys();
+  const relay = await createGroupRelay(t, admin, [alice.pubkey]);
+
+  const { event: kept } = await publish(relay, alice, { content: 'first draft' });
+  const edit = await publish(relay, alice, { content: 'second draft', tags: [['e', kept.id, '', 'edit']] });
+  t.ok(edit.accepted);
+  t.alike(await storedIds(relay, { '#e': [kept.id] }), [edit.event.id]);
+
+  const { event: removed } = await publish(relay, alice, { content: 'gone soon' });
+  t.ok((await deleteEvent(relay, admin, removed)).accepted);
+  const late = await publish(relay, alice, { content: 'too late', tags: [['e', removed.id, '', 'edit']] });
+  t.is(late.accepted, false);
+  t.is(late.reason, 'invalid: edited message not found');
+});
@@ -0,0 +1,131 @@
+import test from 'brittle';
+
+import { createRelay, createKeys, signEvent } from './helpers.js';
+
+const GROUP_ID = 'test-group';
+
+function setPolicy(relay, admin, { isOpen = false, members = [], removed = [] } = {}) {
+  relay.setGroupPolicy({
+    groupId: GROUP_ID,
+    adminPubkey: admin.pubkey,
+    isOpen,
+    isMember: (pubkey) => members.includes(pubkey),
+    isRemoved: (pubkey) => removed.includes(pubkey)
+  });
+}
+
+async function publish(relay, keys, { kind = 1, tags = [], ...rest } = {}) {
+  const [, , accepted, reason] = await relay.publishEvent(await signEvent(keys, { kind, tags: [['h', GROUP_ID], ...tags], ...rest }));
+  return { accepted, reason };
+}
+
+test('without a policy moderation kinds are refused and notes pass', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+
+  const moderation = await publish(relay, alice, { kind: 9000, tags: [['p', alice.pubkey, 'admin']] });
+  t.is(moderation.accepted, false);
+  t.ok(moderation.reason.startsWith('restricted:'));
+  t.ok((await publish(relay, alice)).accepted);
+});
+
+test('a closed group only takes notes from members and admins', async (t) => {
+  const relay = await createRelay(t);
+  const admin = createKeys();
+  const member = createKeys();
+  const stranger = createKeys();
+  const removed = createKeys();
+  setPolicy(relay, admin, { members: [member.pubkey], removed: [removed.pubkey] });
+
+  t.ok((await publish(relay, admin)).accepted);
+  t.ok((await publish(relay, member)).accepted);
+
+  const refused = await publish(relay, stranger);
+  t.is(refused.accepted, false);
+  t.ok(refused.reason.startsWith('restricted:'));
+
+  const blocked = await publish(relay, removed);
+  t.is(blocked.accepted, false);
+  t.ok(blocked.reason.startsWith('blocked:'));
+
+  t.ok((await publish(relay, stranger, { kind: 9021 })).accepted, 'join requests are always accepted');
+});
+
+test('an open group takes notes from anyone but keeps moderation to admins', async (t) => {
+  const relay = await createRelay(t);
+  const admin = createKeys();
+  const stranger = createKeys();
+  setPolicy(relay, admin, { isOpen: true });
+
+  t.ok((await publish(relay, stranger)).accepted);
+  for (const kind of [9000, 9005, 39000]) {
+    const { accepted, reason } = await publish(relay, stranger, { kind, tags: [['p', stranger.pubkey]] });
+    t.is(accepted, false, `kind ${kind} refused`);
+    t.ok(reason.startsWith('restricted:'));
+  }
+});
+
+test('admins promoted with put-user can moderate until they are removed', async (t) => {
+  const relay = await createRelay(t);
+  const admin = createKeys();
+  const deputy = createKeys();
+  const now = Math.floor(Date.now() / 1000);
+  setPolicy(relay, admin);
+
+  t.is((await publish(relay, deputy, { kind: 9002, createdAt: now })).accepted, false);
+  t.ok((await publish(relay, admin, { kind: 9000, tags: [['p', deputy.pubkey, 'admin']], createdAt: now })).accepted);
+  t.ok((await relay.getGroupAdmins()).has(deputy.pubkey));
+  t.ok((await publish(relay, deputy, { kind: 9002, createdAt: now + 1 })).accepted);
+
+  t.ok((await publish(relay, admin, { kind: 9001, tags: [['p', deputy.pubkey]], createdAt: now + 2 })).accepted);
+  t.absent((await relay.getGroupAdmins()).has(deputy.pubkey));
+  t.is((await publish(relay, deputy, { kind: 9002, createdAt: now + 3 })).accepted, false);
+});
+
+test('admins cannot remove the group creator', async (t) => {
+  const relay = await createRelay(t);
+  const admin = createKeys();
+  const deputy = createKeys();
+  const now = Math.floor(Date.now() / 1000);
+  setPolicy(relay, admin);
+
+  await publish(relay, admin, { kind: 9000, tags: [['p', deputy.pubkey, 'admin']], createdAt: now });
+  t.ok((await publish(relay, deputy, { kind: 9001, tags: [['p', admin.pubkey]], createdAt: now + 1 })).accepted);
+  t.ok((await relay.getGroupAdmins()).has(admin.pubkey));
+});
+
+test('only an admin list signed by the creator grants admin', async (t) => {
+  const relay = await createRelay(t);
+  const admin = createKeys();
+  const deputy = createKeys();
+  const stranger = createKeys();
+  setPolicy(relay, admin);
+
+  // a list signed by anyone else is refused on write and never read back into the roster
+  t.is((await publish(relay, stranger, { kind: 39001, tags: [['d', GROUP_ID], ['p', stranger.pubkey]] })).accepted, false);
+  t.absent((await relay.getGroupAdmins()).has(stranger.pubkey));
+
+  t.ok((await publish(relay, admin, { kind: 39001, tags: [['d', GROUP_ID], ['p', deputy.pubkey]] })).accepted);
+  t.ok((await relay.getGroupAdmins()).has(deputy.pubkey));
+});
+
+test('edits must be signed by the author of the original message', async (t) => {
+  const relay = await createRelay(t);
+  const admin = createKeys();
+  const alice = createKeys();
+  const bob = createKeys();
+  setPolicy(relay, admin, { members: [alice.pubkey, bob.pubkey] });
+
+  const original = await signEvent(alice, { content: 'first draft', tags: [['h', GROUP_ID]] });
+  t.ok((await relay.publishEvent(original))[2]);
+
+  const forged = await publish(relay, bob, { content: 'not mine', tags: [['e', original.id, '', 'edit']] });
+  t.is(forged.accepted, false);
+  t.ok(forged.reason.startsWith('restricted:'));
+
+  const missing = await publish(relay, alice, { content: 'edit of nothing', tags: [['e', 'f'.repeat(64), '', 'edit']] });
+  t.is(missing.accepted, false);
+  t.ok(missing.reason.startsWith('invalid:'));
+
+  t.ok((await publish(relay, alice, { content: 'second draft', tags: [['e', original.id, '', 'edit']] })).accepted);
+});
@@ -0,0 +1,80 @@
+import test from 'brittle';
+
+import { createRelay, createKeys, signEvent } from './helpers.js';
+
+const GROUP_ID = 'test-group';
+
+async function createGroupRelay(t, admin, identity) {
+  const relay = await createRelay(t);
+  relay.setGroupPolicy({ groupId: GROUP_ID, adminPubkey: admin.pubkey, isOpen: false, isMember: () => false });
+  relay.setRelayIdentity(identity);
+  return relay;
+}
+
+function snapshots(relay, kind) {
+  return relay.queryEvents({ kinds: [kind], '#d': [GROUP_ID] });
+}
+
+test('the first relay identity recorded in the log is the group\'s', async (t) => {
+  const admin = createKeys();
+  const first = createKeys();
+  const later = createKeys();
+  const relay = await createGroupRelay(t, admin, first);
+
+  t.is(await relay.getGroupRelayPubkey(), null);
+  t.is(await relay.ensureRelayIdentity(), first.pubkey);
+
+  // another writer claiming the group later does not replace it
+  await relay.append({ type: 'relay-identity', pubkey: later.pubkey });
+  relay.setRelayIdentity(later);
+  t.is(await relay.ensureRelayIdentity(), first.pubkey);
+  t.is(await relay.getGroupRelayPubkey(), first.pubkey);
+});
+
+test('moderation events are followed by snapshots signed with the group identity', async (t) => {
+  const admin = createKeys();
+  const member = createKeys();
+  const identity = createKeys();
+  const relay = await createGroupRelay(t, admin, identity);
+  await relay.ensureRelayIdentity();
+
+  t.ok((await relay.publishEvent(await signEvent(admin, { kind: 9000, tags: [['h', GROUP_ID], ['p', member.pubkey, 'member']] })))[2]);
+
+  const [memberList] = await snapshots(relay, 39002);
+  t.is(memberList.pubkey, identity.pubkey);
+  t.alike(memberList.tags.filter((tag) => tag[0] === 'p').map((tag) => tag.slice(1)).sort(),
+    [[admin.pubkey, 'admin'], [member.pubkey, 'member']].sort());
+
+  const [adminList] = await snapshots(relay, 39001);
+  t.is(adminList.pubkey, identity.pubkey);
+  t.alike(adminList.tags.filter((tag) => tag[0] === 'p').map((tag) => tag[1]), [admin.pubkey]);
+});
+
+test('each snapshot replaces the previous one even within the same second', async (t) => {
+  const admin = createKeys();
+  const identity = createKeys();
+  const relay = await createGroupRelay(t, admin, identity);
+  await relay.ensureRelayIdentity();
+
+  await relay.publishGroupState();
+  const [before] = await snapshots(relay, 39002);
+  await relay.publishGroupState();
+  const after = await snapshots(relay, 39002);
+
+  t.is(after.length, 1);
+  t.ok(after[0].created_at > before.created_at);
+});
+
+test('a writer without the group identity leaves the snapshots alone', async (t) => {
+  const admin = createKeys();
+  const member = createKeys();
+  const owner = createKeys();
+  const other = createKeys();
+  const relay = await createGroupRelay(t, admin, owner);
+  await relay.ensureRelayIdentity();
+  relay.setRelayIdentity(other);
+
+  t.ok((await relay.publishEvent(await signEvent(admin, { kind: 9000, tags: [['h', GROUP_ID], ['p', member.pubkey, 'member']] })))[2]);
+  t.alike(await relay.publishGroupState(), []);
+  t.alike(await snapshots(relay, 39002), []);
+});
@@ -0,0 +1,35 @@
+import tmp from 'test-tmp';
+import Corestore from 'corestore';
+import c from 'compact-encoding';
+
+import NostrRelay, { getEventHash } from '../hypertuna-relay-event-processor.mjs';
+import { NostrUtils } from '../nostr-utils.js';
+import { nobleSecp256k1 } from '../crypto-libraries.js';
+
+// a writable single-writer relay in a fresh storage dir, closed when the test ends
+export async function createRelay(t, handlers = {}) {
+  const store = new Corestore(await tmp(t));
+  const relay = new NostrRelay(store, null, { apply: NostrRelay.apply, valueEncoding: c.any, ...handlers });
+  await relay.ready();
+  t.teardown(async () => {
+    await relay.close();
+    await store.close();
+  });
+  return relay;
+}
+
+export function createKeys() {
+  const privateKey = NostrUtils.generatePrivateKey();
+  return { privateKey, pubkey: NostrUtils.getPublicKey(privateKey) };
+}
+
+export async function signEvent(keys, { kind = 1, content = '', tags = [], createdAt = Math.floor(Date.now() / 1000) } = {}) {
+  const event = { kind, content, tags, created_at: createdAt, pubkey: keys.pubkey };
+  event.id = await getEventHash(event);
+  event.sig = NostrUtils.bytesToHex(await nobleSecp256k1.schnorr.sign(event.id, keys.privateKey));
+  return event;
+}
+
+export async function storedIds(relay, filter) {
+  return (await relay.queryEvents(filter)).map((event) => event.id).sort();
+}
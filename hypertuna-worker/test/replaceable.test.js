@@ -0,0 +1,73 @@
+import test from 'brittle';
+
+import { createRelay, createKeys, signEvent, storedIds } from './helpers.js';
+
+test('a newer replaceable event replaces the stored version', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const now = Math.floor(Date.now() / 1000);
+  const older = await signEvent(alice, { kind: 0, content: '{"name":"old"}', createdAt: now - 10 });
+  const newer = await signEvent(alice, { kind: 0, content: '{"name":"new"}', createdAt: now });
+
+  t.ok((await relay.publishEvent(older))[2]);
+  t.ok((await relay.publishEvent(newer))[2]);
+
+  t.alike(await storedIds(relay, { kinds: [0], authors: [alice.pubkey] }), [newer.id]);
+});
+
+test('an older replaceable event is refused once a newer one is stored', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const now = Math.floor(Date.now() / 1000);
+  const newer = await signEvent(alice, { kind: 10002, createdAt: now });
+  const older = await signEvent(alice, { kind: 10002, createdAt: now - 10 });
+
+  await relay.publishEvent(newer);
+  const [, , accepted, reason] = await relay.publishEvent(older);
+
+  t.is(accepted, false);
+  t.ok(reason.startsWith('duplicate:'));
+  t.alike(await storedIds(relay, { kinds: [10002] }), [newer.id]);
+});
+
+test('versions with the same created_at keep the lowest id', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const now = Math.floor(Date.now() / 1000);
+  const [low, high] = [
+    await signEvent(alice, { kind: 3, content: 'a', createdAt: now }),
+    await signEvent(alice, { kind: 3, content: 'b', createdAt: now })
+  ].sort((a, b) => (a.id < b.id ? -1 : 1));
+
+  await relay.publishEvent(high);
+  await relay.publishEvent(low);
+  t.is((await relay.publishEvent(high))[2], false);
+
+  t.alike(await storedIds(relay, { kinds: [3] }), [low.id]);
+});
+
+test('addressable events are replaced per d tag and per author', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const bob = createKeys();
+  const now = Math.floor(Date.now() / 1000);
+  const article = (keys, d, createdAt) => signEvent(keys, { kind: 30023, tags: [['d', d]], createdAt });
+
+  const first = await article(alice, 'one', now - 10);
+  const firstUpdated = await article(alice, 'one', now);
+  const second = await article(alice, 'two', now - 10);
+  const bobs = await article(bob, 'one', now - 10);
+  for (const event of [first, second, bobs, firstUpdated]) await relay.publishEvent(event);
+
+  t.alike(await storedIds(relay, { kinds: [30023] }), [firstUpdated.id, second.id, bobs.id].sort());
+});
+
+test('regular events are never replaced', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const now = Math.floor(Date.now() / 1000);
+  const notes = [await signEvent(alice, { content: 'one', createdAt: now - 10 }), await signEvent(alice, { content: 'two', createdAt: now })];
+  for (const note of notes) await relay.publishEvent(note);
+
+  t.alike(await storedIds(relay, { kinds: [1] }), notes.map((note) => note.id).sort());
+});
@@ -0,0 +1,65 @@
+import test from 'brittle';
+
+import { createRelay, createKeys, signEvent, storedIds } from './helpers.js';
+
+async function publishMessages(relay, keys, messages) {
+  const events = [];
+  for (const [group, content] of messages) {
+    const event = await signEvent(keys, { kind: 9, tags: [['h', group]], content });
+    await relay.publishEvent(event);
+    events.push(event);
+  }
+  return events;
+}
+
+test('search matches every term regardless of case and punctuation', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const [rehearsal, cancelled, unrelated] = await publishMessages(relay, alice, [
+    ['group-a', 'Band rehearsal moved to Friday'],
+    ['group-b', 'Rehearsal cancelled, sorry!'],
+    ['group-a', 'Who has the setlist?']
+  ]);
+
+  t.alike(await storedIds(relay, { search: 'REHEARSAL' }), [rehearsal.id, cancelled.id].sort());
+  t.alike(await storedIds(relay, { search: 'rehearsal friday' }), [rehearsal.id]);
+  t.alike(await storedIds(relay, { search: 'setlist?' }), [unrelated.id]);
+  t.alike(await storedIds(relay, { search: 'rehearsal drums' }), []);
+});
+
+test('search combines with kind and tag filters and ignores extensions', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const [inGroupA, inGroupB] = await publishMessages(relay, alice, [
+    ['group-a', 'rehearsal tonight'],
+    ['group-b', 'rehearsal tomorrow']
+  ]);
+  await relay.publishEvent(await signEvent(alice, { content: 'rehearsal notes' }));
+
+  t.alike(await storedIds(relay, { kinds: [9], '#h': ['group-a'], search: 'rehearsal' }), [inGroupA.id]);
+  t.alike(await storedIds(relay, { kinds: [9], search: 'rehearsal language:en' }), [inGroupA.id, inGroupB.id].sort());
+});
+
+test('deleted events no longer match a search', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const [removed, kept] = await publishMessages(relay, alice, [
+    ['group-a', 'rehearsal at noon'],
+    ['group-a', 'rehearsal at six']
+  ]);
+
+  await relay.publishEvent(await signEvent(alice, { kind: 5, tags: [['e', removed.id]] }));
+
+  t.alike(await storedIds(relay, { search: 'rehearsal' }), [kept.id]);
+  t.alike(await storedIds(relay, { search: 'noon' }), []);
+});
+
+test('the search index backfill runs once per relay', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const [message] = await publishMessages(relay, alice, [['group-a', 'rehearsal notes']]);
+
+  t.is(await relay.ensureSearchIndex(), true);
+  t.is(await relay.ensureSearchIndex(), false);
+  t.alike(await storedIds(relay, { search: 'notes' }), [message.id]);
+});
@@ -0,0 +1,153 @@
+import test from 'brittle';
+import tmp from 'test-tmp';
+import Corestore from 'corestore';
+import Hyperbee from 'hyperbee';
+
+import { createRelay, createKeys, signEvent } from './helpers.js';
+
+// the local, never replicated Hyperbee the relay manager keeps subscription state in
+async function createSubscriptionStore(t) {
+  const store = new Corestore(await tmp(t));
+  const db = new Hyperbee(store.get({ name: 'local-subscriptions' }), { keyEncoding: 'utf-8', valueEncoding: 'json' });
+  await db.ready();
+  t.teardown(async () => {
+    await db.close();
+    await store.close();
+  });
+  return db;
+}
+
+async function subscribe(relay, connectionKey, subscriptionId, ...filters) {
+  await relay.handleMessage(['REQ', subscriptionId, ...filters], () => {}, connectionKey);
+}
+
+// the backlog fetch a gateway makes after forwarding a REQ, followed by the switch to live
+async function fetchBacklog(relay, connectionKey, subscriptionId) {
+  const [frames, updated] = await relay.handleSubscription(connectionKey, { subscriptionIds: [subscriptionId] });
+  return { frames, goLive: () => relay.updateSubscriptions(connectionKey, updated) };
+}
+
+function collectLiveFrames(relay) {
+  const pushed = [];
+  relay.on('live-frames', (connectionKey, frames) => pushed.push(...frames.map((frame) => [connectionKey, ...frame])));
+  return pushed;
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+test('a subscription gets its backlog, EOSE, then stored events as they land', async (t) => {
+  const relay = await createRelay(t);
+  relay.startLiveUpdates();
+  const pushed = collectLiveFrames(relay);
+  const alice = createKeys();
+  const stored = await signEvent(alice, { kind: 9, tags: [['h', 'group-a']], content: 'before' });
+  await relay.publishEvent(stored);
+
+  await subscribe(relay, 'conn-a', 'chat', { kinds: [9], '#h': ['group-a'] });
+  const { frames, goLive } = await fetchBacklog(relay, 'conn-a', 'chat');
+  t.alike(frames, [['EVENT', 'chat', stored], ['EOSE', 'chat']]);
+  await goLive();
+
+  const later = await signEvent(alice, { kind: 9, tags: [['h', 'group-a']], content: 'after' });
+  await relay.publishEvent(later);
+  await relay.publishEvent(await signEvent(alice, { kind: 9, tags: [['h', 'group-b']], content: 'elsewhere' }));
+  await waitFor(() => pushed.length > 0);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  t.alike(pushed, [['conn-a', 'EVENT', 'chat', later]]);
+});
+
+test('events stored between the backlog query and going live are pushed once live', async (t) => {
+  const relay = await createRelay(t);
+  relay.startLiveUpdates();
+  const pushed = collectLiveFrames(relay);
+  const alice = createKeys();
+  const createdAt = Math.floor(Date.now() / 1000);
+  const first = await signEvent(alice, { content: 'first', createdAt });
+  await relay.publishEvent(first);
+
+  await subscribe(relay, 'conn-a', 'notes', { kinds: [1] });
+  const { frames, goLive } = await fetchBacklog(relay, 'conn-a', 'notes');
+  t.alike(frames, [['EVENT', 'notes', first], ['EOSE', 'notes']]);
+
+  // stored in the same second as the last backlog event, while the subscription is not live yet
+  const raced = await signEvent(alice, { content: 'raced', createdAt });
+  await relay.publishEvent(raced);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  t.alike(pushed, []);
+
+  await goLive();
+  t.alike(pushed, [['conn-a', 'EVENT', 'notes', raced]]);
+});
+
+test('a backlog query returns events that share the cursor second exactly once', async (t) => {
+  const relay = await createRelay(t);
+  const alice = createKeys();
+  const createdAt = Math.floor(Date.now() / 1000);
+  const first = await signEvent(alice, { content: 'first', createdAt });
+  await relay.publishEvent(first);
+
+  await subscribe(relay, 'conn-a', 'notes', { kinds: [1] });
+  const [, updated] = await relay.handleSubscription('conn-a');
+  t.is(updated.subscriptions.notes.last_returned_event_timestamp, createdAt);
+  t.alike(updated.subscriptions.notes.last_returned_event_ids, [first.id]);
+
+  const second = await signEvent(alice, { content: 'second', createdAt });
+  await relay.publishEvent(second);
+
+  // a cursor handed back without the switch to live, as a gateway without push support does
+  updated.subscriptions.notes.live = false;
+  await relay.updateSubscriptions('conn-a', updated);
+  const [frames] = await relay.handleSubscription('conn-a');
+  t.alike(frames, [['EVENT', 'notes', second], ['EOSE', 'notes']]);
+});
+
+test('REQ state stays out of the replicated log and survives in the local store', async (t) => {
+  const subscriptionStore = await createSubscriptionStore(t);
+  const relay = await createRelay(t, { subscriptionStore });
+  const logLength = relay.local.length;
+
+  await subscribe(relay, 'conn-a', 'chat', { kinds: [9] });
+  t.is(relay.local.length, logLength);
+  t.alike((await subscriptionStore.get('conn-a')).value.subscriptions.chat.filters, [{ kinds: [9] }]);
+
+  // a restarted relay starts with no subscriptions in memory
+  relay.connectionSubscriptions.clear();
+  const restored = await relay.getSubscriptions('conn-a');
+  t.alike(Object.keys(restored.subscriptions), ['chat']);
+
+  await relay.handleMessage(['CLOSE', 'chat'], () => {}, 'conn-a');
+  t.is(await relay.getSubscriptions('conn-a'), null);
+  t.is(await subscriptionStore.get('conn-a'), null);
+});
+
+test('the sweep clears idle connections but keeps held and recently used ones', async (t) => {
+  const subscriptionStore = await createSubscriptionStore(t);
+  const relay = await createRelay(t, { subscriptionStore });
+  for (const connectionKey of ['conn-idle', 'conn-held', 'conn-recent']) {
+    await subscribe(relay, connectionKey, 'chat', { kinds: [9] });
+  }
+  // stored before last_seen was kept, so it counts as stale
+  await subscriptionStore.put('conn-legacy', { connection: 'conn-legacy', subscriptions: { chat: { filters: [{ kinds: [9] }] } } });
+
+  const now = Date.now();
+  relay.connectionSubscriptions.get('conn-idle').last_seen = now - 60_000;
+  relay.connectionSubscriptions.get('conn-held').last_seen = now - 60_000;
+  relay.holdLiveConnection('conn-held');
+
+  t.is(await relay.sweepStaleSubscriptions(30_000, now), 2);
+  t.is(await relay.getSubscriptions('conn-idle'), null);
+  t.is(await relay.getSubscriptions('conn-legacy'), null);
+  t.ok(await relay.getSubscriptions('conn-held'));
+  t.ok(await relay.getSubscriptions('conn-recent'));
+
+  relay.releaseLiveConnection('conn-held');
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  t.is(await relay.getSubscriptions('conn-held'), null);
+});
@@ -0,0 +1,148 @@
+import test from 'brittle';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+
+import {
+  canCreateThumbnail,
+  createThumbnail,
+  queueThumbnailJob,
+  THUMBNAIL_MAX_SOURCE_BYTES,
+  THUMBNAIL_MAX_SOURCE_MEGAPIXELS
+} from '../thumbnail-generator.mjs';
+
+const RED = [255, 0, 0];
+const BLUE = [0, 0, 255];
+
+// RGBA pixels with the left half red and the right half blue
+function halves(width, height) {
+  const data = Buffer.alloc(width * height * 4, 0xff);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = x < width / 2 ? RED : BLUE;
+      data.set([r, g, b], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+// a big-endian EXIF APP1 segment holding only the orientation tag
+function exifSegment(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(0x0112, 10);
+  tiff.writeUInt16BE(3, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  const body = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(body.length + 2, 2);
+  return Buffer.concat([header, body]);
+}
+
+function encodeJpeg(image, orientation = null) {
+  const data = Buffer.from(jpeg.encode(image, 95).data);
+  if (!orientation) return data;
+  return Buffer.concat([data.subarray(0, 2), exifSegment(orientation), data.subarray(2)]);
+}
+
+function pixelAt(thumbnail, x, y) {
+  const { width, data } = jpeg.decode(thumbnail.data, { useTArray: true });
+  const at = (y * width + x) * 4;
+  return Array.from(data.subarray(at, at + 3));
+}
+
+function near(actual, expected) {
+  return actual.every((value, i) => Math.abs(value - expected[i]) < 40);
+}
+
+// overwrite the dimensions in a JPEG's baseline frame header
+function withJpegSize(data, width, height) {
+  const out = Buffer.from(data);
+  const frame = out.indexOf(Buffer.from([0xff, 0xc0]));
+  out.writeUInt16BE(height, frame + 5);
+  out.writeUInt16BE(width, frame + 7);
+  return out;
+}
+
+test('a JPEG thumbnail is scaled to fit and keeps its colours in place', (t) => {
+  const thumbnail = createThumbnail(encodeJpeg(halves(80, 40)), 'image/jpeg', { maxDimension: 20 });
+  t.is(thumbnail.mimeType, 'image/jpeg');
+  t.is(thumbnail.width, 20);
+  t.is(thumbnail.height, 10);
+  t.ok(near(pixelAt(thumbnail, 1, 5), RED));
+  t.ok(near(pixelAt(thumbnail, 18, 5), BLUE));
+});
+
+test('EXIF orientation rotates and mirrors the thumbnail like the original is shown', (t) => {
+  const source = halves(80, 40);
+
+  // 6: rotated 90° clockwise for display, so the left half ends up on top
+  const rotated = createThumbnail(encodeJpeg(source, 6), 'image/jpeg', { maxDimension: 20 });
+  t.is(rotated.width, 10);
+  t.is(rotated.height, 20);
+  t.ok(near(pixelAt(rotated, 5, 1), RED));
+  t.ok(near(pixelAt(rotated, 5, 18), BLUE));
+
+  // 8: rotated 90° counter-clockwise, so the left half ends up at the bottom
+  const counter = createThumbnail(encodeJpeg(source, 8), 'image/jpeg', { maxDimension: 20 });
+  t.is(counter.width, 10);
+  t.ok(near(pixelAt(counter, 5, 18), RED));
+
+  // 2: mirrored, so the halves swap sides
+  const mirrored = createThumbnail(encodeJpeg(source, 2), 'image/jpeg', { maxDimension: 20 });
+  t.is(mirrored.width, 20);
+  t.ok(near(pixelAt(mirrored, 1, 5), BLUE));
+});
+
+test('a small image is its own thumbnail unless it needs rotating', (t) => {
+  const small = halves(16, 8);
+  t.is(createThumbnail(encodeJpeg(small), 'image/jpeg'), null);
+  t.is(createThumbnail(PNG.sync.write(small), 'image/png'), null);
+
+  const rotated = createThumbnail(encodeJpeg(small, 6), 'image/jpeg');
+  t.is(rotated.width, 8);
+  t.is(rotated.height, 16);
+});
+
+test('PNG transparency is flattened onto white', (t) => {
+  const image = halves(40, 40);
+  for (let i = 3; i < image.data.length; i += 4) image.data[i] = 0;
+  const thumbnail = createThumbnail(PNG.sync.write(image), 'image/png', { maxDimension: 10 });
+  t.ok(near(pixelAt(thumbnail, 2, 5), [255, 255, 255]));
+});
+
+test('sources over the size limits are not decoded', (t) => {
+  t.ok(canCreateThumbnail('image/jpeg', THUMBNAIL_MAX_SOURCE_BYTES));
+  t.absent(canCreateThumbnail('image/jpeg', THUMBNAIL_MAX_SOURCE_BYTES + 1));
+  t.absent(canCreateThumbnail('image/gif', 100));
+  t.ok(canCreateThumbnail('image/PNG; charset=binary', 100));
+
+  // just over the pixel limit, declared in the header of an otherwise small file
+  const side = Math.ceil(Math.sqrt(THUMBNAIL_MAX_SOURCE_MEGAPIXELS * 1e6)) + 1;
+  t.exception(() => createThumbnail(withJpegSize(encodeJpeg(halves(16, 16)), side, side), 'image/jpeg'), /maxResolutionInMP/);
+
+  const png = PNG.sync.write(halves(16, 16));
+  png.writeUInt32BE(side, 16);
+  png.writeUInt32BE(side, 20);
+  t.exception(() => createThumbnail(png, 'image/png'), /PNG is/);
+});
+
+test('queued thumbnail jobs run one at a time in order', async (t) => {
+  const order = [];
+  let running = 0;
+  const job = (name) => async () => {
+    running++;
+    t.is(running, 1, `${name} runs alone`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    order.push(name);
+    running--;
+  };
+
+  const failing = t.exception(queueThumbnailJob(async () => { throw new Error('decode failed'); }), /decode failed/);
+  await Promise.all([queueThumbnailJob(job('first')), queueThumbnailJob(job('second'))]);
+  await failing;
+  t.alike(order, ['first', 'second'], 'a failed job does not stop the ones after it');
+});
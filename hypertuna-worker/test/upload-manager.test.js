@@ -0,0 +1,84 @@
+import test from 'brittle';
+import tmp from 'test-tmp';
+import crypto from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import { join } from 'node:path';
+
+import * as uploadManager from '../upload-manager.mjs';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// the manager keeps sessions in module state; a second instance of the module stands in for a restarted worker
+function restartedUploadManager() {
+  return import(`../upload-manager.mjs?restart=${Date.now()}`);
+}
+
+async function readCommitted(manager, uploadId) {
+  let committed = null;
+  await manager.completeUpload(uploadId, async (session, content) => {
+    committed = { ...content, data: await fs.readFile(content.filePath) };
+  });
+  return committed;
+}
+
+test('an upload resumes after a restart from the bytes already staged', async (t) => {
+  const dir = await tmp(t);
+  const content = crypto.randomBytes(3000);
+  const params = { uploadId: 'resume-upload', target: 'file', fileHash: sha256(content), size: content.length };
+
+  await uploadManager.initializeUploadManager(dir);
+  t.is((await uploadManager.beginUpload(params)).received, 0);
+  t.is(await uploadManager.writeUploadChunk('resume-upload', 0, content.subarray(0, 1000)), 1000);
+
+  const restarted = await restartedUploadManager();
+  await restarted.initializeUploadManager(dir);
+  t.is((await restarted.beginUpload(params)).received, 1000);
+  t.is(await restarted.writeUploadChunk('resume-upload', 1000, content.subarray(1000)), 3000);
+
+  const committed = await readCommitted(restarted, 'resume-upload');
+  t.is(committed.hash, params.fileHash);
+  t.alike(committed.data, content);
+  t.alike(await fs.readdir(join(dir, 'uploads')), [], 'staged files are removed after commit');
+});
+
+test('a resent chunk is acknowledged without being written twice', async (t) => {
+  const dir = await tmp(t);
+  const content = crypto.randomBytes(2000);
+  await uploadManager.initializeUploadManager(dir);
+  await uploadManager.beginUpload({ uploadId: 'duplicate-chunk', target: 'file', fileHash: sha256(content), size: content.length });
+
+  t.is(await uploadManager.writeUploadChunk('duplicate-chunk', 0, content.subarray(0, 1000)), 1000);
+  t.is(await uploadManager.writeUploadChunk('duplicate-chunk', 0, content.subarray(0, 1000)), 1000);
+  await t.exception(uploadManager.writeUploadChunk('duplicate-chunk', 1500, content.subarray(1500)), /Unexpected chunk offset/);
+  await t.exception(uploadManager.writeUploadChunk('duplicate-chunk', 1000, Buffer.alloc(1001)), /exceeds declared upload size/);
+  t.is(await uploadManager.writeUploadChunk('duplicate-chunk', 1000, content.subarray(1000)), 2000);
+
+  t.alike((await readCommitted(uploadManager, 'duplicate-chunk')).data, content);
+});
+
+test('beginning an upload again for different content is refused', async (t) => {
+  const dir = await tmp(t);
+  const content = crypto.randomBytes(100);
+  await uploadManager.initializeUploadManager(dir);
+  await uploadManager.beginUpload({ uploadId: 'changed-content', target: 'file', fileHash: sha256(content), size: content.length });
+
+  await t.exception(
+    uploadManager.beginUpload({ uploadId: 'changed-content', target: 'file', fileHash: sha256(content), size: content.length + 1 }),
+    /different content/
+  );
+  await uploadManager.discardUpload('changed-content');
+});
+
+test('a hash mismatch discards the upload without committing it', async (t) => {
+  const dir = await tmp(t);
+  const content = crypto.randomBytes(500);
+  let committed = false;
+  await uploadManager.initializeUploadManager(dir);
+  await uploadManager.beginUpload({ uploadId: 'hash-mismatch', target: 'file', fileHash: sha256(Buffer.from('other')), size: content.length });
+  await uploadManager.writeUploadChunk('hash-mismatch', 0, content);
+
+  await t.exception(uploadManager.completeUpload('hash-mismatch', async () => { committed = true; }), /Hash mismatch/);
+  t.absent(committed);
+  t.alike(await fs.readdir(join(dir, 'uploads')), []);
+  await t.exception(uploadManager.writeUploadChunk('hash-mismatch', 500, Buffer.alloc(0)), /Unknown upload/);
+});
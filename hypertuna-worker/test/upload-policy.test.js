@@ -0,0 +1,110 @@
+import test from 'brittle';
+import tmp from 'test-tmp';
+import { promises as fs } from 'node:fs';
+import { join } from 'node:path';
+
+import {
+  UploadPolicyError,
+  normalizeUploadPolicy,
+  checkUploadPolicy,
+  initializeUploadUsage,
+  getMemberUsageToday,
+  recordMemberUsage
+} from '../upload-policy.mjs';
+
+const MEMBER = 'a'.repeat(64);
+const OTHER = 'b'.repeat(64);
+
+// the rule an upload breaks, or null when the policy accepts it
+function brokenRule(policy, file) {
+  try {
+    checkUploadPolicy(policy, file);
+    return null;
+  } catch (err) {
+    if (!(err instanceof UploadPolicyError)) throw err;
+    return err.rule;
+  }
+}
+
+test('a missing or invalid policy is unlimited', (t) => {
+  t.alike(normalizeUploadPolicy(undefined), {
+    max_file_size: null,
+    allowed_mime_types: [],
+    member_daily_quota: null,
+    relay_quota: null
+  });
+  t.alike(normalizeUploadPolicy({
+    max_file_size: -1,
+    allowed_mime_types: ['', ' Image/PNG ', 42],
+    member_daily_quota: 'lots',
+    relay_quota: '2048.7'
+  }), {
+    max_file_size: null,
+    allowed_mime_types: ['image/png'],
+    member_daily_quota: null,
+    relay_quota: 2048
+  });
+  t.is(brokenRule(null, { size: 1e12, mimeType: 'video/mp4', memberBytesToday: 1e12, relayBytes: 1e12 }), null);
+});
+
+test('max_file_size refuses files over the limit', (t) => {
+  const policy = { max_file_size: 1000 };
+  t.is(brokenRule(policy, { size: 1000 }), null);
+  t.is(brokenRule(policy, { size: 1001 }), 'max_file_size');
+});
+
+test('allowed_mime_types matches exact types, wildcards and types with parameters', (t) => {
+  const policy = { allowed_mime_types: ['image/*', 'text/plain'] };
+  t.is(brokenRule(policy, { size: 1, mimeType: 'image/webp' }), null);
+  t.is(brokenRule(policy, { size: 1, mimeType: 'Text/Plain; charset=utf-8' }), null);
+  t.is(brokenRule(policy, { size: 1, mimeType: 'text/html' }), 'allowed_mime_types');
+  t.is(brokenRule(policy, { size: 1, mimeType: 'imagefoo/png' }), 'allowed_mime_types');
+  t.is(brokenRule(policy, { size: 1 }), 'allowed_mime_types', 'an undeclared type is refused');
+});
+
+test('member_daily_quota counts the bytes the member already added today', (t) => {
+  const policy = { member_daily_quota: 1000 };
+  t.is(brokenRule(policy, { size: 400, memberBytesToday: 600 }), null);
+  t.is(brokenRule(policy, { size: 401, memberBytesToday: 600 }), 'member_daily_quota');
+});
+
+test('relay_quota counts the bytes the relay already stores', (t) => {
+  const policy = { relay_quota: 1000 };
+  t.is(brokenRule(policy, { size: 100, relayBytes: 900 }), null);
+  t.is(brokenRule(policy, { size: 101, relayBytes: 900 }), 'relay_quota');
+});
+
+test('policy errors carry their rule and code', (t) => {
+  try {
+    checkUploadPolicy({ max_file_size: 1 }, { size: 2 });
+    t.fail('expected an UploadPolicyError');
+  } catch (err) {
+    t.ok(err instanceof UploadPolicyError);
+    t.is(err.code, 'UPLOAD_POLICY');
+    t.is(err.rule, 'max_file_size');
+  }
+});
+
+test('member usage is kept per relay and member, persisted and reset on a new day', async (t) => {
+  const dir = await tmp(t);
+  await initializeUploadUsage(dir);
+
+  await recordMemberUsage('relay-1', MEMBER, 300);
+  await recordMemberUsage('relay-1', MEMBER, 200);
+  await recordMemberUsage('relay-1', OTHER, 50);
+  await recordMemberUsage('relay-2', MEMBER, 10);
+  t.is(getMemberUsageToday('relay-1', MEMBER), 500);
+  t.is(getMemberUsageToday('relay-1', OTHER), 50);
+  t.is(getMemberUsageToday('relay-2', MEMBER), 10);
+
+  await initializeUploadUsage(dir);
+  t.is(getMemberUsageToday('relay-1', MEMBER), 500, 'usage survives a restart');
+
+  const usagePath = join(dir, 'upload-usage.json');
+  const saved = JSON.parse(await fs.readFile(usagePath, 'utf8'));
+  saved['relay-1'][MEMBER].day = '2000-01-01';
+  await fs.writeFile(usagePath, JSON.stringify(saved));
+  await initializeUploadUsage(dir);
+  t.is(getMemberUsageToday('relay-1', MEMBER), 0, 'usage from an earlier day does not count');
+  t.is(getMemberUsageToday('relay-1', OTHER), 50);
+});
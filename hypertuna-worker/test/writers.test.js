@@ -0,0 +1,104 @@
+import test from 'brittle';
+import b4a from 'b4a';
+import crypto from 'hypercore-crypto';
+
+import { RelayManager } from '../hypertuna-relay-manager-bare.mjs';
+import { createRelay, createKeys, signEvent } from './helpers.js';
+
+const GROUP_ID = 'test-group';
+
+// a manager around a test relay that runs the manager's own apply, so writer ops reach the autobase
+async function createManager(t, admin) {
+  const manager = new RelayManager(null, null);
+  manager.relay = await createRelay(t, { apply: RelayManager.apply });
+  if (admin) {
+    manager.relay.setGroupPolicy({ groupId: GROUP_ID, adminPubkey: admin.pubkey, isOpen: false, isMember: () => false });
+  }
+  return manager;
+}
+
+function randomWriterKey() {
+  return b4a.toString(crypto.randomBytes(32), 'hex');
+}
+
+async function promoteAndRequest(manager, admin, deputy, writerKey) {
+  await manager.relay.publishEvent(await signEvent(admin, { kind: 9000, tags: [['h', GROUP_ID], ['p', deputy.pubkey, 'admin']] }));
+  await manager.relay.publishEvent(await signEvent(deputy, { kind: 9030, tags: [['h', GROUP_ID], ['writer', writerKey]] }));
+}
+
+function writerEvent(keys, kind, target, writerKey) {
+  return signEvent(keys, { kind, tags: [['h', GROUP_ID], ['p', target.pubkey], ['writer', writerKey]] });
+}
+
+async function writerInfo(manager, writerKey) {
+  await manager.relay.update();
+  return manager.relay.system.get(b4a.from(writerKey, 'hex'));
+}
+
+test('an admin adds the writer key another admin requested', async (t) => {
+  const admin = createKeys();
+  const deputy = createKeys();
+  const writerKey = randomWriterKey();
+  const manager = await createManager(t, admin);
+  await promoteAndRequest(manager, admin, deputy, writerKey);
+
+  const result = await manager.updateWriter(await writerEvent(admin, 9031, deputy, writerKey));
+  t.alike(result, { pubkey: deputy.pubkey, writerKey, added: true });
+
+  const info = await writerInfo(manager, writerKey);
+  t.ok(info);
+  t.absent(info.isRemoved);
+  t.is((await manager.relay.queryEvents({ kinds: [9031] })).length, 1);
+});
+
+test('writer changes are refused without a loaded group policy', async (t) => {
+  const admin = createKeys();
+  const deputy = createKeys();
+  const writerKey = randomWriterKey();
+  const manager = await createManager(t, null);
+
+  await t.exception(manager.updateWriter(await writerEvent(admin, 9031, deputy, writerKey)), /policy not loaded/);
+  t.is(await writerInfo(manager, writerKey), null);
+});
+
+test('writer changes are refused from non-admins and for non-admins', async (t) => {
+  const admin = createKeys();
+  const deputy = createKeys();
+  const member = createKeys();
+  const writerKey = randomWriterKey();
+  const manager = await createManager(t, admin);
+  await promoteAndRequest(manager, admin, deputy, writerKey);
+
+  await t.exception(manager.updateWriter(await writerEvent(member, 9031, deputy, writerKey)), /Only group admins can change writers/);
+  await t.exception(manager.updateWriter(await writerEvent(admin, 9031, member, writerKey)), /Only group admins can be made writers/);
+  await t.exception(manager.addWriter(writerKey, await writerEvent(admin, 9031, deputy, randomWriterKey())), /does not match/);
+  t.is(await writerInfo(manager, writerKey), null);
+});
+
+test('a writer key the admin did not request is refused', async (t) => {
+  const admin = createKeys();
+  const deputy = createKeys();
+  const otherKey = randomWriterKey();
+  const manager = await createManager(t, admin);
+  await promoteAndRequest(manager, admin, deputy, randomWriterKey());
+
+  await t.exception(manager.updateWriter(await writerEvent(admin, 9031, deputy, otherKey)), /does not match the admin's writer request/);
+  t.is(await writerInfo(manager, otherKey), null);
+});
+
+test('an admin removes a writer but not the group creator\'s', async (t) => {
+  const admin = createKeys();
+  const deputy = createKeys();
+  const writerKey = randomWriterKey();
+  const manager = await createManager(t, admin);
+  await promoteAndRequest(manager, admin, deputy, writerKey);
+  await manager.updateWriter(await writerEvent(admin, 9031, deputy, writerKey));
+
+  const result = await manager.updateWriter(await writerEvent(admin, 9032, deputy, writerKey));
+  t.is(result.added, false);
+  t.ok((await writerInfo(manager, writerKey)).isRemoved);
+
+  const creatorKey = b4a.toString(manager.relay.key, 'hex');
+  await t.exception(manager.updateWriter(await writerEvent(admin, 9032, admin, creatorKey)), /creator's writer cannot be removed/);
+  t.ok(manager.relay.writable);
+});
@@ -0,0 +1,190 @@
+// hypertuna-worker/thumbnail-generator.mjs
+// Downscaled JPEG previews of image attachments, stored as the 'thumb' variant of a relay
+// file. Decoding and encoding are pure JS (jpeg-js, pngjs) so the worker needs no native
+// image libraries; formats they cannot decode (GIF, WebP, video) get no thumbnail.
+
+import jpeg from 'jpeg-js'
+import { PNG } from 'pngjs'
+
+export const THUMBNAIL_MAX_DIMENSION = 320
+const THUMBNAIL_QUALITY = 75
+const THUMBNAIL_MIME_TYPE = 'image/jpeg'
+// Decoding is synchronous, so larger sources are skipped rather than decoded: 12 MP covers
+// phone photos and keeps one decode to about 50 MB of pixels and well under a second
+export const THUMBNAIL_MAX_SOURCE_MEGAPIXELS = 12
+export const THUMBNAIL_MAX_SOURCE_BYTES = 16 * 1024 * 1024
+
+const DECODERS = {
+  'image/jpeg': (data) => jpeg.decode(data, {
+    useTArray: true,
+    formatAsRGBA: true,
+    maxResolutionInMP: THUMBNAIL_MAX_SOURCE_MEGAPIXELS,
+    maxMemoryUsageInMB: 4 * THUMBNAIL_MAX_SOURCE_MEGAPIXELS + 64
+  }),
+  'image/png': (data) => {
+    const { width, height } = readPngSize(data)
+    if (width * height > THUMBNAIL_MAX_SOURCE_MEGAPIXELS * 1e6) throw new Error(`PNG is ${width}x${height}`)
+    return PNG.sync.read(data)
+  }
+}
+
+let queue = Promise.resolve()
+
+/**
+ * Run a thumbnail job after the ones queued before it, with a turn of the event loop in
+ * between, so a burst of image uploads decodes one image at a time.
+ * @param {() => Promise<*>} job
+ * @returns {Promise<*>} - Settles with the job
+ */
+export function queueThumbnailJob (job) {
+  const run = queue.then(() => new Promise((resolve) => setTimeout(resolve, 0))).then(job)
+  queue = run.catch(() => {})
+  return run
+}
+
+function baseMimeType (mimeType) {
+  return typeof mimeType === 'string' ? mimeType.split(';')[0].trim().toLowerCase() : ''
+}
+
+function readPngSize (data) {
+  if (data.length < 24) throw new Error('Truncated PNG')
+  return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) }
+}
+
+/**
+ * Whether a thumbnail can be made for files of this type.
+ * @param {string} mimeType
+ * @param {number} [size] - File size in bytes
+ * @returns {boolean}
+ */
+export function canCreateThumbnail (mimeType, size = 0) {
+  return !!DECODERS[baseMimeType(mimeType)] && size <= THUMBNAIL_MAX_SOURCE_BYTES
+}
+
+// EXIF orientation (1-8) of a JPEG, 1 when absent or unreadable. Browsers apply it to the
+// original, so the thumbnail has to be rotated the same way.
+function readJpegOrientation (data) {
+  try {
+    return findExifOrientation(data)
+  } catch (_) {
+    return 1
+  }
+}
+
+function findExifOrientation (data) {
+  let offset = 2
+  while (offset + 4 <= data.length && data[offset] === 0xff) {
+    const marker = data[offset + 1]
+    const length = data.readUInt16BE(offset + 2)
+    if (marker === 0xda) break
+    if (marker === 0xe1 && data.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      const tiff = offset + 10
+      const little = data.toString('latin1', tiff, tiff + 2) === 'II'
+      const u16 = (at) => little ? data.readUInt16LE(at) : data.readUInt16BE(at)
+      const u32 = (at) => little ? data.readUInt32LE(at) : data.readUInt32BE(at)
+      const ifd = tiff + u32(tiff + 4)
+      const count = u16(ifd)
+      for (let i = 0; i < count; i++) {
+        const tag = ifd + 2 + i * 12
+        if (tag + 10 > data.length) break
+        if (u16(tag) === 0x0112) return u16(tag + 8)
+      }
+      return 1
+    }
+    offset += 2 + length
+  }
+  return 1
+}
+
+// Area-average downscale of RGBA pixels into RGB, flattening transparency onto white
+function downscale ({ width, height, data }, targetWidth, targetHeight) {
+  const sums = new Float64Array(targetWidth * targetHeight * 3)
+  const counts = new Uint32Array(targetWidth * targetHeight)
+  const columns = new Uint32Array(width)
+  for (let x = 0; x < width; x++) columns[x] = Math.floor(x * targetWidth / width)
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y * targetHeight / height) * targetWidth
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * 4
+      const target = row + columns[x]
+      const alpha = data[source + 3] / 255
+      const background = 255 * (1 - alpha)
+      sums[target * 3] += data[source] * alpha + background
+      sums[target * 3 + 1] += data[source + 1] * alpha + background
+      sums[target * 3 + 2] += data[source + 2] * alpha + background
+      counts[target]++
+    }
+  }
+
+  const pixels = new Uint8Array(targetWidth * targetHeight * 3)
+  for (let i = 0; i < counts.length; i++) {
+    const n = counts[i] || 1
+    pixels[i * 3] = Math.round(sums[i * 3] / n)
+    pixels[i * 3 + 1] = Math.round(sums[i * 3 + 1] / n)
+    pixels[i * 3 + 2] = Math.round(sums[i * 3 + 2] / n)
+  }
+  return { width: targetWidth, height: targetHeight, pixels }
+}
+
+// Apply an EXIF orientation to RGB pixels and expand them to the RGBA layout jpeg-js encodes
+function orient ({ width, height, pixels }, orientation) {
+  const swap = orientation >= 5 && orientation <= 8
+  const outWidth = swap ? height : width
+  const outHeight = swap ? width : height
+  const out = Buffer.alloc(outWidth * outHeight * 4, 0xff)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let tx = x
+      let ty = y
+      switch (orientation) {
+        case 2: tx = width - 1 - x; break
+        case 3: tx = width - 1 - x; ty = height - 1 - y; break
+        case 4: ty = height - 1 - y; break
+        case 5: tx = y; ty = x; break
+        case 6: tx = height - 1 - y; ty = x; break
+        case 7: tx = height - 1 - y; ty = width - 1 - x; break
+        case 8: tx = y; ty = width - 1 - x; break
+      }
+      const source = (y * width + x) * 3
+      const target = (ty * outWidth + tx) * 4
+      out[target] = pixels[source]
+      out[target + 1] = pixels[source + 1]
+      out[target + 2] = pixels[source + 2]
+    }
+  }
+  return { width: outWidth, height: outHeight, data: out }
+}
+
+/**
+ * Make a JPEG thumbnail that fits within maxDimension on both sides.
+ * @param {Buffer} data - Original image
+ * @param {string} mimeType - Declared type of the original
+ * @param {Object} [options]
+ * @param {number} [options.maxDimension]
+ * @returns {{data: Buffer, width: number, height: number, mimeType: string}|null} - null when
+ *   the type is unsupported or the image is already small enough to be its own preview
+ */
+export function createThumbnail (data, mimeType, { maxDimension = THUMBNAIL_MAX_DIMENSION } = {}) {
+  const type = baseMimeType(mimeType)
+  if (!canCreateThumbnail(type, data.length)) return null
+
+  const image = DECODERS[type](data)
+  const scale = Math.min(1, maxDimension / Math.max(image.width, image.height))
+  const orientation = type === 'image/jpeg' ? readJpegOrientation(data) : 1
+  if (scale === 1 && orientation === 1) return null
+
+  const scaled = downscale(
+    image,
+    Math.max(1, Math.round(image.width * scale)),
+    Math.max(1, Math.round(image.height * scale))
+  )
+  const oriented = orient(scaled, orientation >= 1 && orientation <= 8 ? orientation : 1)
+  const encoded = jpeg.encode(oriented, THUMBNAIL_QUALITY)
+  return {
+    data: Buffer.from(encoded.data),
+    width: oriented.width,
+    height: oriented.height,
+    mimeType: THUMBNAIL_MIME_TYPE
+  }
+}
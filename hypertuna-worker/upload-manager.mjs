@@ -0,0 +1,188 @@
+// hypertuna-worker/upload-manager.mjs
+// Resumable, chunked uploads from the desktop app. Chunks are appended to a part file under
+// <storage>/uploads and hashed as they arrive. A manifest next to each part file lets an
+// upload resume from the bytes already on disk after the worker restarts.
+
+import { promises as fs, createReadStream } from 'node:fs'
+import { join } from 'node:path'
+import crypto from 'node:crypto'
+
+const UPLOAD_TARGETS = new Set(['file', 'pfp'])
+const UPLOAD_ID_PATTERN = /^[a-zA-Z0-9_-]{8,128}$/
+const STALE_UPLOAD_MS = 7 * 24 * 60 * 60 * 1000
+
+// uploadId -> { uploadId, target, fileHash, size, received, hash, manifestPath, partPath, ... }
+const uploads = new Map()
+let uploadsDir = null
+
+function sessionPaths (uploadId) {
+  return {
+    manifestPath: join(uploadsDir, `${uploadId}.json`),
+    partPath: join(uploadsDir, `${uploadId}.part`)
+  }
+}
+
+async function readManifest (manifestPath) {
+  try {
+    return JSON.parse(await fs.readFile(manifestPath, 'utf8'))
+  } catch (_) {
+    return null
+  }
+}
+
+// Rebuild the running hash from the part file, used when resuming a staged upload
+async function hashPartFile (partPath, length) {
+  const hash = crypto.createHash('sha256')
+  if (length > 0) {
+    for await (const chunk of createReadStream(partPath, { start: 0, end: length - 1 })) {
+      hash.update(chunk)
+    }
+  }
+  return hash
+}
+
+function getSession (uploadId) {
+  const session = uploads.get(uploadId)
+  if (!session) throw new Error(`Unknown upload ${uploadId}`)
+  return session
+}
+
+/**
+ * Set the staging directory and remove uploads that were abandoned long ago.
+ * @param {string} storageDir - Worker storage directory
+ */
+export async function initializeUploadManager (storageDir) {
+  uploadsDir = join(storageDir, 'uploads')
+  await fs.mkdir(uploadsDir, { recursive: true })
+
+  const now = Date.now()
+  for (const name of await fs.readdir(uploadsDir)) {
+    if (!name.endsWith('.json')) continue
+    const uploadId = name.slice(0, -5)
+    const manifest = await readManifest(join(uploadsDir, name))
+    if (manifest && now - (manifest.updatedAt || 0) < STALE_UPLOAD_MS) continue
+    console.log(`[Upload] removing stale staged upload ${uploadId}`)
+    await discardUpload(uploadId)
+  }
+}
+
+/**
+ * Start an upload, or resume one whose part file is already staged.
+ * @param {Object} params
+ * @param {string} params.uploadId - Client generated id, stable across resumes
+ * @param {'file'|'pfp'} params.target - Relay file drive or avatar drive
+ * @param {string} params.fileHash - Expected sha256 of the whole content
+ * @param {number} params.size - Total byte length
+ * @returns {Promise<{uploadId: string, received: number, size: number}>}
+ */
+export async function beginUpload (params = {}) {
+  if (!uploadsDir) throw new Error('Upload manager not initialized')
+  const { uploadId, target, fileHash, size } = params
+  if (!UPLOAD_ID_PATTERN.test(uploadId || '')) throw new Error('Invalid uploadId')
+  if (!UPLOAD_TARGETS.has(target)) throw new Error(`Unsupported upload target ${target}`)
+  if (!/^[a-f0-9]{64}$/.test(fileHash || '')) throw new Error('Invalid fileHash')
+  if (!Number.isSafeInteger(size) || size < 0) throw new Error('Invalid upload size')
+
+  const existing = uploads.get(uploadId)
+  if (existing) {
+    if (existing.fileHash !== fileHash || existing.size !== size) {
+      throw new Error(`Upload ${uploadId} was started for different content`)
+    }
+    return { uploadId, received: existing.received, size }
+  }
+
+  const { manifestPath, partPath } = sessionPaths(uploadId)
+  const stored = await readManifest(manifestPath)
+  const resuming = stored?.fileHash === fileHash && stored?.size === size
+  let received = 0
+  if (resuming) {
+    const stat = await fs.stat(partPath).catch(() => null)
+    received = Math.min(stat?.size || 0, size)
+    if (stat && stat.size !== received) await fs.truncate(partPath, received)
+  } else {
+    await fs.writeFile(partPath, '')
+  }
+
+  const manifest = {
+    uploadId,
+    target,
+    fileHash,
+    size,
+    metadata: params.metadata || (resuming && stored.metadata) || null,
+    identifier: params.identifier || (resuming && stored.identifier) || null,
+    relayKey: params.relayKey || (resuming && stored.relayKey) || null,
+    owner: typeof params.owner === 'string' ? params.owner.trim() : ((resuming && stored.owner) || ''),
+    updatedAt: Date.now()
+  }
+  await fs.writeFile(manifestPath, JSON.stringify(manifest))
+
+  uploads.set(uploadId, {
+    ...manifest,
+    received,
+    hash: await hashPartFile(partPath, received),
+    manifestPath,
+    partPath
+  })
+  if (received) console.log(`[Upload] resuming ${uploadId} at ${received}/${size} bytes`)
+  return { uploadId, received, size }
+}
+
+/**
+ * Append the next chunk of an upload. A chunk that was already stored (resent after a
+ * lost ack) is acknowledged again without writing it twice.
+ * @param {string} uploadId
+ * @param {number} offset - Byte offset of the chunk
+ * @param {Buffer} data
+ * @returns {Promise<number>} - Bytes received so far
+ */
+export async function writeUploadChunk (uploadId, offset, data) {
+  const session = getSession(uploadId)
+  if (offset + data.length <= session.received) return session.received
+  if (offset !== session.received) {
+    throw new Error(`Unexpected chunk offset ${offset}, expected ${session.received}`)
+  }
+  if (session.received + data.length > session.size) {
+    throw new Error('Chunk exceeds declared upload size')
+  }
+
+  await fs.appendFile(session.partPath, data)
+  session.hash.update(data)
+  session.received += data.length
+  return session.received
+}
+
+/**
+ * Verify a fully received upload and hand the staged content to commit, which stores it
+ * in a drive. The staged files are removed once commit resolves.
+ * @param {string} uploadId
+ * @param {(session: Object, content: {filePath: string, hash: string, size: number}) => Promise<void>} commit
+ * @returns {Promise<Object>} - The upload session
+ */
+export async function completeUpload (uploadId, commit) {
+  const session = getSession(uploadId)
+  if (session.received !== session.size) {
+    throw new Error(`Upload incomplete: ${session.received}/${session.size} bytes`)
+  }
+
+  const hash = session.hash.copy().digest('hex')
+  if (hash !== session.fileHash) {
+    await discardUpload(uploadId)
+    throw new Error('Hash mismatch')
+  }
+
+  await commit(session, { filePath: session.partPath, hash, size: session.size })
+  await discardUpload(uploadId)
+  return session
+}
+
+/**
+ * Drop an upload and its staged files.
+ * @param {string} uploadId
+ */
+export async function discardUpload (uploadId) {
+  uploads.delete(uploadId)
+  if (!uploadsDir || !UPLOAD_ID_PATTERN.test(uploadId || '')) return
+  const { manifestPath, partPath } = sessionPaths(uploadId)
+  await fs.rm(partPath, { force: true })
+  await fs.rm(manifestPath, { force: true })
+}
@@ -0,0 +1,137 @@
+// hypertuna-worker/upload-policy.mjs
+// Per-relay upload policy, stored in the relay profile as upload_policy. Sizes are bytes and
+// null means unlimited; an empty allowed_mime_types list accepts any type. The policy is checked
+// for this member's own uploads and for files mirrored from other members' drives, with
+// per-member daily usage kept in <storage>/upload-usage.json.
+
+import { promises as fs } from 'node:fs'
+import { join } from 'node:path'
+
+export class UploadPolicyError extends Error {
+  constructor (message, rule) {
+    super(message)
+    this.name = 'UploadPolicyError'
+    this.code = 'UPLOAD_POLICY'
+    this.rule = rule
+  }
+}
+
+// relayKey -> pubkey -> { day, bytes }
+let usage = {}
+let usagePath = null
+
+function toLimit (value) {
+  const n = Number(value)
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(n) && n >= 0
+    ? Math.floor(n)
+    : null
+}
+
+function today () {
+  return new Date().toISOString().slice(0, 10)
+}
+
+export function formatBytes (bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  const units = ['KB', 'MB', 'GB', 'TB']
+  let value = bytes
+  let unit = -1
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024
+    unit++
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`
+}
+
+/**
+ * Fill in defaults and drop invalid values.
+ * @param {Object} policy
+ * @returns {{max_file_size: number|null, allowed_mime_types: string[], member_daily_quota: number|null, relay_quota: number|null}}
+ */
+export function normalizeUploadPolicy (policy = {}) {
+  const source = policy && typeof policy === 'object' ? policy : {}
+  const mimeTypes = Array.isArray(source.allowed_mime_types) ? source.allowed_mime_types : []
+  return {
+    max_file_size: toLimit(source.max_file_size),
+    allowed_mime_types: mimeTypes
+      .filter((type) => typeof type === 'string' && type.trim())
+      .map((type) => type.trim().toLowerCase()),
+    member_daily_quota: toLimit(source.member_daily_quota),
+    relay_quota: toLimit(source.relay_quota)
+  }
+}
+
+// Entries are exact types or wildcards such as image/*
+function mimeAllowed (allowed, mimeType) {
+  if (!allowed.length) return true
+  const type = typeof mimeType === 'string' ? mimeType.split(';')[0].trim().toLowerCase() : ''
+  return allowed.some((entry) => entry === type || (entry.endsWith('/*') && type.startsWith(entry.slice(0, -1))))
+}
+
+/**
+ * Throw an UploadPolicyError if a file may not be added to the relay.
+ * @param {Object} policy - Relay upload policy
+ * @param {Object} file
+ * @param {number} file.size - File size in bytes
+ * @param {string} [file.mimeType] - MIME type declared by the uploader
+ * @param {number} [file.memberBytesToday] - Bytes the member already added today
+ * @param {number} [file.relayBytes] - Bytes the relay already stores
+ */
+export function checkUploadPolicy (policy, { size, mimeType, memberBytesToday = 0, relayBytes = 0 }) {
+  const rules = normalizeUploadPolicy(policy)
+  if (rules.max_file_size !== null && size > rules.max_file_size) {
+    throw new UploadPolicyError(`File is ${formatBytes(size)}; this relay accepts files up to ${formatBytes(rules.max_file_size)}`, 'max_file_size')
+  }
+  if (!mimeAllowed(rules.allowed_mime_types, mimeType)) {
+    throw new UploadPolicyError(`File type ${mimeType || 'unknown'} is not allowed on this relay (allowed: ${rules.allowed_mime_types.join(', ')})`, 'allowed_mime_types')
+  }
+  if (rules.member_daily_quota !== null && memberBytesToday + size > rules.member_daily_quota) {
+    const left = Math.max(0, rules.member_daily_quota - memberBytesToday)
+    throw new UploadPolicyError(`Daily upload quota of ${formatBytes(rules.member_daily_quota)} reached (${formatBytes(left)} left today)`, 'member_daily_quota')
+  }
+  if (rules.relay_quota !== null && relayBytes + size > rules.relay_quota) {
+    throw new UploadPolicyError(`File does not fit the relay's storage quota (${formatBytes(relayBytes)} of ${formatBytes(rules.relay_quota)} used)`, 'relay_quota')
+  }
+}
+
+/**
+ * Load today's per-member usage.
+ * @param {string} storageDir - Worker storage directory
+ */
+export async function initializeUploadUsage (storageDir) {
+  usagePath = join(storageDir, 'upload-usage.json')
+  try {
+    usage = JSON.parse(await fs.readFile(usagePath, 'utf8')) || {}
+  } catch (_) {
+    usage = {}
+  }
+}
+
+export function getMemberUsageToday (relayKey, pubkey) {
+  const entry = usage[relayKey]?.[pubkey]
+  return entry?.day === today() ? entry.bytes : 0
+}
+
+/**
+ * Count bytes a member added to a relay today. Entries from earlier days are dropped.
+ * @param {string} relayKey
+ * @param {string} pubkey
+ * @param {number} bytes
+ */
+export async function recordMemberUsage (relayKey, pubkey, bytes) {
+  if (!relayKey || !pubkey || !bytes) return
+  const day = today()
+  for (const members of Object.values(usage)) {
+    for (const [key, entry] of Object.entries(members)) {
+      if (entry.day !== day) delete members[key]
+    }
+  }
+  usage[relayKey] = usage[relayKey] || {}
+  usage[relayKey][pubkey] = { day, bytes: getMemberUsageToday(relayKey, pubkey) + bytes }
+  if (!usagePath) return
+  try {
+    await fs.writeFile(usagePath, JSON.stringify(usage))
+  } catch (err) {
+    console.warn('[UploadPolicy] failed to persist usage:', err?.message || err)
+  }
+}
@@ -2,6 +2,7 @@ import http from 'node:http';
 import https from 'node:https';
 import { randomBytes } from 'node:crypto';
 import { resolve } from 'node:path';
+import { readFileSync } from 'node:fs';
 import express from 'express';
 import WebSocket, { WebSocketServer } from 'ws';
 import helmet from 'helmet';
@@ -18,6 +19,7 @@ import {
   verifySignature,
   verifyClientToken
 } from '../../shared/auth/PublicGatewayTokens.mjs';
+import { createAuthChallenge, validateAuthEvent } from '../../shared/auth/Nip42Auth.mjs';
 import {
   metricsMiddleware,
   sessionGauge,
@@ -32,15 +34,25 @@ import {
 } from './metrics.mjs';
 import MemoryRegistrationStore from './stores/MemoryRegistrationStore.mjs';
 import MessageQueue from './utils/MessageQueue.mjs';
+import verifyNostrSignature, { verifyNostrEvent } from './utils/verifyNostrSignature.mjs';
 import GatewayAdvertiser from './discovery/GatewayAdvertiser.mjs';
 import HyperbeeRelayHost from './relay/HyperbeeRelayHost.mjs';
 import RelayWebsocketController from './relay/RelayWebsocketController.mjs';
 import RelayDispatcherService from './relay/RelayDispatcherService.mjs';
 import RelayTokenService from './relay/RelayTokenService.mjs';
+import PendingWriteQueue from './relay/PendingWriteQueue.mjs';
 import PublicGatewayHyperbeeAdapter from '../../shared/public-gateway/PublicGatewayHyperbeeAdapter.mjs';
 import { openHyperbeeReplicationChannel } from '../../shared/public-gateway/hyperbeeReplicationChannel.mjs';
+import {
+  buildRelayInformationDocument,
+  sendRelayInformation,
+  wantsRelayInformation
+} from '../../shared/public-gateway/RelayInformation.mjs';
+import { isEphemeralKind } from '../../shared/nostr/EventFilters.mjs';
 
 const DELEGATION_FALLBACK_MS = 1500;
+const SESSION_REFRESH_INTERVAL_MS = 5000;
+const PACKAGE_INFO = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
 
 function safeString(value) {
   if (typeof value === 'string') return value;
@@ -51,6 +63,15 @@ function safeString(value) {
   }
 }
 
+function parseFrame(message) {
+  try {
+    const frame = JSON.parse(message);
+    return Array.isArray(frame) ? frame : null;
+  } catch (_) {
+    return null;
+  }
+}
+
 class PublicGatewayService {
   constructor({ config, logger, tlsOptions = null, registrationStore }) {
     this.config = config;
@@ -112,6 +133,7 @@ class PublicGatewayService {
       onProtocol: this.#onProtocolCreated.bind(this),
       onHandshake: this.#onProtocolHandshake.bind(this),
       onTelemetry: this.#handlePeerTelemetry.bind(this),
+      onWebSocketFrame: this.#handlePeerWebSocketFrame.bind(this),
       onConnectionClosed: this.#onPoolConnectionClosed.bind(this),
       onHealth: this.#onPoolConnectionHealth.bind(this),
       handshakeBuilder: this.#buildHandshakePayload.bind(this)
@@ -120,12 +142,20 @@ class PublicGatewayService {
     this.sessions = new Map();
     this.healthInterval = null;
     this.pruneInterval = null;
-    this.eventCheckTimers = new Map();
+    this.sessionRefreshTimers = new Map();
     this.delegationFallbackTimers = new Map();
     this.relayPeerIndex = new Map();
     this.peerMetadata = new Map();
     this.peerHyperbeeReplications = new Map();
     this.publicGatewayStatusUpdatedAt = null;
+    this.pendingWrites = new PendingWriteQueue({
+      registrationStore: this.registrationStore,
+      deliver: this.#deliverPendingWrite.bind(this),
+      logger: this.logger,
+      retryIntervalMs: (config.registration?.pendingWriteRetrySeconds || 0) * 1000,
+      maxAgeMs: (config.registration?.pendingWriteMaxAgeHours || 0) * 60 * 60 * 1000,
+      maxEntriesPerRelay: config.registration?.pendingWriteMaxPerRelay
+    });
   }
 
   async init() {
@@ -174,6 +204,7 @@ class PublicGatewayService {
 
     this.healthInterval = setInterval(() => this.#collectMetrics(), 10000).unref();
     this.pruneInterval = setInterval(() => this.registrationStore.pruneExpired?.(), 60000).unref();
+    this.pendingWrites.start();
   }
 
   async stop() {
@@ -187,10 +218,12 @@ class PublicGatewayService {
       this.pruneInterval = null;
     }
 
-    for (const timer of this.eventCheckTimers.values()) {
+    this.pendingWrites.stop();
+
+    for (const timer of this.sessionRefreshTimers.values()) {
       clearTimeout(timer);
     }
-    this.eventCheckTimers.clear();
+    this.sessionRefreshTimers.clear();
 
     for (const timer of this.delegationFallbackTimers.values()) {
       clearTimeout(timer);
@@ -264,8 +297,8 @@ class PublicGatewayService {
       app.get(this.secretEndpointPath, (req, res) => this.#handleSecretRequest(req, res));
     }
 
-    app.get('/drive/:identifier/:file', async (req, res) => {
-      const { identifier, file } = req.params;
+    const serveDriveFile = async (req, res) => {
+      const { identifier, file, variant } = req.params;
       try {
         const target = await this.#resolveRelayTarget(identifier);
         if (!target) {
@@ -275,7 +308,7 @@ class PublicGatewayService {
 
         const streamResult = await this.#withRelayPeerKey(target.relayKey, async (peerKey) => {
           const peer = { publicKey: peerKey };
-          const result = await requestFileFromPeer(peer, target.driveIdentifier, file, this.connectionPool);
+          const result = await requestFileFromPeer(peer, target.driveIdentifier, file, this.connectionPool, req.headers, variant);
 
           if (!result) {
             const err = new Error('Peer returned empty response');
@@ -285,7 +318,8 @@ class PublicGatewayService {
           }
 
           const status = Number.isInteger(result.statusCode) ? result.statusCode : 200;
-          if (status >= 400) {
+          // 416 answers the client's Range header, so it is passed through rather than retried
+          if (status >= 400 && status !== 416) {
             const err = new Error(`Peer responded with status ${status}`);
             err.statusCode = status;
             err.peerKey = peerKey;
@@ -324,7 +358,10 @@ class PublicGatewayService {
           res.end();
         }
       }
-    });
+    };
+
+    app.get('/drive/:identifier/:file', serveDriveFile);
+    app.get('/drive/:identifier/:file/:variant', serveDriveFile);
 
     app.post('/api/relays', (req, res) => this.#handleRelayRegistration(req, res));
     app.delete('/api/relays/:relayKey', (req, res) => this.#handleRelayDeletion(req, res));
@@ -333,6 +370,11 @@ class PublicGatewayService {
     app.post('/api/relay-tokens/refresh', (req, res) => this.#handleTokenRefresh(req, res));
     app.post('/api/relay-tokens/revoke', (req, res) => this.#handleTokenRevoke(req, res));
 
+    app.get('*', (req, res, next) => {
+      if (!wantsRelayInformation(req)) return next();
+      this.#handleRelayInformationRequest(req, res, next);
+    });
+
     const serverFactory = this.tlsOptions ? https.createServer : http.createServer;
     this.server = serverFactory(this.tlsOptions || {}, app);
 
@@ -340,6 +382,30 @@ class PublicGatewayService {
     this.wss.on('connection', (ws, req) => this.#handleWebSocket(ws, req));
   }
 
+  async #handleRelayInformationRequest(req, res, next) {
+    try {
+      const { relayKey } = this.#parseWebSocketRequest(req);
+      const registration = relayKey ? await this.registrationStore.getRelay(relayKey) : null;
+      if (!registration) return next();
+
+      const metadata = registration.metadata || {};
+      const document = buildRelayInformationDocument(metadata, {
+        software: PACKAGE_INFO.name,
+        version: PACKAGE_INFO.version,
+        authRequired: metadata.requiresAuth !== false
+      });
+      sendRelayInformation(res, document);
+    } catch (error) {
+      this.logger.error?.({
+        path: req.path,
+        error: error?.message || error
+      }, 'Relay information request failed');
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Unable to build relay information' });
+      }
+    }
+  }
+
   #normalizeRelayConfig(raw = {}) {
     const baseDir = raw?.storageDir
       || process.env.GATEWAY_RELAY_STORAGE
@@ -625,7 +691,7 @@ class PublicGatewayService {
       return;
     }
 
-    const { relayKey, token } = this.#parseWebSocketRequest(req);
+    const { relayKey, token, relayUrl } = this.#parseWebSocketRequest(req);
 
     if (!relayKey) {
       this.logger.warn?.('WebSocket rejected: invalid relay key', {
@@ -647,14 +713,11 @@ class PublicGatewayService {
     const requiresAuth = registration?.metadata?.requiresAuth !== false;
 
     let tokenValidation = null;
-    if (requiresAuth) {
-      if (!token) {
-        this.logger.warn?.('WebSocket rejected: token missing', { relayKey });
-        ws.close(4403, 'Token required');
-        ws.terminate();
-        return;
-      }
-
+    let authChallenge = null;
+    if (requiresAuth && !token) {
+      // Standard clients authenticate over the socket with NIP-42 instead of a URL token
+      authChallenge = createAuthChallenge();
+    } else if (requiresAuth) {
       tokenValidation = await this.#validateToken(token, relayKey);
       if (!tokenValidation) {
         this.logger.warn?.('WebSocket rejected: token validation failed', { relayKey });
@@ -724,12 +787,16 @@ class PublicGatewayService {
     const session = {
       connectionKey,
       relayKey,
+      relayUrl,
       ws,
       clientToken: token || null,
       tokenPayload,
       relayAuthToken,
       clientPubkey: tokenPubkey || null,
       clientScope: tokenScope || null,
+      authRequired: !!authChallenge,
+      authChallenge,
+      authEvent: null,
       peerKey,
       peers,
       peerIndex,
@@ -754,7 +821,7 @@ class PublicGatewayService {
     ws.on('close', () => this.#cleanupSession(connectionKey));
     ws.on('error', () => this.#cleanupSession(connectionKey));
 
-    this.#startEventChecking(session);
+    this.#startSessionRefresh(session);
 
     if (session.delegateReqToPeers) {
       this.#updateSessionsForDelegation({
@@ -763,6 +830,10 @@ class PublicGatewayService {
       });
     }
 
+    if (authChallenge && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(['AUTH', authChallenge]));
+    }
+
     this.logger.info?.('WebSocket session established', { relayKey, connectionKey, peerKey });
   }
 
@@ -781,6 +852,17 @@ class PublicGatewayService {
         return;
       }
 
+      const frame = parseFrame(msg);
+      if (frame?.[0] === 'AUTH') {
+        await this.#handleAuthFrame(session, frame[1]);
+        return;
+      }
+
+      if (session.authRequired && !session.authEvent) {
+        this.#rejectUnauthenticatedFrame(session, frame);
+        return;
+      }
+
       const useRelayController = this.#isHyperbeeRelayEnabled() && this.relayWebsocketController;
 
       if (useRelayController) {
@@ -792,15 +874,95 @@ class PublicGatewayService {
     });
   }
 
+  async #handleAuthFrame(session, authEvent) {
+    const eventId = typeof authEvent?.id === 'string' ? authEvent.id : '';
+    const reply = (ok, reason = '') => {
+      if (session.ws?.readyState === WebSocket.OPEN) {
+        session.ws.send(JSON.stringify(['OK', eventId, ok, reason]));
+      }
+    };
+
+    if (!session.authChallenge) {
+      session.authChallenge = createAuthChallenge();
+    }
+
+    const validation = await validateAuthEvent(authEvent, {
+      challenge: session.authChallenge,
+      relayUrl: session.relayUrl,
+      verifySignature: verifyNostrSignature
+    });
+    if (!validation.ok) {
+      this.logger.debug?.('Rejected AUTH event', {
+        relayKey: session.relayKey,
+        connectionKey: session.connectionKey,
+        reason: validation.reason
+      });
+      reply(false, validation.reason);
+      return;
+    }
+
+    // Membership lives with the relay's peers, so they confirm the pubkey is authorized
+    let okFrame = null;
+    try {
+      const responses = await this.#withPeer(session, async (peerKey) => forwardMessageToPeerHyperswarm(
+        peerKey,
+        session.relayKey,
+        JSON.stringify(['AUTH', authEvent]),
+        session.connectionKey,
+        this.connectionPool,
+        null,
+        authEvent,
+        session.authChallenge
+      ));
+      okFrame = Array.isArray(responses)
+        ? responses.find((response) => Array.isArray(response) && response[0] === 'OK' && response[1] === eventId)
+        : null;
+    } catch (error) {
+      reply(false, `error: ${error?.message || 'unable to reach relay peers'}`);
+      return;
+    }
+
+    if (okFrame?.[2] === true) {
+      session.authEvent = authEvent;
+      session.clientPubkey = validation.pubkey;
+      this.logger.info?.('WebSocket session authenticated via NIP-42', {
+        relayKey: session.relayKey,
+        connectionKey: session.connectionKey,
+        pubkey: validation.pubkey
+      });
+      reply(true);
+      return;
+    }
+
+    reply(false, okFrame?.[3] || 'restricted: not authorized for this relay');
+  }
+
+  #rejectUnauthenticatedFrame(session, frame) {
+    if (session.ws?.readyState !== WebSocket.OPEN) return;
+    const reason = 'auth-required: this relay requires authentication';
+    const type = Array.isArray(frame) ? frame[0] : null;
+    let response;
+    if (type === 'EVENT') {
+      response = ['OK', typeof frame[1]?.id === 'string' ? frame[1].id : '', false, reason];
+    } else if (type === 'REQ' || type === 'COUNT') {
+      response = ['CLOSED', typeof frame[1] === 'string' ? frame[1] : '', reason];
+    } else if (type === 'CLOSE') {
+      return;
+    } else {
+      response = ['NOTICE', reason];
+    }
+    session.ws.send(JSON.stringify(response));
+  }
+
   #cleanupSession(connectionKey) {
     const session = this.sessions.get(connectionKey);
     if (!session) return;
 
     this.sessions.delete(connectionKey);
-    const timer = this.eventCheckTimers.get(connectionKey);
+    const timer = this.sessionRefreshTimers.get(connectionKey);
     if (timer) {
       clearTimeout(timer);
-      this.eventCheckTimers.delete(connectionKey);
+      this.sessionRefreshTimers.delete(connectionKey);
     }
 
     const fallbackTimer = this.delegationFallbackTimers.get(connectionKey);
@@ -826,6 +988,11 @@ class PublicGatewayService {
       return;
     }
 
+    if (!session.localOnly && this.#isEventFrame(serialized)) {
+      await this.#forwardEventToWriter(session, serialized);
+      return;
+    }
+
     let pendingEntry = null;
     if (Array.isArray(session.pendingDelegatedMessages) && subscriptionId) {
       pendingEntry = session.pendingDelegatedMessages.find((entry) => entry?.subscriptionId === subscriptionId) || null;
@@ -869,6 +1036,12 @@ class PublicGatewayService {
       }, 'DelegationDebug: forwardLegacyMessage invoked');
     }
 
+    if (!session?.peers?.length && this.#isCountFrame(serialized)) {
+      // COUNT is a one-shot request; answer it from the local replica when possible instead of queueing
+      await this.#respondToCountWithoutPeers(session, serialized);
+      return;
+    }
+
     if (!session?.peers?.length) {
       if (allowQueue && session?.delegateReqToPeers) {
         if (pendingEntry) {
@@ -973,16 +1146,24 @@ class PublicGatewayService {
           activePeer: session.peerKey || null
         }, 'DelegationDebug: forwarding message to peer');
       }
+      const isReqFrame = this.#isReqFrame(serialized);
       const responses = await this.#withPeer(session, async (peerKey) => {
         requestCounter.inc({ relay: session.relayKey });
-        return forwardMessageToPeerHyperswarm(
+        const forwarded = await forwardMessageToPeerHyperswarm(
           peerKey,
           session.relayKey,
           serialized,
           session.connectionKey,
           this.connectionPool,
-          session.relayAuthToken
+          session.relayAuthToken,
+          session.authEvent,
+          session.authChallenge
         );
+        if (!isReqFrame) return forwarded;
+        // the peer only acknowledges a REQ; stored matches and EOSE come from a single backlog fetch,
+        // everything after that is pushed by the peer as it is stored
+        const backlog = await this.#fetchSubscriptionBacklog(session, peerKey, parseFrame(serialized)?.[1] || null);
+        return [...(Array.isArray(forwarded) ? forwarded : []), ...backlog];
       }, { preferredPeer });
 
       if (!Array.isArray(responses)) return;
@@ -1074,6 +1255,183 @@ class PublicGatewayService {
     }
   }
 
+  #isReqFrame(serialized) {
+    if (typeof serialized !== 'string') return false;
+    try {
+      const frame = JSON.parse(serialized);
+      return Array.isArray(frame) && frame[0] === 'REQ';
+    } catch (_) {
+      return false;
+    }
+  }
+
+  #isEventFrame(serialized) {
+    const frame = parseFrame(serialized);
+    return frame?.[0] === 'EVENT' && typeof frame[1]?.id === 'string';
+  }
+
+  // Hosting peers hold read replicas, so writes only go to peers that are autobase writers.
+  // With none reachable a verified event is queued in the registration store and retried, unless the
+  // relay requires NIP-42 auth: that is bound to this connection's challenge and cannot be replayed later.
+  async #forwardEventToWriter(session, serialized) {
+    const event = parseFrame(serialized)[1];
+    const sendOk = (accepted, reason) => {
+      if (session.ws?.readyState === WebSocket.OPEN) {
+        session.ws.send(JSON.stringify(['OK', event.id, accepted, reason]));
+      }
+    };
+
+    const responses = await this.#sendToWritablePeer(session.relayKey, serialized, {
+      connectionKey: session.connectionKey,
+      relayAuthToken: session.relayAuthToken,
+      authEvent: session.authEvent,
+      authChallenge: session.authChallenge
+    });
+    if (responses) {
+      requestCounter.inc({ relay: session.relayKey });
+      if (session.ws?.readyState === WebSocket.OPEN) {
+        for (const response of responses) {
+          if (response) session.ws.send(JSON.stringify(response));
+        }
+      }
+      return;
+    }
+
+    if (isEphemeralKind(event.kind)) {
+      sendOk(false, 'error: no relay writer is reachable');
+      return;
+    }
+    if (!verifyNostrEvent(event)) {
+      sendOk(false, 'invalid: bad event id or signature');
+      return;
+    }
+    if (session.authRequired) {
+      sendOk(false, 'error: no relay writer is reachable and writes to this relay cannot be queued');
+      return;
+    }
+
+    try {
+      const queued = await this.pendingWrites.enqueue(session.relayKey, {
+        event,
+        relayAuthToken: session.relayAuthToken || null
+      });
+      if (!queued) {
+        sendOk(false, 'error: no relay writer is reachable and the write queue for this relay is full');
+        return;
+      }
+      sendOk(true, 'queued: no relay writer is reachable, the event will be delivered when one is');
+    } catch (error) {
+      this.logger.warn?.('Failed to queue write for relay', {
+        relayKey: session.relayKey,
+        eventId: event.id,
+        error: error?.message || error
+      });
+      sendOk(false, 'error: no relay writer is reachable');
+    }
+  }
+
+  // Returns the writer's responses, or null when no writable peer could be reached
+  async #sendToWritablePeer(relayKey, serialized, { connectionKey, relayAuthToken = null, authEvent = null, authChallenge = null } = {}) {
+    const registration = await this.registrationStore.getRelay(relayKey);
+    const writers = this.#getWritablePeersFromRegistration(registration);
+
+    for (const peerKey of writers) {
+      try {
+        const responses = await forwardMessageToPeerHyperswarm(
+          peerKey,
+          relayKey,
+          serialized,
+          connectionKey,
+          this.connectionPool,
+          relayAuthToken,
+          authEvent,
+          authChallenge
+        );
+        this.#markPeerReachable(peerKey, { relayKey, timestamp: Date.now() });
+        return Array.isArray(responses) ? responses : [];
+      } catch (error) {
+        this.logger.warn?.('Writable peer failed to take event', {
+          relayKey,
+          peerKey,
+          error: error?.message || error
+        });
+      }
+    }
+    return null;
+  }
+
+  // see PendingWriteQueue for the result contract; a rejected write stays queued, marked, for inspection
+  async #deliverPendingWrite(relayKey, entry) {
+    const responses = await this.#sendToWritablePeer(relayKey, JSON.stringify(['EVENT', entry.event]), {
+      connectionKey: `pending-write:${entry.event.id}`,
+      relayAuthToken: entry.relayAuthToken
+    });
+    if (!responses) return false;
+
+    const okFrame = responses.find((response) => Array.isArray(response) && response[0] === 'OK');
+    if (okFrame && okFrame[2] !== true) {
+      return { rejected: okFrame[3] || 'rejected' };
+    }
+    return true;
+  }
+
+  async #fetchSubscriptionBacklog(session, peerKey, subscriptionId = null) {
+    try {
+      const events = await getEventsFromPeerHyperswarm(
+        peerKey,
+        session.relayKey,
+        session.connectionKey,
+        this.connectionPool,
+        session.relayAuthToken,
+        session.authEvent,
+        subscriptionId,
+        session.authChallenge
+      );
+      return Array.isArray(events) ? events.filter(Boolean) : [];
+    } catch (error) {
+      this.logger.debug?.('Subscription backlog fetch failed', {
+        relayKey: session.relayKey,
+        peer: peerKey,
+        error: error?.message || error
+      });
+      return [];
+    }
+  }
+
+  #isCountFrame(serialized) {
+    if (typeof serialized !== 'string') return false;
+    try {
+      const frame = JSON.parse(serialized);
+      return Array.isArray(frame) && frame[0] === 'COUNT';
+    } catch (_) {
+      return false;
+    }
+  }
+
+  async #respondToCountWithoutPeers(session, serialized) {
+    const frame = JSON.parse(serialized);
+    const subscriptionId = typeof frame[1] === 'string' ? frame[1] : '';
+    let response = ['CLOSED', subscriptionId, 'error: no peers available for this relay'];
+
+    if (this.hyperbeeAdapter?.hasReplica?.()) {
+      try {
+        const result = await this.hyperbeeAdapter.count(frame.slice(2));
+        if (result?.stats?.served) {
+          response = ['COUNT', subscriptionId, { count: result.count }];
+        }
+      } catch (error) {
+        this.logger.debug?.('Local COUNT fallback failed', {
+          relayKey: session?.relayKey,
+          error: error?.message || error
+        });
+      }
+    }
+
+    if (session.ws?.readyState === WebSocket.OPEN) {
+      session.ws.send(JSON.stringify(response));
+    }
+  }
+
   async #flushPendingDelegatedMessages(session, preferredPeer = null) {
     if (!session || !Array.isArray(session.pendingDelegatedMessages) || !session.pendingDelegatedMessages.length) {
       return;
@@ -1123,109 +1481,65 @@ class PublicGatewayService {
     }
   }
 
-  #startEventChecking(session) {
+  // Live events are pushed by hosting peers and the local relay host; this only keeps the session's
+  // peer list current and retries delegated frames that were queued while no peer was reachable
+  #startSessionRefresh(session) {
     const run = async () => {
       if (!this.sessions.has(session.connectionKey)) {
-        this.eventCheckTimers.delete(session.connectionKey);
+        this.sessionRefreshTimers.delete(session.connectionKey);
         return;
       }
 
       try {
-        if (session.localOnly) {
-          await this.#pollLocalHyperbee(session);
-        } else {
+        if (!session.localOnly && !(session.authRequired && !session.authEvent)) {
           const registration = await this.registrationStore.getRelay(session.relayKey);
           if (registration) {
             session.peers = this.#getUsablePeersFromRegistration(registration);
           }
 
-          if (!session.localOnly
-            && session.delegateReqToPeers
+          if (session.delegateReqToPeers
             && Array.isArray(session.pendingDelegatedMessages)
             && session.pendingDelegatedMessages.length
             && session.peers?.length) {
             await this.#flushPendingDelegatedMessages(session);
           }
-
-          const events = await this.#withPeer(session, async (peerKey) => {
-            return getEventsFromPeerHyperswarm(
-              peerKey,
-              session.relayKey,
-              session.connectionKey,
-              this.connectionPool,
-              session.relayAuthToken
-            );
-          });
-
-          if (Array.isArray(events) && events.length && session.ws.readyState === WebSocket.OPEN) {
-            for (const event of events) {
-              if (!event) continue;
-              session.ws.send(JSON.stringify(event));
-            }
-          }
         }
       } catch (error) {
-        this.logger.debug?.('Event polling error', { relayKey: session.relayKey, error: error.message });
+        this.logger.debug?.('Session refresh error', { relayKey: session.relayKey, error: error.message });
       } finally {
-        const timer = setTimeout(run, 1000);
+        const timer = setTimeout(run, SESSION_REFRESH_INTERVAL_MS);
         timer.unref?.();
-        this.eventCheckTimers.set(session.connectionKey, timer);
+        this.sessionRefreshTimers.set(session.connectionKey, timer);
       }
     };
 
-    const timer = setTimeout(run, 1000);
+    const timer = setTimeout(run, SESSION_REFRESH_INTERVAL_MS);
     timer.unref?.();
-    this.eventCheckTimers.set(session.connectionKey, timer);
+    this.sessionRefreshTimers.set(session.connectionKey, timer);
   }
 
-  async #pollLocalHyperbee(session) {
-    if (!this.hyperbeeAdapter?.hasReplica?.()) {
-      return;
-    }
+  #handlePeerWebSocketFrame({ publicKey, frame, context }) {
+    if (frame?.type !== 'relay-frames' || !Array.isArray(frame.frames)) return;
 
-    const snapshot = this.relayWebsocketController?.getSubscriptionSnapshot?.(session.connectionKey);
-    if (!Array.isArray(snapshot) || snapshot.length === 0) {
+    const session = this.sessions.get(frame.connectionKey);
+    if (!session || session.relayKey !== frame.relayKey) {
+      this.logger.debug?.('Dropping pushed frames for unknown session', {
+        peer: publicKey,
+        connectionKey: frame.connectionKey || null
+      });
+      // the client is gone; tell the peer so it stops matching the connection's subscriptions
+      context?.connection?.protocol?.sendWebSocketFrame?.({
+        type: 'relay-connection-closed',
+        relayKey: frame.relayKey,
+        connectionKey: frame.connectionKey
+      });
       return;
     }
+    if (session.ws?.readyState !== WebSocket.OPEN) return;
 
-    for (const entry of snapshot) {
-      const { subscriptionId, filters, lastReturnedAt } = entry;
-      try {
-        const queryResult = await this.hyperbeeAdapter.query(filters || []);
-        const events = Array.isArray(queryResult?.events) ? queryResult.events : [];
-        if (!events.length) continue;
-
-        const filtered = events
-          .filter((event) => {
-            const createdAt = Number(event?.created_at ?? 0);
-            if (!Number.isFinite(lastReturnedAt)) return true;
-            return createdAt > lastReturnedAt;
-          })
-          .sort((a, b) => (a?.created_at || 0) - (b?.created_at || 0));
-
-        if (!filtered.length || session.ws.readyState !== WebSocket.OPEN) {
-          continue;
-        }
-
-        let newestTimestamp = Number.isFinite(lastReturnedAt) ? lastReturnedAt : null;
-        for (const event of filtered) {
-          const createdAt = Number(event?.created_at ?? 0);
-          if (Number.isFinite(createdAt)) {
-            newestTimestamp = newestTimestamp === null ? createdAt : Math.max(newestTimestamp, createdAt);
-          }
-          session.ws.send(JSON.stringify(['EVENT', subscriptionId, event]));
-        }
-
-        if (Number.isFinite(newestTimestamp)) {
-          this.relayWebsocketController?.updateSubscriptionCursor?.(session.connectionKey, subscriptionId, newestTimestamp);
-        }
-      } catch (error) {
-        this.logger.debug?.('Local Hyperbee poll failed', {
-          relayKey: session.relayKey,
-          subscriptionId,
-          error: error?.message || error
-        });
-      }
+    for (const relayFrame of frame.frames) {
+      if (!Array.isArray(relayFrame)) continue;
+      session.ws.send(JSON.stringify(relayFrame));
     }
   }
 
@@ -1269,6 +1583,13 @@ class PublicGatewayService {
     return Array.from(combined).filter((peer) => this.#isPeerUsable(peer));
   }
 
+  // Peers that did not report writability predate hosting peers and are always the relay owner
+  #getWritablePeersFromRegistration(registration) {
+    const peerStates = registration?.metadata?.peerStates || {};
+    return this.#getUsablePeersFromRegistration(registration)
+      .filter((peerKey) => peerStates[peerKey]?.writable !== false);
+  }
+
   #syncSessionsWithRelay(relayKey, registration) {
     if (!relayKey || !this.sessions.size) return;
 
@@ -2344,6 +2665,12 @@ class PublicGatewayService {
       lastHealthyAt: existingState.lastHealthyAt || now,
       unreachableSince: null
     };
+    if (typeof relayPayload?.writable === 'boolean') {
+      peerStates[peerKey].writable = relayPayload.writable;
+    }
+    if (typeof relayPayload?.hostingPeer === 'boolean') {
+      peerStates[peerKey].hostingPeer = relayPayload.hostingPeer;
+    }
     metadata.peerStates = peerStates;
 
     const record = {
@@ -2422,6 +2749,16 @@ class PublicGatewayService {
     await this.registrationStore.upsertRelay(relayKey, record);
     this.#syncSessionsWithRelay(relayKey, record);
     this.#markPeerReachable(peerKey, { relayKey, timestamp: now });
+
+    if (peerStates[peerKey].writable !== false) {
+      this.pendingWrites.flush(relayKey).catch((error) => {
+        this.logger.debug?.('Failed to flush queued writes after writer registration', {
+          relayKey,
+          peer: peerKey,
+          error: error?.message || error
+        });
+      });
+    }
   }
 
   async #upsertInternalReplicaPeer(peerKey, { gatewayRelay = {}, replicaMetrics = null, replicaTelemetry = null, delegateReqToPeers = null } = {}) {
@@ -2519,7 +2856,10 @@ class PublicGatewayService {
       relayKey = parts.length >= 2 ? `${parts[0]}:${parts[1]}` : parts[0] || null;
     }
     const token = parsed.searchParams.get('token');
-    return { relayKey, token };
+    // NIP-42 events name the relay by the URL the client dialed
+    const host = this.wsBaseUrl ? new URL(this.wsBaseUrl).host : (req.headers?.host || parsed.host);
+    const relayUrl = `wss://${host}${parsed.pathname}`;
+    return { relayKey, token, relayUrl };
   }
 
   async #validateToken(token, relayKey) {
@@ -22,7 +22,10 @@ const DEFAULT_CONFIG = {
     redisPrefix: process.env.GATEWAY_REGISTRATION_REDIS_PREFIX || 'gateway:registrations:',
     cacheTtlSeconds: Number(process.env.GATEWAY_REGISTRATION_TTL || 300),
     defaultTokenTtl: Number(process.env.GATEWAY_DEFAULT_TOKEN_TTL || 3600),
-    tokenRefreshWindowSeconds: Number(process.env.GATEWAY_TOKEN_REFRESH_WINDOW || 300)
+    tokenRefreshWindowSeconds: Number(process.env.GATEWAY_TOKEN_REFRESH_WINDOW || 300),
+    pendingWriteRetrySeconds: Number(process.env.GATEWAY_PENDING_WRITE_RETRY || 15),
+    pendingWriteMaxAgeHours: Number(process.env.GATEWAY_PENDING_WRITE_MAX_AGE_HOURS || 168),
+    pendingWriteMaxPerRelay: Number(process.env.GATEWAY_PENDING_WRITE_MAX_PER_RELAY || 1000)
   },
   rateLimit: {
     enabled: process.env.GATEWAY_RATELIMIT_ENABLED === 'true',
@@ -4,8 +4,14 @@ import Corestore from 'corestore';
 import Hyperbee from 'hyperbee';
 import b4a from 'b4a';
 
+import { buildSearchIndexKey, tokenizeContent } from '../../../shared/search/ContentSearch.mjs';
+import { isEphemeralKind } from '../../../shared/nostr/EventFilters.mjs';
+import { verifyNostrEvent } from '../utils/verifyNostrSignature.mjs';
+
 const DEFAULT_STATS_INTERVAL_MS = 15_000;
+const DEFAULT_EXPIRATION_SWEEP_INTERVAL_MS = 60_000;
 const DEFAULT_NAMESPACE = 'public-gateway-relay';
+const SEARCH_INDEX_MARKER_KEY = 'search-index:version:1';
 
 function hexToBuffer(hex) {
   if (!hex) return null;
@@ -30,6 +36,49 @@ function padTimestamp(timestamp) {
   return String(Math.trunc(value)).padStart(10, '0');
 }
 
+function isReplaceableKind(kind) {
+  return kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000);
+}
+
+function isParameterizedReplaceableKind(kind) {
+  return kind >= 30000 && kind < 40000;
+}
+
+function buildReplaceableKey(event) {
+  if (!Number.isInteger(event?.kind) || typeof event?.pubkey !== 'string') return null;
+  const paddedKind = padNumber(event.kind, 5);
+  if (isReplaceableKind(event.kind)) {
+    return b4a.from(`replaceable:kind:${paddedKind}:pubkey:${event.pubkey}`, 'utf8');
+  }
+  if (isParameterizedReplaceableKind(event.kind)) {
+    const dTag = Array.isArray(event.tags) ? event.tags.find((tag) => Array.isArray(tag) && tag[0] === 'd') : null;
+    const dValue = typeof dTag?.[1] === 'string' ? dTag[1] : '';
+    return b4a.from(`replaceable:kind:${paddedKind}:pubkey:${event.pubkey}:d:${dValue}`, 'utf8');
+  }
+  return null;
+}
+
+function getExpiration(event) {
+  if (!Array.isArray(event?.tags)) return null;
+  const tag = event.tags.find((entry) => Array.isArray(entry) && entry[0] === 'expiration');
+  if (!tag || tag[1] === undefined) return null;
+  const expiration = Number.parseInt(tag[1], 10);
+  return Number.isFinite(expiration) && expiration >= 0 ? expiration : null;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function isNewerVersion(candidate, current) {
+  const candidateCreatedAt = Number(candidate?.created_at) || 0;
+  const currentCreatedAt = Number(current?.created_at) || 0;
+  if (candidateCreatedAt !== currentCreatedAt) {
+    return candidateCreatedAt > currentCreatedAt;
+  }
+  return candidate.id < current.id;
+}
+
 export class HyperbeeRelayHost extends EventEmitter {
   constructor({ logger = console, telemetryIntervalMs = DEFAULT_STATS_INTERVAL_MS } = {}) {
     super();
@@ -43,6 +92,7 @@ export class HyperbeeRelayHost extends EventEmitter {
     this.initialized = false;
     this.started = false;
     this.statsTimer = null;
+    this.expirationTimer = null;
     this.telemetrySinks = new Set();
   }
 
@@ -57,6 +107,7 @@ export class HyperbeeRelayHost extends EventEmitter {
 
     this.options = {
       statsIntervalMs: this.telemetryIntervalMs,
+      expirationSweepIntervalMs: DEFAULT_EXPIRATION_SWEEP_INTERVAL_MS,
       ...options
     };
 
@@ -90,6 +141,7 @@ export class HyperbeeRelayHost extends EventEmitter {
     });
 
     await this.db.ready();
+    await this.#ensureSearchIndex();
     this.initialized = true;
 
     this.logger.info?.('[HyperbeeRelayHost] Initialized', {
@@ -106,6 +158,7 @@ export class HyperbeeRelayHost extends EventEmitter {
     if (this.started) return;
     this.started = true;
     this.#startStatsLoop();
+    this.#startExpirationSweep();
     this.logger.info?.('[HyperbeeRelayHost] Started');
   }
 
@@ -115,6 +168,10 @@ export class HyperbeeRelayHost extends EventEmitter {
       clearInterval(this.statsTimer);
       this.statsTimer = null;
     }
+    if (this.expirationTimer) {
+      clearInterval(this.expirationTimer);
+      this.expirationTimer = null;
+    }
     if (this.db) {
       await this.db.close();
       this.db = null;
@@ -145,11 +202,50 @@ export class HyperbeeRelayHost extends EventEmitter {
       return { id: event.id, status: 'rejected', reason: 'invalid-event-id' };
     }
 
+    if (isEphemeralKind(event.kind)) {
+      return { id: event.id, status: 'rejected', reason: 'ephemeral' };
+    }
+
+    const expiration = getExpiration(event);
+    if (expiration !== null && expiration <= nowSeconds()) {
+      return { id: event.id, status: 'rejected', reason: 'expired' };
+    }
+
+    // a newer replaceable version evicts the stored one, so nothing is kept or evicted on an unverified event
+    if (!verifyNostrEvent(event)) {
+      return { id: event.id, status: 'rejected', reason: 'invalid-signature' };
+    }
+
     const payload = safeStringify(event);
+    const replaceableKey = buildReplaceableKey(event);
 
     try {
+      let superseded = null;
+      if (replaceableKey) {
+        const current = await this.#getCurrentVersion(replaceableKey);
+        if (current && current.id !== event.id) {
+          if (!isNewerVersion(event, current)) {
+            this.logger?.info?.('[HyperbeeRelayHost] Rejected superseded replaceable event', {
+              id: event.id,
+              kind: event.kind,
+              current: current.id
+            });
+            return { id: event.id, status: 'rejected', reason: 'superseded' };
+          }
+          superseded = current;
+        }
+      }
+
       const batch = this.db.batch();
+
+      if (superseded) {
+        await this.#removeEventEntries(batch, superseded);
+      }
+
       await batch.put(key, payload);
+      if (replaceableKey) {
+        await batch.put(replaceableKey, event.id);
+      }
 
       for (const entry of this.#buildIndexEntries(event)) {
         await batch.put(entry.key, entry.value);
@@ -159,9 +255,11 @@ export class HyperbeeRelayHost extends EventEmitter {
       this.logger?.info?.('[HyperbeeRelayHost] Event stored', {
         id: event.id,
         kind: event.kind,
-        created_at: event.created_at
+        created_at: event.created_at,
+        replaced: superseded?.id || null
       });
       this.#emitTelemetry('hyperbee-append', { id: event.id, kind: event.kind, created_at: event.created_at });
+      this.emit('event-stored', event);
       return { id: event.id, status: 'accepted' };
     } catch (error) {
       this.logger.error?.('[HyperbeeRelayHost] Failed to append event', { error: error?.message });
@@ -170,6 +268,47 @@ export class HyperbeeRelayHost extends EventEmitter {
     }
   }
 
+  /**
+   * Remove events whose NIP-40 expiration has passed, together with their index entries.
+   * @returns {Promise<number>} number of events removed
+   */
+  async sweepExpired(now = nowSeconds()) {
+    if (!this.started || !this.db?.writable) return 0;
+
+    const expired = [];
+    const range = {
+      gte: b4a.from('expiration:', 'utf8'),
+      lt: b4a.from(`expiration:${padTimestamp(now + 1)}`, 'utf8')
+    };
+    for await (const entry of this.db.createReadStream(range)) {
+      if (entry?.value) expired.push(entry.value);
+    }
+    if (!expired.length) return 0;
+
+    const batch = this.db.batch();
+    let removed = 0;
+    for (const id of expired) {
+      const event = await this.#getEvent(id);
+      if (!event) continue;
+      await this.#removeEventEntries(batch, event);
+      const replaceableKey = buildReplaceableKey(event);
+      if (replaceableKey) {
+        const pointer = await batch.get(replaceableKey);
+        if (pointer?.value === event.id) {
+          await batch.del(replaceableKey);
+        }
+      }
+      removed += 1;
+    }
+    await batch.flush();
+
+    if (removed) {
+      this.logger?.info?.('[HyperbeeRelayHost] Removed expired events', { removed });
+      this.#emitTelemetry('hyperbee-expired', { removed });
+    }
+    return removed;
+  }
+
   async replicateWithPeer(peer) {
     if (!this.core) {
       throw new Error('HyperbeeRelayHost core not initialized');
@@ -208,6 +347,66 @@ export class HyperbeeRelayHost extends EventEmitter {
     };
   }
 
+  async #getCurrentVersion(replaceableKey) {
+    const pointer = await this.db.get(replaceableKey);
+    if (!pointer?.value) return null;
+    return this.#getEvent(pointer.value);
+  }
+
+  async #getEvent(id) {
+    const stored = await this.db.get(hexToBuffer(id));
+    if (!stored?.value) return null;
+    try {
+      return JSON.parse(stored.value);
+    } catch (error) {
+      this.logger.warn?.('[HyperbeeRelayHost] Failed to parse stored event', {
+        id,
+        error: error?.message
+      });
+      return null;
+    }
+  }
+
+  // datasets written before content search existed are indexed once, then marked
+  async #ensureSearchIndex() {
+    if (!this.db?.writable) return;
+    const markerKey = b4a.from(SEARCH_INDEX_MARKER_KEY, 'utf8');
+    if (await this.db.get(markerKey)) return;
+
+    const ids = [];
+    const range = {
+      gte: b4a.from('created_at:', 'utf8'),
+      lt: b4a.from('created_at;', 'utf8')
+    };
+    for await (const entry of this.db.createReadStream(range)) {
+      if (entry?.value) ids.push(entry.value);
+    }
+
+    const batch = this.db.batch();
+    for (const id of ids) {
+      const event = await this.#getEvent(id);
+      if (!event) continue;
+      for (const entry of this.#buildIndexEntries(event)) {
+        if (b4a.toString(entry.key, 'utf8').startsWith('search:')) {
+          await batch.put(entry.key, entry.value);
+        }
+      }
+    }
+    await batch.put(markerKey, String(nowSeconds()));
+    await batch.flush();
+
+    if (ids.length) {
+      this.logger.info?.('[HyperbeeRelayHost] Indexed stored events for search', { events: ids.length });
+    }
+  }
+
+  async #removeEventEntries(batch, event) {
+    await batch.del(hexToBuffer(event.id));
+    for (const entry of this.#buildIndexEntries(event)) {
+      await batch.del(entry.key);
+    }
+  }
+
   #buildIndexEntries(event) {
     const entries = [];
     if (!event?.id) return entries;
@@ -240,6 +439,17 @@ export class HyperbeeRelayHost extends EventEmitter {
       }
     }
 
+    for (const token of tokenizeContent(event?.content)) {
+      const searchKey = b4a.from(buildSearchIndexKey(token, paddedCreatedAt, event.id), 'utf8');
+      entries.push({ key: searchKey, value: eventIdValue });
+    }
+
+    const expiration = getExpiration(event);
+    if (expiration !== null) {
+      const expirationKey = b4a.from(`expiration:${padTimestamp(expiration)}:id:${event.id}`, 'utf8');
+      entries.push({ key: expirationKey, value: eventIdValue });
+    }
+
     return entries;
   }
 
@@ -276,6 +486,20 @@ export class HyperbeeRelayHost extends EventEmitter {
     this.statsTimer.unref?.();
   }
 
+  #startExpirationSweep() {
+    if (this.expirationTimer) return;
+    const interval = this.options?.expirationSweepIntervalMs || DEFAULT_EXPIRATION_SWEEP_INTERVAL_MS;
+    this.expirationTimer = setInterval(async () => {
+      try {
+        await this.sweepExpired();
+      } catch (error) {
+        this.logger.error?.('[HyperbeeRelayHost] Expiration sweep failed', { error: error?.message });
+        this.#emitTelemetry('hyperbee-error', { error: error?.message || error });
+      }
+    }, interval);
+    this.expirationTimer.unref?.();
+  }
+
   #emitTelemetry(type, payload) {
     const event = {
       type,
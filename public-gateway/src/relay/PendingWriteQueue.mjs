@@ -0,0 +1,139 @@
+const DEFAULT_RETRY_INTERVAL_MS = 15_000;
+const DEFAULT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES_PER_RELAY = 1000;
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// EVENT frames accepted while none of a relay's writable peers is reachable. Entries live in the
+// registration store so they survive gateway restarts (with Redis) and are retried until a writer
+// answers or they grow older than maxAgeMs.
+//
+// deliver(relayKey, entry) resolves to true once a writer took the event, false (or throws) when none
+// answered, or { rejected: reason } when a writer refused it. Refused entries are kept, marked with
+// rejectedAt/rejectReason, until maxAgeMs so they can be inspected; they are not retried.
+export default class PendingWriteQueue {
+  constructor({
+    registrationStore,
+    deliver,
+    logger = console,
+    retryIntervalMs = DEFAULT_RETRY_INTERVAL_MS,
+    maxAgeMs = DEFAULT_MAX_AGE_MS,
+    maxEntriesPerRelay = DEFAULT_MAX_ENTRIES_PER_RELAY
+  } = {}) {
+    if (!registrationStore) throw new Error('PendingWriteQueue requires a registrationStore');
+    if (typeof deliver !== 'function') throw new Error('PendingWriteQueue requires a deliver handler');
+    this.registrationStore = registrationStore;
+    this.deliver = deliver;
+    this.logger = logger;
+    this.retryIntervalMs = toNumber(retryIntervalMs, DEFAULT_RETRY_INTERVAL_MS);
+    this.maxAgeMs = toNumber(maxAgeMs, DEFAULT_MAX_AGE_MS);
+    this.maxEntriesPerRelay = toNumber(maxEntriesPerRelay, DEFAULT_MAX_ENTRIES_PER_RELAY);
+    this.retryTimer = null;
+    this.flushing = new Map();
+  }
+
+  start() {
+    if (this.retryTimer) return;
+    this.retryTimer = setInterval(() => {
+      this.flushAll().catch((error) => {
+        this.logger?.warn?.('Pending write retry failed', { error: error?.message || error });
+      });
+    }, this.retryIntervalMs);
+    this.retryTimer.unref?.();
+  }
+
+  stop() {
+    if (this.retryTimer) {
+      clearInterval(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  // Returns false, without queueing, when the relay already has maxEntriesPerRelay writes waiting
+  async enqueue(relayKey, { event, relayAuthToken = null }) {
+    if (!relayKey) throw new Error('relayKey required');
+    if (typeof event?.id !== 'string' || !event.id) throw new Error('event id required');
+
+    if (await this.registrationStore.countPendingWrites(relayKey) >= this.maxEntriesPerRelay) {
+      this.logger?.warn?.('Pending write queue is full', { relayKey, eventId: event.id });
+      return false;
+    }
+
+    await this.registrationStore.addPendingWrite(relayKey, {
+      event,
+      relayAuthToken,
+      queuedAt: Date.now(),
+      attempts: 0
+    });
+    this.logger?.info?.('Queued write until a relay writer is reachable', { relayKey, eventId: event.id });
+    return true;
+  }
+
+  async flushAll() {
+    const relayKeys = await this.registrationStore.listPendingWriteRelays();
+    for (const relayKey of relayKeys) {
+      await this.flush(relayKey);
+    }
+  }
+
+  // Deliver queued writes oldest first; stops at the first one no writer could take so order is kept
+  async flush(relayKey) {
+    if (this.flushing.has(relayKey)) return this.flushing.get(relayKey);
+
+    const run = (async () => {
+      let delivered = 0;
+      const entries = await this.registrationStore.getPendingWrites(relayKey);
+      for (const entry of entries) {
+        if (Date.now() - entry.queuedAt > this.maxAgeMs) {
+          this.logger?.warn?.('Dropping queued write after max age', { relayKey, eventId: entry.event.id });
+          await this.registrationStore.removePendingWrite(relayKey, entry.event.id);
+          continue;
+        }
+        if (entry.rejectedAt) continue;
+
+        let result = false;
+        try {
+          result = await this.deliver(relayKey, entry);
+        } catch (error) {
+          this.logger?.debug?.('Queued write delivery failed', {
+            relayKey,
+            eventId: entry.event.id,
+            error: error?.message || error
+          });
+        }
+
+        if (result?.rejected) {
+          this.logger?.warn?.('Relay writer rejected queued write', {
+            relayKey,
+            eventId: entry.event.id,
+            reason: result.rejected
+          });
+          await this.registrationStore.addPendingWrite(relayKey, {
+            ...entry,
+            attempts: (entry.attempts || 0) + 1,
+            rejectedAt: Date.now(),
+            rejectReason: String(result.rejected)
+          });
+          continue;
+        }
+        if (result !== true) {
+          await this.registrationStore.addPendingWrite(relayKey, { ...entry, attempts: (entry.attempts || 0) + 1 });
+          break;
+        }
+        await this.registrationStore.removePendingWrite(relayKey, entry.event.id);
+        delivered += 1;
+      }
+      return delivered;
+    })();
+
+    this.flushing.set(relayKey, run);
+    try {
+      return await run;
+    } finally {
+      this.flushing.delete(relayKey);
+    }
+  }
+}
@@ -1,5 +1,8 @@
 import WebSocket from 'ws';
 
+import { eventMatchesFilters, isEphemeralKind } from '../../../shared/nostr/EventFilters.mjs';
+import { verifyNostrEvent } from '../utils/verifyNostrSignature.mjs';
+
 export default class RelayWebsocketController {
   constructor({
     relayHost,
@@ -27,6 +30,13 @@ export default class RelayWebsocketController {
     };
     this.legacyForward = legacyForward;
     this.subscriptions = new Map();
+    this.sessions = new Map();
+
+    // events stored by the local relay host are pushed to matching subscriptions as they land
+    this.relayHost.on?.('event-stored', (event) => {
+      const delivered = this.#broadcastToLocalSubscriptions(event);
+      if (delivered > 0) this.#incrementReq('pushed-local');
+    });
   }
 
   getSubscriptionSnapshot(sessionKey) {
@@ -59,14 +69,21 @@ export default class RelayWebsocketController {
       return true;
     }
 
+    if (session?.connectionKey) {
+      this.sessions.set(session.connectionKey, session);
+    }
+
     const type = frame[0];
     switch (type) {
       case 'EVENT':
-        await this.#handleEventFrame(session, frame);
+        await this.#handleEventFrame(session, frame, rawMessage);
         return true;
       case 'REQ':
         await this.#handleReqFrame(session, frame, rawMessage);
         return true;
+      case 'COUNT':
+        await this.#handleCountFrame(session, frame, rawMessage);
+        return true;
       case 'CLOSE':
         this.#removeSubscription(session.connectionKey, frame[1]);
         await this.#forwardLegacy(session, rawMessage);
@@ -91,9 +108,10 @@ export default class RelayWebsocketController {
       }
     }
     this.subscriptions.delete(sessionKey);
+    this.sessions.delete(sessionKey);
   }
 
-  async #handleEventFrame(session, frame) {
+  async #handleEventFrame(session, frame, rawMessage) {
     if (frame.length < 2 || typeof frame[1] !== 'object' || frame[1] === null) {
       this.#incrementError('event-format');
       this.#sendNotice(session, 'Invalid EVENT payload');
@@ -101,6 +119,11 @@ export default class RelayWebsocketController {
     }
 
     const event = frame[1];
+    if (isEphemeralKind(event.kind)) {
+      await this.#handleEphemeralEvent(session, event, rawMessage);
+      return;
+    }
+
     try {
       const result = await this.relayHost.applyEvent(event);
       const success = result?.status === 'accepted';
@@ -116,6 +139,54 @@ export default class RelayWebsocketController {
     }
   }
 
+  async #handleEphemeralEvent(session, event, rawMessage) {
+    // nothing stores ephemeral events to check them later, so they are verified before anyone sees them
+    if (!verifyNostrEvent(event)) {
+      this.#incrementEvent('rejected');
+      this.#sendOk(session, typeof event.id === 'string' ? event.id : null, false, 'invalid: bad event id or signature');
+      return;
+    }
+
+    const delivered = this.#broadcastToLocalSubscriptions(event, { relayKey: session.relayKey });
+    this.#incrementEvent('ephemeral');
+    this.logger.debug?.('[RelayWebsocketController] Broadcast ephemeral event', {
+      relayKey: session.relayKey,
+      eventId: event.id || null,
+      kind: event.kind,
+      delivered
+    });
+
+    // subscriptions delegated to hosting peers live there, so the peer fans the event out to them
+    // and its OK is relayed back to the client
+    if (Array.isArray(session.peers) && session.peers.length && !session.localOnly) {
+      await this.#forwardLegacy(session, rawMessage);
+      return;
+    }
+    this.#sendOk(session, event.id || null, true, '');
+  }
+
+  // only subscriptions answered from the local replica are fanned out here; the rest are served by peers.
+  // Ephemeral events are scoped to the publishing relay, stored ones reach everything the replica serves.
+  #broadcastToLocalSubscriptions(event, { relayKey = null } = {}) {
+    let delivered = 0;
+    for (const [sessionKey, subs] of this.subscriptions) {
+      const target = this.sessions.get(sessionKey);
+      if (!target || target.ws?.readyState !== WebSocket.OPEN) continue;
+      if (relayKey && target.relayKey !== relayKey) continue;
+      for (const [subscriptionId, state] of subs) {
+        if (!state?.servedLocally || !eventMatchesFilters(event, state.filters)) continue;
+        target.ws.send(JSON.stringify(['EVENT', subscriptionId, event]));
+        delivered += 1;
+        // ephemeral events are never re-served from the replica, so only stored ones move the cursor
+        const createdAt = Number(event?.created_at);
+        if (!isEphemeralKind(event.kind) && Number.isFinite(createdAt) && !(state.lastReturnedAt >= createdAt)) {
+          state.lastReturnedAt = createdAt;
+        }
+      }
+    }
+    return delivered;
+  }
+
   async #handleReqFrame(session, frame, rawMessage) {
     if (frame.length < 2) {
       this.#incrementError('req-format');
@@ -163,6 +234,9 @@ export default class RelayWebsocketController {
       if (Number.isFinite(localResult.latestTimestamp)) {
         this.#updateSubscriptionCursor(session.connectionKey, subscriptionId, localResult.latestTimestamp);
       }
+      if (subscriptionState) {
+        subscriptionState.servedLocally = true;
+      }
       return;
     }
 
@@ -234,6 +308,49 @@ export default class RelayWebsocketController {
     await this.#forwardLegacy(session, rawMessage, null, { subscriptionId, storePending: true });
   }
 
+  async #handleCountFrame(session, frame, rawMessage) {
+    if (frame.length < 3 || typeof frame[1] !== 'string') {
+      this.#incrementError('count-format');
+      this.#sendClosed(session, typeof frame[1] === 'string' ? frame[1] : '', 'invalid: COUNT frame requires a subscription id and filters');
+      return;
+    }
+
+    const subscriptionId = frame[1];
+    const filters = frame.slice(2);
+
+    const canServeLocally = this.hyperbeeAdapter?.hasReplica?.() &&
+      typeof this.hyperbeeAdapter.count === 'function' &&
+      !(session?.delegateReqToPeers === true && session?.localOnly !== true);
+
+    if (canServeLocally) {
+      try {
+        const result = await this.hyperbeeAdapter.count(filters);
+        if (result?.stats?.served) {
+          this.#incrementReq('count-local');
+          if (session.ws?.readyState === WebSocket.OPEN) {
+            session.ws.send(JSON.stringify(['COUNT', subscriptionId, { count: result.count }]));
+          }
+          return;
+        }
+      } catch (error) {
+        this.logger.warn?.('[RelayWebsocketController] Hyperbee count failed, falling back to peers', {
+          error: error?.message || error,
+          relayKey: session.relayKey,
+          subscriptionId
+        });
+        this.#incrementError('hyperbee-count');
+      }
+    }
+
+    if (session?.localOnly && session?.delegateReqToPeers !== true) {
+      this.#sendClosed(session, subscriptionId, 'error: counts are unavailable for this relay');
+      return;
+    }
+
+    this.#incrementReq('count-forward');
+    await this.#forwardLegacy(session, rawMessage, null, { subscriptionId });
+  }
+
   async #forwardLegacy(session, rawMessage, targetPeer = null, context = {}) {
     const storePending = context?.storePending === true;
     const subscriptionId = context?.subscriptionId || null;
@@ -280,6 +397,12 @@ export default class RelayWebsocketController {
     }
   }
 
+  #sendClosed(session, subscriptionId, message) {
+    if (session.ws?.readyState === WebSocket.OPEN) {
+      session.ws.send(JSON.stringify(['CLOSED', subscriptionId, message]));
+    }
+  }
+
   #sendOk(session, eventId, success, message) {
     if (session.ws?.readyState === WebSocket.OPEN) {
       session.ws.send(JSON.stringify(['OK', eventId, success, message]));
@@ -311,8 +434,9 @@ export default class RelayWebsocketController {
       subs = new Map();
       this.subscriptions.set(sessionKey, subs);
     }
-    const existing = subs.get(subscriptionId) || { filters: [], lastReturnedAt: null };
+    const existing = subs.get(subscriptionId) || { filters: [], lastReturnedAt: null, servedLocally: false };
     existing.filters = filters || [];
+    existing.servedLocally = false;
     subs.set(subscriptionId, existing);
   }
 
@@ -3,6 +3,7 @@ class MemoryRegistrationStore {
     this.ttlSeconds = ttlSeconds;
     this.items = new Map();
     this.tokenMetadata = new Map();
+    this.pendingWrites = new Map();
   }
 
   async upsertRelay(relayKey, payload) {
@@ -64,6 +65,39 @@ class MemoryRegistrationStore {
   async clearTokenMetadata(relayKey) {
     this.tokenMetadata.delete(relayKey);
   }
+
+  // Pending writes are not subject to the registration TTL; they stay until delivered or dropped
+  async addPendingWrite(relayKey, entry) {
+    if (!this.pendingWrites.has(relayKey)) {
+      this.pendingWrites.set(relayKey, new Map());
+    }
+    this.pendingWrites.get(relayKey).set(entry.event.id, { ...entry });
+  }
+
+  async getPendingWrites(relayKey) {
+    const entries = this.pendingWrites.get(relayKey);
+    if (!entries) return [];
+    return Array.from(entries.values())
+      .map((entry) => ({ ...entry }))
+      .sort((a, b) => a.queuedAt - b.queuedAt);
+  }
+
+  async countPendingWrites(relayKey) {
+    return this.pendingWrites.get(relayKey)?.size || 0;
+  }
+
+  async removePendingWrite(relayKey, eventId) {
+    const entries = this.pendingWrites.get(relayKey);
+    if (!entries) return;
+    entries.delete(eventId);
+    if (!entries.size) {
+      this.pendingWrites.delete(relayKey);
+    }
+  }
+
+  async listPendingWriteRelays() {
+    return Array.from(this.pendingWrites.keys());
+  }
 }
 
 export default MemoryRegistrationStore;
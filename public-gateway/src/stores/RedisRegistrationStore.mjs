@@ -1,12 +1,14 @@
 import { createClient } from 'redis';
 
 class RedisRegistrationStore {
-  constructor({ url, ttlSeconds = 300, prefix = 'gateway:registrations:', logger } = {}) {
+  constructor({ url, ttlSeconds = 300, pendingWriteTtlSeconds = 7 * 24 * 60 * 60, prefix = 'gateway:registrations:', logger } = {}) {
     if (!url) throw new Error('Redis URL is required for RedisRegistrationStore');
     this.url = url;
     this.ttlSeconds = ttlSeconds;
+    this.pendingWriteTtlSeconds = pendingWriteTtlSeconds;
     this.prefix = prefix.endsWith(':') ? prefix : `${prefix}:`;
     this.tokenPrefix = `${this.prefix}tokens:`;
+    this.writesPrefix = `${this.prefix}writes:`;
     this.logger = logger || console;
     this.client = createClient({ url: this.url });
     this.readyPromise = null;
@@ -38,6 +40,14 @@ class RedisRegistrationStore {
     return `${this.tokenPrefix}${relayKey}`;
   }
 
+  #writesKey(relayKey) {
+    return `${this.writesPrefix}${relayKey}`;
+  }
+
+  #writesIndexKey() {
+    return `${this.writesPrefix}relays`;
+  }
+
   async upsertRelay(relayKey, payload) {
     await this.#ensureConnected();
     const data = JSON.stringify({ ...payload, relayKey, updatedAt: Date.now() });
@@ -99,6 +109,48 @@ class RedisRegistrationStore {
     await this.#ensureConnected();
     await this.client.del(this.#tokenKey(relayKey));
   }
+
+  // One hash per relay, keyed by event id. The queue drops entries past their max age; the TTL, refreshed
+  // on every write, only clears what a gateway that stopped flushing left behind
+  async addPendingWrite(relayKey, entry) {
+    await this.#ensureConnected();
+    await this.client.hSet(this.#writesKey(relayKey), entry.event.id, JSON.stringify(entry));
+    await this.client.expire(this.#writesKey(relayKey), this.pendingWriteTtlSeconds);
+    await this.client.sAdd(this.#writesIndexKey(), relayKey);
+    await this.client.expire(this.#writesIndexKey(), this.pendingWriteTtlSeconds);
+  }
+
+  async countPendingWrites(relayKey) {
+    await this.#ensureConnected();
+    return this.client.hLen(this.#writesKey(relayKey));
+  }
+
+  async getPendingWrites(relayKey) {
+    await this.#ensureConnected();
+    const values = await this.client.hGetAll(this.#writesKey(relayKey));
+    const entries = [];
+    for (const value of Object.values(values || {})) {
+      try {
+        entries.push(JSON.parse(value));
+      } catch (error) {
+        this.logger?.warn?.('Failed to parse redis pending write', { relayKey, error: error.message });
+      }
+    }
+    return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+  }
+
+  async removePendingWrite(relayKey, eventId) {
+    await this.#ensureConnected();
+    await this.client.hDel(this.#writesKey(relayKey), eventId);
+    if (!(await this.client.hLen(this.#writesKey(relayKey)))) {
+      await this.client.sRem(this.#writesIndexKey(), relayKey);
+    }
+  }
+
+  async listPendingWriteRelays() {
+    await this.#ensureConnected();
+    return this.client.sMembers(this.#writesIndexKey());
+  }
 }
 
 export default RedisRegistrationStore;
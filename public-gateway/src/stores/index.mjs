@@ -7,6 +7,7 @@ async function createRegistrationStore(config = {}, logger) {
       const store = new RedisRegistrationStore({
         url: config.redisUrl,
         ttlSeconds: config.cacheTtlSeconds,
+        pendingWriteTtlSeconds: config.pendingWriteMaxAgeHours ? config.pendingWriteMaxAgeHours * 60 * 60 : undefined,
         prefix: config.redisPrefix,
         logger
       });
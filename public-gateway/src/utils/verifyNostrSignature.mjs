@@ -0,0 +1,34 @@
+import { schnorr } from '@noble/curves/secp256k1';
+
+import { computeEventId } from '../../../shared/auth/Nip42Auth.mjs';
+
+/**
+ * Verify the BIP-340 signature of a nostr event over its id.
+ * The id itself is checked against the serialized event by the caller.
+ */
+function verifyNostrSignature(event) {
+  if (!event || typeof event.id !== 'string' || typeof event.sig !== 'string' || typeof event.pubkey !== 'string') {
+    return false;
+  }
+  try {
+    return schnorr.verify(event.sig, event.id, event.pubkey);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Check that a nostr event is well formed, that its id is the hash of its content and that
+ * the signature over that id is valid.
+ */
+function verifyNostrEvent(event) {
+  if (!event || typeof event !== 'object') return false;
+  if (!Number.isInteger(event.kind) || !Number.isInteger(event.created_at)) return false;
+  if (!Array.isArray(event.tags) || typeof event.content !== 'string') return false;
+  if (typeof event.pubkey !== 'string' || !/^[0-9a-f]{64}$/.test(event.pubkey)) return false;
+  if (typeof event.id !== 'string' || event.id !== computeEventId(event)) return false;
+  return verifyNostrSignature(event);
+}
+
+export { verifyNostrEvent };
+export default verifyNostrSignature;
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  pickFileRequestHeaders,
+  parseRangeHeader,
+  planFileResponse
+} from '../../shared/public-gateway/FileRanges.mjs';
+
+const HASH = 'c'.repeat(64);
+const ETAG = `"${HASH}"`;
+
+test('parseRangeHeader handles single byte ranges', () => {
+  assert.deepEqual(parseRangeHeader('bytes=0-99', 1000), { start: 0, end: 99 });
+  assert.deepEqual(parseRangeHeader('bytes=900-', 1000), { start: 900, end: 999 });
+  assert.deepEqual(parseRangeHeader('bytes=-100', 1000), { start: 900, end: 999 });
+  assert.deepEqual(parseRangeHeader('bytes=990-2000', 1000), { start: 990, end: 999 });
+  assert.deepEqual(parseRangeHeader('bytes=-5000', 1000), { start: 0, end: 999 });
+  assert.equal(parseRangeHeader('bytes=1000-', 1000), false);
+  assert.equal(parseRangeHeader('bytes=-0', 1000), false);
+  assert.equal(parseRangeHeader('bytes=0-10,20-30', 1000), null);
+  assert.equal(parseRangeHeader('bytes=50-10', 1000), null);
+  assert.equal(parseRangeHeader('items=0-10', 1000), null);
+  assert.equal(parseRangeHeader(undefined, 1000), null);
+});
+
+test('planFileResponse serves whole files and byte ranges', () => {
+  const full = planFileResponse({ headers: {}, size: 1000, fileHash: HASH });
+  assert.equal(full.statusCode, 200);
+  assert.equal(full.start, 0);
+  assert.equal(full.end, 999);
+  assert.equal(full.headers.etag, ETAG);
+  assert.equal(full.headers['accept-ranges'], 'bytes');
+  assert.equal(full.headers['content-length'], '1000');
+
+  const partial = planFileResponse({ headers: { range: 'bytes=100-199' }, size: 1000, fileHash: HASH });
+  assert.equal(partial.statusCode, 206);
+  assert.equal(partial.start, 100);
+  assert.equal(partial.end, 199);
+  assert.equal(partial.headers['content-range'], 'bytes 100-199/1000');
+  assert.equal(partial.headers['content-length'], '100');
+
+  const unsatisfiable = planFileResponse({ headers: { range: 'bytes=5000-' }, size: 1000, fileHash: HASH });
+  assert.equal(unsatisfiable.statusCode, 416);
+  assert.equal(unsatisfiable.headers['content-range'], 'bytes */1000');
+});
+
+test('planFileResponse honors If-None-Match and If-Range with the content hash', () => {
+  assert.equal(planFileResponse({ headers: { 'if-none-match': ETAG }, size: 10, fileHash: HASH }).statusCode, 304);
+  assert.equal(planFileResponse({ headers: { 'if-none-match': `"other", W/${ETAG}` }, size: 10, fileHash: HASH }).statusCode, 304);
+  assert.equal(planFileResponse({ headers: { 'if-none-match': '"other"' }, size: 10, fileHash: HASH }).statusCode, 200);
+
+  const current = planFileResponse({ headers: { range: 'bytes=0-4', 'if-range': ETAG }, size: 10, fileHash: HASH });
+  assert.equal(current.statusCode, 206);
+  const stale = planFileResponse({ headers: { range: 'bytes=0-4', 'if-range': '"other"' }, size: 10, fileHash: HASH });
+  assert.equal(stale.statusCode, 200);
+});
+
+test('pickFileRequestHeaders forwards only range and conditional headers', () => {
+  assert.deepEqual(pickFileRequestHeaders({
+    range: 'bytes=0-1',
+    'if-none-match': ETAG,
+    cookie: 'secret',
+    host: 'example.com'
+  }), { range: 'bytes=0-1', 'if-none-match': ETAG });
+});
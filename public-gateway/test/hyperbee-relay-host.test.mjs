@@ -4,8 +4,11 @@ import { mkdtemp, rm } from 'node:fs/promises';
 import { tmpdir } from 'node:os';
 import { join } from 'node:path';
 import crypto from 'hypercore-crypto';
+import { schnorr } from '@noble/curves/secp256k1';
 
 import HyperbeeRelayHost from '../src/relay/HyperbeeRelayHost.mjs';
+import PublicGatewayHyperbeeAdapter from '../../shared/public-gateway/PublicGatewayHyperbeeAdapter.mjs';
+import { computeEventId } from '../../shared/auth/Nip42Auth.mjs';
 
 const NOOP_LOGGER = {
   info: () => {},
@@ -18,6 +21,54 @@ function bufferToHex(buffer) {
   return Buffer.isBuffer(buffer) ? buffer.toString('hex') : buffer;
 }
 
+function createSecretKey() {
+  return schnorr.utils.randomPrivateKey();
+}
+
+function signEvent(secretKey, { kind = 1, created_at = Math.floor(Date.now() / 1000), tags = [], content = '' } = {}) {
+  const event = {
+    kind,
+    pubkey: Buffer.from(schnorr.getPublicKey(secretKey)).toString('hex'),
+    created_at,
+    tags,
+    content
+  };
+  event.id = computeEventId(event);
+  event.sig = Buffer.from(schnorr.sign(event.id, secretKey)).toString('hex');
+  return event;
+}
+
+// initialized and started host in a fresh storage dir, stopped and removed when the test ends
+async function createStartedHost(t) {
+  const tmpDir = await mkdtemp(join(tmpdir(), 'hyperbee-relay-host-'));
+  const keyPair = crypto.keyPair();
+  const host = new HyperbeeRelayHost({ telemetryIntervalMs: 25, logger: NOOP_LOGGER });
+  t.after(async () => {
+    await host.stop();
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  await host.initialize({
+    storageDir: tmpDir,
+    adminKeyPair: {
+      publicKey: bufferToHex(keyPair.publicKey),
+      secretKey: bufferToHex(keyPair.secretKey)
+    }
+  });
+  await host.start();
+  return host;
+}
+
+function createAdapter(host) {
+  return new PublicGatewayHyperbeeAdapter({
+    logger: NOOP_LOGGER,
+    relayClient: {
+      getHyperbee: () => host.getHyperbee(),
+      getCore: () => host.getCore()
+    }
+  });
+}
+
 test('HyperbeeRelayHost lifecycle emits telemetry and persists events', async (t) => {
   const tmpDir = await mkdtemp(join(tmpdir(), 'hyperbee-relay-host-'));
   const keyPair = crypto.keyPair();
@@ -36,15 +87,7 @@ test('HyperbeeRelayHost lifecycle emits telemetry and persists events', async (t
 
   await host.start();
 
-  const nostrEvent = {
-    id: bufferToHex(crypto.randomBytes(32)),
-    kind: 1,
-    pubkey: bufferToHex(crypto.randomBytes(32)),
-    created_at: Math.floor(Date.now() / 1000),
-    tags: [],
-    content: 'hello public gateway',
-    sig: bufferToHex(crypto.randomBytes(64))
-  };
+  const nostrEvent = signEvent(createSecretKey(), { content: 'hello public gateway' });
 
   const result = await host.applyEvent(nostrEvent);
   assert.equal(result.status, 'accepted');
@@ -91,3 +134,160 @@ test('HyperbeeRelayHost rejects events when not started', async () => {
   await host.stop();
   await rm(tmpDir, { recursive: true, force: true });
 });
+
+test('HyperbeeRelayHost keeps only the newest replaceable event version', async (t) => {
+  const host = await createStartedHost(t);
+
+  const secretKey = createSecretKey();
+  const createdAt = Math.floor(Date.now() / 1000);
+  const buildMembers = (offset, member, group = 'group-a') => signEvent(secretKey, {
+    kind: 39002,
+    created_at: createdAt + offset,
+    tags: [['d', group], ['p', member]]
+  });
+
+  const original = buildMembers(0, 'alice');
+  const newer = buildMembers(10, 'bob');
+  const stale = buildMembers(5, 'carol');
+  const otherGroup = buildMembers(0, 'dave', 'group-b');
+
+  assert.equal((await host.applyEvent(original)).status, 'accepted');
+  assert.equal((await host.applyEvent(newer)).status, 'accepted');
+  const staleResult = await host.applyEvent(stale);
+  assert.equal(staleResult.status, 'rejected');
+  assert.equal(staleResult.reason, 'superseded');
+  assert.equal((await host.applyEvent(otherGroup)).status, 'accepted');
+
+  const db = host.getHyperbee();
+  assert.equal(await db.get(Buffer.from(original.id, 'hex')), null);
+  assert.equal(await db.get(Buffer.from(stale.id, 'hex')), null);
+  assert.ok(await db.get(Buffer.from(newer.id, 'hex')));
+  assert.ok(await db.get(Buffer.from(otherGroup.id, 'hex')));
+
+  const indexedIds = [];
+  for await (const entry of db.createReadStream({ gte: Buffer.from('kind:39002:'), lt: Buffer.from('kind:39002;') })) {
+    indexedIds.push(entry.value);
+  }
+  assert.deepEqual(indexedIds.sort(), [newer.id, otherGroup.id].sort());
+});
+
+test('HyperbeeRelayHost does not let an unverified newer version evict the stored one', async (t) => {
+  const host = await createStartedHost(t);
+
+  const secretKey = createSecretKey();
+  const createdAt = Math.floor(Date.now() / 1000);
+  const stored = signEvent(secretKey, { kind: 0, created_at: createdAt, content: '{"name":"alice"}' });
+  assert.equal((await host.applyEvent(stored)).status, 'accepted');
+
+  const forged = { ...signEvent(createSecretKey(), { kind: 0, created_at: createdAt + 10, content: '{"name":"mallory"}' }), pubkey: stored.pubkey };
+  const unsigned = { ...forged, sig: undefined };
+  const tampered = { ...signEvent(secretKey, { kind: 0, created_at: createdAt + 20 }), content: '{"name":"mallory"}' };
+
+  for (const event of [forged, unsigned, tampered]) {
+    const result = await host.applyEvent(event);
+    assert.equal(result.status, 'rejected');
+    assert.equal(result.reason, 'invalid-signature');
+  }
+
+  const db = host.getHyperbee();
+  assert.ok(await db.get(Buffer.from(stored.id, 'hex')));
+  const pointer = await db.get(Buffer.from(`replaceable:kind:00000:pubkey:${stored.pubkey}`));
+  assert.equal(pointer.value, stored.id);
+});
+
+test('HyperbeeRelayHost rejects expired events and sweeps them once they expire', async (t) => {
+  const host = await createStartedHost(t);
+
+  const now = Math.floor(Date.now() / 1000);
+  const buildInvite = (expiration) => signEvent(createSecretKey(), {
+    kind: 9009,
+    created_at: now,
+    tags: [['h', 'group-a'], ['expiration', String(expiration)]]
+  });
+
+  const stale = buildInvite(now - 10);
+  const staleResult = await host.applyEvent(stale);
+  assert.equal(staleResult.status, 'rejected');
+  assert.equal(staleResult.reason, 'expired');
+
+  const expiring = buildInvite(now + 60);
+  const lasting = buildInvite(now + 3600);
+  assert.equal((await host.applyEvent(expiring)).status, 'accepted');
+  assert.equal((await host.applyEvent(lasting)).status, 'accepted');
+
+  assert.equal(await host.sweepExpired(now), 0);
+  assert.equal(await host.sweepExpired(now + 120), 1);
+
+  const db = host.getHyperbee();
+  assert.equal(await db.get(Buffer.from(expiring.id, 'hex')), null);
+  assert.ok(await db.get(Buffer.from(lasting.id, 'hex')));
+
+  const remainingKeys = [];
+  for await (const entry of db.createReadStream()) {
+    const key = entry.key.toString('utf8');
+    if (key.includes(expiring.id)) remainingKeys.push(key);
+  }
+  assert.deepEqual(remainingKeys, []);
+});
+
+test('HyperbeeRelayHost refuses to store ephemeral events', async (t) => {
+  const host = await createStartedHost(t);
+
+  const typing = signEvent(createSecretKey(), { kind: 20001, tags: [['h', 'group-a']] });
+
+  const result = await host.applyEvent(typing);
+  assert.equal(result.status, 'rejected');
+  assert.equal(result.reason, 'ephemeral');
+  assert.equal(await host.getHyperbee().get(Buffer.from(typing.id, 'hex')), null);
+});
+
+test('PublicGatewayHyperbeeAdapter counts events from the host indexes', async (t) => {
+  const host = await createStartedHost(t);
+  const adapter = createAdapter(host);
+
+  const createdAt = Math.floor(Date.now() / 1000);
+  const buildEvent = (kind, tags = []) => signEvent(createSecretKey(), { kind, created_at: createdAt, tags });
+
+  const messages = [buildEvent(9, [['h', 'group-a']]), buildEvent(9, [['h', 'group-a']]), buildEvent(9, [['h', 'group-b']])];
+  for (const event of [...messages, buildEvent(1)]) {
+    assert.equal((await host.applyEvent(event)).status, 'accepted');
+  }
+
+  const groupCount = await adapter.count([{ kinds: [9], '#h': ['group-a'] }]);
+  assert.equal(groupCount.stats.served, true);
+  assert.equal(groupCount.count, 2);
+
+  const unionCount = await adapter.count([{ kinds: [9] }, { ids: [messages[0].id] }, { kinds: [1] }]);
+  assert.equal(unionCount.count, 4);
+});
+
+test('PublicGatewayHyperbeeAdapter answers NIP-50 search filters from the host content index', async (t) => {
+  const host = await createStartedHost(t);
+  const adapter = createAdapter(host);
+
+  const createdAt = Math.floor(Date.now() / 1000);
+  const buildMessage = (group, content) => signEvent(createSecretKey(), {
+    kind: 9,
+    created_at: createdAt,
+    tags: [['h', group]],
+    content
+  });
+
+  const rehearsal = buildMessage('group-a', 'Band rehearsal moved to Friday');
+  const cancelled = buildMessage('group-b', 'Rehearsal cancelled, sorry!');
+  const unrelated = buildMessage('group-a', 'Who has the setlist?');
+  for (const event of [rehearsal, cancelled, unrelated]) {
+    assert.equal((await host.applyEvent(event)).status, 'accepted');
+  }
+
+  const all = await adapter.query([{ search: 'REHEARSAL' }]);
+  assert.deepEqual(all.events.map((event) => event.id).sort(), [rehearsal.id, cancelled.id].sort());
+
+  const scoped = await adapter.query([{ kinds: [9], '#h': ['group-a'], search: 'rehearsal friday' }]);
+  assert.deepEqual(scoped.events.map((event) => event.id), [rehearsal.id]);
+
+  const byId = await adapter.query([{ ids: [rehearsal.id, unrelated.id], search: 'setlist' }]);
+  assert.deepEqual(byId.events.map((event) => event.id), [unrelated.id]);
+
+  assert.equal((await adapter.count([{ search: 'rehearsal' }])).count, 2);
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { schnorr } from '@noble/curves/secp256k1';
+
+import {
+  AUTH_EVENT_KIND,
+  computeEventId,
+  createAuthChallenge,
+  decodeAuthHeader,
+  encodeAuthHeader,
+  validateAuthEvent
+} from '../../shared/auth/Nip42Auth.mjs';
+import verifyNostrSignature from '../src/utils/verifyNostrSignature.mjs';
+
+const RELAY_URL = 'wss://hypertuna.com/group/alpha';
+
+function signAuthEvent(challenge, { createdAt = Math.floor(Date.now() / 1000), kind = AUTH_EVENT_KIND, relay = RELAY_URL } = {}) {
+  const secretKey = schnorr.utils.randomPrivateKey();
+  const event = {
+    kind,
+    pubkey: Buffer.from(schnorr.getPublicKey(secretKey)).toString('hex'),
+    created_at: createdAt,
+    tags: [...(relay ? [['relay', relay]] : []), ['challenge', challenge]],
+    content: ''
+  };
+  event.id = computeEventId(event);
+  event.sig = Buffer.from(schnorr.sign(event.id, secretKey)).toString('hex');
+  return event;
+}
+
+test('validateAuthEvent accepts a signed challenge response', async () => {
+  const challenge = createAuthChallenge();
+  const event = signAuthEvent(challenge);
+  const result = await validateAuthEvent(event, { challenge, verifySignature: verifyNostrSignature });
+  assert.deepEqual(result, { ok: true, pubkey: event.pubkey, reason: null });
+});
+
+test('validateAuthEvent rejects mismatched, stale and tampered events', async () => {
+  const challenge = createAuthChallenge();
+  const options = { challenge, verifySignature: verifyNostrSignature };
+
+  const wrongChallenge = await validateAuthEvent(signAuthEvent('other-challenge'), options);
+  assert.equal(wrongChallenge.ok, false);
+  assert.match(wrongChallenge.reason, /^invalid: challenge/);
+
+  const stale = await validateAuthEvent(signAuthEvent(challenge, { createdAt: Math.floor(Date.now() / 1000) - 3600 }), options);
+  assert.equal(stale.ok, false);
+
+  const wrongKind = await validateAuthEvent(signAuthEvent(challenge, { kind: 1 }), options);
+  assert.equal(wrongKind.ok, false);
+
+  const tampered = { ...signAuthEvent(challenge), content: 'changed' };
+  assert.equal((await validateAuthEvent(tampered, options)).ok, false);
+
+  const forged = signAuthEvent(challenge);
+  forged.sig = signAuthEvent(challenge).sig;
+  const forgedResult = await validateAuthEvent(forged, options);
+  assert.equal(forgedResult.ok, false);
+  assert.equal(forgedResult.reason, 'invalid: bad signature');
+});
+
+test('validateAuthEvent refuses events when no challenge was issued', async () => {
+  const event = signAuthEvent(createAuthChallenge());
+  for (const challenge of [undefined, null, '']) {
+    const result = await validateAuthEvent(event, { challenge, verifySignature: verifyNostrSignature });
+    assert.equal(result.ok, false);
+    assert.equal(result.reason, 'error: no auth challenge was issued');
+  }
+});
+
+test('validateAuthEvent requires the relay tag to name this relay', async () => {
+  const challenge = createAuthChallenge();
+  const options = { challenge, relayUrl: RELAY_URL, verifySignature: verifyNostrSignature };
+
+  const missing = await validateAuthEvent(signAuthEvent(challenge, { relay: null }), { challenge, verifySignature: verifyNostrSignature });
+  assert.equal(missing.ok, false);
+  assert.match(missing.reason, /relay tag/);
+
+  const otherRelay = await validateAuthEvent(signAuthEvent(challenge, { relay: 'wss://hypertuna.com/group/beta' }), options);
+  assert.equal(otherRelay.ok, false);
+  assert.equal(otherRelay.reason, 'invalid: auth event is for another relay');
+
+  const sameRelay = await validateAuthEvent(signAuthEvent(challenge, { relay: 'ws://HYPERTUNA.com/group/alpha/' }), options);
+  assert.equal(sameRelay.ok, true);
+
+  const byPath = { challenge, relayPaths: ['/group/alpha'], verifySignature: verifyNostrSignature };
+  assert.equal((await validateAuthEvent(signAuthEvent(challenge, { relay: 'wss://other.gateway/group/alpha' }), byPath)).ok, true);
+  assert.equal((await validateAuthEvent(signAuthEvent(challenge, { relay: 'wss://other.gateway/group/beta' }), byPath)).ok, false);
+});
+
+test('auth header encoding round trips the auth event', () => {
+  const event = signAuthEvent(createAuthChallenge());
+  assert.deepEqual(decodeAuthHeader(encodeAuthHeader(event)), event);
+  assert.equal(decodeAuthHeader('not-json'), null);
+});
@@ -0,0 +1,145 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import PendingWriteQueue from '../src/relay/PendingWriteQueue.mjs';
+import MemoryRegistrationStore from '../src/stores/MemoryRegistrationStore.mjs';
+
+const NOOP_LOGGER = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {}
+};
+
+const RELAY_KEY = 'a'.repeat(64);
+
+function makeEvent(id) {
+  return { id, kind: 1, content: `event ${id}`, tags: [], created_at: 0, pubkey: 'b'.repeat(64), sig: '' };
+}
+
+test('PendingWriteQueue delivers queued writes oldest first', async () => {
+  const store = new MemoryRegistrationStore();
+  const delivered = [];
+  const queue = new PendingWriteQueue({
+    registrationStore: store,
+    logger: NOOP_LOGGER,
+    deliver: async (relayKey, entry) => {
+      delivered.push([relayKey, entry.event.id]);
+      return true;
+    }
+  });
+
+  await queue.enqueue(RELAY_KEY, { event: makeEvent('first') });
+  await new Promise((resolve) => setTimeout(resolve, 2));
+  await queue.enqueue(RELAY_KEY, { event: makeEvent('second'), relayAuthToken: 'token' });
+
+  assert.deepEqual(await store.listPendingWriteRelays(), [RELAY_KEY]);
+
+  const count = await queue.flush(RELAY_KEY);
+  assert.equal(count, 2);
+  assert.deepEqual(delivered, [[RELAY_KEY, 'first'], [RELAY_KEY, 'second']]);
+  assert.deepEqual(await store.getPendingWrites(RELAY_KEY), []);
+  assert.deepEqual(await store.listPendingWriteRelays(), []);
+});
+
+test('PendingWriteQueue keeps order and counts attempts when no writer answers', async () => {
+  const store = new MemoryRegistrationStore();
+  let available = false;
+  const delivered = [];
+  const queue = new PendingWriteQueue({
+    registrationStore: store,
+    logger: NOOP_LOGGER,
+    deliver: async (_relayKey, entry) => {
+      if (!available) throw new Error('no writer');
+      delivered.push(entry.event.id);
+      return true;
+    }
+  });
+
+  await queue.enqueue(RELAY_KEY, { event: makeEvent('first') });
+  await new Promise((resolve) => setTimeout(resolve, 2));
+  await queue.enqueue(RELAY_KEY, { event: makeEvent('second') });
+
+  assert.equal(await queue.flush(RELAY_KEY), 0);
+  const pending = await store.getPendingWrites(RELAY_KEY);
+  assert.deepEqual(pending.map((entry) => entry.event.id), ['first', 'second']);
+  assert.equal(pending[0].attempts, 1);
+  assert.equal(pending[1].attempts, 0);
+
+  available = true;
+  await queue.flushAll();
+  assert.deepEqual(delivered, ['first', 'second']);
+  assert.deepEqual(await store.getPendingWrites(RELAY_KEY), []);
+});
+
+test('PendingWriteQueue drops writes older than the max age', async () => {
+  const store = new MemoryRegistrationStore();
+  const delivered = [];
+  const queue = new PendingWriteQueue({
+    registrationStore: store,
+    logger: NOOP_LOGGER,
+    maxAgeMs: 60_000,
+    deliver: async (_relayKey, entry) => {
+      delivered.push(entry.event.id);
+      return true;
+    }
+  });
+
+  await store.addPendingWrite(RELAY_KEY, {
+    event: makeEvent('stale'),
+    relayAuthToken: null,
+    authEvent: null,
+    queuedAt: Date.now() - 120_000,
+    attempts: 3
+  });
+  await queue.enqueue(RELAY_KEY, { event: makeEvent('fresh') });
+
+  assert.equal(await queue.flush(RELAY_KEY), 1);
+  assert.deepEqual(delivered, ['fresh']);
+  assert.deepEqual(await store.getPendingWrites(RELAY_KEY), []);
+});
+
+test('PendingWriteQueue keeps rejected writes visible without replaying them', async () => {
+  const store = new MemoryRegistrationStore();
+  const delivered = [];
+  const queue = new PendingWriteQueue({
+    registrationStore: store,
+    logger: NOOP_LOGGER,
+    deliver: async (_relayKey, entry) => {
+      delivered.push(entry.event.id);
+      return entry.event.id === 'refused' ? { rejected: 'restricted: not a member of this group' } : true;
+    }
+  });
+
+  await queue.enqueue(RELAY_KEY, { event: makeEvent('refused') });
+  await new Promise((resolve) => setTimeout(resolve, 2));
+  await queue.enqueue(RELAY_KEY, { event: makeEvent('accepted') });
+
+  assert.equal(await queue.flush(RELAY_KEY), 1);
+  assert.deepEqual(delivered, ['refused', 'accepted']);
+
+  const [rejected, ...rest] = await store.getPendingWrites(RELAY_KEY);
+  assert.deepEqual(rest, []);
+  assert.equal(rejected.event.id, 'refused');
+  assert.equal(rejected.rejectReason, 'restricted: not a member of this group');
+  assert.equal(typeof rejected.rejectedAt, 'number');
+
+  assert.equal(await queue.flush(RELAY_KEY), 0);
+  assert.deepEqual(delivered, ['refused', 'accepted']);
+});
+
+test('PendingWriteQueue refuses writes beyond the per-relay limit', async () => {
+  const store = new MemoryRegistrationStore();
+  const queue = new PendingWriteQueue({
+    registrationStore: store,
+    logger: NOOP_LOGGER,
+    maxEntriesPerRelay: 2,
+    deliver: async () => false
+  });
+
+  assert.equal(await queue.enqueue(RELAY_KEY, { event: makeEvent('first') }), true);
+  assert.equal(await queue.enqueue(RELAY_KEY, { event: makeEvent('second') }), true);
+  assert.equal(await queue.enqueue(RELAY_KEY, { event: makeEvent('third') }), false);
+  assert.deepEqual((await store.getPendingWrites(RELAY_KEY)).map((entry) => entry.event.id).sort(), ['first', 'second']);
+  assert.equal(await queue.enqueue('c'.repeat(64), { event: makeEvent('other relay') }), true);
+});
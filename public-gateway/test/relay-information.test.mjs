@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  RELAY_INFORMATION_CONTENT_TYPE,
+  buildRelayInformationDocument,
+  sendRelayInformation,
+  wantsRelayInformation
+} from '../../shared/public-gateway/RelayInformation.mjs';
+
+const ADMIN_PUBKEY = 'a'.repeat(64);
+const RELAY_PUBKEY = 'b'.repeat(64);
+
+test('buildRelayInformationDocument maps relay metadata to NIP-11 fields', () => {
+  const document = buildRelayInformationDocument({
+    identifier: 'npub1alpha:group',
+    name: 'Alpha Group',
+    description: 'Weekly jam sessions',
+    avatarUrl: 'https://hypertuna.com/pfp/alpha.png',
+    adminPubkey: ADMIN_PUBKEY,
+    relayPubkey: RELAY_PUBKEY
+  }, { software: 'hypertuna-public-gateway', version: '0.1.0', authRequired: true });
+
+  assert.equal(document.name, 'Alpha Group');
+  assert.equal(document.description, 'Weekly jam sessions');
+  assert.equal(document.icon, 'https://hypertuna.com/pfp/alpha.png');
+  assert.equal(document.pubkey, ADMIN_PUBKEY);
+  assert.equal(document.self, RELAY_PUBKEY);
+  assert.equal(document.software, 'hypertuna-public-gateway');
+  assert.equal(document.version, '0.1.0');
+  assert.ok(document.supported_nips.includes(11));
+  assert.ok(document.supported_nips.includes(42));
+  assert.equal(document.limitation.auth_required, true);
+  assert.equal(document.limitation.payment_required, false);
+});
+
+test('buildRelayInformationDocument omits fields the relay profile does not provide', () => {
+  const document = buildRelayInformationDocument({
+    identifier: 'relay:beta',
+    adminPubkey: 'not-a-pubkey'
+  }, { software: 'hypertuna-worker' });
+
+  assert.equal(document.name, 'relay:beta');
+  assert.equal(document.description, '');
+  assert.equal('icon' in document, false);
+  assert.equal('pubkey' in document, false);
+  assert.equal('self' in document, false);
+  assert.equal('version' in document, false);
+  assert.equal(document.limitation.auth_required, false);
+});
+
+test('relay information is only served for nostr+json requests with CORS headers', () => {
+  assert.equal(wantsRelayInformation({ headers: { accept: 'application/nostr+json' } }), true);
+  assert.equal(wantsRelayInformation({ headers: { accept: 'text/html' } }), false);
+  assert.equal(wantsRelayInformation({ headers: {} }), false);
+
+  const headers = {};
+  let status = null;
+  let body = null;
+  const res = {
+    setHeader: (name, value) => { headers[name] = value; },
+    status(code) {
+      status = code;
+      return this;
+    },
+    send: (payload) => { body = payload; }
+  };
+  sendRelayInformation(res, { name: 'Alpha Group' });
+
+  assert.equal(status, 200);
+  assert.equal(headers['Content-Type'], RELAY_INFORMATION_CONTENT_TYPE);
+  assert.equal(headers['Access-Control-Allow-Origin'], '*');
+  assert.deepEqual(JSON.parse(body), { name: 'Alpha Group' });
+});
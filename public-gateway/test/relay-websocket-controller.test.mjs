@@ -2,8 +2,23 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 import { EventEmitter } from 'node:events';
 import WebSocket from 'ws';
+import { schnorr } from '@noble/curves/secp256k1';
 
 import RelayWebsocketController from '../src/relay/RelayWebsocketController.mjs';
+import { computeEventId } from '../../shared/auth/Nip42Auth.mjs';
+
+function signEvent(secretKey, { kind = 1, created_at = Math.floor(Date.now() / 1000), tags = [], content = '' } = {}) {
+  const event = {
+    kind,
+    pubkey: Buffer.from(schnorr.getPublicKey(secretKey)).toString('hex'),
+    created_at,
+    tags,
+    content
+  };
+  event.id = computeEventId(event);
+  event.sig = Buffer.from(schnorr.sign(event.id, secretKey)).toString('hex');
+  return event;
+}
 
 class MockRelayHost {
   constructor() {
@@ -137,3 +152,215 @@ test('RelayWebsocketController schedules REQ when dispatcher enabled', async ()
   assert.ok(assignments.includes('assign:peer-a'));
   assert.ok(assignments.includes('peer-a'));
 });
+
+test('RelayWebsocketController answers COUNT from the local replica', async () => {
+  const host = new MockRelayHost();
+  let forwarded = false;
+  let countedFilters = null;
+  const controller = new RelayWebsocketController({
+    relayHost: host,
+    hyperbeeAdapter: {
+      hasReplica: () => true,
+      count: async (filters) => {
+        countedFilters = filters;
+        return { count: 7, stats: { served: true } };
+      }
+    },
+    logger: console,
+    legacyForward: async () => { forwarded = true; }
+  });
+
+  const ws = new MockWebSocket();
+  const session = {
+    ws,
+    connectionKey: 'conn-5',
+    relayKey: 'relay-5',
+    peers: ['peer-a'],
+    messageQueue: { enqueue: async (_payload, handler) => { await handler(_payload); } }
+  };
+
+  const handled = await controller.handleMessage(session, JSON.stringify(['COUNT', 'count-1', { kinds: [9] }]));
+  assert.equal(handled, true);
+  assert.equal(forwarded, false);
+  assert.deepEqual(countedFilters, [{ kinds: [9] }]);
+  assert.deepEqual(JSON.parse(ws.sent[0]), ['COUNT', 'count-1', { count: 7 }]);
+});
+
+test('RelayWebsocketController forwards COUNT when no replica is available', async () => {
+  const host = new MockRelayHost();
+  let forwardedContext = null;
+  const controller = new RelayWebsocketController({
+    relayHost: host,
+    logger: console,
+    legacyForward: async (_session, _message, _peer, context) => { forwardedContext = context; }
+  });
+
+  const ws = new MockWebSocket();
+  const session = {
+    ws,
+    connectionKey: 'conn-6',
+    relayKey: 'relay-6',
+    peers: ['peer-a'],
+    messageQueue: { enqueue: async (_payload, handler) => { await handler(_payload); } }
+  };
+
+  const handled = await controller.handleMessage(session, JSON.stringify(['COUNT', 'count-2', { kinds: [1] }]));
+  assert.equal(handled, true);
+  assert.equal(forwardedContext?.subscriptionId, 'count-2');
+  assert.equal(ws.sent.length, 0);
+});
+
+test('RelayWebsocketController fans ephemeral events out to local subscribers without storing them', async () => {
+  const host = new MockRelayHost();
+  let forwarded = false;
+  const controller = new RelayWebsocketController({
+    relayHost: host,
+    hyperbeeAdapter: {
+      hasReplica: () => true,
+      query: async () => ({ events: [], stats: { served: true } })
+    },
+    logger: console,
+    legacyForward: async () => { forwarded = true; }
+  });
+
+  const makeSession = (connectionKey, relayKey = 'relay-7') => ({
+    ws: new MockWebSocket(),
+    connectionKey,
+    relayKey,
+    peers: [],
+    messageQueue: { enqueue: async (_payload, handler) => { await handler(_payload); } }
+  });
+  const subscriber = makeSession('conn-7a');
+  const otherGroup = makeSession('conn-7b');
+  const otherRelay = makeSession('conn-7c', 'relay-8');
+  const publisher = makeSession('conn-7d');
+
+  await controller.handleMessage(subscriber, JSON.stringify(['REQ', 'typing', { kinds: [20001], '#h': ['g1'] }]));
+  await controller.handleMessage(otherGroup, JSON.stringify(['REQ', 'typing', { kinds: [20001], '#h': ['g2'] }]));
+  await controller.handleMessage(otherRelay, JSON.stringify(['REQ', 'typing', { kinds: [20001] }]));
+  for (const session of [subscriber, otherGroup, otherRelay]) session.ws.sent.length = 0;
+
+  const secretKey = schnorr.utils.randomPrivateKey();
+  const event = signEvent(secretKey, { kind: 20001, tags: [['h', 'g1']] });
+  await controller.handleMessage(publisher, JSON.stringify(['EVENT', event]));
+
+  assert.equal(host.events.length, 0);
+  assert.equal(forwarded, false);
+  assert.deepEqual(subscriber.ws.sent.map((msg) => JSON.parse(msg)), [['EVENT', 'typing', event]]);
+  assert.equal(otherGroup.ws.sent.length, 0);
+  assert.equal(otherRelay.ws.sent.length, 0);
+  assert.deepEqual(JSON.parse(publisher.ws.sent[0]), ['OK', event.id, true, '']);
+
+  controller.removeSession('conn-7a');
+  subscriber.ws.sent.length = 0;
+  await controller.handleMessage(publisher, JSON.stringify(['EVENT', signEvent(secretKey, { kind: 20001, tags: [['h', 'g1']], content: 'later' })]));
+  assert.equal(subscriber.ws.sent.length, 0);
+});
+
+test('RelayWebsocketController refuses unsigned and forged ephemeral events', async () => {
+  const host = new MockRelayHost();
+  const forwardedFrames = [];
+  const controller = new RelayWebsocketController({
+    relayHost: host,
+    hyperbeeAdapter: {
+      hasReplica: () => true,
+      query: async () => ({ events: [], stats: { served: true } })
+    },
+    logger: console,
+    legacyForward: async (_session, message) => { forwardedFrames.push(JSON.parse(message)); }
+  });
+
+  const makeSession = (connectionKey, peers = []) => ({
+    ws: new MockWebSocket(),
+    connectionKey,
+    relayKey: 'relay-10',
+    peers,
+    messageQueue: { enqueue: async (_payload, handler) => { await handler(_payload); } }
+  });
+  const subscriber = makeSession('conn-10a');
+  const publisher = makeSession('conn-10b', ['peer-a']);
+
+  await controller.handleMessage(subscriber, JSON.stringify(['REQ', 'typing', { kinds: [20001] }]));
+  subscriber.ws.sent.length = 0;
+
+  const victim = signEvent(schnorr.utils.randomPrivateKey(), { kind: 20001, content: 'typing' });
+  const unsigned = { ...victim, sig: undefined };
+  const forged = { ...signEvent(schnorr.utils.randomPrivateKey(), { kind: 20001, content: 'typing' }), pubkey: victim.pubkey };
+  const tampered = { ...victim, content: 'not what was signed' };
+
+  for (const event of [unsigned, forged, tampered]) {
+    await controller.handleMessage(publisher, JSON.stringify(['EVENT', event]));
+  }
+
+  assert.deepEqual(
+    publisher.ws.sent.map((msg) => JSON.parse(msg)),
+    [unsigned, forged, tampered].map((event) => ['OK', event.id, false, 'invalid: bad event id or signature'])
+  );
+  assert.equal(subscriber.ws.sent.length, 0);
+  assert.equal(forwardedFrames.length, 0);
+});
+
+test('RelayWebsocketController forwards ephemeral events to hosting peers', async () => {
+  const host = new MockRelayHost();
+  const forwardedFrames = [];
+  const controller = new RelayWebsocketController({
+    relayHost: host,
+    logger: console,
+    legacyForward: async (_session, message) => { forwardedFrames.push(JSON.parse(message)); }
+  });
+
+  const ws = new MockWebSocket();
+  const session = {
+    ws,
+    connectionKey: 'conn-9',
+    relayKey: 'relay-9',
+    peers: ['peer-a'],
+    messageQueue: { enqueue: async (_payload, handler) => { await handler(_payload); } }
+  };
+
+  const event = signEvent(schnorr.utils.randomPrivateKey(), { kind: 25050 });
+  await controller.handleMessage(session, JSON.stringify(['EVENT', event]));
+
+  assert.equal(host.events.length, 0);
+  assert.equal(forwardedFrames.length, 1);
+  assert.equal(forwardedFrames[0][1].id, event.id);
+  assert.equal(ws.sent.length, 0);
+});
+
+test('RelayWebsocketController pushes newly stored events to locally served subscriptions', async () => {
+  const host = new EventEmitter();
+  host.applyEvent = async (event) => {
+    host.emit('event-stored', event);
+    return { id: event.id, status: 'accepted' };
+  };
+  const controller = new RelayWebsocketController({
+    relayHost: host,
+    hyperbeeAdapter: {
+      hasReplica: () => true,
+      query: async () => ({ events: [], stats: { served: true } })
+    },
+    logger: console,
+    legacyForward: async () => {}
+  });
+
+  const ws = new MockWebSocket();
+  const session = {
+    ws,
+    connectionKey: 'conn-10',
+    relayKey: 'relay-10',
+    peers: [],
+    localOnly: true,
+    messageQueue: { enqueue: async (_payload, handler) => { await handler(_payload); } }
+  };
+
+  await controller.handleMessage(session, JSON.stringify(['REQ', 'chat', { kinds: [9], '#h': ['g1'] }]));
+  assert.deepEqual(JSON.parse(ws.sent.pop()), ['EOSE', 'chat']);
+
+  const message = { id: 'msg-1', kind: 9, created_at: 1700000000, tags: [['h', 'g1']], content: 'hi' };
+  await controller.handleMessage(session, JSON.stringify(['EVENT', message]));
+  host.emit('event-stored', { id: 'msg-2', kind: 9, created_at: 1700000001, tags: [['h', 'g2']], content: 'other group' });
+
+  const frames = ws.sent.map((msg) => JSON.parse(msg));
+  assert.deepEqual(frames, [['EVENT', 'chat', message], ['OK', 'msg-1', true, 'stored']]);
+  assert.equal(controller.getSubscriptionSnapshot('conn-10')[0].lastReturnedAt, 1700000000);
+});
@@ -0,0 +1,151 @@
+import { createHash, randomBytes } from 'node:crypto';
+
+const AUTH_EVENT_KIND = 22242;
+const AUTH_HEADER = 'x-nostr-auth';
+// the challenge the gateway issued for the forwarded auth event, so peers can check the event echoes it
+const AUTH_CHALLENGE_HEADER = 'x-nostr-auth-challenge';
+const DEFAULT_MAX_SKEW_SECONDS = 600;
+
+function createAuthChallenge() {
+  return randomBytes(16).toString('hex');
+}
+
+function getTagValue(event, name) {
+  if (!Array.isArray(event?.tags)) return null;
+  const tag = event.tags.find((entry) => Array.isArray(entry) && entry[0] === name);
+  return typeof tag?.[1] === 'string' ? tag[1] : null;
+}
+
+// Relays are identified by host and path: the scheme only says where TLS was terminated and
+// query strings carry per-connection tokens
+function relayUrlKey(url) {
+  if (typeof url !== 'string' || !url) return null;
+  try {
+    const parsed = new URL(url);
+    if (!['ws:', 'wss:', 'http:', 'https:'].includes(parsed.protocol)) return null;
+    return `${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch (_) {
+    return null;
+  }
+}
+
+function relayUrlPath(url) {
+  try {
+    return new URL(url).pathname.replace(/\/+$/, '') || '/';
+  } catch (_) {
+    return null;
+  }
+}
+
+function computeEventId(event) {
+  const serialized = JSON.stringify([
+    0,
+    event.pubkey,
+    event.created_at,
+    event.kind,
+    event.tags,
+    event.content
+  ]);
+  return createHash('sha256').update(serialized).digest('hex');
+}
+
+/**
+ * Validate a NIP-42 kind 22242 auth event against an issued challenge.
+ * Signature checking is delegated to `verifySignature` so each runtime can
+ * supply its own secp256k1 implementation. The event must always name the
+ * relay it was signed for; pass `relayUrl` or `relayPaths` to check which.
+ * Events are only accepted against the challenge they answer, so callers
+ * without one are refused.
+ *
+ * @param {Object} event
+ * @param {Object} options
+ * @param {string} options.challenge - Challenge the event must echo
+ * @param {string|string[]} [options.relayUrl] - Relay URL(s) the relay tag must match by host and path
+ * @param {string[]} [options.relayPaths] - Paths the relay tag may use on any host, for peers that
+ *   do not know which gateway the client connected through
+ * @param {Function} options.verifySignature - (event) => boolean|Promise<boolean>
+ * @param {number} [options.now] - Current unix time in seconds
+ * @param {number} [options.maxSkewSeconds]
+ * @returns {Promise<{ ok: boolean, pubkey: string|null, reason: string|null }>}
+ */
+async function validateAuthEvent(event, {
+  challenge = null,
+  relayUrl = null,
+  relayPaths = null,
+  verifySignature,
+  now = Math.floor(Date.now() / 1000),
+  maxSkewSeconds = DEFAULT_MAX_SKEW_SECONDS
+} = {}) {
+  const fail = (reason) => ({ ok: false, pubkey: null, reason });
+
+  if (!event || typeof event !== 'object') return fail('invalid: missing auth event');
+  if (event.kind !== AUTH_EVENT_KIND) return fail(`invalid: auth event must be kind ${AUTH_EVENT_KIND}`);
+  if (typeof event.pubkey !== 'string' || !/^[0-9a-f]{64}$/.test(event.pubkey)) {
+    return fail('invalid: malformed pubkey');
+  }
+  if (typeof event.sig !== 'string' || !/^[0-9a-f]{128}$/.test(event.sig)) {
+    return fail('invalid: malformed signature');
+  }
+  if (!Number.isFinite(event.created_at) || Math.abs(now - event.created_at) > maxSkewSeconds) {
+    return fail('invalid: auth event is too old or too far in the future');
+  }
+  if (typeof challenge !== 'string' || !challenge) return fail('error: no auth challenge was issued');
+  if (getTagValue(event, 'challenge') !== challenge) {
+    return fail('invalid: challenge mismatch');
+  }
+
+  const relayTag = getTagValue(event, 'relay');
+  if (!relayUrlKey(relayTag)) return fail('invalid: missing or malformed relay tag');
+  if (relayUrl) {
+    const accepted = (Array.isArray(relayUrl) ? relayUrl : [relayUrl]).map(relayUrlKey);
+    if (!accepted.includes(relayUrlKey(relayTag))) return fail('invalid: auth event is for another relay');
+  }
+  if (Array.isArray(relayPaths)) {
+    const accepted = relayPaths.map((path) => path.replace(/\/+$/, '') || '/');
+    if (!accepted.includes(relayUrlPath(relayTag))) return fail('invalid: auth event is for another relay');
+  }
+
+  let expectedId;
+  try {
+    expectedId = computeEventId(event);
+  } catch (_) {
+    return fail('invalid: malformed auth event');
+  }
+  if (event.id !== expectedId) return fail('invalid: event id does not match');
+
+  if (typeof verifySignature !== 'function') return fail('error: signature verification unavailable');
+  let verified = false;
+  try {
+    verified = await verifySignature(event);
+  } catch (_) {
+    verified = false;
+  }
+  if (!verified) return fail('invalid: bad signature');
+
+  return { ok: true, pubkey: event.pubkey, reason: null };
+}
+
+function encodeAuthHeader(event) {
+  if (!event) return null;
+  return Buffer.from(JSON.stringify(event)).toString('base64url');
+}
+
+function decodeAuthHeader(value) {
+  if (typeof value !== 'string' || !value) return null;
+  try {
+    return JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+export {
+  AUTH_EVENT_KIND,
+  AUTH_HEADER,
+  AUTH_CHALLENGE_HEADER,
+  createAuthChallenge,
+  computeEventId,
+  validateAuthEvent,
+  encodeAuthHeader,
+  decodeAuthHeader
+};
@@ -0,0 +1,52 @@
+// In-memory NIP-01 filter matching for events that never reach an index
+// (ephemeral kinds are fanned out to live subscriptions and then dropped).
+
+import { eventMatchesSearch } from '../search/ContentSearch.mjs';
+
+// kinds 20000-29999 are ephemeral: relays deliver them to live subscribers but never store them
+function isEphemeralKind(kind) {
+  return Number.isInteger(kind) && kind >= 20000 && kind < 30000;
+}
+
+function toOptionalTimestamp(value) {
+  if (value === undefined || value === null) return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? Math.trunc(num) : null;
+}
+
+function eventMatchesFilter(event, filter) {
+  if (!event || !filter || typeof filter !== 'object') return false;
+
+  if (Array.isArray(filter.ids) && filter.ids.length > 0 && !filter.ids.includes(event.id)) return false;
+  if (Array.isArray(filter.kinds) && filter.kinds.length > 0 && !filter.kinds.includes(event.kind)) return false;
+  if (Array.isArray(filter.authors) && filter.authors.length > 0 && !filter.authors.includes(event.pubkey)) return false;
+
+  const since = toOptionalTimestamp(filter.since);
+  const until = toOptionalTimestamp(filter.until);
+  const createdAt = Number(event.created_at) || 0;
+  if (since !== null && createdAt < since) return false;
+  if (until !== null && createdAt > until) return false;
+
+  for (const [key, values] of Object.entries(filter)) {
+    if (!/^#[a-zA-Z]$/.test(key) || !Array.isArray(values) || values.length === 0) continue;
+    const tagName = key.slice(1);
+    const tagMatches = Array.isArray(event.tags)
+      && event.tags.some((tag) => Array.isArray(tag) && tag[0] === tagName && values.includes(tag[1]));
+    if (!tagMatches) return false;
+  }
+
+  if (typeof filter.search === 'string' && !eventMatchesSearch(event, filter.search)) return false;
+
+  return true;
+}
+
+// a REQ matches when any of its filters does
+function eventMatchesFilters(event, filters) {
+  return Array.isArray(filters) && filters.some((filter) => eventMatchesFilter(event, filter));
+}
+
+export {
+  isEphemeralKind,
+  eventMatchesFilter,
+  eventMatchesFilters
+};
@@ -0,0 +1,125 @@
+// Byte range and conditional request handling for content-addressed drive files.
+// File names start with the sha256 of their content, so the hash is a strong ETag.
+
+const FILE_REQUEST_HEADERS = ['range', 'if-range', 'if-none-match'];
+
+/**
+ * Copy the request headers a drive file response depends on, for forwarding to a peer.
+ * @param {Object} headers - Incoming request headers (lowercase keys)
+ * @returns {Object}
+ */
+function pickFileRequestHeaders(headers = {}) {
+  const picked = {};
+  for (const name of FILE_REQUEST_HEADERS) {
+    const value = headers?.[name];
+    if (typeof value === 'string' && value) {
+      picked[name] = value;
+    }
+  }
+  return picked;
+}
+
+function fileEtag(fileHash) {
+  return `"${fileHash}"`;
+}
+
+// If-None-Match uses weak comparison, so W/ prefixes are ignored
+function etagMatches(ifNoneMatch, etag) {
+  if (typeof ifNoneMatch !== 'string') return false;
+  return ifNoneMatch.split(',').some((candidate) => {
+    const value = candidate.trim();
+    return value === '*' || value.replace(/^W\//, '') === etag;
+  });
+}
+
+/**
+ * Parse a Range header for a resource of the given size. Only a single bytes range is
+ * honored; anything else is ignored and the whole file is served.
+ * @param {string} header
+ * @param {number} size
+ * @returns {{start: number, end: number}|null|false} - null to ignore the header, false when unsatisfiable
+ */
+function parseRangeHeader(header, size) {
+  if (typeof header !== 'string') return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    const suffixLength = Number(match[2]);
+    if (suffixLength === 0) return false;
+    start = Math.max(0, size - suffixLength);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    if (match[2] && Number(match[2]) < start) return null;
+  }
+
+  if (start >= size) return false;
+  return { start, end };
+}
+
+/**
+ * Decide how to answer a drive file request.
+ * @param {Object} options
+ * @param {Object} options.headers - Request headers (lowercase keys)
+ * @param {number} options.size - File size in bytes
+ * @param {string} options.fileHash - Content hash used as the ETag
+ * @returns {{statusCode: number, start: number, end: number, headers: Object}}
+ *   statusCode is 200, 206, 304 or 416; start/end (inclusive) select the bytes to send
+ */
+function planFileResponse({ headers = {}, size, fileHash }) {
+  const etag = fileEtag(fileHash);
+  const baseHeaders = {
+    etag,
+    'accept-ranges': 'bytes',
+    'cache-control': 'public, max-age=31536000, immutable'
+  };
+
+  if (etagMatches(headers['if-none-match'], etag)) {
+    return { statusCode: 304, start: 0, end: -1, headers: baseHeaders };
+  }
+
+  // A Range is only honored while the client's copy (If-Range) is still current
+  const ifRange = headers['if-range'];
+  const range = ifRange && ifRange !== etag ? null : parseRangeHeader(headers.range, size);
+
+  if (range === false) {
+    return {
+      statusCode: 416,
+      start: 0,
+      end: -1,
+      headers: { ...baseHeaders, 'content-range': `bytes */${size}` }
+    };
+  }
+
+  if (range) {
+    return {
+      statusCode: 206,
+      start: range.start,
+      end: range.end,
+      headers: {
+        ...baseHeaders,
+        'content-range': `bytes ${range.start}-${range.end}/${size}`,
+        'content-length': String(range.end - range.start + 1)
+      }
+    };
+  }
+
+  return {
+    statusCode: 200,
+    start: 0,
+    end: size - 1,
+    headers: { ...baseHeaders, 'content-length': String(size) }
+  };
+}
+
+export {
+  FILE_REQUEST_HEADERS,
+  pickFileRequestHeaders,
+  fileEtag,
+  parseRangeHeader,
+  planFileResponse
+};
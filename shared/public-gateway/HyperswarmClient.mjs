@@ -3,6 +3,8 @@ import crypto from 'hypercore-crypto';
 import * as c from 'compact-encoding';
 import { Readable } from 'node:stream';
 import RelayProtocol from './RelayProtocol.mjs';
+import { AUTH_CHALLENGE_HEADER, AUTH_HEADER, encodeAuthHeader } from '../auth/Nip42Auth.mjs';
+import { pickFileRequestHeaders } from './FileRanges.mjs';
 
 class HyperswarmConnection {
   constructor(publicKey, swarm, pool, logger = console) {
@@ -605,6 +607,18 @@ class EnhancedHyperswarmPool {
       }
     });
 
+    // hosting peers push live subscription frames over the websocket-frame message
+    protocol.on('wsframe', (frame) => {
+      if (this.options.onWebSocketFrame) {
+        try {
+          this.options.onWebSocketFrame({ publicKey, frame, context });
+        } catch (err) {
+          // eslint-disable-next-line no-console
+          console.warn('[EnhancedHyperswarmPool] onWebSocketFrame handler error:', err);
+        }
+      }
+    });
+
     if (this.options.onHandshake) {
       const emitHandshake = (stage, handshake) => {
         try {
@@ -776,12 +790,18 @@ async function forwardRequestToPeer(peer, request, connectionPool) {
   return response;
 }
 
-async function forwardMessageToPeerHyperswarm(peerPublicKey, identifier, message, connectionKey, connectionPool, authToken) {
+async function forwardMessageToPeerHyperswarm(peerPublicKey, identifier, message, connectionKey, connectionPool, authToken, authEvent = null, authChallenge = null) {
   const connection = await connectionPool.getConnection(peerPublicKey);
   const headers = { 'content-type': 'application/json' };
   if (authToken) {
     headers['x-auth-token'] = authToken;
   }
+  if (authEvent) {
+    headers[AUTH_HEADER] = encodeAuthHeader(authEvent);
+  }
+  if (authChallenge) {
+    headers[AUTH_CHALLENGE_HEADER] = authChallenge;
+  }
 
   const response = await connection.sendRequest({
     method: 'POST',
@@ -830,11 +850,15 @@ async function forwardCallbackToPeer(peer, path, requestData, connectionPool) {
   return JSON.parse(response.body.toString());
 }
 
-async function requestFileFromPeer(peer, identifier, file, connectionPool) {
+// requestHeaders: the client's Range and conditional headers, answered by the peer
+// variant: a derived version of the file (e.g. 'thumb') instead of the original
+async function requestFileFromPeer(peer, identifier, file, connectionPool, requestHeaders = {}, variant = null) {
   const connection = await connectionPool.getConnection(peer.publicKey);
+  const variantSegment = variant ? `/${encodeURIComponent(variant)}` : '';
   const response = await connection.sendRequest({
     method: 'GET',
-    path: `/drive/${identifier}/${file}`
+    path: `/drive/${identifier}/${file}${variantSegment}`,
+    headers: pickFileRequestHeaders(requestHeaders)
   });
 
   const stream = Readable.from(response.body);
@@ -843,12 +867,13 @@ async function requestFileFromPeer(peer, identifier, file, connectionPool) {
   return stream;
 }
 
-async function requestPfpFromPeer(peer, owner, file, connectionPool) {
+async function requestPfpFromPeer(peer, owner, file, connectionPool, requestHeaders = {}) {
   const connection = await connectionPool.getConnection(peer.publicKey);
   const ownerSegment = owner ? `/${encodeURIComponent(owner)}` : '';
   const response = await connection.sendRequest({
     method: 'GET',
-    path: `/pfp${ownerSegment}/${encodeURIComponent(file)}`
+    path: `/pfp${ownerSegment}/${encodeURIComponent(file)}`,
+    headers: pickFileRequestHeaders(requestHeaders)
   });
 
   const stream = Readable.from(response.body);
@@ -857,17 +882,24 @@ async function requestPfpFromPeer(peer, owner, file, connectionPool) {
   return stream;
 }
 
-async function getEventsFromPeerHyperswarm(peerPublicKey, relayKey, connectionKey, connectionPool, authToken = null) {
+// subscriptionId: fetch only the backlog of this subscription instead of every one the connection holds
+async function getEventsFromPeerHyperswarm(peerPublicKey, relayKey, connectionKey, connectionPool, authToken = null, authEvent = null, subscriptionId = null, authChallenge = null) {
   const connection = await connectionPool.getConnection(peerPublicKey);
 
   const headers = { accept: 'application/json' };
   if (authToken) {
     headers['x-auth-token'] = authToken;
   }
+  if (authEvent) {
+    headers[AUTH_HEADER] = encodeAuthHeader(authEvent);
+  }
+  if (authChallenge) {
+    headers[AUTH_CHALLENGE_HEADER] = authChallenge;
+  }
 
   const response = await connection.sendRequest({
     method: 'GET',
-    path: `/get/relay/${relayKey}/${connectionKey}`,
+    path: `/get/relay/${relayKey}/${connectionKey}${subscriptionId ? `?subscription=${encodeURIComponent(subscriptionId)}` : ''}`,
     headers
   });
 
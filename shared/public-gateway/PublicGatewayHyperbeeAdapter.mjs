@@ -1,5 +1,7 @@
 import b4a from 'b4a';
 
+import { buildSearchIndexKey, eventMatchesSearch, parseSearchQuery } from '../search/ContentSearch.mjs';
+
 const HEX_EVENT_ID = /^[0-9a-f]{64}$/i;
 const DEFAULT_MAX_SCAN = 4096;
 
@@ -20,6 +22,14 @@ function ensureString(value) {
   return String(value);
 }
 
+function isExpired(event, now = Math.floor(Date.now() / 1000)) {
+  if (!Array.isArray(event?.tags)) return false;
+  const tag = event.tags.find((entry) => Array.isArray(entry) && entry[0] === 'expiration');
+  if (!tag || tag[1] === undefined) return false;
+  const expiration = Number.parseInt(tag[1], 10);
+  return Number.isFinite(expiration) && expiration <= now;
+}
+
 export default class PublicGatewayHyperbeeAdapter {
   constructor({ relayClient = null, logger = console, maxIndexScan = DEFAULT_MAX_SCAN } = {}) {
     this.logger = logger;
@@ -147,6 +157,56 @@ export default class PublicGatewayHyperbeeAdapter {
     };
   }
 
+  async count(filters = [], options = {}) {
+    if (!this.hasReplica()) {
+      return {
+        count: 0,
+        stats: {
+          served: false,
+          reason: 'replica-unavailable'
+        }
+      };
+    }
+
+    const syncState = await this.#ensureReplicaReady(options);
+    const matchedIds = new Set();
+
+    for (const filter of Array.isArray(filters) ? filters : []) {
+      if (!filter || typeof filter !== 'object') continue;
+
+      try {
+        if (Array.isArray(filter.ids) && filter.ids.length > 0) {
+          const { events } = await this.#queryByIds(filter, { limit: null });
+          for (const event of events) matchedIds.add(event.id);
+          continue;
+        }
+
+        const ids = await this.#collectIndexIds(filter, null);
+        for (const id of ids) matchedIds.add(id);
+      } catch (error) {
+        this.logger?.debug?.('[PublicGatewayHyperbeeAdapter] Count filter error', {
+          error: error?.message || error
+        });
+      }
+    }
+
+    // expired events remain indexed until the host sweeps them
+    if (matchedIds.size) {
+      for (const id of await this.#collectExpiredIds()) {
+        matchedIds.delete(id);
+      }
+    }
+
+    return {
+      count: matchedIds.size,
+      stats: {
+        served: true,
+        replicaLag: Number.isFinite(syncState?.lag) ? syncState.lag : null,
+        synchronized: typeof syncState?.synchronized === 'boolean' ? syncState.synchronized : null
+      }
+    };
+  }
+
   async #ensureReplicaReady(options = {}) {
     const syncOptions = {};
     if (Number.isFinite(options?.maxSyncWaitMs) && options.maxSyncWaitMs >= 0) {
@@ -239,12 +299,37 @@ export default class PublicGatewayHyperbeeAdapter {
   }
 
   async #queryByIndexes(filter, options) {
+    const candidateIds = await this.#collectIndexIds(filter, this.#computeScanCap(options.limit));
+    if (!candidateIds.size) {
+      return { events: [], truncated: false };
+    }
+
+    const events = [];
+    for (const id of candidateIds) {
+      if (options.limit && events.length >= options.limit) break;
+      const event = await this.#getEventById(id);
+      if (!event) continue;
+      if (!this.#eventMatchesFilter(event, filter)) continue;
+      events.push(event);
+    }
+
+    events.sort((a, b) => (b?.created_at || 0) - (a?.created_at || 0));
+
+    let truncated = false;
+    if (options.limit && events.length > options.limit) {
+      events.splice(options.limit);
+      truncated = true;
+    }
+
+    return { events, truncated };
+  }
+
+  async #collectIndexIds(filter, scanCap) {
     const groups = this.#buildQueryGroups(filter);
     if (groups.length === 0) {
-      return { events: [], truncated: false };
+      return new Set();
     }
 
-    const scanCap = this.#computeScanCap(options.limit);
     const groupResultSets = [];
 
     for (const group of groups) {
@@ -254,7 +339,7 @@ export default class PublicGatewayHyperbeeAdapter {
         for (const id of ids) union.add(id);
       }
       if (union.size === 0) {
-        return { events: [], truncated: false };
+        return new Set();
       }
       groupResultSets.push(union);
     }
@@ -263,28 +348,11 @@ export default class PublicGatewayHyperbeeAdapter {
     for (const set of groupResultSets) {
       candidateIds = this.#intersectSets(candidateIds, set);
       if (!candidateIds.size) {
-        return { events: [], truncated: false };
+        return candidateIds;
       }
     }
 
-    const events = [];
-    for (const id of candidateIds) {
-      if (options.limit && events.length >= options.limit) break;
-      const event = await this.#getEventById(id);
-      if (!event) continue;
-      if (!this.#eventMatchesFilter(event, filter)) continue;
-      events.push(event);
-    }
-
-    events.sort((a, b) => (b?.created_at || 0) - (a?.created_at || 0));
-
-    let truncated = false;
-    if (options.limit && events.length > options.limit) {
-      events.splice(options.limit);
-      truncated = true;
-    }
-
-    return { events, truncated };
+    return candidateIds;
   }
 
   async #scanIndex(query, limit) {
@@ -312,6 +380,13 @@ export default class PublicGatewayHyperbeeAdapter {
     return ids;
   }
 
+  async #collectExpiredIds(now = Math.floor(Date.now() / 1000)) {
+    return this.#scanIndex({
+      gte: b4a.from('expiration:', 'utf8'),
+      lt: b4a.from(`expiration:${this.#padTimestamp(now + 1)}`, 'utf8')
+    }, null);
+  }
+
   #intersectSets(left, right) {
     if (!left || !right) return new Set();
     const result = new Set();
@@ -355,6 +430,7 @@ export default class PublicGatewayHyperbeeAdapter {
 
   #eventMatchesFilter(event, filter) {
     if (!event) return false;
+    if (isExpired(event)) return false;
 
     if (Array.isArray(filter.ids) && filter.ids.length > 0) {
       if (!filter.ids.includes(event.id)) return false;
@@ -384,6 +460,8 @@ export default class PublicGatewayHyperbeeAdapter {
       if (!tagMatches) return false;
     }
 
+    if (typeof filter.search === 'string' && !eventMatchesSearch(event, filter.search)) return false;
+
     return true;
   }
 
@@ -395,8 +473,10 @@ export default class PublicGatewayHyperbeeAdapter {
     const hasKindFilters = Array.isArray(filter.kinds) && filter.kinds.length > 0;
     const hasAuthorFilters = Array.isArray(filter.authors) && filter.authors.length > 0;
     const tagGroups = this.#buildTagGroups(filter, since, until);
+    const searchGroups = parseSearchQuery(filter.search)
+      .map((term) => [this.#constructSearchRangeQuery(term, since, until)]);
 
-    if (!hasKindFilters && !hasAuthorFilters && tagGroups.length === 0) {
+    if (!hasKindFilters && !hasAuthorFilters && tagGroups.length === 0 && searchGroups.length === 0) {
       groups.push([this.#constructTimeRangeQuery(since, until)]);
       return groups;
     }
@@ -416,6 +496,7 @@ export default class PublicGatewayHyperbeeAdapter {
     }
 
     groups.push(...tagGroups);
+    groups.push(...searchGroups);
 
     if (groups.length === 0) {
       groups.push([this.#constructTimeRangeQuery(since, until)]);
@@ -464,6 +545,12 @@ export default class PublicGatewayHyperbeeAdapter {
     return { gte, lte };
   }
 
+  #constructSearchRangeQuery(term, since, until) {
+    const gte = b4a.from(buildSearchIndexKey(term, this.#padTimestamp(since), ''), 'utf8');
+    const lte = b4a.from(buildSearchIndexKey(term, this.#padTimestamp(until), '#'), 'utf8');
+    return { gte, lte };
+  }
+
   #computeScanCap(limit) {
     if (Number.isInteger(limit) && limit > 0) {
       return Math.min(this.maxIndexScan, Math.max(limit * 4, 16));
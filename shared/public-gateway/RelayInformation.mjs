@@ -0,0 +1,85 @@
+const RELAY_INFORMATION_CONTENT_TYPE = 'application/nostr+json';
+const SUPPORTED_NIPS = [1, 9, 11, 29, 40, 42, 45, 50];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS'
+};
+
+function isHexPubkey(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+}
+
+function wantsRelayInformation(req) {
+  const accept = req?.headers?.accept;
+  return typeof accept === 'string' && accept.toLowerCase().includes(RELAY_INFORMATION_CONTENT_TYPE);
+}
+
+/**
+ * Build a NIP-11 relay information document from gateway relay metadata
+ * (name, description and avatar from the kind 39000 event, admin pubkey,
+ * and the relay's own pubkey that signs its group state events).
+ *
+ * @param {Object} metadata - Relay registration metadata
+ * @param {Object} options
+ * @param {string} options.software - Software identifier advertised to clients
+ * @param {string|null} [options.version]
+ * @param {boolean} [options.authRequired]
+ * @param {Object} [options.limitation] - Extra NIP-11 limitation fields
+ * @returns {Object}
+ */
+function buildRelayInformationDocument(metadata = {}, {
+  software,
+  version = null,
+  authRequired = false,
+  limitation = {}
+} = {}) {
+  const name = typeof metadata?.name === 'string' && metadata.name.trim()
+    ? metadata.name.trim()
+    : (metadata?.identifier || 'Hypertuna Relay');
+
+  const document = {
+    name,
+    description: typeof metadata?.description === 'string' ? metadata.description : '',
+    supported_nips: [...SUPPORTED_NIPS],
+    software,
+    limitation: {
+      auth_required: !!authRequired,
+      restricted_writes: !!authRequired,
+      payment_required: false,
+      ...limitation
+    }
+  };
+
+  if (typeof metadata?.avatarUrl === 'string' && metadata.avatarUrl) {
+    document.icon = metadata.avatarUrl;
+  }
+  if (isHexPubkey(metadata?.adminPubkey)) {
+    document.pubkey = metadata.adminPubkey;
+  }
+  if (isHexPubkey(metadata?.relayPubkey)) {
+    document.self = metadata.relayPubkey;
+  }
+  if (version) {
+    document.version = version;
+  }
+
+  return document;
+}
+
+function sendRelayInformation(res, document) {
+  for (const [header, value] of Object.entries(CORS_HEADERS)) {
+    res.setHeader(header, value);
+  }
+  res.setHeader('Content-Type', RELAY_INFORMATION_CONTENT_TYPE);
+  res.status(200).send(JSON.stringify(document));
+}
+
+export {
+  RELAY_INFORMATION_CONTENT_TYPE,
+  SUPPORTED_NIPS,
+  wantsRelayInformation,
+  buildRelayInformationDocument,
+  sendRelayInformation
+};
@@ -0,0 +1,49 @@
+// NIP-50 content search helpers shared by the worker relay, the gateway relay host
+// and the replica adapter so every index agrees on how content is tokenized.
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 64;
+const MAX_TOKENS_PER_EVENT = 256;
+const TOKEN_SPLIT_PATTERN = /[^\p{L}\p{N}]+/u;
+// NIP-50 extensions look like `key:value`; none are supported so they are dropped from the query
+const SEARCH_EXTENSION_PATTERN = /^[a-z_]+:\S*$/i;
+
+function tokenize(text) {
+  if (typeof text !== 'string' || !text) return [];
+  const tokens = new Set();
+  for (const raw of text.normalize('NFKC').toLowerCase().split(TOKEN_SPLIT_PATTERN)) {
+    if (raw.length < MIN_TOKEN_LENGTH || raw.length > MAX_TOKEN_LENGTH) continue;
+    tokens.add(raw);
+  }
+  return Array.from(tokens);
+}
+
+// tokens written to the inverted index for an event's content
+function tokenizeContent(content) {
+  return tokenize(content).slice(0, MAX_TOKENS_PER_EVENT);
+}
+
+// terms of a REQ `search` field; every term must match (AND semantics)
+function parseSearchQuery(search) {
+  if (typeof search !== 'string') return [];
+  const words = search.split(/\s+/).filter((word) => word && !SEARCH_EXTENSION_PATTERN.test(word));
+  return tokenize(words.join(' '));
+}
+
+function eventMatchesSearch(event, search) {
+  const terms = parseSearchQuery(search);
+  if (terms.length === 0) return true;
+  const tokens = new Set(tokenizeContent(event?.content));
+  return terms.every((term) => tokens.has(term));
+}
+
+function buildSearchIndexKey(token, paddedCreatedAt, eventId) {
+  return `search:${token}:created_at:${paddedCreatedAt}:id:${eventId}`;
+}
+
+export {
+  tokenizeContent,
+  parseSearchQuery,
+  eventMatchesSearch,
+  buildSearchIndexKey
+};